@@ -0,0 +1,65 @@
+/**
+ * @fileoverview The Plaid Link flow shared by the connect-bank and reconnect pages.
+ * It retrieves a Plaid Link token, opens the Plaid Link modal as soon as it is ready, and hands the result of a
+ * successful connection to the page.
+ */
+import { useState, useEffect } from 'react';
+import { usePlaidLink } from 'react-plaid-link';
+
+/**
+ * A React component that runs the Plaid Link flow for an audit.
+ * @param {object} props - The component props.
+ * @param {object} props.tokenRequest - The body sent to the token endpoint, with at least the `auditId`.
+ * @param {string} props.tokenEndpoint - The API endpoint that creates the Link token, e.g.
+ *   '/api/plaid/create-link-token'.
+ * @param {Function} props.onSuccess - Called with the `public_token` and metadata when the user completes Link.
+ * @param {string} props.title - The heading shown while Link is open.
+ * @param {Function} [props.children] - Renders the page below the heading, given `open` to open Link again
+ *   (e.g. to connect another institution) and whether Link is `ready`.
+ * @returns {JSX.Element} The rendered PlaidLinkFlow component.
+ */
+export default function PlaidLinkFlow({ tokenRequest, tokenEndpoint, onSuccess, title, children }) {
+  const [linkToken, setLinkToken] = useState(null);
+  const requestBody = JSON.stringify(tokenRequest);
+
+  useEffect(() => {
+    async function fetchLinkToken() {
+      if (tokenRequest.auditId) {
+        try {
+          const response = await fetch(tokenEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: requestBody,
+          });
+          const data = await response.json();
+          if (data.link_token) {
+            setLinkToken(data.link_token);
+          } else {
+            console.error('Failed to fetch link token:', data.error);
+          }
+        } catch (error) {
+          console.error('Error fetching link token:', error);
+        }
+      }
+    }
+    fetchLinkToken();
+  }, [tokenRequest.auditId, requestBody, tokenEndpoint]);
+
+  const { open, ready } = usePlaidLink({
+    token: linkToken,
+    onSuccess,
+  });
+
+  useEffect(() => {
+    if (ready) {
+      open();
+    }
+  }, [ready, open]);
+
+  return (
+    <div style={{ textAlign: 'center', marginTop: '50px' }}>
+      <h1>{title}</h1>
+      {children ? children({ open, ready }) : <p>Plaid Link should open automatically.</p>}
+    </div>
+  );
+}
@@ -22,7 +22,8 @@ if (fs.existsSync(envPath)) {
   envFile.split('\n').forEach(line => {
     if (line && !line.startsWith('#')) {
       const [key, value] = line.split('=');
-      if (key && value) {
+      // Variables set in the shell (e.g. LLM_PROVIDER=mock npm run evaluate) take precedence
+      if (key && value && process.env[key] === undefined) {
         process.env[key] = value;
       }
     }
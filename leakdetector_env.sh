@@ -14,7 +14,7 @@ STRIPE_PRICE_ID=price_... # Create $497 one-time payment product
 # Plaid
 PLAID_CLIENT_ID=your-client-id
 PLAID_SECRET=your-secret-key
-PLAID_ENV=sandbox # Use 'sandbox' for testing, 'production' for live
+PLAID_ENV=sandbox # Use 'sandbox' for testing, 'production' for live, 'local' for fixture data without network access
 NEXT_PUBLIC_PLAID_ENV=sandbox
 
 # Anthropic Claude API (for AI analysis)
@@ -25,4 +25,18 @@ RESEND_API_KEY=re_...
 FROM_EMAIL=reports@leakdetector.com
 
 # App URL
-NEXT_PUBLIC_APP_URL=http://localhost:3000 # Change to production URL when deployed
\ No newline at end of file
+NEXT_PUBLIC_APP_URL=http://localhost:3000 # Change to production URL when deployed
+
+# LLM provider for AI analysis: 'anthropic', or 'mock' to answer from lib/llm/fixtures without network access
+LLM_PROVIDER=anthropic
+LLM_MODEL=claude-sonnet-4-20250514
+LLM_TEMPERATURE=0
+LLM_MAX_TOKENS=4000
+
+# Leak analysis prompt version (defaults to the current version in lib/prompts)
+# LEAK_PROMPT_VERSION=leak_analysis.v2
+
+# FX rates for converting transactions to an audit's reporting currency: 'local' reads lib/fx/rates.json
+# (or FX_RATES_FILE), 'ecb' fetches the ECB reference rates from the Frankfurter API
+FX_RATE_SOURCE=local
+# FX_RATES_FILE=/path/to/rates.json
@@ -6,10 +6,9 @@ CREATE TABLE audits (
   email TEXT NOT NULL,
   company_name TEXT,
   stripe_payment_id TEXT UNIQUE NOT NULL,
-  plaid_access_token TEXT,
-  plaid_item_id TEXT,
-  status TEXT NOT NULL DEFAULT 'payment_received', -- payment_received, bank_connected, analyzing, completed, failed
-  total_waste_found DECIMAL(10,2),
+  status TEXT NOT NULL DEFAULT 'payment_received', -- payment_received, bank_connected, analyzing, reconnect_required, completed, failed
+  total_waste_found DECIMAL(10,2), -- In reporting_currency
+  reporting_currency TEXT NOT NULL DEFAULT 'USD', -- ISO 4217 code that transactions are converted to for analysis and the report
   report_url TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   completed_at TIMESTAMP WITH TIME ZONE,
@@ -21,28 +20,115 @@ CREATE TABLE transactions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   audit_id UUID NOT NULL REFERENCES audits(id) ON DELETE CASCADE,
   transaction_id TEXT NOT NULL, -- Plaid transaction ID
+  account_id TEXT, -- Plaid account ID the transaction was charged to (see accounts)
   date DATE NOT NULL,
   amount DECIMAL(10,2) NOT NULL,
+  iso_currency_code TEXT DEFAULT 'USD', -- Currency of amount, as reported by Plaid; null for unofficial currencies
+  unofficial_currency_code TEXT, -- Currency of amount when it has no ISO 4217 code, e.g. a cryptocurrency
   merchant_name TEXT NOT NULL,
   category TEXT[],
-  is_recurring BOOLEAN DEFAULT FALSE,
-  recurring_frequency TEXT, -- monthly, annual, quarterly
+  transaction_type TEXT NOT NULL DEFAULT 'debit', -- debit, credit, refund, reversal; amount is always positive
+  refund_of TEXT, -- For refunds and reversals, the transaction_id of the charge they undo
+  source TEXT NOT NULL DEFAULT 'plaid', -- plaid, or the format of an imported statement (csv, ofx, qif, ramp, brex, expensify, amex)
+  cardholder TEXT, -- For card and expense platform exports, the cardholder or employee who spent it
+  department TEXT, -- For card and expense platform exports, the department or team of the cardholder
+  memo TEXT, -- For card and expense platform exports, the memo or comment of the expense
+  pending BOOLEAN NOT NULL DEFAULT FALSE, -- Whether the charge is authorized but not posted yet
+  pending_transaction_id TEXT, -- For posted transactions, the transaction_id of the pending transaction they replace
+  is_recurring BOOLEAN DEFAULT FALSE, -- Whether the transaction is a charge of a recurring series (see recurring_series)
+  recurring_frequency TEXT, -- Frequency of its series: weekly, bi-weekly, monthly, quarterly, annual
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Plaid items table (one per connected institution; an audit can link several)
+CREATE TABLE plaid_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  audit_id UUID NOT NULL REFERENCES audits(id) ON DELETE CASCADE,
+  item_id TEXT UNIQUE NOT NULL, -- Plaid item ID
+  access_token TEXT NOT NULL, -- Plaid access token of the item
+  institution_id TEXT,
+  institution_name TEXT,
+  error TEXT, -- ITEM_LOGIN_REQUIRED or PENDING_EXPIRATION when Plaid needs the user to reconnect
+  error_at TIMESTAMP WITH TIME ZONE,
+  transactions_cursor TEXT, -- /transactions/sync cursor of the last applied sync; NULL before the first sync
+  last_synced_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Accounts table (the bank accounts and cards of each Plaid item, and the accounts of imported statements)
+CREATE TABLE accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  audit_id UUID NOT NULL REFERENCES audits(id) ON DELETE CASCADE,
+  item_id TEXT REFERENCES plaid_items(item_id) ON DELETE CASCADE, -- NULL for accounts of imported statements
+  account_id TEXT UNIQUE NOT NULL, -- Plaid account ID, or import_<hash> for imported statements
+  institution_name TEXT,
+  name TEXT NOT NULL,
+  official_name TEXT,
+  mask TEXT, -- Last digits of the account number
+  type TEXT NOT NULL, -- depository, credit, ...
+  subtype TEXT, -- checking, credit card, ...
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Plaid webhooks table (every webhook received, for replay)
+CREATE TABLE plaid_webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  item_id TEXT, -- Plaid item ID
+  webhook_type TEXT, -- TRANSACTIONS, ITEM, ...
+  webhook_code TEXT, -- SYNC_UPDATES_AVAILABLE, ERROR, PENDING_EXPIRATION, ...
+  body TEXT NOT NULL, -- Raw request body, replayed as received
+  verified BOOLEAN NOT NULL, -- Whether the Plaid-Verification signature was valid
+  status TEXT NOT NULL DEFAULT 'received', -- received, processing, processed, ignored, failed, rejected
+  attempts INTEGER NOT NULL DEFAULT 0, -- Handling attempts; failed webhooks are retried until there are 5
+  claimed_at TIMESTAMP WITH TIME ZONE, -- When the last attempt started; a stale claim is taken over by the next run
+  error_message TEXT,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Recurring series table (every series detected by the last analysis of an audit)
+CREATE TABLE recurring_series (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  audit_id UUID NOT NULL REFERENCES audits(id) ON DELETE CASCADE,
+  merchant TEXT NOT NULL, -- Merchant key: the vendor ID, or the normalized descriptor of vendors missing from the alias table
+  vendor_id TEXT,
+  merchant_name TEXT NOT NULL,
+  spend_class TEXT NOT NULL, -- software, infrastructure, utilities, financial, other; only software is analyzed for leaks
+  frequency TEXT NOT NULL, -- weekly, bi-weekly, monthly, quarterly, annual
+  currency TEXT NOT NULL DEFAULT 'USD', -- ISO 4217 code of the amounts (the audit's reporting_currency)
+  avg_amount DECIMAL(10,2) NOT NULL,
+  current_amount DECIMAL(10,2) NOT NULL, -- Price level at the last charge
+  min_amount DECIMAL(10,2) NOT NULL,
+  max_amount DECIMAL(10,2) NOT NULL,
+  annual_cost DECIMAL(10,2) NOT NULL, -- current_amount normalized from the frequency
+  charge_count INTEGER NOT NULL,
+  first_charge DATE NOT NULL,
+  last_charge DATE NOT NULL,
+  regularity_score DECIMAL(3,2), -- 0.00 to 1.00
+  cancelled_on DATE, -- Date of the refund of a subscription that was cancelled and refunded
+  owners JSONB DEFAULT '[]'::jsonb, -- Cardholders and departments of card and expense platform charges
+  transaction_ids TEXT[] NOT NULL DEFAULT '{}', -- transaction_id of every charge of the series
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (audit_id, merchant)
+);
+
 -- Detected leaks table
 CREATE TABLE leaks (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   audit_id UUID NOT NULL REFERENCES audits(id) ON DELETE CASCADE,
-  leak_type TEXT NOT NULL, -- zombie, duplicate, free_alternative, unused
+  leak_type TEXT NOT NULL, -- zombie, duplicate, free_alternative, unused, price_increase, trial_converted
   merchant_name TEXT NOT NULL,
   monthly_cost DECIMAL(10,2) NOT NULL,
   annual_cost DECIMAL(10,2) NOT NULL,
+  monthly_cost_cents BIGINT, -- monthly_cost in minor units of currency, normalized from the billing frequency
+  annual_cost_cents BIGINT, -- annual_cost in minor units of currency; total_waste_found is summed from it
+  currency TEXT NOT NULL DEFAULT 'USD', -- ISO 4217 code of the costs
   last_charge_date DATE,
   description TEXT NOT NULL,
   recommendation TEXT NOT NULL,
   confidence_score DECIMAL(3,2), -- 0.00 to 1.00
   evidence JSONB, -- Supporting transaction IDs, patterns, etc
+  prompt_version TEXT, -- Version of the AI prompt that found the leak (e.g. leak_analysis.v1); NULL for rule-only leaks
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -50,19 +136,34 @@ CREATE TABLE leaks (
 CREATE INDEX idx_audits_email ON audits(email);
 CREATE INDEX idx_audits_status ON audits(status);
 CREATE INDEX idx_transactions_audit_id ON transactions(audit_id);
+CREATE UNIQUE INDEX idx_transactions_audit_transaction ON transactions(audit_id, transaction_id); -- Sync and import upserts are keyed on it
 CREATE INDEX idx_transactions_date ON transactions(date);
 CREATE INDEX idx_transactions_merchant ON transactions(merchant_name);
 CREATE INDEX idx_leaks_audit_id ON leaks(audit_id);
+CREATE INDEX idx_recurring_series_audit_id ON recurring_series(audit_id);
+CREATE INDEX idx_plaid_items_audit_id ON plaid_items(audit_id);
+CREATE INDEX idx_accounts_audit_id ON accounts(audit_id);
+CREATE INDEX idx_transactions_account_id ON transactions(account_id);
+CREATE INDEX idx_plaid_webhooks_item_id ON plaid_webhooks(item_id);
+CREATE INDEX idx_plaid_webhooks_status ON plaid_webhooks(status);
 
 -- Enable Row Level Security
 ALTER TABLE audits ENABLE ROW LEVEL SECURITY;
 ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE leaks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recurring_series ENABLE ROW LEVEL SECURITY;
+ALTER TABLE plaid_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE plaid_webhooks ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies (for now, service role can access everything)
 CREATE POLICY "Service role can do anything" ON audits FOR ALL USING (true);
 CREATE POLICY "Service role can do anything" ON transactions FOR ALL USING (true);
 CREATE POLICY "Service role can do anything" ON leaks FOR ALL USING (true);
+CREATE POLICY "Service role can do anything" ON recurring_series FOR ALL USING (true);
+CREATE POLICY "Service role can do anything" ON plaid_items FOR ALL USING (true);
+CREATE POLICY "Service role can do anything" ON accounts FOR ALL USING (true);
+CREATE POLICY "Service role can do anything" ON plaid_webhooks FOR ALL USING (true);
 
 -- COMPLETE PRODUCTION SCHEMA
 -- Run this AFTER the base leakdetector_schema.sql
@@ -237,6 +338,20 @@ SELECT cron.schedule(
   'SELECT refresh_audit_summaries();'
 );
 
+-- Handle the Plaid webhooks whose trigger was lost, retry failed ones and take over stale claims
+-- (requires the pg_net extension; replace the app URL and CRON_SECRET with your own)
+-- CREATE EXTENSION IF NOT EXISTS pg_net;
+SELECT cron.schedule(
+  'process-plaid-webhooks',
+  '*/5 * * * *', -- Every 5 minutes
+  $$
+  SELECT net.http_post(
+    url := 'https://yourdomain.com/api/internal/process-plaid-webhooks',
+    headers := jsonb_build_object('Authorization', 'Bearer your-cron-secret')
+  );
+  $$
+);
+
 -- ============================================
 -- ROW LEVEL SECURITY (RLS) POLICIES
 -- ============================================
@@ -1,103 +1,315 @@
 /**
  * @fileoverview This module provides an interface to an AI model for analyzing recurring charges.
- * It uses the Anthropic API to identify potential financial leaks from a list of recurring transactions.
+ * It uses the configured LLM provider (see `lib/llm`) to identify potential financial leaks from a list of
+ * recurring transactions.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import PersistentCircuitBreaker from './errors/PersistentCircuitBreaker.js';
 import { ErrorHandler } from './errors/errorHandler.js';
-import { FallbackStrategies } from './errors/fallbacks.js';
-import anthropic from './services/anthropic.js';
+import { billingEvidence } from './billing_model.js';
+import { DEFAULT_CURRENCY, chargeCost, normalizeCost } from './cost_normalization.js';
+import { REPORT_LEAKS_TOOL, extractLeakItems, validateAILeaks } from './ai_leak_schema.js';
+import { BatchProcessor } from './optimization/batchProcessor.js';
+import llm from './llm/index.js';
+import { getLeakAnalysisPrompt } from './prompts/index.js';
+import { redactCharges, restoreLeak } from './security/redaction.js';
+import supabase from './services/supabase.js';
 
 
-const anthropicApiCall = async (prompt) => {
-  const AI_MODEL = 'claude-sonnet-4-20250514';
-  const response = await anthropic.messages.create({
-    model: AI_MODEL,
-    max_tokens: 4000,
-    messages: [{ role: 'user', content: prompt }],
-  });
+/**
+ * Builds a model request that forces the model to report leaks through the `report_leaks` tool.
+ * @param {Array<Object>} messages - The conversation.
+ * @returns {Object} The request, as accepted by a provider's `createMessage`.
+ */
+const leakRequest = (messages) => ({
+  messages,
+  tools: [REPORT_LEAKS_TOOL],
+  toolChoice: { type: 'tool', name: REPORT_LEAKS_TOOL.name },
+});
+
+const llmApiCall = async (messages) => {
+  const response = await llm.createMessage(leakRequest(messages));
   return response;
 };
 
-const circuitBreaker = new PersistentCircuitBreaker('anthropic_api', anthropicApiCall);
+const circuitBreaker = new PersistentCircuitBreaker(`${llm.name}_api`, llmApiCall);
+
+/**
+ * How many times the model is asked for leaks: the first request, plus retries for malformed or invalid output.
+ * @type {number}
+ */
+const MAX_ATTEMPTS = 2;
+
+/**
+ * The estimated size, in tokens, of the charges sent in one request. Keeps both the prompt and the leaks
+ * the model reports for it well within the model's limits.
+ * @type {number}
+ */
+const MAX_BATCH_TOKENS = 6000;
+
+/**
+ * The maximum number of charges sent in one request.
+ * @type {number}
+ */
+const MAX_BATCH_CHARGES = 40;
+
+/**
+ * The maximum number of requests in flight for one audit.
+ * @type {number}
+ */
+const MAX_CONCURRENT_BATCHES = 3;
+
+/**
+ * Estimates the number of tokens a value takes up in the prompt, at roughly four characters per token.
+ * @param {*} value - The value, as it will be serialized into the prompt.
+ * @returns {number} The estimated token count.
+ */
+function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value).length / 4);
+}
+
+/**
+ * Builds a one-line-per-subscription index of every recurring charge in the audit. It is sent with each batch
+ * so the model can flag duplicates of subscriptions that were sent in another batch.
+ * @param {Array<Object>} charges - The redacted charges of the audit.
+ * @returns {string} The vendor index.
+ */
+function buildVendorIndex(charges) {
+  return charges
+    .map(charge => {
+      const name = charge.vendorName || charge.descriptor;
+      return `${charge.merchant}${name ? ` (${name})` : ''}${charge.category ? ` [${charge.category}]` : ''}: `
+        + `${charge.currentAmount ?? charge.avgAmount}/${charge.frequency}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Builds the follow-up message asking the model to correct the leaks that failed validation.
+ * @param {Object} response - The response that contained the invalid leaks.
+ * @param {Array<{item: *, errors: Array<string>}>} invalid - The invalid leaks, with the reasons why.
+ * @returns {Object} A user message. It answers the `report_leaks` call when the model made one.
+ */
+function correctionMessage(response, invalid) {
+  const text = `These leaks failed validation:
+${JSON.stringify(invalid, null, 2)}
+
+Report them again with the errors fixed, and nothing else. Use the exact "merchant" value of the charge as merchant_name.`;
+
+  const toolUse = response.content.find(block => block.type === 'tool_use');
+  if (!toolUse) {
+    return { role: 'user', content: text };
+  }
+  return {
+    role: 'user',
+    content: [{ type: 'tool_result', tool_use_id: toolUse.id, content: text, is_error: true }],
+  };
+}
+
+/**
+ * Stores AI output that could not be used in the `errors` table, so prompt and schema problems can be analyzed.
+ * @param {string} message - What went wrong.
+ * @param {Object} context - The rejected output and why it was rejected.
+ * @returns {Promise<void>}
+ */
+async function logRejectedOutput(message, context) {
+  console.error(message, context);
+  try {
+    await supabase.from('errors').insert({
+      error_type: 'AIOutputValidationError',
+      message,
+      context,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Failed to log rejected AI output:', error);
+  }
+}
+
+/**
+ * Asks the model for the leaks in one batch of charges.
+ *
+ * A malformed or truncated response is requested again, and leaks that fail validation are sent back to the
+ * model for correction once; whatever is still rejected is logged to the `errors` table.
+ *
+ * @param {Array<Object>} charges - The redacted charges of the batch.
+ * @param {Object} context - The analysis context.
+ * @param {(string|null)} context.vendorIndex - The vendor index of the audit, or null if the audit fits in one batch.
+ * @param {string} context.auditId - The unique identifier for the audit session.
+ * @param {{version: string, render: Function}} context.prompt - The prompt template.
+ * @param {Function} context.callModel - Sends a conversation to the model and resolves to its response.
+ * @returns {Promise<Array<Object>>} The validated leaks reported by the model.
+ */
+async function analyzeBatch(charges, { vendorIndex, auditId, prompt, callModel }) {
+  const messages = [{ role: 'user', content: prompt.render(charges, vendorIndex) }];
+  const aiLeaks = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const response = await callModel(messages);
+    // A response cut off at max_tokens may still hold a parseable, but incomplete, leak list
+    const items = response.stop_reason === 'max_tokens' ? null : extractLeakItems(response);
+
+    if (!items) {
+      await logRejectedOutput('No leak list found in AI response', {
+        auditId,
+        attempt,
+        stop_reason: response.stop_reason,
+      });
+      // Start over rather than continue a truncated or malformed turn
+      messages.splice(1);
+      continue;
+    }
+
+    const { valid, invalid } = validateAILeaks(items, charges);
+    aiLeaks.push(...valid);
+    if (invalid.length === 0) break;
+
+    if (attempt === MAX_ATTEMPTS) {
+      await logRejectedOutput(`Rejected ${invalid.length} invalid leak(s) from AI response`, {
+        auditId,
+        rejected: invalid,
+      });
+      break;
+    }
+    messages.push({ role: 'assistant', content: response.content }, correctionMessage(response, invalid));
+  }
+
+  return aiLeaks;
+}
+
+/**
+ * Splits the charges of an audit into batches sized by a token budget and analyzes them concurrently.
+ * Each charge resolves to the leaks the model reported for it.
+ */
+class ChargeAnalysisBatchProcessor extends BatchProcessor {
+  /**
+   * @param {Object} context - The analysis context, as accepted by `analyzeBatch`.
+   */
+  constructor(context) {
+    super({
+      maxBatchSize: MAX_BATCH_CHARGES,
+      maxBatchWeight: MAX_BATCH_TOKENS,
+      weigh: estimateTokens,
+      maxConcurrency: MAX_CONCURRENT_BATCHES,
+    });
+    this.context = context;
+  }
+
+  /**
+   * @param {Array<Object>} charges - The redacted charges of the batch.
+   * @returns {Promise<Array<Array<Object>>>} The leaks reported for each charge.
+   */
+  async processBatch(charges) {
+    const leaks = await analyzeBatch(charges, this.context);
+    return charges.map(charge => leaks.filter(leak => leak.merchant_name === charge.merchant));
+  }
+}
+
+/**
+ * Prices a leak reported by the model from the charge it was reported for, rather than from the model's own
+ * arithmetic. A price increase costs the latest detected increase; the model's monthly estimate is kept only
+ * when the charge has no detected increase.
+ * @param {Object} leak - A validated leak, with its original merchant name.
+ * @param {Object} charge - The recurring charge the leak was reported for.
+ * @returns {Object} The costs, as returned by `normalizeCost`.
+ */
+function aiLeakCost(leak, charge) {
+  if (leak.leak_type !== 'price_increase') {
+    return chargeCost(charge);
+  }
+
+  const currency = charge.currency || DEFAULT_CURRENCY;
+  const latestChange = charge.priceChanges?.[charge.priceChanges.length - 1];
+  if (latestChange && latestChange.newAmount > latestChange.previousAmount) {
+    return normalizeCost(latestChange.newAmount - latestChange.previousAmount, charge.frequency, currency);
+  }
+  return normalizeCost(leak.monthly_cost, 'monthly', currency);
+}
 
 /**
  * Analyzes a list of recurring charges using an AI model to identify potential financial waste.
  *
- * This function sends the list of recurring charges to the Anthropic AI model with a prompt
- * that asks it to identify SaaS subscriptions and classify them as potential leaks (e.g., zombie,
- * duplicate, or having a free alternative). The AI's response is then parsed and formatted
- * for database insertion. The call to the Anthropic API is wrapped in a circuit breaker to
- * provide resilience against API failures.
+ * This function sends the recurring charges to the configured AI model with a prompt that asks it to identify SaaS
+ * subscriptions and classify them as potential leaks (e.g., zombie, duplicate, having a free alternative, or a recent
+ * price increase). The prompt is a versioned template from `lib/prompts`, and its version is recorded on every leak it
+ * produced. Charges are redacted down to the fields the model needs, with every merchant replaced by a token (see
+ * `lib/security/redaction.js`), and split into batches sized by a token budget, which are analyzed concurrently; when
+ * there is more than one batch, each is sent with a compact index of every subscription in the audit so duplicates
+ * across batches are still found. The model reports leaks through the `report_leaks` tool, and every leak is repaired
+ * and validated against the schema in `ai_leak_schema.js`, then mapped back to its original merchant before it is
+ * formatted for database insertion.
+ * The call to the model is wrapped in a circuit breaker to provide resilience against API failures. The charges of
+ * a batch that fails are not analyzed again by the rule engine: the caller already runs it on every charge, and its
+ * leaks must not be counted as the AI agreeing with it. The analysis is reported as degraded instead.
  *
  * @param {Array<Object>} recurringCharges - An array of recurring charge objects, as detected by `detectRecurringCharges`.
  * @param {string} recurringCharges[].merchant - The name of the merchant.
  * @param {string} recurringCharges[].frequency - The frequency of the charge (e.g., 'monthly').
  * @param {number} recurringCharges[].avgAmount - The average amount of the charge.
  * @param {string} auditId - The unique identifier for the audit session.
+ * @param {object} [options={}] - Analysis options.
+ * @param {string} [options.promptVersion] - The prompt version to use. Defaults to `LEAK_PROMPT_VERSION`, then to
+ *   the current version.
+ * @param {Object} [options.provider] - An LLM provider to call directly, instead of the configured provider behind
+ *   the circuit breaker. Used by the evaluation harness.
  *
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of leak objects, formatted for the database.
- *   Each object represents a potential financial leak identified by the AI. If the AI analysis fails or no leaks
- *   are found, the promise resolves to an empty array.
+ * @returns {Promise<{leaks: Array<Object>, degraded: boolean, failedMerchants: Array<string>}>} A promise that
+ *   resolves to the leaks identified by the AI, formatted for the database, whether part or all of the analysis
+ *   failed, and the merchants of the charges the AI could not analyze. If the AI analysis fails, `leaks` is empty.
  */
-export async function analyzeWithAI(recurringCharges, auditId) {
-  const prompt = `You are analyzing recurring SaaS subscriptions for waste. Here are the recurring charges found:
-
-${JSON.stringify(recurringCharges, null, 2)}
-
-For each charge, determine:
-1. Is it likely a SaaS subscription?
-2. What type of leak is it? (zombie, duplicate, free_alternative, or none if legitimate)
-3. Monthly cost estimate
-4. Description of the waste
-5. Recommendation for what to do
-
-Return ONLY a JSON array of leaks in this exact format:
-[
-  {
-    "merchant_name": "exact merchant name",
-    "leak_type": "zombie|duplicate|free_alternative|none",
-    "monthly_cost": 99.00,
-    "annual_cost": 1188.00,
-    "description": "Brief description of the issue",
-    "recommendation": "Specific action to take",
-    "confidence_score": 0.85
-  }
-]
-
-Only include items where leak_type is NOT "none". Be conservative - only flag clear waste.`;
+export async function analyzeWithAI(recurringCharges, auditId, options = {}) {
+  const prompt = getLeakAnalysisPrompt(options.promptVersion);
+  const callModel = options.provider
+    ? messages => options.provider.createMessage(leakRequest(messages))
+    : messages => circuitBreaker.fire(messages);
 
   try {
-    const response = await circuitBreaker.fire(prompt);
+    const { charges, tokens } = redactCharges(recurringCharges);
+    const batched = charges.length > MAX_BATCH_CHARGES || estimateTokens(charges) > MAX_BATCH_TOKENS;
+    const processor = new ChargeAnalysisBatchProcessor({
+      vendorIndex: batched ? buildVendorIndex(charges) : null,
+      auditId,
+      prompt,
+      callModel,
+    });
 
-    const content = response.content[0].text;
-    const jsonMatch = content.match(/\[[\s\S]*\]/);
+    const pending = charges.map(charge => processor.add(charge));
+    processor.flush();
+    const results = await Promise.allSettled(pending);
 
-    if (!jsonMatch) {
-      console.error('No JSON array found in AI response');
-      return [];
-    }
+    // Format for database
+    const leaks = results
+      .flatMap(result => (result.status === 'fulfilled' ? result.value : []))
+      .map(leak => restoreLeak(leak, tokens))
+      .map(leak => {
+        const charge = recurringCharges.find(c => c.merchant === leak.merchant_name);
+        return {
+          audit_id: auditId,
+          leak_type: leak.leak_type,
+          merchant_name: leak.merchant_name,
+          ...aiLeakCost(leak, charge),
+          description: leak.description,
+          recommendation: leak.recommendation,
+          confidence_score: leak.confidence_score,
+          prompt_version: prompt.version,
+          evidence: {
+            ai_analysis: true,
+            ...billingEvidence(charge),
+          },
+        };
+      });
 
-    const aiLeaks = JSON.parse(jsonMatch[0]);
+    const failedMerchants = recurringCharges
+      .filter((_, index) => results[index].status === 'rejected')
+      .map(charge => charge.merchant);
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      await ErrorHandler.handle(failure.reason, { auditId, failedCharges: failedMerchants.length });
+    }
 
-    // Format for database
-    return aiLeaks.map(leak => ({
-      audit_id: auditId,
-      leak_type: leak.leak_type,
-      merchant_name: leak.merchant_name,
-      monthly_cost: leak.monthly_cost,
-      annual_cost: leak.annual_cost,
-      description: leak.description,
-      recommendation: leak.recommendation,
-      confidence_score: leak.confidence_score,
-      evidence: { ai_analysis: true },
-    }));
+    return { leaks, degraded: failedMerchants.length > 0, failedMerchants };
   } catch (error) {
-    const recovery = await ErrorHandler.handle(error, { auditId });
-    if (recovery.action === 'fallback_analysis') {
-      return FallbackStrategies.fallbackLeakDetection(recurringCharges);
-    }
-    return [];
+    await ErrorHandler.handle(error, { auditId });
+    return { leaks: [], degraded: true, failedMerchants: recurringCharges.map(charge => charge.merchant) };
   }
 }
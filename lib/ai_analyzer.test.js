@@ -2,6 +2,7 @@
 import Anthropic from '@anthropic-ai/sdk';
 import { analyzeWithAI } from './ai_analyzer';
 import supabase from './services/supabase';
+import { detectRecurringCharges } from './recurring_charges';
 
 // Mock the Anthropic SDK
 jest.mock('@anthropic-ai/sdk');
@@ -30,7 +31,7 @@ describe('analyzeWithAI', () => {
   });
 
   it('should correctly parse a valid JSON response from the AI', async () => {
-    const recurringCharges = [{ merchant: 'Test Merchant' }];
+    const recurringCharges = [{ merchant: 'Test Merchant', frequency: 'monthly', avgAmount: '10.00' }];
     const aiResponse = {
       content: [{
         text: `[
@@ -49,7 +50,7 @@ describe('analyzeWithAI', () => {
     const mockCreate = jest.fn().mockResolvedValue(aiResponse);
     Anthropic.prototype.messages = { create: mockCreate };
 
-    const result = await analyzeWithAI(recurringCharges, 'audit-123');
+    const { leaks: result } = await analyzeWithAI(recurringCharges, 'audit-123');
     expect(result).toHaveLength(1);
     expect(result[0].merchant_name).toBe('Test Merchant');
     expect(result[0].leak_type).toBe('zombie');
@@ -57,7 +58,7 @@ describe('analyzeWithAI', () => {
   });
 
   it('should return an empty array if the AI response is not valid JSON', async () => {
-    const recurringCharges = [{ merchant: 'Test Merchant' }];
+    const recurringCharges = [{ merchant: 'Test Merchant', frequency: 'monthly', avgAmount: '10.00' }];
     const aiResponse = {
       content: [{
         text: 'This is not JSON.'
@@ -66,16 +67,286 @@ describe('analyzeWithAI', () => {
     const mockCreate = jest.fn().mockResolvedValue(aiResponse);
     Anthropic.prototype.messages = { create: mockCreate };
 
-    const result = await analyzeWithAI(recurringCharges, 'audit-123');
+    const { leaks: result } = await analyzeWithAI(recurringCharges, 'audit-123');
     expect(result).toEqual([]);
   });
 
   it('should return an empty array if the AI call fails', async () => {
-    const recurringCharges = [{ merchant: 'Test Merchant' }];
+    const recurringCharges = [{ merchant: 'Test Merchant', frequency: 'monthly', avgAmount: '10.00' }];
     const mockCreate = jest.fn().mockRejectedValue(new Error('API Error'));
     Anthropic.prototype.messages = { create: mockCreate };
 
     const result = await analyzeWithAI(recurringCharges, 'audit-123');
-    expect(result).toEqual([]);
+    expect(result).toEqual({ leaks: [], degraded: true, failedMerchants: ['Test Merchant'] });
+  });
+
+  it('should not fall back to the rules when the anthropic API fails', async () => {
+    const recurringCharges = [{ merchant: 'slack', vendorName: 'Slack', frequency: 'monthly', avgAmount: '5000.00' }];
+    const mockCreate = jest.fn().mockRejectedValue(new Error('anthropic API unavailable'));
+    Anthropic.prototype.messages = { create: mockCreate };
+
+    const result = await analyzeWithAI(recurringCharges, 'audit-123');
+    expect(result).toEqual({ leaks: [], degraded: true, failedMerchants: ['slack'] });
+  });
+
+  it('should request the report_leaks tool and read its input', async () => {
+    const recurringCharges = [{ merchant: 'slack', frequency: 'monthly', avgAmount: '87.50' }];
+    const mockCreate = jest.fn().mockResolvedValue({
+      stop_reason: 'tool_use',
+      content: [{
+        type: 'tool_use',
+        id: 'toolu_1',
+        name: 'report_leaks',
+        input: {
+          leaks: [{
+            merchant_name: 'slack',
+            leak_type: 'duplicate',
+            monthly_cost: 87.5,
+            annual_cost: 1050,
+            description: 'Overlaps with Teams',
+            recommendation: 'Consolidate',
+            confidence_score: 0.7,
+          }],
+        },
+      }],
+    });
+    Anthropic.prototype.messages = { create: mockCreate };
+
+    const { leaks: result } = await analyzeWithAI(recurringCharges, 'audit-123');
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+    expect(mockCreate.mock.calls[0][0].tool_choice).toEqual({ type: 'tool', name: 'report_leaks' });
+    expect(result).toHaveLength(1);
+    expect(result[0].leak_type).toBe('duplicate');
+  });
+
+  it('should retry a truncated response', async () => {
+    const recurringCharges = [{ merchant: 'Test Merchant', frequency: 'monthly', avgAmount: '10.00' }];
+    const leak = {
+      merchant_name: 'Test Merchant',
+      leak_type: 'zombie',
+      monthly_cost: 10,
+      annual_cost: 120,
+      description: 'Test description',
+      recommendation: 'Test recommendation',
+      confidence_score: 0.9,
+    };
+    const mockCreate = jest.fn()
+      .mockResolvedValueOnce({ stop_reason: 'max_tokens', content: [{ type: 'text', text: JSON.stringify([leak]) }] })
+      .mockResolvedValueOnce({ stop_reason: 'tool_use', content: [{ type: 'tool_use', id: 'toolu_2', name: 'report_leaks', input: { leaks: [leak] } }] });
+    Anthropic.prototype.messages = { create: mockCreate };
+
+    const { leaks: result } = await analyzeWithAI(recurringCharges, 'audit-123');
+    expect(mockCreate).toHaveBeenCalledTimes(2);
+    expect(result).toHaveLength(1);
+  });
+
+  it('should ask the model to correct invalid leaks and log the ones still rejected', async () => {
+    const recurringCharges = [{ merchant: 'slack', frequency: 'monthly', avgAmount: '87.50' }, { merchant: 'zoom', frequency: 'monthly', avgAmount: '15.99' }];
+    const leak = {
+      merchant_name: 'slack',
+      leak_type: 'zombie',
+      monthly_cost: 87.5,
+      annual_cost: 1050,
+      description: 'Unused',
+      recommendation: 'Cancel',
+      confidence_score: 0.8,
+    };
+    const toolUse = (id, leaks) => ({
+      stop_reason: 'tool_use',
+      content: [{ type: 'tool_use', id, name: 'report_leaks', input: { leaks } }],
+    });
+    const mockCreate = jest.fn()
+      .mockResolvedValueOnce(toolUse('toolu_1', [leak, { ...leak, merchant_name: 'zoom', confidence_score: 2 }, { ...leak, merchant_name: 'Webex' }]))
+      .mockResolvedValueOnce(toolUse('toolu_2', [{ ...leak, merchant_name: 'zoom', confidence_score: 0.6 }, { ...leak, merchant_name: 'Webex' }]));
+    Anthropic.prototype.messages = { create: mockCreate };
+
+    const { leaks: result } = await analyzeWithAI(recurringCharges, 'audit-123');
+
+    expect(result.map(l => [l.merchant_name, l.confidence_score])).toEqual([['slack', 0.8], ['zoom', 0.6]]);
+    const retry = mockCreate.mock.calls[1][0].messages;
+    expect(retry).toHaveLength(3);
+    expect(retry[2].content[0]).toMatchObject({ type: 'tool_result', tool_use_id: 'toolu_1', is_error: true });
+    expect(supabase.from).toHaveBeenCalledWith('errors');
+    expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+      error_type: 'AIOutputValidationError',
+      context: expect.objectContaining({
+        rejected: [expect.objectContaining({ item: expect.objectContaining({ merchant_name: 'Webex' }) })],
+      }),
+    }));
+  });
+
+  it('should split large audits into batches that each know every vendor', async () => {
+    const recurringCharges = Array.from({ length: 90 }, (_, i) => ({
+      merchant: `vendor ${i}`,
+      frequency: 'monthly',
+      avgAmount: '20.00',
+      transactions: Array.from({ length: 12 }, (__, j) => ({ transaction_id: `tx_${i}_${j}`, amount: 20 })),
+      amountTimeline: [],
+    }));
+    recurringCharges[89].merchant = 'zoom';
+    const mockCreate = jest.fn().mockImplementation(async ({ messages }) => ({
+      stop_reason: 'tool_use',
+      content: [{
+        type: 'tool_use',
+        id: 'toolu_1',
+        name: 'report_leaks',
+        input: {
+          leaks: messages[0].content.includes('"descriptor": "vendor 0"')
+            ? [{
+              merchant_name: 'vendor 0',
+              leak_type: 'duplicate',
+              monthly_cost: 20,
+              annual_cost: 240,
+              description: 'Overlaps with Zoom',
+              recommendation: 'Cancel',
+              confidence_score: 0.7,
+            }]
+            : [],
+        },
+      }],
+    }));
+    Anthropic.prototype.messages = { create: mockCreate };
+
+    const { leaks: result } = await analyzeWithAI(recurringCharges, 'audit-123');
+
+    expect(mockCreate.mock.calls.length).toBeGreaterThan(1);
+    mockCreate.mock.calls.forEach(([{ messages }]) => {
+      expect(messages[0].content).not.toContain('tx_');
+      expect(messages[0].content).toContain('merchant_90 (zoom) [video_conferencing]: 20.00/monthly');
+    });
+    expect(result).toHaveLength(1);
+    expect(result[0].merchant_name).toBe('vendor 0');
+  });
+
+  it('should keep the leaks of the batches that succeeded when another batch fails', async () => {
+    const recurringCharges = Array.from({ length: 50 }, (_, i) => ({ merchant: `vendor ${i}`, frequency: 'monthly', avgAmount: '10.00' }));
+    const mockCreate = jest.fn().mockImplementation(async ({ messages }) => {
+      if (!messages[0].content.includes('"descriptor": "vendor 0"')) {
+        throw new Error('API Error');
+      }
+      return {
+        stop_reason: 'tool_use',
+        content: [{
+          type: 'tool_use',
+          id: 'toolu_1',
+          name: 'report_leaks',
+          input: {
+            leaks: [{
+              merchant_name: 'vendor 0',
+              leak_type: 'zombie',
+              monthly_cost: 10,
+              annual_cost: 120,
+              description: 'Unused',
+              recommendation: 'Cancel',
+              confidence_score: 0.8,
+            }],
+          },
+        }],
+      };
+    });
+    Anthropic.prototype.messages = { create: mockCreate };
+
+    const { leaks: result, degraded, failedMerchants } = await analyzeWithAI(recurringCharges, 'audit-123');
+    expect(mockCreate).toHaveBeenCalledTimes(2);
+    expect(result.map(leak => leak.merchant_name)).toEqual(['vendor 0']);
+    expect(degraded).toBe(true);
+    expect(failedMerchants).toEqual(recurringCharges.slice(40).map(charge => charge.merchant));
+  });
+
+  it('should record the prompt version on every leak', async () => {
+    const recurringCharges = [{ merchant: 'zoom', frequency: 'monthly', avgAmount: '15.99' }];
+    const provider = {
+      createMessage: jest.fn().mockResolvedValue({
+        stop_reason: 'tool_use',
+        content: [{
+          type: 'tool_use',
+          id: 'toolu_1',
+          name: 'report_leaks',
+          input: {
+            leaks: [{
+              merchant_name: 'zoom',
+              leak_type: 'zombie',
+              monthly_cost: 15.99,
+              annual_cost: 191.88,
+              description: 'Unused',
+              recommendation: 'Cancel',
+              confidence_score: 0.7,
+            }],
+          },
+        }],
+      }),
+    };
+
+    const { leaks: result } = await analyzeWithAI(recurringCharges, 'audit-123', { provider, promptVersion: 'leak_analysis.v1' });
+    expect(provider.createMessage).toHaveBeenCalledTimes(1);
+    expect(result[0].prompt_version).toBe('leak_analysis.v1');
+  });
+
+  it('should not send transaction IDs or emails to the provider', async () => {
+    const transactions = ['2023-01-05', '2023-02-05', '2023-03-05', '2023-04-05'].flatMap((date, i) => [
+      { transaction_id: `txn_secret_${i}`, merchant_name: 'PAYPAL *JOHN.DOE@GMAIL.COM', amount: 50, date },
+      { transaction_id: `txn_zoom_${i}`, merchant_name: 'ZOOM.US 888-799-9666', amount: 15.99, date },
+    ]);
+    const recurringCharges = detectRecurringCharges(transactions);
+    const mockCreate = jest.fn().mockImplementation(async ({ messages }) => {
+      const token = messages[0].content.match(/"merchant": "(merchant_\d+)",\s*"vendorName": "Zoom"/)[1];
+      return {
+        stop_reason: 'tool_use',
+        content: [{
+          type: 'tool_use',
+          id: 'toolu_1',
+          name: 'report_leaks',
+          input: {
+            leaks: [
+              { merchant_name: token, leak_type: 'zombie', monthly_cost: 15.99, annual_cost: 191.88, description: `${token} is unused`, recommendation: 'Cancel', confidence_score: 0.7 },
+            ],
+          },
+        }],
+      };
+    });
+    Anthropic.prototype.messages = { create: mockCreate };
+
+    const { leaks: result } = await analyzeWithAI(recurringCharges, 'audit-123');
+
+    const sent = JSON.stringify(mockCreate.mock.calls);
+    expect(sent).not.toMatch(/txn_/);
+    expect(sent).not.toMatch(/[^\s@"]+@[^\s@"]+\.[a-z]{2,}/i);
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({ merchant_name: 'zoom', description: 'Zoom is unused' });
+  });
+
+  it('should price leaks from the charge instead of the model output', async () => {
+    const recurringCharges = [
+      { merchant: 'slack', frequency: 'weekly', avgAmount: '20.00' },
+      { merchant: 'zoom', frequency: 'quarterly', avgAmount: '45.00', priceChanges: [{ previousAmount: 30, newAmount: 45 }] },
+    ];
+    const report = (merchantName, leakType) => ({
+      merchant_name: merchantName,
+      leak_type: leakType,
+      monthly_cost: 20,
+      annual_cost: 240,
+      description: 'Waste',
+      recommendation: 'Cancel',
+      confidence_score: 0.8,
+    });
+    Anthropic.prototype.messages = {
+      create: jest.fn().mockResolvedValue({
+        stop_reason: 'tool_use',
+        content: [{
+          type: 'tool_use',
+          id: 'toolu_1',
+          name: 'report_leaks',
+          input: { leaks: [report('merchant_1', 'zombie'), report('merchant_2', 'price_increase')] },
+        }],
+      }),
+    };
+
+    const { leaks: result } = await analyzeWithAI(recurringCharges, 'audit-123');
+
+    expect(result.map(leak => [leak.merchant_name, leak.monthly_cost, leak.annual_cost, leak.annual_cost_cents])).toEqual([
+      ['slack', 86.67, 1040, 104000],
+      ['zoom', 5, 60, 6000],
+    ]);
   });
 });
+
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview This module defines the structured output contract of the AI analyzer: the `report_leaks` tool
+ * the model is forced to call, and the Joi schema every leak it reports must pass before it is stored.
+ *
+ * Model output is repaired where the intent is unambiguous (currency strings, a missing monthly or annual cost,
+ * a confidence written as a percentage, a merchant named by its vendor name or descriptor instead of its exact
+ * "merchant" value) and rejected otherwise, so the caller can ask the model to correct the rejected items.
+ */
+
+import Joi from 'joi';
+import { resolveVendor } from './merchants/normalizer.js';
+
+/**
+ * The leak types the AI analyzer may report.
+ * @type {Array<string>}
+ */
+export const AI_LEAK_TYPES = ['zombie', 'duplicate', 'free_alternative', 'price_increase'];
+
+/**
+ * The tool the model must call to report leaks. Its input schema mirrors `aiLeakSchema`.
+ * @type {Object}
+ */
+export const REPORT_LEAKS_TOOL = {
+  name: 'report_leaks',
+  description: 'Report the recurring charges that are wasteful. Call it once with every leak found; pass an empty array if there are none.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      leaks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            merchant_name: { type: 'string', description: 'The "merchant" value of the charge, exactly as given' },
+            leak_type: { type: 'string', enum: AI_LEAK_TYPES },
+            monthly_cost: { type: 'number', minimum: 0 },
+            annual_cost: { type: 'number', minimum: 0 },
+            description: { type: 'string', description: 'Brief description of the issue' },
+            recommendation: { type: 'string', description: 'Specific action to take' },
+            confidence_score: { type: 'number', minimum: 0, maximum: 1 },
+          },
+          required: ['merchant_name', 'leak_type', 'monthly_cost', 'annual_cost', 'description', 'recommendation', 'confidence_score'],
+        },
+      },
+    },
+    required: ['leaks'],
+  },
+};
+
+/**
+ * Builds the Joi schema for a single AI-reported leak.
+ * @param {Array<string>} merchants - The merchants of the analyzed recurring charges.
+ * @returns {Joi.ObjectSchema} The schema.
+ */
+function aiLeakSchema(merchants) {
+  return Joi.object({
+    merchant_name: Joi.string().valid(...merchants).required(),
+    leak_type: Joi.string().valid(...AI_LEAK_TYPES).required(),
+    monthly_cost: Joi.number().min(0).precision(2).required(),
+    annual_cost: Joi.number().min(0).precision(2).required(),
+    description: Joi.string().trim().max(1000).required(),
+    recommendation: Joi.string().trim().max(1000).required(),
+    confidence_score: Joi.number().min(0).max(1).required(),
+  });
+}
+
+/**
+ * Parses a cost the model may have written as a string such as "$1,188.00".
+ * @param {*} value - The reported cost.
+ * @returns {*} The cost as a number, or the original value if it cannot be parsed.
+ */
+function parseCost(value) {
+  if (typeof value !== 'string') return value;
+  const parsed = parseFloat(value.replace(/[$,\s]/g, ''));
+  return Number.isNaN(parsed) ? value : parsed;
+}
+
+/**
+ * Repairs the unambiguous mistakes in a reported leak.
+ * @param {Object} item - The leak as reported by the model.
+ * @param {Array<Object>} recurringCharges - The analyzed recurring charges.
+ * @returns {Object} The repaired leak.
+ */
+function repairLeak(item, recurringCharges) {
+  const repaired = { ...item };
+
+  if (typeof repaired.leak_type === 'string') {
+    repaired.leak_type = repaired.leak_type.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  }
+
+  repaired.monthly_cost = parseCost(repaired.monthly_cost);
+  repaired.annual_cost = parseCost(repaired.annual_cost);
+  if (repaired.annual_cost == null && typeof repaired.monthly_cost === 'number') {
+    repaired.annual_cost = repaired.monthly_cost * 12;
+  }
+  if (repaired.monthly_cost == null && typeof repaired.annual_cost === 'number') {
+    repaired.monthly_cost = repaired.annual_cost / 12;
+  }
+
+  if (typeof repaired.confidence_score === 'string' && repaired.confidence_score.trim().endsWith('%')) {
+    repaired.confidence_score = parseFloat(repaired.confidence_score) / 100;
+  }
+
+  if (typeof repaired.merchant_name === 'string') {
+    const key = resolveVendor(repaired.merchant_name).key;
+    const charge = recurringCharges.find(c => c.merchant === repaired.merchant_name)
+      || recurringCharges.find(c => [c.merchant, c.vendorName, c.descriptor].some(name => name && resolveVendor(name).key === key));
+    if (charge) {
+      repaired.merchant_name = charge.merchant;
+    }
+  }
+
+  return repaired;
+}
+
+/**
+ * Extracts the reported leaks from a model response.
+ *
+ * The `report_leaks` tool call is preferred. A text response is accepted when it holds a JSON array of leaks
+ * (or an object with a `leaks` array), with or without surrounding prose or code fences.
+ *
+ * @param {Object} response - The Messages API response.
+ * @returns {(Array<*>|null)} The reported items, or null if the response holds no parseable leak list.
+ */
+export function extractLeakItems(response) {
+  const blocks = response?.content || [];
+
+  const toolUse = blocks.find(block => block.type === 'tool_use' && block.name === REPORT_LEAKS_TOOL.name);
+  if (toolUse) {
+    return Array.isArray(toolUse.input?.leaks) ? toolUse.input.leaks : null;
+  }
+
+  const text = blocks.filter(block => typeof block.text === 'string').map(block => block.text).join('\n');
+  const candidates = [
+    text.replace(/```(?:json)?/g, '').trim(),
+    (text.match(/\[[\s\S]*\]/) || [])[0],
+  ];
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      const parsed = JSON.parse(candidate);
+      if (Array.isArray(parsed)) return parsed;
+      if (Array.isArray(parsed?.leaks)) return parsed.leaks;
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Repairs and validates the leaks reported by the model.
+ *
+ * Items with a leak type of "none" are dropped, as the model is asked to omit them in the first place.
+ *
+ * @param {Array<*>} items - The items returned by `extractLeakItems`.
+ * @param {Array<Object>} recurringCharges - The analyzed recurring charges.
+ * @returns {{valid: Array<Object>, invalid: Array<{item: *, errors: Array<string>}>}} The leaks that passed
+ *   validation, and the items that did not with the reasons why.
+ */
+export function validateAILeaks(items, recurringCharges) {
+  const schema = aiLeakSchema(recurringCharges.map(charge => charge.merchant));
+  const valid = [];
+  const invalid = [];
+
+  items.forEach(item => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      invalid.push({ item, errors: ['leak must be an object'] });
+      return;
+    }
+    if (item.leak_type === 'none') return;
+
+    const { value, error } = schema.validate(repairLeak(item, recurringCharges), {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+    if (error) {
+      invalid.push({ item, errors: error.details.map(detail => detail.message) });
+    } else {
+      valid.push(value);
+    }
+  });
+
+  return { valid, invalid };
+}
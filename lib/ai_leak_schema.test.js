@@ -0,0 +1,86 @@
+// lib/ai_leak_schema.test.js
+import { extractLeakItems, validateAILeaks } from './ai_leak_schema';
+
+const charges = [
+  { merchant: 'slack', vendorName: 'Slack' },
+  { merchant: 'blue bottle coffee' },
+];
+
+const leak = (overrides = {}) => ({
+  merchant_name: 'slack',
+  leak_type: 'zombie',
+  monthly_cost: 87.5,
+  annual_cost: 1050,
+  description: 'No charges in the last 120 days',
+  recommendation: 'Cancel the workspace',
+  confidence_score: 0.8,
+  ...overrides,
+});
+
+describe('extractLeakItems', () => {
+  it('should read the leaks from the report_leaks tool call', () => {
+    const response = {
+      content: [
+        { type: 'text', text: 'Here are the leaks.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'report_leaks', input: { leaks: [leak()] } },
+      ],
+    };
+    expect(extractLeakItems(response)).toEqual([leak()]);
+  });
+
+  it('should accept a JSON array wrapped in prose or code fences', () => {
+    const text = `Sure! Here you go:\n\`\`\`json\n${JSON.stringify([leak()])}\n\`\`\`\nLet me know if you need more.`;
+    expect(extractLeakItems({ content: [{ type: 'text', text }] })).toEqual([leak()]);
+  });
+
+  it('should return null when there is no leak list', () => {
+    expect(extractLeakItems({ content: [{ type: 'text', text: 'No JSON here.' }] })).toBeNull();
+    expect(extractLeakItems({ content: [{ type: 'text', text: '[{"merchant_name": "slack", "leak_' }] })).toBeNull();
+    expect(extractLeakItems({ content: [{ type: 'tool_use', name: 'report_leaks', input: {} }] })).toBeNull();
+  });
+});
+
+describe('validateAILeaks', () => {
+  it('should accept well-formed leaks', () => {
+    expect(validateAILeaks([leak()], charges)).toEqual({ valid: [leak()], invalid: [] });
+  });
+
+  it('should repair unambiguous formatting mistakes', () => {
+    const { valid, invalid } = validateAILeaks([
+      leak({ merchant_name: 'Slack', leak_type: 'Free Alternative', monthly_cost: '$87.50', annual_cost: undefined, confidence_score: '85%' }),
+    ], charges);
+    expect(invalid).toEqual([]);
+    expect(valid[0]).toMatchObject({
+      merchant_name: 'slack',
+      leak_type: 'free_alternative',
+      monthly_cost: 87.5,
+      annual_cost: 1050,
+      confidence_score: 0.85,
+    });
+  });
+
+  it('should reject unknown leak types, bad costs, and out-of-range confidence', () => {
+    const { valid, invalid } = validateAILeaks([
+      leak({ leak_type: 'overpriced' }),
+      leak({ monthly_cost: 'a lot' }),
+      leak({ confidence_score: 1.5 }),
+    ], charges);
+    expect(valid).toEqual([]);
+    expect(invalid.map(({ errors }) => errors)).toEqual([
+      [expect.stringContaining('leak_type')],
+      [expect.stringContaining('monthly_cost')],
+      [expect.stringContaining('confidence_score')],
+    ]);
+  });
+
+  it('should reject merchants that were not in the input', () => {
+    const { invalid } = validateAILeaks([leak({ merchant_name: 'Zoom' })], charges);
+    expect(invalid[0].errors).toEqual([expect.stringContaining('merchant_name')]);
+  });
+
+  it('should drop items without a leak and reject items that are not objects', () => {
+    const { valid, invalid } = validateAILeaks([leak({ leak_type: 'none' }), 'slack'], charges);
+    expect(valid).toEqual([]);
+    expect(invalid).toEqual([{ item: 'slack', errors: ['leak must be an object'] }]);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview This module classifies how a recurring series is billed: a fixed price, a per-seat price, or
+ * metered usage. It infers the seat count and unit price of per-seat plans and the growth trend of every series.
+ */
+
+/**
+ * The share of charges that must sit on a stable price level for a series to be treated as fixed or per-seat
+ * rather than metered.
+ * @type {number}
+ */
+const MIN_STABLE_RATIO = 0.75;
+
+/**
+ * The relative difference from the price level in force within which a charge counts as on that level.
+ * @type {number}
+ */
+const STABLE_LEVEL_RATIO = 0.02;
+
+/**
+ * The relative error allowed when checking that an amount is a whole multiple of a seat price (covers rounding
+ * and small proration differences).
+ * @type {number}
+ */
+const SEAT_MULTIPLE_TOLERANCE = 0.005;
+
+/**
+ * The smallest unit price, in cents, that we accept when inferring a seat price from the amounts alone.
+ * Smaller common divisors are almost always coincidental.
+ * @type {number}
+ */
+const MIN_INFERRED_UNIT_CENTS = 300;
+
+/**
+ * The relative change per billing period below which a trend is reported as flat.
+ * @type {number}
+ */
+const FLAT_TREND_PERCENT = 1;
+
+/**
+ * How many monthly list prices one charge covers, for frequencies where seat pricing applies.
+ * @type {Object<string, number>}
+ */
+const MONTHS_PER_CHARGE = {
+  monthly: 1,
+  quarterly: 3,
+  annual: 12,
+};
+
+/**
+ * Returns the greatest common divisor of two non-negative integers.
+ * @param {number} a - The first integer.
+ * @param {number} b - The second integer.
+ * @returns {number} The greatest common divisor.
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Returns the number of seats an amount pays for at a unit price, or null if it is not a whole multiple.
+ * @param {number} amount - The charge amount.
+ * @param {number} unitPrice - The price of one seat for one charge.
+ * @returns {(number|null)} The seat count.
+ */
+function seatsFor(amount, unitPrice) {
+  const seats = Math.round(amount / unitPrice);
+  if (seats < 1) return null;
+  return Math.abs(amount - seats * unitPrice) <= amount * SEAT_MULTIPLE_TOLERANCE ? seats : null;
+}
+
+/**
+ * Infers the price of one seat from the distinct amounts charged by a series.
+ *
+ * The vendor's list price is preferred when every amount is a multiple of it. Otherwise, with at least three
+ * distinct amounts, their greatest common divisor is used; two amounts are indistinguishable from a price
+ * change, so they never produce an inferred unit price.
+ *
+ * @param {Array<number>} levels - The distinct amounts, in date order.
+ * @param {(number|undefined)} listUnitPrice - The vendor's list price per seat for one charge, if known.
+ * @returns {(number|null)} The unit price, or null if the amounts do not look seat-based.
+ */
+function inferUnitPrice(levels, listUnitPrice) {
+  if (listUnitPrice && levels.every(level => seatsFor(level, listUnitPrice) !== null)) {
+    return listUnitPrice;
+  }
+
+  if (levels.length < 3) return null;
+
+  const cents = levels.map(level => Math.round(level * 100));
+  const unitCents = cents.reduce((acc, value) => gcd(acc, value));
+  if (unitCents < MIN_INFERRED_UNIT_CENTS || unitCents >= Math.min(...cents)) return null;
+  return unitCents / 100;
+}
+
+/**
+ * Fits a least-squares line through a list of values and describes its slope.
+ * @param {Array<number>} values - The values, in date order.
+ * @returns {{direction: string, percentPerPeriod: number}} Whether the values are 'growing', 'shrinking' or
+ *   'flat', and the slope as a percentage of the mean value per billing period.
+ */
+function describeTrend(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  if (n < 2 || mean === 0) return { direction: 'flat', percentPerPeriod: 0 };
+
+  const meanIndex = (n - 1) / 2;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, index) => {
+    numerator += (index - meanIndex) * (value - mean);
+    denominator += (index - meanIndex) ** 2;
+  });
+
+  const percentPerPeriod = parseFloat(((numerator / denominator / mean) * 100).toFixed(1));
+  let direction = 'flat';
+  if (percentPerPeriod > FLAT_TREND_PERCENT) direction = 'growing';
+  if (percentPerPeriod < -FLAT_TREND_PERCENT) direction = 'shrinking';
+  return { direction, percentPerPeriod };
+}
+
+/**
+ * Classifies how a recurring series is billed.
+ *
+ * A series whose amounts are all whole multiples of a unit price (the vendor's list price from the alias
+ * table, or a common divisor of the amounts) is per-seat. Otherwise, a series whose charges mostly sit on a
+ * few stable price levels is fixed-price, and any other series is metered.
+ *
+ * @param {object} series - The series to classify.
+ * @param {Array<{date: string, amount: number}>} series.amountTimeline - The amount of every charge in date order.
+ * @param {Array<Object>} series.priceChanges - The step changes detected in the amount timeline.
+ * @param {string} series.frequency - The detected billing frequency.
+ * @param {number} [series.seatPrice] - The vendor's monthly list price per seat, if known.
+ * @returns {{billingModel: string, unitPrice: (number|null), seatCount: (number|null), initialSeatCount: (number|null), trend: {direction: string, percentPerPeriod: number}}}
+ *   The billing model ('fixed', 'per_seat' or 'metered'); for per-seat series, the unit price per charge and
+ *   the current and initial seat counts; and the growth trend of the amounts.
+ */
+export function classifyBillingModel({ amountTimeline, priceChanges, frequency, seatPrice }) {
+  const amounts = amountTimeline.map(point => point.amount);
+  const result = {
+    billingModel: 'metered',
+    unitPrice: null,
+    seatCount: null,
+    initialSeatCount: null,
+    trend: describeTrend(amounts),
+  };
+
+  const monthsPerCharge = MONTHS_PER_CHARGE[frequency];
+  if (monthsPerCharge) {
+    const distinctAmounts = amounts.filter((amount, index) => amounts.indexOf(amount) === index);
+    const unitPrice = inferUnitPrice(distinctAmounts, seatPrice ? seatPrice * monthsPerCharge : undefined);
+    if (unitPrice) {
+      return {
+        ...result,
+        billingModel: 'per_seat',
+        unitPrice,
+        seatCount: seatsFor(amounts[amounts.length - 1], unitPrice),
+        initialSeatCount: seatsFor(amounts[0], unitPrice),
+      };
+    }
+  }
+
+  // Walk the timeline and count the charges that sit on the price level in force at that date
+  const levels = [amounts[0], ...priceChanges.map(change => change.newAmount)];
+  const changeDates = priceChanges.map(change => change.date);
+  let levelIndex = 0;
+  let stable = 0;
+  amountTimeline.forEach(({ date, amount }) => {
+    while (levelIndex < changeDates.length && date >= changeDates[levelIndex]) levelIndex++;
+    const level = levels[levelIndex];
+    if (Math.abs(amount - level) <= Math.max(1, Math.abs(level) * STABLE_LEVEL_RATIO)) stable++;
+  });
+
+  const stepwise = priceChanges.length <= Math.max(1, Math.floor(amounts.length / 3));
+  if (stepwise && stable / amounts.length >= MIN_STABLE_RATIO) {
+    return { ...result, billingModel: 'fixed' };
+  }
+  return result;
+}
+
+/**
+ * Summarizes how a recurring charge is billed, for the `evidence` of the leaks it produces.
+ * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+ * @returns {(Object|undefined)} The billing summary, or undefined for charges without a billing classification.
+ */
+export function billingEvidence(charge) {
+  if (!charge?.billingModel) return undefined;
+  return {
+    billing: {
+      model: charge.billingModel,
+      unit_price: charge.unitPrice,
+      seat_count: charge.seatCount,
+      initial_seat_count: charge.initialSeatCount,
+      trend: charge.trend,
+    },
+  };
+}
@@ -0,0 +1,101 @@
+// lib/billing_model.test.js
+import { classifyBillingModel, billingEvidence } from './billing_model';
+
+const timeline = amounts => amounts.map((amount, index) => ({
+  date: `2023-${String(index + 1).padStart(2, '0')}-05`,
+  amount,
+}));
+
+describe('classifyBillingModel', () => {
+  it('should classify a steady amount as fixed', () => {
+    const result = classifyBillingModel({
+      amountTimeline: timeline([49, 49, 49, 49]),
+      priceChanges: [],
+      frequency: 'monthly',
+    });
+    expect(result.billingModel).toBe('fixed');
+    expect(result.seatCount).toBeNull();
+    expect(result.trend).toEqual({ direction: 'flat', percentPerPeriod: 0 });
+  });
+
+  it('should treat a single price step as fixed rather than per-seat', () => {
+    const result = classifyBillingModel({
+      amountTimeline: timeline([49, 49, 69, 69]),
+      priceChanges: [{ date: '2023-03-05', previousAmount: 49, newAmount: 69, percentChange: 40.8 }],
+      frequency: 'monthly',
+    });
+    expect(result.billingModel).toBe('fixed');
+  });
+
+  it('should infer seats from the vendor list price', () => {
+    const result = classifyBillingModel({
+      amountTimeline: timeline([540, 570, 600, 600]),
+      priceChanges: [],
+      frequency: 'monthly',
+      seatPrice: 15,
+    });
+    expect(result).toMatchObject({
+      billingModel: 'per_seat',
+      unitPrice: 15,
+      seatCount: 40,
+      initialSeatCount: 36,
+    });
+    expect(result.trend.direction).toBe('growing');
+  });
+
+  it('should scale the list price for annual plans', () => {
+    const result = classifyBillingModel({
+      amountTimeline: timeline([1800, 1800]),
+      priceChanges: [],
+      frequency: 'annual',
+      seatPrice: 15,
+    });
+    expect(result).toMatchObject({ billingModel: 'per_seat', unitPrice: 180, seatCount: 10 });
+  });
+
+  it('should infer a unit price from the amounts when the vendor is unknown', () => {
+    const result = classifyBillingModel({
+      amountTimeline: timeline([120, 132, 144, 168]),
+      priceChanges: [],
+      frequency: 'monthly',
+    });
+    expect(result).toMatchObject({ billingModel: 'per_seat', unitPrice: 12, seatCount: 14, initialSeatCount: 10 });
+  });
+
+  it('should classify usage-based amounts as metered', () => {
+    const result = classifyBillingModel({
+      amountTimeline: timeline([123.47, 98.12, 143.9, 171.33, 188.05]),
+      priceChanges: [],
+      frequency: 'monthly',
+    });
+    expect(result.billingModel).toBe('metered');
+    expect(result.unitPrice).toBeNull();
+    expect(result.trend.direction).toBe('growing');
+  });
+});
+
+describe('billingEvidence', () => {
+  it('should return undefined for charges without a billing classification', () => {
+    expect(billingEvidence({ merchant: 'netflix' })).toBeUndefined();
+    expect(billingEvidence(undefined)).toBeUndefined();
+  });
+
+  it('should summarize per-seat billing', () => {
+    const charge = {
+      billingModel: 'per_seat',
+      unitPrice: 15,
+      seatCount: 40,
+      initialSeatCount: 36,
+      trend: { direction: 'growing', percentPerPeriod: 3.5 },
+    };
+    expect(billingEvidence(charge)).toEqual({
+      billing: {
+        model: 'per_seat',
+        unit_price: 15,
+        seat_count: 40,
+        initial_seat_count: 36,
+        trend: { direction: 'growing', percentPerPeriod: 3.5 },
+      },
+    });
+  });
+});
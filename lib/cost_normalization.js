@@ -0,0 +1,160 @@
+/**
+ * @fileoverview This module converts the amount of a recurring charge, billed at any detected frequency, to the
+ * monthly and annual cost stored on a leak. Costs are computed in integer minor units of the charge's currency
+ * (cents for USD), so sums such as an audit's `total_waste_found` carry no floating-point error.
+ *
+ * Every leak producer (the rules, the AI analyzer, the trial and duplicate detectors) prices its leaks with
+ * `normalizeCost` or `chargeCost` before they are stored.
+ */
+
+/**
+ * The currency assumed for transactions that do not report one.
+ * @type {string}
+ */
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * The number of billing periods in a year for each frequency detected by `detectRecurringCharges`.
+ * @type {Object<string, number>}
+ */
+export const PERIODS_PER_YEAR = {
+  weekly: 52,
+  'bi-weekly': 26,
+  monthly: 12,
+  quarterly: 4,
+  annual: 1,
+};
+
+/**
+ * The number of decimal digits of the minor unit of currencies that do not use two (ISO 4217).
+ * @type {Object<string, number>}
+ */
+const MINOR_UNIT_DIGITS = {
+  BHD: 3,
+  CLP: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  PYG: 0,
+  TND: 3,
+  UGX: 0,
+  VND: 0,
+  XAF: 0,
+  XOF: 0,
+};
+
+/**
+ * Returns the number of decimal digits of a currency's minor unit.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The ISO 4217 currency code.
+ * @returns {number} The number of digits (2 for most currencies).
+ */
+export function minorUnitDigits(currency = DEFAULT_CURRENCY) {
+  return MINOR_UNIT_DIGITS[currency.toUpperCase()] ?? 2;
+}
+
+/**
+ * Converts an amount to integer minor units of its currency.
+ * @param {(number|string)} amount - The amount, as a number or a numeric string such as the `avgAmount` of a charge.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The ISO 4217 currency code.
+ * @returns {number} The amount in minor units.
+ * @throws {Error} If the amount is not numeric.
+ */
+export function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  const value = typeof amount === 'string' ? parseFloat(amount) : amount;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+  // Rounding to 6 places first absorbs binary error such as 1.005 * 100 = 100.49999999999999
+  return Math.round(parseFloat((value * 10 ** minorUnitDigits(currency)).toFixed(6)));
+}
+
+/**
+ * Converts integer minor units back to an amount of the currency.
+ * @param {number} minorUnits - The amount in minor units.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The ISO 4217 currency code.
+ * @returns {number} The amount.
+ */
+export function fromMinorUnits(minorUnits, currency = DEFAULT_CURRENCY) {
+  return minorUnits / 10 ** minorUnitDigits(currency);
+}
+
+/**
+ * Computes the monthly and annual cost of an amount billed at a given frequency.
+ *
+ * The annual cost is the amount times the number of periods in a year; the monthly cost is a twelfth of it, so a
+ * weekly $10 charge costs $520.00 a year and $43.33 a month.
+ *
+ * @param {(number|string)} amount - The amount billed each period.
+ * @param {string} frequency - The billing frequency (weekly, bi-weekly, monthly, quarterly or annual).
+ * @param {string} [currency=DEFAULT_CURRENCY] - The ISO 4217 currency code of the amount.
+ * @returns {{currency: string, monthly_cost_cents: number, annual_cost_cents: number, monthly_cost: number, annual_cost: number}}
+ *   The costs in minor units, and the same costs as decimal amounts for the `monthly_cost` and `annual_cost` columns.
+ * @throws {Error} If the frequency is unknown or the amount is not numeric.
+ */
+export function normalizeCost(amount, frequency, currency = DEFAULT_CURRENCY) {
+  const periodsPerYear = PERIODS_PER_YEAR[frequency];
+  if (!periodsPerYear) {
+    throw new Error(`Unknown billing frequency: ${frequency}`);
+  }
+
+  const annualCents = toMinorUnits(amount, currency) * periodsPerYear;
+  const monthlyCents = Math.round(annualCents / 12);
+  return {
+    currency: currency.toUpperCase(),
+    monthly_cost_cents: monthlyCents,
+    annual_cost_cents: annualCents,
+    monthly_cost: fromMinorUnits(monthlyCents, currency),
+    annual_cost: fromMinorUnits(annualCents, currency),
+  };
+}
+
+/**
+ * Computes the monthly and annual cost of a recurring charge at its current price.
+ * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+ * @returns {Object} The costs, as returned by `normalizeCost`.
+ */
+export function chargeCost(charge) {
+  return normalizeCost(charge.currentAmount ?? charge.avgAmount, charge.frequency, charge.currency || DEFAULT_CURRENCY);
+}
+
+/**
+ * Sums the annual cost of leaks.
+ * @param {Array<Object>} leaks - Leaks priced by `normalizeCost`. Leaks without `annual_cost_cents` are converted
+ *   from their `annual_cost`.
+ * @returns {number} The total annual cost, as a decimal amount of the leaks' currency.
+ * @throws {Error} If the leaks are in more than one currency.
+ */
+export function sumAnnualCost(leaks) {
+  const currencies = new Set(leaks.map(leak => (leak.currency || DEFAULT_CURRENCY).toUpperCase()));
+  if (currencies.size > 1) {
+    throw new Error(`Cannot sum costs in different currencies: ${[...currencies].join(', ')}`);
+  }
+
+  const [currency = DEFAULT_CURRENCY] = currencies;
+  const totalCents = leaks.reduce(
+    (sum, leak) => sum + (leak.annual_cost_cents ?? toMinorUnits(leak.annual_cost, currency)),
+    0
+  );
+  return fromMinorUnits(totalCents, currency);
+}
+
+/**
+ * Formats an amount of money for display, e.g. "$1,234.50" or "€99.00".
+ * @param {(number|string)} amount - The amount.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The ISO 4217 currency code.
+ * @returns {string} The formatted amount.
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  const digits = minorUnitDigits(currency);
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(parseFloat(amount) || 0);
+}
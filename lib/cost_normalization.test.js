@@ -0,0 +1,66 @@
+// lib/cost_normalization.test.js
+import { chargeCost, normalizeCost, sumAnnualCost, toMinorUnits } from './cost_normalization';
+
+describe('normalizeCost', () => {
+  it.each([
+    ['weekly', 52000, 4333],
+    ['bi-weekly', 26000, 2167],
+    ['monthly', 12000, 1000],
+    ['quarterly', 4000, 333],
+    ['annual', 1000, 83],
+  ])('should convert a $10 %s charge to annual and monthly cents', (frequency, annualCents, monthlyCents) => {
+    expect(normalizeCost(10, frequency)).toEqual({
+      currency: 'USD',
+      annual_cost_cents: annualCents,
+      monthly_cost_cents: monthlyCents,
+      annual_cost: annualCents / 100,
+      monthly_cost: monthlyCents / 100,
+    });
+  });
+
+  it('should accept the string amounts produced by toFixed', () => {
+    expect(normalizeCost('87.50', 'monthly').annual_cost_cents).toBe(105000);
+  });
+
+  it('should use the minor unit of the currency', () => {
+    expect(normalizeCost(1200, 'monthly', 'jpy')).toMatchObject({ currency: 'JPY', annual_cost_cents: 14400, annual_cost: 14400 });
+    expect(normalizeCost(1.5, 'annual', 'KWD')).toMatchObject({ annual_cost_cents: 1500, annual_cost: 1.5 });
+  });
+
+  it('should reject unknown frequencies and non-numeric amounts', () => {
+    expect(() => normalizeCost(10, 'daily')).toThrow('Unknown billing frequency: daily');
+    expect(() => normalizeCost('a lot', 'monthly')).toThrow('Invalid amount: a lot');
+  });
+});
+
+describe('toMinorUnits', () => {
+  it('should round amounts that are not exact in binary', () => {
+    expect(toMinorUnits(1.005)).toBe(101);
+    expect(toMinorUnits(19.99)).toBe(1999);
+  });
+});
+
+describe('chargeCost', () => {
+  it('should price a charge at its current amount, falling back to the average', () => {
+    expect(chargeCost({ frequency: 'monthly', avgAmount: '15.00', currentAmount: 20 }).annual_cost).toBe(240);
+    expect(chargeCost({ frequency: 'weekly', avgAmount: '10.00' }).annual_cost).toBe(520);
+    expect(chargeCost({ frequency: 'monthly', avgAmount: '10.00', currency: 'EUR' }).currency).toBe('EUR');
+  });
+});
+
+describe('sumAnnualCost', () => {
+  it('should sum in cents', () => {
+    const leaks = [0.1, 0.2, 0.3].map(amount => normalizeCost(amount, 'annual'));
+    expect(sumAnnualCost(leaks)).toBe(0.6);
+  });
+
+  it('should convert leaks that only have a decimal annual cost', () => {
+    expect(sumAnnualCost([{ annual_cost: '120.10' }, normalizeCost(10, 'monthly')])).toBe(240.1);
+    expect(sumAnnualCost([])).toBe(0);
+  });
+
+  it('should refuse to sum costs in different currencies', () => {
+    expect(() => sumAnnualCost([normalizeCost(10, 'monthly'), normalizeCost(10, 'monthly', 'EUR')]))
+      .toThrow('Cannot sum costs in different currencies: USD, EUR');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview This module flags overlapping subscriptions: active recurring charges for different vendors
+ * that serve the same business function according to the SaaS category taxonomy. It is fully deterministic,
+ * so duplicate-tool leaks can be produced and tested without the AI analyzer.
+ */
+
+import { SAAS_CATEGORIES, categorizeMerchant } from './merchants/categories.js';
+import { chargeCost, fromMinorUnits } from './cost_normalization.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * The nominal billing period, in days, of each frequency.
+ * @type {Object<string, number>}
+ */
+const PERIOD_DAYS = {
+  weekly: 7,
+  'bi-weekly': 14,
+  monthly: 30.44,
+  quarterly: 91.31,
+  annual: 365.25,
+};
+
+/**
+ * How many billing periods may pass without a charge before a subscription no longer counts as active.
+ * @type {number}
+ */
+const ACTIVE_PERIODS = 1.5;
+
+/**
+ * Checks whether a recurring charge is still being billed.
+ * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+ * @param {Date} asOf - The reference date.
+ * @returns {boolean} `true` if the last charge falls within the allowed number of billing periods.
+ */
+function isActive(charge, asOf) {
+  const daysSinceLastCharge = (asOf - new Date(charge.lastCharge)) / DAY_MS;
+  return daysSinceLastCharge <= (PERIOD_DAYS[charge.frequency] || PERIOD_DAYS.monthly) * ACTIVE_PERIODS;
+}
+
+/**
+ * Finds active subscriptions that overlap in function.
+ *
+ * Active recurring charges are grouped by taxonomy category. In every category with more than one vendor, the
+ * vendor with the highest monthly cost is treated as the primary tool and every other vendor as a duplicate of it.
+ *
+ * @param {Array<Object>} recurringCharges - An array of recurring charge objects, as detected by `detectRecurringCharges`.
+ * @param {object} [options={}] - Detection options.
+ * @param {Date|string} [options.asOf=new Date()] - The reference date used to decide which subscriptions are active.
+ * @param {Object<string, {label: string, vendors: Array<string>}>} [options.taxonomy] - An alternative taxonomy.
+ * @returns {Array<Object>} An array of overlaps, each with the `category`, its `label`, the `primary` charge,
+ *   the `duplicates`, and the `combinedMonthlyCost` of every tool in the category.
+ */
+export function detectDuplicateTools(recurringCharges, options = {}) {
+  const asOf = new Date(options.asOf || Date.now());
+  const taxonomy = options.taxonomy || SAAS_CATEGORIES;
+
+  const byCategory = {};
+  recurringCharges.forEach(charge => {
+    if (!isActive(charge, asOf)) return;
+    const category = categorizeMerchant(charge.merchant, taxonomy);
+    if (!category) return;
+    if (!byCategory[category]) {
+      byCategory[category] = [];
+    }
+    byCategory[category].push(charge);
+  });
+
+  return Object.entries(byCategory)
+    .filter(([, charges]) => charges.length > 1)
+    .map(([category, charges]) => {
+      const sorted = [...charges].sort((a, b) => chargeCost(b).monthly_cost_cents - chargeCost(a).monthly_cost_cents);
+      const combinedCents = sorted.reduce((sum, charge) => sum + chargeCost(charge).monthly_cost_cents, 0);
+      return {
+        category,
+        label: taxonomy[category].label,
+        primary: sorted[0],
+        duplicates: sorted.slice(1),
+        combinedMonthlyCost: fromMinorUnits(combinedCents, chargeCost(sorted[0]).currency),
+      };
+    });
+}
+
+/**
+ * Formats detected overlaps as `duplicate` leaks, one per redundant subscription.
+ * @param {Array<Object>} overlaps - The overlaps returned by `detectDuplicateTools`.
+ * @returns {Array<Object>} An array of leak objects.
+ */
+export function duplicateToolLeaks(overlaps) {
+  const leaks = [];
+
+  overlaps.forEach(({ category, label, primary, duplicates, combinedMonthlyCost }) => {
+    const primaryName = primary.vendorName || primary.merchant;
+    duplicates.forEach(duplicate => {
+      const duplicateName = duplicate.vendorName || duplicate.merchant;
+      leaks.push({
+        merchant_name: duplicate.merchant,
+        leak_type: 'duplicate',
+        ...chargeCost(duplicate),
+        last_charge_date: duplicate.lastCharge,
+        description: `${duplicateName} and ${primaryName} are both active ${label} tools`,
+        recommendation: `Consolidate on ${primaryName} and cancel ${duplicateName}`,
+        confidence_score: 0.80,
+        evidence: {
+          category,
+          merchants: [primary.merchant, ...duplicates.map(charge => charge.merchant)],
+          combined_monthly_cost: combinedMonthlyCost,
+        },
+      });
+    });
+  });
+
+  return leaks;
+}
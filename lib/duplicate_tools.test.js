@@ -0,0 +1,130 @@
+// lib/duplicate_tools.test.js
+import { detectDuplicateTools, duplicateToolLeaks } from './duplicate_tools';
+import { categorizeMerchant } from './merchants/categories';
+import { resolveVendor } from './merchants/normalizer';
+import { FallbackStrategies } from './errors/fallbacks';
+
+const AS_OF = '2023-06-15';
+
+const charge = (merchant, avgAmount, overrides = {}) => ({
+  merchant,
+  vendorName: overrides.vendorName,
+  frequency: 'monthly',
+  avgAmount: avgAmount.toFixed(2),
+  lastCharge: '2023-06-01',
+  ...overrides,
+});
+
+describe('categorizeMerchant', () => {
+  it('should categorize vendor IDs and normalized names', () => {
+    expect(categorizeMerchant('zoom')).toBe('video_conferencing');
+    expect(categorizeMerchant('webex')).toBe('video_conferencing');
+    expect(categorizeMerchant('dashlane')).toBe('password_manager');
+    expect(categorizeMerchant('keeper security inc')).toBe('password_manager');
+  });
+
+  it('should return null for merchants outside the taxonomy', () => {
+    expect(categorizeMerchant('blue bottle coffee')).toBeNull();
+    expect(categorizeMerchant(undefined)).toBeNull();
+  });
+
+  it('should categorize sub-brands apart from their parent vendor', () => {
+    expect(categorizeMerchant(resolveVendor('ADOBE SIGN').key)).toBe('e_signature');
+    expect(categorizeMerchant(resolveVendor('ADOBE XD').key)).toBe('design');
+    expect(categorizeMerchant(resolveVendor('HELLOSIGN').key)).toBe('e_signature');
+    expect(categorizeMerchant(resolveVendor('DROPBOX SIGN').key)).toBe('e_signature');
+    expect(categorizeMerchant(resolveVendor('DROPBOX*8Z9Y7X').key)).toBe('file_storage');
+  });
+
+  it('should not categorize merchants named after a common word', () => {
+    ['Front Street Cafe', 'Box Lunch Co', 'Linear Motion Inc', 'Monday Cafe'].forEach(name => {
+      expect(categorizeMerchant(resolveVendor(name).key)).toBeNull();
+    });
+    expect(categorizeMerchant(resolveVendor('BOX.COM').key)).toBe('file_storage');
+    expect(categorizeMerchant(resolveVendor('FRONTAPP.COM').key)).toBe('customer_support');
+    expect(categorizeMerchant(resolveVendor('LINEAR.APP').key)).toBe('project_management');
+  });
+});
+
+describe('detectDuplicateTools', () => {
+  it('should flag two active tools in the same category', () => {
+    const charges = [
+      charge('zoom', 149.90, { vendorName: 'Zoom' }),
+      charge('webex', 25.00),
+      charge('slack', 87.50, { vendorName: 'Slack' }),
+    ];
+    const overlaps = detectDuplicateTools(charges, { asOf: AS_OF });
+    expect(overlaps).toHaveLength(1);
+    expect(overlaps[0].category).toBe('video_conferencing');
+    expect(overlaps[0].primary.merchant).toBe('zoom');
+    expect(overlaps[0].duplicates.map(c => c.merchant)).toEqual(['webex']);
+    expect(overlaps[0].combinedMonthlyCost).toBe(174.9);
+  });
+
+  it('should compare annual and monthly plans by monthly cost', () => {
+    const charges = [
+      charge('1password', 95.88, { frequency: 'annual', lastCharge: '2023-02-01' }),
+      charge('lastpass', 12.00),
+    ];
+    const [overlap] = detectDuplicateTools(charges, { asOf: AS_OF });
+    expect(overlap.primary.merchant).toBe('lastpass');
+    expect(overlap.duplicates[0].merchant).toBe('1password');
+  });
+
+  it('should ignore subscriptions that are no longer active', () => {
+    const charges = [
+      charge('asana', 54.95),
+      charge('trello', 50.00, { lastCharge: '2023-01-01' }),
+    ];
+    expect(detectDuplicateTools(charges, { asOf: AS_OF })).toEqual([]);
+  });
+
+  it('should not flag merchants named after a common word as duplicate tools', () => {
+    const charges = [
+      charge('intercom', 74.00, { vendorName: 'Intercom' }),
+      charge(resolveVendor('Front Street Cafe').key, 45.00),
+      charge('asana', 54.95, { vendorName: 'Asana' }),
+      charge(resolveVendor('Linear Motion Inc').key, 320.00),
+      charge('dropbox', 19.99, { vendorName: 'Dropbox' }),
+      charge(resolveVendor('Box Lunch Co').key, 120.00),
+    ];
+    expect(detectDuplicateTools(charges, { asOf: AS_OF })).toEqual([]);
+  });
+});
+
+describe('duplicateToolLeaks', () => {
+  it('should attach both merchants and the combined cost as evidence', () => {
+    const charges = [charge('zoom', 149.90, { vendorName: 'Zoom' }), charge('webex', 25.00)];
+    const leaks = duplicateToolLeaks(detectDuplicateTools(charges, { asOf: AS_OF }));
+    expect(leaks).toEqual([
+      {
+        merchant_name: 'webex',
+        leak_type: 'duplicate',
+        currency: 'USD',
+        monthly_cost_cents: 2500,
+        annual_cost_cents: 30000,
+        monthly_cost: 25,
+        annual_cost: 300,
+        last_charge_date: '2023-06-01',
+        description: 'webex and Zoom are both active video conferencing tools',
+        recommendation: 'Consolidate on Zoom and cancel webex',
+        confidence_score: 0.80,
+        evidence: {
+          category: 'video_conferencing',
+          merchants: ['zoom', 'webex'],
+          combined_monthly_cost: 174.9,
+        },
+      },
+    ]);
+  });
+
+  it('should be produced by the fallback leak detection', async () => {
+    const lastCharge = new Date().toISOString().split('T')[0];
+    const charges = [
+      charge('zoom', 14.99, { lastCharge }),
+      charge('webex', 13.50, { lastCharge }),
+    ];
+    const leaks = await FallbackStrategies.fallbackLeakDetection(charges);
+    expect(leaks.filter(leak => leak.leak_type === 'duplicate')).toHaveLength(1);
+  });
+});
@@ -32,6 +32,9 @@ class PersistentCircuitBreaker {
    * @param {number} [options.failureThreshold=3] - The number of failures required to open the circuit.
    * @param {number} [options.successThreshold=1] - The number of successful executions required to close the circuit.
    * @param {number} [options.timeout=10000] - The time in milliseconds to wait before transitioning to the half-open state.
+   * @param {Function} [options.isFailure] - Checks whether an error thrown by the action is a failure of the service.
+   *   Errors it rejects, such as errors caused by one user's request, are rethrown without being counted. Defaults
+   *   to counting every error.
    */
   constructor(serviceName, action, options = {}) {
     this.serviceName = serviceName;
@@ -39,6 +42,7 @@ class PersistentCircuitBreaker {
     this.failureThreshold = options.failureThreshold || 3;
     this.successThreshold = options.successThreshold || 1;
     this.timeout = options.timeout || 10000;
+    this.isFailure = options.isFailure || (() => true);
   }
 
   /**
@@ -117,7 +121,9 @@ class PersistentCircuitBreaker {
       const response = await this.action(...args);
       return this.success(state, response);
     } catch (error) {
-      this.fail(state, error);
+      if (this.isFailure(error)) {
+        this.fail(state, error);
+      }
       throw error;
     }
   }
@@ -61,7 +61,8 @@ export class ErrorHandler {
    */
   static async attemptRecovery(error, context) {
     // Plaid errors - retry with exponential backoff
-    if (error.message?.includes('ITEM_LOGIN_REQUIRED')) {
+    if (error.message?.includes('ITEM_LOGIN_REQUIRED')
+      || error.response?.data?.error_code === 'ITEM_LOGIN_REQUIRED') {
       return {
         recoverable: true,
         action: 'plaid_reauth',
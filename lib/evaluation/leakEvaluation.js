@@ -0,0 +1,140 @@
+/**
+ * @fileoverview The offline evaluation harness for leak detection.
+ *
+ * It runs `detectRecurringCharges` and the AI analyzer over the software series of labeled audits (transactions
+ * plus the leaks a reviewer expects) and scores the detected leaks per leak type. A detected leak matches an
+ * expected one when both name the same canonical merchant and leak type. Run it with `npm run evaluate`.
+ */
+
+import { detectRecurringCharges } from '../recurring_charges.js';
+import { analyzeWithAI } from '../ai_analyzer.js';
+import { resolveVendor } from '../merchants/normalizer.js';
+import { SPEND_CLASSES } from '../merchants/spendClasses.js';
+
+/**
+ * Builds the key a detected or expected leak is matched on.
+ * @param {string} merchant - The merchant name.
+ * @param {string} leakType - The leak type.
+ * @returns {string} The match key.
+ */
+function matchKey(merchant, leakType) {
+  return `${resolveVendor(merchant).key}|${leakType}`;
+}
+
+/**
+ * Divides, returning null instead of NaN when there is nothing to divide.
+ * @param {number} numerator - The numerator.
+ * @param {number} denominator - The denominator.
+ * @returns {(number|null)} The ratio, rounded to three decimals, or null if the denominator is 0.
+ */
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : parseFloat((numerator / denominator).toFixed(3));
+}
+
+/**
+ * Scores detected leaks against the expected leaks.
+ *
+ * For every leak type, and for all types combined, it reports the true positives, false positives and false
+ * negatives, the precision and recall, and the cost error: the mean absolute error of the detected annual cost,
+ * relative to the expected annual cost, over the true positives.
+ *
+ * @param {Array<{expected: Array<Object>, detected: Array<Object>}>} results - Per audit, the expected leaks
+ *   (`merchant`, `leak_type`, `annual_cost`) and the detected leaks (`merchant_name`, `leak_type`, `annual_cost`).
+ * @returns {Object<string, {truePositives: number, falsePositives: number, falseNegatives: number,
+ *   precision: (number|null), recall: (number|null), costError: (number|null)}>} The scores, by leak type and
+ *   under `overall`.
+ */
+export function scoreLeaks(results) {
+  const tallies = {};
+  const tally = type => {
+    if (!tallies[type]) {
+      tallies[type] = { truePositives: 0, falsePositives: 0, falseNegatives: 0, costErrors: [] };
+    }
+    return tallies[type];
+  };
+
+  results.forEach(({ expected, detected }) => {
+    const unmatched = new Map(expected.map(leak => [matchKey(leak.merchant, leak.leak_type), leak]));
+
+    detected.forEach(leak => {
+      const key = matchKey(leak.merchant_name, leak.leak_type);
+      const match = unmatched.get(key);
+      [leak.leak_type, 'overall'].forEach(type => {
+        if (match) {
+          tally(type).truePositives++;
+          tally(type).costErrors.push(Math.abs(parseFloat(leak.annual_cost) - match.annual_cost) / match.annual_cost);
+        } else {
+          tally(type).falsePositives++;
+        }
+      });
+      unmatched.delete(key);
+    });
+
+    unmatched.forEach(leak => {
+      tally(leak.leak_type).falseNegatives++;
+      tally('overall').falseNegatives++;
+    });
+  });
+
+  return Object.fromEntries(Object.entries(tallies).map(([type, { costErrors, ...counts }]) => [type, {
+    ...counts,
+    precision: ratio(counts.truePositives, counts.truePositives + counts.falsePositives),
+    recall: ratio(counts.truePositives, counts.truePositives + counts.falseNegatives),
+    costError: ratio(costErrors.reduce((sum, error) => sum + error, 0), costErrors.length),
+  }]));
+}
+
+/**
+ * Runs leak detection over labeled audits and scores the result.
+ * @param {Array<{name: string, transactions: Array<Object>, expected_leaks: Array<Object>}>} audits - The labeled audits.
+ * @param {object} options - Evaluation options.
+ * @param {Object} options.provider - The LLM provider to evaluate.
+ * @param {string} [options.promptVersion] - The prompt version to evaluate.
+ * @returns {Promise<{promptVersion: (string|undefined), scores: Object}>} The prompt version the detected leaks
+ *   report, and the scores returned by `scoreLeaks`.
+ */
+export async function evaluateLeakDetection(audits, { provider, promptVersion }) {
+  const results = [];
+  let reportedVersion = promptVersion;
+
+  for (const audit of audits) {
+    const recurringCharges = detectRecurringCharges(audit.transactions)
+      .filter(charge => charge.spendClass === SPEND_CLASSES.SOFTWARE);
+    const { leaks: detected } = await analyzeWithAI(recurringCharges, `eval_${audit.name}`, { provider, promptVersion });
+    reportedVersion = detected.find(leak => leak.prompt_version)?.prompt_version || reportedVersion;
+    results.push({ expected: audit.expected_leaks, detected });
+  }
+
+  return { promptVersion: reportedVersion, scores: scoreLeaks(results) };
+}
+
+/**
+ * Formats an evaluation report as a plain-text table.
+ * @param {{promptVersion: (string|undefined), scores: Object}} report - The report returned by `evaluateLeakDetection`.
+ * @returns {string} The table.
+ */
+export function formatReport({ promptVersion, scores }) {
+  const format = value => (value === null ? '-' : value.toFixed(3));
+  const rows = Object.entries(scores)
+    .sort(([a], [b]) => (a === 'overall') - (b === 'overall') || a.localeCompare(b))
+    .map(([type, score]) => [
+      type,
+      score.truePositives,
+      score.falsePositives,
+      score.falseNegatives,
+      format(score.precision),
+      format(score.recall),
+      format(score.costError),
+    ].map(String));
+
+  const header = ['leak type', 'tp', 'fp', 'fn', 'precision', 'recall', 'cost error'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const line = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [
+    `Prompt version: ${promptVersion || 'unknown'}`,
+    line(header),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line),
+  ].join('\n');
+}
@@ -0,0 +1,55 @@
+// lib/evaluation/leakEvaluation.test.js
+import fixtures from './fixtures/labeled_audits.json';
+import { evaluateLeakDetection, formatReport, scoreLeaks } from './leakEvaluation';
+import { MockProvider } from '../llm/mockProvider';
+import { CURRENT_LEAK_ANALYSIS_VERSION } from '../prompts';
+
+jest.mock('../services/supabase', () => ({
+  from: jest.fn(() => ({ insert: jest.fn().mockResolvedValue({ error: null }) })),
+}));
+
+const expected = (merchant, leakType, annualCost) => ({ merchant, leak_type: leakType, annual_cost: annualCost });
+const detected = (merchant, leakType, annualCost) => ({ merchant_name: merchant, leak_type: leakType, annual_cost: annualCost });
+
+describe('scoreLeaks', () => {
+  it('should score precision, recall and cost error per leak type', () => {
+    const scores = scoreLeaks([
+      {
+        expected: [expected('zoom', 'zombie', 200), expected('dropbox', 'duplicate', 240)],
+        detected: [detected('Zoom.us', 'zombie', 150), detected('winzip', 'free_alternative', 360)],
+      },
+      {
+        expected: [expected('notion', 'zombie', 100)],
+        detected: [detected('notion', 'zombie', 110)],
+      },
+    ]);
+
+    expect(scores.zombie).toEqual({
+      truePositives: 2,
+      falsePositives: 0,
+      falseNegatives: 0,
+      precision: 1,
+      recall: 1,
+      costError: 0.175,
+    });
+    expect(scores.duplicate).toMatchObject({ falseNegatives: 1, precision: null, recall: 0, costError: null });
+    expect(scores.free_alternative).toMatchObject({ falsePositives: 1, precision: 0, recall: null });
+    expect(scores.overall).toMatchObject({ truePositives: 2, falsePositives: 1, falseNegatives: 1, precision: 0.667, recall: 0.667 });
+  });
+
+  it('should not match a merchant flagged with another leak type', () => {
+    const scores = scoreLeaks([{ expected: [expected('zoom', 'zombie', 200)], detected: [detected('zoom', 'duplicate', 200)] }]);
+    expect(scores.overall).toMatchObject({ truePositives: 0, falsePositives: 1, falseNegatives: 1 });
+  });
+});
+
+describe('evaluateLeakDetection', () => {
+  it('should run detection over the labeled audits and report the prompt version', async () => {
+    const report = await evaluateLeakDetection(fixtures.audits, { provider: new MockProvider() });
+
+    expect(report.promptVersion).toBe(CURRENT_LEAK_ANALYSIS_VERSION);
+    expect(report.scores.overall).toMatchObject({ truePositives: 3, falsePositives: 0, falseNegatives: 2 });
+    expect(report.scores.free_alternative.costError).toBe(0);
+    expect(formatReport(report)).toContain(`Prompt version: ${CURRENT_LEAK_ANALYSIS_VERSION}`);
+  });
+});
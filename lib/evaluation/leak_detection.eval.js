@@ -0,0 +1,20 @@
+/**
+ * @jest-environment node
+ */
+// lib/evaluation/leak_detection.eval.js
+// Scores leak detection over the labeled audits in ./fixtures. Run it with `npm run evaluate`; set
+// LLM_PROVIDER=mock to run it offline, and LEAK_PROMPT_VERSION to evaluate another prompt version.
+import fixtures from './fixtures/labeled_audits.json';
+import { evaluateLeakDetection, formatReport } from './leakEvaluation';
+import { createLLMProvider } from '../llm';
+
+jest.setTimeout(10 * 60 * 1000);
+
+it('reports precision, recall and cost error per leak type', async () => {
+  const report = await evaluateLeakDetection(fixtures.audits, {
+    provider: createLLMProvider(),
+    promptVersion: process.env.LEAK_PROMPT_VERSION,
+  });
+  process.stdout.write(`\n${formatReport(report)}\n\n`);
+  expect(report.scores.overall).toBeDefined();
+});
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview This module converts an audit's transactions to its reporting currency, so that recurring charge
+ * detection, leak costs and the report all work in one currency, and records the original amounts as evidence.
+ *
+ * All transactions of an audit are converted at the rates of a single day (the date of the latest transaction).
+ * Converting each charge at the rate of its own day would turn exchange-rate movements into price changes.
+ * Transactions in a currency the rate source has no rate for, and transactions in an unofficial currency (such as
+ * a cryptocurrency, which Plaid reports in `unofficial_currency_code`), are skipped and reported instead of failing
+ * the audit.
+ */
+
+import { DEFAULT_CURRENCY, fromMinorUnits, toMinorUnits } from '../cost_normalization.js';
+import { resolveVendor } from '../merchants/normalizer.js';
+import fx from './index.js';
+
+/**
+ * Returns the currency of a stored transaction. Transactions with neither code are in the default currency.
+ * @param {Object} tx - A transaction.
+ * @returns {(string|null)} Its ISO 4217 currency code, or null for a transaction in an unofficial currency.
+ */
+function currencyOf(tx) {
+  if (!tx.iso_currency_code && tx.unofficial_currency_code) return null;
+  return (tx.iso_currency_code || DEFAULT_CURRENCY).toUpperCase();
+}
+
+/**
+ * Converts transactions to a reporting currency.
+ * @param {Array<Object>} transactions - The transactions of an audit, with their `iso_currency_code`.
+ * @param {string} reportingCurrency - The ISO 4217 code of the audit's reporting currency.
+ * @param {object} [options={}] - Conversion options.
+ * @param {Object} [options.rateSource] - The FX rate source. Defaults to the configured source (see `lib/fx`).
+ * @param {string} [options.asOf] - The day of the rates. Defaults to the date of the latest transaction.
+ * @returns {Promise<{transactions: Array<Object>, skipped: Array<{currency: string, count: number, reason: string}>}>}
+ *   The transactions that could be converted, with their `amount` and `iso_currency_code` in the reporting
+ *   currency; converted transactions also carry their `original_amount`, `original_currency` and the `fx_rate`
+ *   used. And, for every currency that could not be converted, the number of transactions skipped and why.
+ */
+export async function convertTransactions(transactions, reportingCurrency, options = {}) {
+  const { rateSource = fx } = options;
+  const target = reportingCurrency.toUpperCase();
+  const asOf = options.asOf
+    || transactions.reduce((latest, tx) => (tx.date > latest ? tx.date : latest), transactions[0]?.date);
+
+  const rates = {};
+  const missing = {};
+  for (const currency of new Set(transactions.map(currencyOf))) {
+    if (currency === null || currency === target) continue;
+    try {
+      rates[currency] = await rateSource.getRate(currency, target, asOf);
+    } catch (error) {
+      missing[currency] = error.message;
+    }
+  }
+
+  const skipped = {};
+  const skip = (currency, reason) => {
+    skipped[currency] = skipped[currency] || { currency, count: 0, reason };
+    skipped[currency].count++;
+  };
+
+  const converted = transactions.flatMap(tx => {
+    const currency = currencyOf(tx);
+    if (currency === null) {
+      skip(tx.unofficial_currency_code.toUpperCase(), 'Unofficial currency');
+      return [];
+    }
+    if (missing[currency]) {
+      skip(currency, missing[currency]);
+      return [];
+    }
+    if (currency === target) {
+      return [{ ...tx, iso_currency_code: target }];
+    }
+
+    const amount = parseFloat(tx.amount);
+    return [{
+      ...tx,
+      amount: fromMinorUnits(toMinorUnits(amount * rates[currency], target), target),
+      iso_currency_code: target,
+      original_amount: amount,
+      original_currency: currency,
+      fx_rate: rates[currency],
+    }];
+  });
+
+  return { transactions: converted, skipped: Object.values(skipped) };
+}
+
+/**
+ * Adds the original amounts of converted charges to the evidence of leaks.
+ *
+ * A leak gets `evidence.original_amounts` when its merchant was billed in another currency: for each such
+ * currency, the latest charge in it and the rate used to convert it.
+ *
+ * @param {Array<Object>} leaks - The leaks of the audit.
+ * @param {Array<Object>} transactions - The transactions returned by `convertTransactions`.
+ * @returns {Array<Object>} The leaks.
+ */
+export function attachOriginalAmounts(leaks, transactions) {
+  const converted = {};
+  transactions
+    .filter(tx => tx.original_currency)
+    .forEach(tx => {
+      const key = resolveVendor(tx.merchant_name).key;
+      const latest = (converted[key] = converted[key] || {});
+      if (!latest[tx.original_currency] || tx.date >= latest[tx.original_currency].date) {
+        latest[tx.original_currency] = tx;
+      }
+    });
+
+  return leaks.map(leak => {
+    const latest = converted[resolveVendor(leak.merchant_name).key];
+    if (!latest) return leak;
+
+    return {
+      ...leak,
+      evidence: {
+        ...leak.evidence,
+        original_amounts: Object.values(latest).map(tx => ({
+          currency: tx.original_currency,
+          amount: tx.original_amount,
+          date: tx.date,
+          fx_rate: tx.fx_rate,
+        })),
+      },
+    };
+  });
+}
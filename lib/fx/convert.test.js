@@ -0,0 +1,82 @@
+// lib/fx/convert.test.js
+import { attachOriginalAmounts, convertTransactions } from './convert';
+import { LocalRateSource } from './localRateSource';
+
+const rateSource = new LocalRateSource({}, { base: 'USD', rates: { EUR: 0.8, GBP: 0.5 } });
+
+const tx = (merchantName, amount, currency, date = '2023-03-01') => ({
+  merchant_name: merchantName,
+  amount,
+  iso_currency_code: currency,
+  date,
+});
+
+describe('convertTransactions', () => {
+  it('should convert foreign transactions and keep their original amounts', async () => {
+    const { transactions: converted, skipped } = await convertTransactions([
+      tx('FIGMA', 12, 'EUR'),
+      tx('SLACK', '8.75', 'USD'),
+      tx('LOOM', 10, null),
+    ], 'usd', { rateSource });
+
+    expect(skipped).toEqual([]);
+    expect(converted).toEqual([
+      { ...tx('FIGMA', 15, 'USD'), original_amount: 12, original_currency: 'EUR', fx_rate: 1.25 },
+      tx('SLACK', '8.75', 'USD'),
+      tx('LOOM', 10, 'USD'),
+    ]);
+  });
+
+  it('should look up each currency once, at the rate of the latest transaction', async () => {
+    const source = { getRate: jest.fn().mockResolvedValue(2) };
+    await convertTransactions([
+      tx('FIGMA', 12, 'EUR', '2023-01-01'),
+      tx('FIGMA', 12, 'EUR', '2023-02-01'),
+      tx('MIRO', 8, 'GBP', '2023-01-15'),
+    ], 'USD', { rateSource: source });
+
+    expect(source.getRate.mock.calls).toEqual([['EUR', 'USD', '2023-02-01'], ['GBP', 'USD', '2023-02-01']]);
+  });
+
+  it('should skip and report the transactions of a currency with no rate', async () => {
+    const { transactions, skipped } = await convertTransactions([
+      tx('FIGMA', 12, 'CHF'),
+      tx('MIRO', 8, 'CHF'),
+      tx('SLACK', 8.75, 'USD'),
+    ], 'USD', { rateSource });
+
+    expect(transactions.map(converted => converted.merchant_name)).toEqual(['SLACK']);
+    expect(skipped).toEqual([{ currency: 'CHF', count: 2, reason: 'No FX rate for CHF in the local rate table' }]);
+  });
+
+  it('should skip transactions in an unofficial currency', async () => {
+    const { transactions, skipped } = await convertTransactions([
+      { ...tx('COINBASE', 0.01, null), unofficial_currency_code: 'BTC' },
+      tx('SLACK', 8.75, 'USD'),
+    ], 'USD', { rateSource });
+
+    expect(transactions).toHaveLength(1);
+    expect(skipped).toEqual([{ currency: 'BTC', count: 1, reason: 'Unofficial currency' }]);
+  });
+});
+
+describe('attachOriginalAmounts', () => {
+  it('should add the latest original amount per currency to the leaks of converted merchants', async () => {
+    const { transactions } = await convertTransactions([
+      tx('FIGMA', 12, 'EUR', '2023-01-01'),
+      tx('FIGMA', 15, 'EUR', '2023-02-01'),
+      tx('SLACK', 8.75, 'USD'),
+    ], 'USD', { rateSource });
+
+    const [figma, slack] = attachOriginalAmounts([
+      { merchant_name: 'figma', evidence: { rule: 'zombie' } },
+      { merchant_name: 'slack' },
+    ], transactions);
+
+    expect(figma.evidence).toEqual({
+      rule: 'zombie',
+      original_amounts: [{ currency: 'EUR', amount: 15, date: '2023-02-01', fx_rate: 1.25 }],
+    });
+    expect(slack).toEqual({ merchant_name: 'slack' });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview An FX rate source backed by the European Central Bank reference rates, served by the Frankfurter
+ * API (https://www.frankfurter.app). The API is free and needs no key; rates are published on business days, and
+ * the rates of a day without any (a weekend or a holiday) are the latest published before it.
+ */
+
+/**
+ * Converts between currencies with the ECB reference rates of a given day.
+ */
+export class EcbRateSource {
+  /**
+   * @param {Object} [config={}] - The FX configuration.
+   * @param {string} [config.apiUrl='https://api.frankfurter.app'] - The base URL of the Frankfurter API.
+   */
+  constructor(config = {}) {
+    this.name = 'ecb';
+    this.apiUrl = config.apiUrl || 'https://api.frankfurter.app';
+    this.cache = new Map();
+  }
+
+  /**
+   * Returns the exchange rate between two currencies, as published on a given day.
+   * @param {string} from - The ISO 4217 code of the currency to convert from.
+   * @param {string} to - The ISO 4217 code of the currency to convert to.
+   * @param {string} [date] - The day of the rate (YYYY-MM-DD). Defaults to the latest published rates.
+   * @returns {Promise<number>} The number of units of `to` worth one unit of `from`.
+   * @throws {Error} If the API does not return a rate.
+   */
+  async getRate(from, to, date) {
+    if (from === to) return 1;
+
+    const key = `${date || 'latest'}:${from}:${to}`;
+    if (!this.cache.has(key)) {
+      const response = await fetch(`${this.apiUrl}/${date || 'latest'}?from=${from}&to=${to}`);
+      const body = response.ok ? await response.json() : null;
+      const rate = body?.rates?.[to];
+      if (!rate) {
+        throw new Error(`No FX rate from ${from} to ${to}${date ? ` on ${date}` : ''} (HTTP ${response.status})`);
+      }
+      this.cache.set(key, rate);
+    }
+    return this.cache.get(key);
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview The FX rate source used to convert transactions to an audit's reporting currency.
+ *
+ * The source and its settings come from the environment:
+ * - `FX_RATE_SOURCE`: 'local' to read rates from a JSON file, or 'ecb' for the ECB reference rates. Defaults to
+ *   'ecb' in production, as the bundled rate table is a fixed snapshot, and to 'local' elsewhere.
+ * - `FX_RATES_FILE`: the rate table read by the local source, instead of `lib/fx/rates.json`.
+ * - `FX_API_URL`: the base URL of the Frankfurter API used by the ECB source.
+ *
+ * Every source exposes `name` and `getRate(from, to, date)`, which resolves to the number of units of `to` worth
+ * one unit of `from`.
+ */
+
+import { LocalRateSource } from './localRateSource.js';
+import { EcbRateSource } from './ecbRateSource.js';
+
+/**
+ * The rate source classes, by `FX_RATE_SOURCE` value.
+ * @type {Object<string, Function>}
+ */
+export const FX_SOURCES = {
+  local: LocalRateSource,
+  ecb: EcbRateSource,
+};
+
+/**
+ * Reads the FX configuration from the environment.
+ * @param {Object} [env=process.env] - The environment.
+ * @returns {{source: string, ratesFile: (string|undefined), apiUrl: (string|undefined)}} The configuration.
+ */
+export function getFxConfig(env = process.env) {
+  return {
+    source: env.FX_RATE_SOURCE || (env.NODE_ENV === 'production' ? 'ecb' : 'local'),
+    ratesFile: env.FX_RATES_FILE || undefined,
+    apiUrl: env.FX_API_URL || undefined,
+  };
+}
+
+/**
+ * Creates an FX rate source.
+ * @param {Object} [config=getFxConfig()] - The source configuration.
+ * @returns {Object} The rate source.
+ * @throws {Error} If the configured source is unknown.
+ */
+export function createFxRateSource(config = getFxConfig()) {
+  const Source = FX_SOURCES[config.source];
+  if (!Source) {
+    throw new Error(`Unknown FX rate source: ${config.source}`);
+  }
+  return new Source(config);
+}
+
+const fx = createFxRateSource();
+
+export default fx;
@@ -0,0 +1,74 @@
+// lib/fx/index.test.js
+import { createFxRateSource, getFxConfig } from './index';
+import { LocalRateSource } from './localRateSource';
+import { EcbRateSource } from './ecbRateSource';
+
+const TABLE = { base: 'USD', as_of: '2024-01-02', rates: { EUR: 0.9, GBP: 0.8 } };
+
+describe('getFxConfig', () => {
+  it('should default to the local rate table', () => {
+    expect(getFxConfig({})).toEqual({ source: 'local', ratesFile: undefined, apiUrl: undefined });
+  });
+
+  it('should default to the ECB reference rates in production', () => {
+    expect(getFxConfig({ NODE_ENV: 'production' }).source).toBe('ecb');
+  });
+
+  it('should read the source, rates file and API URL from the environment', () => {
+    expect(getFxConfig({ FX_RATE_SOURCE: 'ecb', FX_RATES_FILE: '/tmp/rates.json', FX_API_URL: 'http://fx.test' }))
+      .toEqual({ source: 'ecb', ratesFile: '/tmp/rates.json', apiUrl: 'http://fx.test' });
+  });
+});
+
+describe('createFxRateSource', () => {
+  it('should create the configured source', () => {
+    expect(createFxRateSource({ source: 'local' })).toBeInstanceOf(LocalRateSource);
+    expect(createFxRateSource({ source: 'ecb' })).toBeInstanceOf(EcbRateSource);
+  });
+
+  it('should reject unknown sources', () => {
+    expect(() => createFxRateSource({ source: 'abacus' })).toThrow('Unknown FX rate source');
+  });
+});
+
+describe('LocalRateSource', () => {
+  const source = new LocalRateSource({}, TABLE);
+
+  it('should convert to and from the base currency and across currencies', async () => {
+    expect(await source.getRate('USD', 'EUR')).toBe(0.9);
+    expect(await source.getRate('EUR', 'USD')).toBeCloseTo(1.1111, 4);
+    expect(await source.getRate('GBP', 'EUR')).toBeCloseTo(1.125, 4);
+  });
+
+  it('should reject currencies missing from the table', async () => {
+    await expect(source.getRate('XYZ', 'USD')).rejects.toThrow('No FX rate for XYZ');
+  });
+
+  it('should read lib/fx/rates.json by default', async () => {
+    expect(await new LocalRateSource().getRate('USD', 'USD')).toBe(1);
+    expect(await new LocalRateSource().getRate('USD', 'GBP')).toBeGreaterThan(0);
+  });
+});
+
+describe('EcbRateSource', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should fetch the rate of the day once', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => ({ rates: { USD: 1.09 } }) });
+    const source = new EcbRateSource({ apiUrl: 'http://fx.test' });
+
+    expect(await source.getRate('EUR', 'USD', '2024-01-02')).toBe(1.09);
+    expect(await source.getRate('EUR', 'USD', '2024-01-02')).toBe(1.09);
+    expect(await source.getRate('EUR', 'EUR', '2024-01-02')).toBe(1);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith('http://fx.test/2024-01-02?from=EUR&to=USD');
+  });
+
+  it('should reject responses without a rate', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+    await expect(new EcbRateSource().getRate('EUR', 'XYZ')).rejects.toThrow('No FX rate from EUR to XYZ (HTTP 404)');
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview An FX rate source that reads exchange rates from a local JSON file.
+ *
+ * The file holds one rate table: `{ "base": "USD", "as_of": "2024-01-02", "rates": { "EUR": 0.9056, ... } }`,
+ * where each rate is the number of units of the currency worth one unit of the base currency. It needs no network
+ * access, which makes it the source for tests and local development.
+ */
+
+import { readFileSync } from 'fs';
+import defaultRates from './rates.json';
+
+/**
+ * Converts between currencies with the rates of a local rate table.
+ */
+export class LocalRateSource {
+  /**
+   * @param {Object} [config={}] - The FX configuration.
+   * @param {string} [config.ratesFile] - The path of a rate table to use instead of `lib/fx/rates.json`.
+   * @param {Object} [table] - A rate table to use directly, e.g. in tests.
+   */
+  constructor(config = {}, table) {
+    this.name = 'local';
+    this.table = table || (config.ratesFile ? JSON.parse(readFileSync(config.ratesFile, 'utf8')) : defaultRates);
+  }
+
+  /**
+   * Returns the exchange rate between two currencies. The table has a single set of rates, so the date is ignored.
+   * @param {string} from - The ISO 4217 code of the currency to convert from.
+   * @param {string} to - The ISO 4217 code of the currency to convert to.
+   * @returns {Promise<number>} The number of units of `to` worth one unit of `from`.
+   * @throws {Error} If the table has no rate for either currency.
+   */
+  async getRate(from, to) {
+    const rateOf = currency => {
+      if (currency === this.table.base) return 1;
+      const rate = this.table.rates[currency];
+      if (!rate) {
+        throw new Error(`No FX rate for ${currency} in the local rate table`);
+      }
+      return rate;
+    };
+    return rateOf(to) / rateOf(from);
+  }
+}
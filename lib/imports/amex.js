@@ -0,0 +1,22 @@
+/**
+ * @fileoverview The parser of American Express corporate card exports. Charges are positive and credits negative;
+ * the account number is masked to its last digits.
+ */
+
+import { createExpenseParser } from './expenseExport.js';
+
+export default createExpenseParser({
+  format: 'amex',
+  label: 'American Express',
+  institution: 'American Express',
+  signature: ['Card Member', 'Account #'],
+  columns: {
+    date: ['Date'],
+    description: ['Description'],
+    amount: ['Amount'],
+    cardholder: ['Card Member'],
+    department: ['Cost Center', 'Department'],
+    memo: ['Extended Details'],
+    card: ['Account #'],
+  },
+});
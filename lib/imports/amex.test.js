@@ -0,0 +1,26 @@
+// lib/imports/amex.test.js
+import fs from 'fs';
+import path from 'path';
+import amex from './amex';
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'amex.csv'), 'utf8');
+
+describe('amex parser', () => {
+  it('should parse an American Express corporate card export, signing amounts like Plaid', () => {
+    const { transactions, account } = amex.parse(fixture);
+
+    expect(transactions.map(tx => [tx.date, tx.merchant_name, tx.amount, tx.cardholder])).toEqual([
+      ['2024-01-03', 'ZOOM.US 888-799-9666 SAN JOSE CA', 149.9, 'JORDAN ELLIS'],
+      ['2024-02-03', 'ZOOM.US 888-799-9666 SAN JOSE CA', 149.9, 'JORDAN ELLIS'],
+      ['2024-02-14', 'ONLINE PAYMENT - THANK YOU', -2500, 'JORDAN ELLIS'],
+      ['2024-03-03', 'ZOOM.US 888-799-9666 SAN JOSE CA', 149.9, 'JORDAN ELLIS'],
+    ]);
+    expect(transactions[0]).toMatchObject({ department: null, memo: 'ZOOM.US Pro annual seats' });
+    expect(account).toEqual({ institution_name: 'American Express', mask: '1005', type: 'credit' });
+  });
+
+  it('should recognize American Express exports by their headers', () => {
+    expect(amex.detect(fixture, 'activity.csv')).toBe(true);
+    expect(amex.detect(fs.readFileSync(path.join(__dirname, 'fixtures', 'brex.csv'), 'utf8'), 'activity.csv')).toBe(false);
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview The parser of Brex card transaction exports.
+ */
+
+import { createExpenseParser } from './expenseExport.js';
+
+export default createExpenseParser({
+  format: 'brex',
+  label: 'Brex',
+  institution: 'Brex',
+  signature: ['Merchant', 'Cardholder', 'Card Last Four'],
+  columns: {
+    date: ['Posted Date', 'Transaction Date', 'Date'],
+    description: ['Merchant'],
+    amount: ['Amount'],
+    currency: ['Currency'],
+    cardholder: ['Cardholder'],
+    department: ['Department', 'Team'],
+    memo: ['Memo'],
+    card: ['Card Last Four'],
+  },
+});
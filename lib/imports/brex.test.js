@@ -0,0 +1,29 @@
+// lib/imports/brex.test.js
+import fs from 'fs';
+import path from 'path';
+import brex from './brex';
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'brex.csv'), 'utf8');
+
+describe('brex parser', () => {
+  it('should parse a Brex export with its cardholder, team and card', () => {
+    const { transactions, mapping, account } = brex.parse(fixture);
+
+    expect(mapping).toMatchObject({ dateFormat: 'MM/DD/YYYY', cardholder: 4, department: 5, memo: 6 });
+    expect(transactions).toHaveLength(4);
+    expect(transactions[0]).toMatchObject({
+      date: '2024-01-12',
+      merchant_name: 'Atlassian',
+      amount: 120,
+      iso_currency_code: 'USD',
+      cardholder: 'Lee Park',
+      department: 'Engineering',
+      memo: 'Jira + Confluence',
+    });
+    expect(account).toEqual({ institution_name: 'Brex', mask: '3321', type: 'credit' });
+  });
+
+  it('should reject files without the Brex columns', () => {
+    expect(() => brex.parse('Merchant,Cardholder,Card Last Four\nAtlassian,Lee Park,3321')).toThrow('The file is not a Brex export');
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview The CSV statement parser.
+ *
+ * Bank and card exports disagree on almost everything: the delimiter, whether there is a header row, the column
+ * order, the date format, whether money out is negative or positive, and whether debits and credits share a column.
+ * The parser detects each of these from the file, and every detected setting can be overridden by a column
+ * mapping chosen by the user.
+ */
+
+import { DEFAULT_CURRENCY } from '../cost_normalization.js';
+import { DATE_FORMATS, parseDate, detectDateFormat, parseAmount, detectDecimalSeparator } from './values.js';
+
+/**
+ * How a statement signs its amounts.
+ * - `DEBIT_NEGATIVE`: money out is negative, as in most bank account exports.
+ * - `DEBIT_POSITIVE`: charges are positive and payments negative, as in most card exports.
+ * - `SPLIT`: money out and money in are in separate debit and credit columns.
+ * @type {{DEBIT_NEGATIVE: string, DEBIT_POSITIVE: string, SPLIT: string}}
+ */
+export const AMOUNT_CONVENTIONS = {
+  DEBIT_NEGATIVE: 'debit_negative',
+  DEBIT_POSITIVE: 'debit_positive',
+  SPLIT: 'split',
+};
+
+/**
+ * The delimiters a CSV file can use.
+ * @type {Array<string>}
+ */
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Header names of each mapped column, in the order the columns are detected.
+ * @type {Array<[string, RegExp]>}
+ */
+const COLUMN_HEADERS = [
+  ['date', /^(transaction |trans\.? |posting |posted |post |booking |value )?date\b|^datum|^fecha/i],
+  ['amount', /^(transaction )?amount\b|^value$|^betrag|^importe/i],
+  ['debit', /debit|withdrawal|money out|paid out|^out$/i],
+  ['credit', /credit|deposit|money in|paid in|^in$/i],
+  ['currency', /currency|^ccy$/i],
+  ['description', /description|merchant|payee|narrative|details|memo|^name$|particulars|beneficiary/i],
+  ['cardholder', /card ?holder|card ?member|employee|submitter|spender|^user$/i],
+  ['department', /department|cost cent(er|re)|^team$/i],
+  ['memo', /memo|comment|note/i],
+];
+
+/**
+ * Splits CSV text into rows of fields, following RFC 4180: fields can be quoted, quoted fields can contain
+ * delimiters, line breaks and doubled quotes. Empty lines are dropped.
+ * @param {string} text - The CSV text.
+ * @param {string} [delimiter=','] - The field delimiter.
+ * @returns {Array<Array<string>>} The rows.
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+/**
+ * Detects the delimiter of a CSV file from its first line.
+ * @param {string} text - The CSV text.
+ * @returns {(string|null)} The delimiter, or null if the first line has none.
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/).find(line => line.trim() !== '') || '';
+  const unquoted = firstLine.replace(/"[^"]*"/g, '');
+  const counts = DELIMITERS.map(delimiter => unquoted.split(delimiter).length - 1);
+  const best = Math.max(...counts);
+  return best > 0 ? DELIMITERS[counts.indexOf(best)] : null;
+}
+
+/**
+ * Checks whether every value of a column that is filled in satisfies a test.
+ * @param {Array<string>} values - The values of the column.
+ * @param {Function} test - The test.
+ * @returns {boolean} `true` if the column has values and they all pass.
+ */
+function allFilled(values, test) {
+  const filled = values.filter(value => String(value ?? '').trim() !== '');
+  return filled.length > 0 && filled.every(test);
+}
+
+/**
+ * Detects the columns, date format and amount convention of a statement.
+ *
+ * Columns are found by their header name first. Columns that are still missing, or every column of a file with no
+ * header row, are found from their values: the first column of dates, the first column of amounts, and the column
+ * with the longest text as the description.
+ *
+ * The `cardholder`, `department` and `memo` columns of card and expense exports are only found by their header.
+ *
+ * @param {Array<Array<string>>} rows - The rows of the file.
+ * @returns {Object} The mapping: the index of the `date`, `description`, `amount`, `debit`, `credit`, `currency`,
+ *   `cardholder`, `department` and `memo` columns (null when absent), `hasHeader`, `dateFormat`,
+ *   `dateFormatAmbiguous`, `amountConvention` and `decimalSeparator`.
+ */
+export function detectMapping(rows) {
+  const [first = []] = rows;
+  const hasHeader = !first.some(cell => detectDateFormat([cell]).format || parseAmount(cell) !== null);
+  const body = hasHeader ? rows.slice(1) : rows;
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const column = index => body.map(row => row[index]);
+
+  const mapping = {
+    date: null,
+    description: null,
+    amount: null,
+    debit: null,
+    credit: null,
+    currency: null,
+    cardholder: null,
+    department: null,
+    memo: null,
+  };
+  const taken = new Set();
+  const assign = (field, index) => {
+    mapping[field] = index;
+    taken.add(index);
+  };
+
+  if (hasHeader) {
+    COLUMN_HEADERS.forEach(([field, pattern]) => {
+      const index = first.findIndex((header, i) => !taken.has(i) && pattern.test(header.trim()));
+      if (index !== -1) assign(field, index);
+    });
+  }
+
+  const free = Array.from({ length: width }, (_, i) => i).filter(i => !taken.has(i));
+  if (mapping.date === null) {
+    const index = free.find(i => detectDateFormat(column(i)).format);
+    if (index !== undefined) assign('date', index);
+  }
+  if (mapping.amount === null && mapping.debit === null && mapping.credit === null) {
+    const index = free.find(i => !taken.has(i) && allFilled(column(i), value => parseAmount(value) !== null));
+    if (index !== undefined) assign('amount', index);
+  }
+  if (mapping.description === null) {
+    const textLength = i => column(i).reduce((sum, value) => sum + String(value ?? '').trim().length, 0);
+    const index = free.filter(i => !taken.has(i)).sort((a, b) => textLength(b) - textLength(a))[0];
+    if (index !== undefined) assign('description', index);
+  }
+
+  const amountColumns = [mapping.amount, mapping.debit, mapping.credit].filter(index => index !== null);
+  const decimalSeparator = detectDecimalSeparator(amountColumns.flatMap(column));
+  const { format: dateFormat, ambiguous: dateFormatAmbiguous } = mapping.date === null
+    ? { format: null, ambiguous: false }
+    : detectDateFormat(column(mapping.date));
+
+  let amountConvention = AMOUNT_CONVENTIONS.SPLIT;
+  if (mapping.amount !== null) {
+    const amounts = column(mapping.amount).map(value => parseAmount(value, decimalSeparator)).filter(Boolean);
+    const negatives = amounts.filter(amount => amount < 0).length;
+    amountConvention = negatives > amounts.length / 2
+      ? AMOUNT_CONVENTIONS.DEBIT_NEGATIVE
+      : AMOUNT_CONVENTIONS.DEBIT_POSITIVE;
+  }
+
+  return { ...mapping, hasHeader, dateFormat, dateFormatAmbiguous, amountConvention, decimalSeparator };
+}
+
+/**
+ * Reads the amount of a row, signed like Plaid amounts: positive for money out, negative for money in.
+ * @param {Array<string>} row - The row.
+ * @param {Object} mapping - The mapping.
+ * @returns {(number|null)} The amount, or null if the row has none.
+ */
+function readAmount(row, mapping) {
+  const read = index => (index === null || index === undefined
+    ? null
+    : parseAmount(row[index], mapping.decimalSeparator));
+
+  if (mapping.amountConvention === AMOUNT_CONVENTIONS.SPLIT) {
+    const debit = read(mapping.debit);
+    const credit = read(mapping.credit);
+    if (debit) return Math.abs(debit);
+    if (credit) return -Math.abs(credit);
+    return null;
+  }
+
+  const amount = read(mapping.amount);
+  if (amount === null) return null;
+  return mapping.amountConvention === AMOUNT_CONVENTIONS.DEBIT_NEGATIVE ? -amount : amount;
+}
+
+/**
+ * Parses a CSV statement.
+ * @param {string} content - The file content.
+ * @param {object} [options={}] - Parsing options.
+ * @param {Object} [options.mapping] - Overrides of the detected mapping (see `detectMapping`).
+ * @param {string} [options.currency=DEFAULT_CURRENCY] - The currency of amounts, for files with no currency column.
+ * @returns {{transactions: Array<Object>, skipped: Array<{row: number, reason: string}>, columns: Array<string>,
+ *   mapping: Object, problem: (string|undefined)}} The transactions, the rows that could not be read, the column
+ *   names and the mapping used. When the columns or the date format cannot be detected, there are no transactions
+ *   and `problem` says what the user must choose.
+ * @throws {Error} If the file has no rows.
+ */
+function parse(content, options = {}) {
+  const rows = parseCsv(content, detectDelimiter(content) || ',');
+  if (rows.length === 0) {
+    throw new Error('The file has no rows');
+  }
+
+  const mapping = { ...detectMapping(rows), ...options.mapping };
+  const width = Math.max(...rows.map(row => row.length));
+  const columns = mapping.hasHeader
+    ? Array.from({ length: width }, (_, i) => (rows[0][i] || '').trim() || `Column ${i + 1}`)
+    : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+
+  const hasAmount = mapping.amountConvention === AMOUNT_CONVENTIONS.SPLIT
+    ? mapping.debit !== null || mapping.credit !== null
+    : mapping.amount !== null;
+  const unread = problem => ({ transactions: [], skipped: [], columns, mapping, problem });
+  if (mapping.date === null || mapping.description === null || !hasAmount) {
+    return unread('Choose the date, description and amount columns');
+  }
+  if (!DATE_FORMATS.includes(mapping.dateFormat)) {
+    return unread('The date format could not be detected; choose it');
+  }
+
+  const transactions = [];
+  const skipped = [];
+  (mapping.hasHeader ? rows.slice(1) : rows).forEach((row, i) => {
+    const date = parseDate(row[mapping.date], mapping.dateFormat);
+    const amount = readAmount(row, mapping);
+    const text = field => (mapping[field] === null || mapping[field] === undefined
+      ? ''
+      : (row[mapping[field]] || '').trim());
+    const description = text('description');
+    const currency = text('currency').toUpperCase();
+
+    if (!date) {
+      skipped.push({ row: i + 1, reason: 'Invalid date' });
+    } else if (!amount) {
+      skipped.push({ row: i + 1, reason: 'Missing amount' });
+    } else {
+      transactions.push({
+        transaction_id: null,
+        date,
+        name: description,
+        merchant_name: description || 'Unknown',
+        amount,
+        iso_currency_code: /^[A-Z]{3}$/.test(currency) ? currency : options.currency || DEFAULT_CURRENCY,
+        cardholder: text('cardholder') || null,
+        department: text('department') || null,
+        memo: text('memo') || null,
+      });
+    }
+  });
+
+  return { transactions, skipped, columns, mapping };
+}
+
+/**
+ * The CSV parser. CSV is the fallback format: it accepts any file with a delimited first line.
+ * @type {{format: string, label: string, detect: Function, parse: Function}}
+ */
+export default {
+  format: 'csv',
+  label: 'CSV',
+  detect: (content, filename = '') => /\.(csv|tsv|txt)$/i.test(filename) || detectDelimiter(content) !== null,
+  parse,
+};
@@ -0,0 +1,98 @@
+// lib/imports/csv.test.js
+import fs from 'fs';
+import path from 'path';
+import csv, { parseCsv, detectDelimiter, detectMapping, AMOUNT_CONVENTIONS } from './csv';
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'checking.csv'), 'utf8');
+
+describe('parseCsv', () => {
+  it('should read quoted fields with delimiters, doubled quotes and line breaks', () => {
+    const rows = parseCsv('date,description,amount\r\n2024-03-01,"Acme, ""Inc.""\nwire",-10\r\n\r\n');
+
+    expect(rows).toEqual([
+      ['date', 'description', 'amount'],
+      ['2024-03-01', 'Acme, "Inc."\nwire', '-10'],
+    ]);
+  });
+
+  it('should detect the delimiter from the first line', () => {
+    expect(detectDelimiter('Datum;Omschrijving;Bedrag\n01.03.2024;"Slack; Inc";-8,75')).toBe(';');
+    expect(detectDelimiter('date\tamount\n')).toBe('\t');
+    expect(detectDelimiter('no delimiter here')).toBeNull();
+  });
+});
+
+describe('detectMapping', () => {
+  it('should find the columns of a file with no header row from their values', () => {
+    const rows = parseCsv('Slack,2024-03-01,-87.50\nZoom Video Communications,2024-03-04,-149.90');
+
+    expect(detectMapping(rows)).toMatchObject({
+      hasHeader: false,
+      date: 1,
+      amount: 2,
+      description: 0,
+      dateFormat: 'YYYY-MM-DD',
+      amountConvention: AMOUNT_CONVENTIONS.DEBIT_NEGATIVE,
+    });
+  });
+
+  it('should detect separate debit and credit columns', () => {
+    const rows = parseCsv('Date,Details,Money Out,Money In\n01/03/2024,Slack,87.50,\n15/03/2024,Client,,4200.00');
+
+    expect(detectMapping(rows)).toMatchObject({
+      description: 1,
+      debit: 2,
+      credit: 3,
+      amount: null,
+      dateFormat: 'DD/MM/YYYY',
+      amountConvention: AMOUNT_CONVENTIONS.SPLIT,
+    });
+  });
+});
+
+describe('csv parser', () => {
+  it('should parse a bank export, signing amounts like Plaid', () => {
+    const { transactions, skipped, columns, mapping } = csv.parse(fixture);
+
+    expect(columns).toEqual(['Posting Date', 'Description', 'Amount', 'Balance']);
+    expect(mapping).toMatchObject({ date: 0, description: 1, amount: 2, dateFormat: 'MM/DD/YYYY' });
+    expect(transactions.map(tx => [tx.date, tx.merchant_name, tx.amount])).toEqual([
+      ['2024-03-01', 'SLACK TECHNOLOGIES, INC.', 87.5],
+      ['2024-03-04', 'ZOOM.US 888-799-9666', 149.9],
+      ['2024-03-15', 'Client payment - ACME Corp', -4200],
+      ['2024-03-18', 'ZOOM.US 888-799-9666 REFUND', -149.9],
+      ['2024-04-01', 'SLACK TECHNOLOGIES, INC.', 87.5],
+    ]);
+    expect(transactions[0]).toMatchObject({ transaction_id: null, iso_currency_code: 'USD' });
+    expect(skipped).toEqual([{ row: 6, reason: 'Invalid date' }]);
+  });
+
+  it('should apply the mapping chosen by the user', () => {
+    const content = 'Buchungstag;Verwendungszweck;Betrag;Waehrung\n01.03.2024;Slack;-8,75;EUR\n02.03.2024;Figma;12,00;EUR';
+
+    const { transactions } = csv.parse(content, {
+      mapping: { description: 1, amount: 2, currency: 3, amountConvention: AMOUNT_CONVENTIONS.DEBIT_POSITIVE },
+    });
+
+    expect(transactions.map(tx => [tx.date, tx.merchant_name, tx.amount, tx.iso_currency_code])).toEqual([
+      ['2024-03-01', 'Slack', -8.75, 'EUR'],
+      ['2024-03-02', 'Figma', 12, 'EUR'],
+    ]);
+  });
+
+  it('should read the cardholder, department and memo columns of card exports', () => {
+    const content = 'Date,Merchant,Amount,Employee,Cost Center,Notes\n2024-03-01,Slack,87.50,Ana Silva,Sales,Workspace';
+
+    const { transactions } = csv.parse(content);
+
+    expect(transactions[0]).toMatchObject({ cardholder: 'Ana Silva', department: 'Sales', memo: 'Workspace' });
+  });
+
+  it('should say what to choose when the columns cannot be detected', () => {
+    const result = csv.parse('Col A,Col B\nfoo,bar');
+
+    expect(result.transactions).toEqual([]);
+    expect(result.columns).toEqual(['Col A', 'Col B']);
+    expect(result.problem).toBe('Choose the date, description and amount columns');
+  });
+});
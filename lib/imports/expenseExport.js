@@ -0,0 +1,117 @@
+/**
+ * @fileoverview The shared parser of corporate card and expense platform exports.
+ *
+ * These exports are CSV files whose columns each platform names its own way, and which carry who spent the money:
+ * the cardholder or employee, their department, and a memo. A platform is described by its column names and the
+ * columns that identify its exports; reading the rows is left to the CSV parser, so dates, amounts and currencies
+ * are read the same way as in any other CSV statement.
+ */
+
+import csv, { parseCsv, detectDelimiter, AMOUNT_CONVENTIONS } from './csv.js';
+
+/**
+ * The columns a platform export must have.
+ * @type {Array<string>}
+ */
+const REQUIRED_COLUMNS = ['date', 'description', 'amount'];
+
+/**
+ * Normalizes a header for comparison.
+ * @param {string} header - The header.
+ * @returns {string} The header, trimmed and lower-cased.
+ */
+function normalizeHeader(header) {
+  return String(header ?? '').trim().toLowerCase();
+}
+
+/**
+ * Reads the header row of a file.
+ * @param {string} content - The file content.
+ * @returns {{rows: Array<Array<string>>, headers: Array<string>}} The rows and the normalized headers.
+ */
+function readRows(content) {
+  const rows = parseCsv(content, detectDelimiter(content) || ',');
+  return { rows, headers: (rows[0] || []).map(normalizeHeader) };
+}
+
+/**
+ * Reads the last four digits of the card a statement was charged to.
+ * @param {Array<Array<string>>} rows - The rows of the file, without the header row.
+ * @param {(number|null)} index - The index of the card column.
+ * @returns {(string|null)} The last four digits, or null if the rows name no card or several cards.
+ */
+function readMask(rows, index) {
+  if (index === null) return null;
+  const masks = new Set(rows
+    .map(row => (row[index] || '').replace(/\D/g, '').slice(-4))
+    .filter(Boolean));
+  return masks.size === 1 ? [...masks][0] : null;
+}
+
+/**
+ * Creates the parser of a platform's exports.
+ * @param {object} platform - The platform.
+ * @param {string} platform.format - The format, e.g. 'ramp'.
+ * @param {string} platform.label - The name shown to users.
+ * @param {string} platform.institution - The institution name of the imported account.
+ * @param {string} [platform.type='credit'] - The account type of the imported account.
+ * @param {Array<string>} platform.signature - The headers, all present in every export of the platform, that tell
+ *   its exports apart from other CSV files.
+ * @param {Object<string, Array<string>>} platform.columns - The headers of each column, by field: `date`,
+ *   `description` and `amount`, and optionally `currency`, `cardholder`, `department`, `memo` and `card` (the card
+ *   number or its last digits).
+ * @param {string} [platform.amountConvention=AMOUNT_CONVENTIONS.DEBIT_POSITIVE] - How the exports sign amounts.
+ * @returns {{format: string, label: string, detect: Function, parse: Function}} The parser.
+ */
+export function createExpenseParser({
+  format,
+  label,
+  institution,
+  type = 'credit',
+  signature,
+  columns,
+  amountConvention = AMOUNT_CONVENTIONS.DEBIT_POSITIVE,
+}) {
+  const expected = signature.map(normalizeHeader);
+
+  /**
+   * Recognizes the platform's exports by their header row.
+   * @param {string} content - The file content.
+   * @returns {boolean} `true` if the file has every header of the signature.
+   */
+  const detect = content => {
+    const { headers } = readRows(content.split(/\r?\n/).find(line => line.trim() !== '') || '');
+    return expected.every(header => headers.includes(header));
+  };
+
+  /**
+   * Parses an export of the platform.
+   * @param {string} content - The file content.
+   * @param {object} [options={}] - Parsing options, as for the CSV parser.
+   * @returns {Object} The result of the CSV parser, with the `account` of the export.
+   * @throws {Error} If the file does not have the platform's columns.
+   */
+  const parse = (content, options = {}) => {
+    const { rows, headers } = readRows(content);
+    const mapping = {};
+    Object.entries(columns).forEach(([field, names]) => {
+      const index = headers.findIndex(header => names.some(name => normalizeHeader(name) === header));
+      mapping[field] = index === -1 ? null : index;
+    });
+    if (REQUIRED_COLUMNS.some(field => mapping[field] === null)) {
+      throw new Error(`The file is not a ${label} export`);
+    }
+
+    const { card = null, ...mapped } = mapping;
+    const result = csv.parse(content, {
+      ...options,
+      mapping: { ...mapped, hasHeader: true, amountConvention, ...options.mapping },
+    });
+    return {
+      ...result,
+      account: { institution_name: institution, mask: readMask(rows.slice(1), card), type },
+    };
+  };
+
+  return { format, label, detect, parse };
+}
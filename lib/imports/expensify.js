@@ -0,0 +1,23 @@
+/**
+ * @fileoverview The parser of Expensify expense exports. Expenses are filed by employees, with or without a
+ * company card, so the imported account is not a card.
+ */
+
+import { createExpenseParser } from './expenseExport.js';
+
+export default createExpenseParser({
+  format: 'expensify',
+  label: 'Expensify',
+  institution: 'Expensify',
+  type: 'other',
+  signature: ['Timestamp', 'Merchant', 'Reimbursable'],
+  columns: {
+    date: ['Timestamp'],
+    description: ['Merchant'],
+    amount: ['Amount'],
+    currency: ['Currency'],
+    cardholder: ['Submitter', 'Employee', 'Email'],
+    department: ['Department', 'Tag'],
+    memo: ['Comment'],
+  },
+});
@@ -0,0 +1,29 @@
+// lib/imports/expensify.test.js
+import fs from 'fs';
+import path from 'path';
+import expensify from './expensify';
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'expensify.csv'), 'utf8');
+
+describe('expensify parser', () => {
+  it('should parse an Expensify export, with the submitter, tag and comment of each expense', () => {
+    const { transactions, account } = expensify.parse(fixture);
+
+    expect(transactions.map(tx => [tx.date, tx.merchant_name, tx.amount])).toEqual([
+      ['2024-01-15', 'Loom', 15],
+      ['2024-02-15', 'Loom', 15],
+      ['2024-02-21', 'Uber', 32.75],
+      ['2024-03-15', 'Loom', 15],
+    ]);
+    expect(transactions[0]).toMatchObject({
+      cardholder: 'amy@example.com',
+      department: 'Marketing',
+      memo: 'Screen recordings',
+    });
+    expect(account).toEqual({ institution_name: 'Expensify', mask: null, type: 'other' });
+  });
+
+  it('should recognize Expensify exports by their headers', () => {
+    expect(expensify.detect(fixture, 'export.csv')).toBe(true);
+  });
+});
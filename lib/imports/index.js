@@ -0,0 +1,65 @@
+/**
+ * @fileoverview The registry of statement parsers, for the transactions of accounts that are not linked through
+ * Plaid.
+ *
+ * Every parser is a module exporting an object with a `format`, a `label`, a `detect(content, filename)` function
+ * that recognizes its files, and a `parse(content, options)` function that returns the statement's `transactions`
+ * (signed like Plaid's: positive for money out), the rows it `skipped`, and, depending on the format, the `columns`
+ * and `mapping` it used, what it knows of the `account`, and a `problem` when the user must choose a column or
+ * convention it could not detect. To add a format, create a module in this directory and list it below; corporate
+ * card and expense platform exports are described with `createExpenseParser` (see `expenseExport.js`).
+ */
+
+import ofx from './ofx.js';
+import qif from './qif.js';
+import ramp from './ramp.js';
+import brex from './brex.js';
+import expensify from './expensify.js';
+import amex from './amex.js';
+import csv from './csv.js';
+
+/**
+ * The parsers, in detection order. Platform exports are recognized by their headers before the generic CSV parser,
+ * which comes last, as it accepts any delimited file.
+ * @type {Array<{format: string, label: string, detect: Function, parse: Function}>}
+ */
+export const PARSERS = [ofx, qif, ramp, brex, expensify, amex, csv];
+
+/**
+ * Looks up a registered parser by its format.
+ * @param {string} format - The format, e.g. 'csv'.
+ * @returns {(Object|undefined)} The parser, or undefined if no parser reads that format.
+ */
+export function getParser(format) {
+  return PARSERS.find(parser => parser.format === format);
+}
+
+/**
+ * Detects the format of a statement.
+ * @param {string} content - The file content.
+ * @param {string} [filename] - The file name.
+ * @returns {(string|null)} The format, or null if no parser recognizes the file.
+ */
+export function detectFormat(content, filename) {
+  return PARSERS.find(parser => parser.detect(content, filename))?.format || null;
+}
+
+/**
+ * Parses a statement.
+ * @param {string} content - The file content.
+ * @param {object} [options={}] - Parsing options, passed on to the parser.
+ * @param {string} [options.format] - The format; detected from the content and file name if omitted.
+ * @param {string} [options.filename] - The file name.
+ * @param {Object} [options.mapping] - Overrides of the detected columns and conventions.
+ * @param {string} [options.currency] - The currency of amounts, for statements that do not state it.
+ * @returns {Object} The `format` and the result of the parser.
+ * @throws {Error} If the format is not supported, or the parser cannot read the file.
+ */
+export function parseStatement(content, options = {}) {
+  const format = options.format || detectFormat(content, options.filename);
+  const parser = getParser(format);
+  if (!parser) {
+    throw new Error('Unsupported statement format');
+  }
+  return { format, ...parser.parse(content, options) };
+}
@@ -0,0 +1,25 @@
+// lib/imports/index.test.js
+import fs from 'fs';
+import path from 'path';
+import { detectFormat, parseStatement } from './index';
+
+const read = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('statement parsers', () => {
+  it('should detect the format of each fixture from its content', () => {
+    expect(detectFormat(read('card.ofx'), 'download')).toBe('ofx');
+    expect(detectFormat(read('savings.qif'), 'download')).toBe('qif');
+    expect(detectFormat(read('checking.csv'), 'download')).toBe('csv');
+    expect(detectFormat(read('ramp.csv'), 'download')).toBe('ramp');
+    expect(detectFormat(read('brex.csv'), 'download')).toBe('brex');
+    expect(detectFormat(read('expensify.csv'), 'download')).toBe('expensify');
+    expect(detectFormat(read('amex.csv'), 'download')).toBe('amex');
+    expect(detectFormat('nothing to read', 'notes')).toBeNull();
+  });
+
+  it('should parse a statement with the detected or requested parser', () => {
+    expect(parseStatement(read('card.ofx'), { filename: 'card.ofx' })).toMatchObject({ format: 'ofx' });
+    expect(parseStatement(read('checking.csv'), { format: 'csv' }).transactions).toHaveLength(5);
+    expect(() => parseStatement('nothing to read')).toThrow('Unsupported statement format');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview The OFX statement parser, for OFX 1.x (SGML, where elements are often left unclosed) and OFX 2.x
+ * (XML) files, including Quicken's QFX variant.
+ *
+ * OFX amounts are signed from the account holder's side: money out, including card charges, is negative. Every
+ * transaction has a `FITID` that the institution keeps stable across downloads, so statements that overlap can be
+ * imported without duplicating transactions.
+ */
+
+import { DEFAULT_CURRENCY } from '../cost_normalization.js';
+import { parseDate, parseAmount } from './values.js';
+
+/**
+ * Reads the value of the first element with a given tag, closed or not.
+ * @param {string} block - The OFX markup to search.
+ * @param {string} tag - The element tag, e.g. 'TRNAMT'.
+ * @returns {(string|null)} The decoded value, or null if the element is absent or empty.
+ */
+function element(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  const value = match && match[1].trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+  return value || null;
+}
+
+/**
+ * Parses an OFX statement.
+ * @param {string} content - The file content.
+ * @returns {{transactions: Array<Object>, skipped: Array<{row: number, reason: string}>, account: Object}} The
+ *   transactions, the transactions that could not be read, and the account of the statement.
+ * @throws {Error} If the file has no statement transactions.
+ */
+function parse(content) {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  if (blocks.length === 0) {
+    throw new Error('The file has no OFX statement transactions');
+  }
+
+  const currency = (element(content, 'CURDEF') || DEFAULT_CURRENCY).toUpperCase();
+  const accountNumber = element(content, 'ACCTID');
+  const account = {
+    institution_name: element(content, 'ORG'),
+    mask: accountNumber ? accountNumber.slice(-4) : null,
+    type: /<CCSTMTRS>/i.test(content) ? 'credit' : 'depository',
+  };
+
+  const transactions = [];
+  const skipped = [];
+  blocks.forEach((block, i) => {
+    const date = parseDate(element(block, 'DTPOSTED'), 'YYYYMMDD');
+    const written = element(block, 'TRNAMT');
+    const amount = parseAmount(written, /,\d{1,2}$/.test(written || '') ? ',' : '.');
+    const description = element(block, 'NAME') || element(block, 'PAYEE') || element(block, 'MEMO') || '';
+
+    if (!date) {
+      skipped.push({ row: i + 1, reason: 'Invalid date' });
+    } else if (!amount) {
+      skipped.push({ row: i + 1, reason: 'Missing amount' });
+    } else {
+      transactions.push({
+        transaction_id: element(block, 'FITID'),
+        date,
+        name: description,
+        merchant_name: description || 'Unknown',
+        amount: -amount,
+        iso_currency_code: currency,
+      });
+    }
+  });
+
+  return { transactions, skipped, account };
+}
+
+/**
+ * The OFX parser.
+ * @type {{format: string, label: string, detect: Function, parse: Function}}
+ */
+export default {
+  format: 'ofx',
+  label: 'OFX / QFX',
+  detect: (content, filename = '') => /\.(ofx|qfx)$/i.test(filename) || /OFXHEADER|<OFX>/i.test(content.slice(0, 1000)),
+  parse,
+};
@@ -0,0 +1,52 @@
+// lib/imports/ofx.test.js
+import fs from 'fs';
+import path from 'path';
+import ofx from './ofx';
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'card.ofx'), 'utf8');
+
+describe('ofx parser', () => {
+  it('should parse an OFX 1.x card statement, signing amounts like Plaid', () => {
+    const { transactions, skipped, account } = ofx.parse(fixture);
+
+    expect(transactions).toEqual([
+      {
+        transaction_id: '2024030200001',
+        date: '2024-03-02',
+        name: 'NOTION LABS',
+        merchant_name: 'NOTION LABS',
+        amount: 52,
+        iso_currency_code: 'USD',
+      },
+      expect.objectContaining({ transaction_id: '2024031000002', merchant_name: 'FIGMA & CO', amount: 29.99 }),
+      expect.objectContaining({ transaction_id: '2024032000003', amount: -500 }),
+    ]);
+    expect(skipped).toEqual([]);
+    expect(account).toEqual({ institution_name: 'Regional Card Co', mask: '9876', type: 'credit' });
+  });
+
+  it('should parse OFX 2.x statements with closed elements', () => {
+    const content = `<?xml version="1.0"?><?OFX OFXHEADER="200"?><OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+      <CURDEF>EUR</CURDEF><BANKACCTFROM><ACCTID>NL91ABNA0417164300</ACCTID></BANKACCTFROM><BANKTRANLIST>
+      <STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240305</DTPOSTED><TRNAMT>-8,75</TRNAMT><FITID>A1</FITID>
+      <NAME>Slack</NAME></STMTTRN>
+      </BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+    const { transactions, account } = ofx.parse(content);
+
+    expect(transactions).toEqual([expect.objectContaining({
+      transaction_id: 'A1', date: '2024-03-05', merchant_name: 'Slack', amount: 8.75, iso_currency_code: 'EUR',
+    })]);
+    expect(account).toMatchObject({ mask: '4300', type: 'depository' });
+  });
+
+  it('should recognize OFX and QFX files', () => {
+    expect(ofx.detect(fixture, 'statement.txt')).toBe(true);
+    expect(ofx.detect('', 'march.qfx')).toBe(true);
+    expect(ofx.detect('date,amount', 'march.csv')).toBe(false);
+  });
+
+  it('should reject files with no transactions', () => {
+    expect(() => ofx.parse('<OFX></OFX>')).toThrow('The file has no OFX statement transactions');
+  });
+});
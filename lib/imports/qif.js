@@ -0,0 +1,124 @@
+/**
+ * @fileoverview The QIF statement parser.
+ *
+ * A QIF file is a list of records of one-letter fields ('D' date, 'T' amount, 'P' payee, 'M' memo) ended by a '^'
+ * line, after a '!Type:' header. QIF amounts are signed from the account holder's side: money out, including card
+ * charges, is negative. QIF has no standard date format ('01/31/2024', "1/31'24", '31/01/2024' are all common), so
+ * it is detected from every date in the file and can be overridden like the date format of a CSV file.
+ */
+
+import { DEFAULT_CURRENCY } from '../cost_normalization.js';
+import { DATE_FORMATS, parseDate, detectDateFormat, parseAmount, detectDecimalSeparator } from './values.js';
+
+/**
+ * QIF account types that are cards.
+ * @type {Array<string>}
+ */
+const CARD_TYPES = ['ccard', 'oth l'];
+
+/**
+ * Splits a QIF file into its transaction records, skipping the account and option sections some exports add.
+ * @param {string} content - The file content.
+ * @returns {Array<Object<string, string>>} The records, as field values by field letter.
+ */
+function readRecords(content) {
+  const records = [];
+  let record = {};
+  let transactionSection = true;
+  content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    if (line.startsWith('!')) {
+      transactionSection = /^!Type:/i.test(line);
+      return;
+    }
+    if (!transactionSection) return;
+    if (line.trim() === '^') {
+      if (Object.keys(record).length > 0) records.push(record);
+      record = {};
+    } else if (line.trim() !== '') {
+      const field = line[0].toUpperCase();
+      if (!(field in record)) record[field] = line.slice(1).trim();
+    }
+  });
+  if (Object.keys(record).length > 0) records.push(record);
+  return records;
+}
+
+/**
+ * Rewrites Quicken's dates ("1/31'24", ' 1/ 5/24') with plain separators.
+ * @param {string} value - The date as written in the file.
+ * @returns {string} The date.
+ */
+function normalizeDate(value) {
+  return (value || '').replace(/\s+/g, '').replace(/'/g, '/');
+}
+
+/**
+ * Parses a QIF statement.
+ * @param {string} content - The file content.
+ * @param {object} [options={}] - Parsing options.
+ * @param {Object} [options.mapping] - Overrides of the detected `dateFormat` and `decimalSeparator`.
+ * @param {string} [options.currency=DEFAULT_CURRENCY] - The currency of amounts; QIF files do not state it.
+ * @returns {{transactions: Array<Object>, skipped: Array<{row: number, reason: string}>, mapping: Object,
+ *   account: Object, problem: (string|undefined)}} The transactions, the records that could not be read, the mapping
+ *   used and the account. When the date format cannot be detected, there are no transactions and `problem` asks
+ *   the user to choose it.
+ * @throws {Error} If the file has no records.
+ */
+function parse(content, options = {}) {
+  const records = readRecords(content);
+  if (records.length === 0) {
+    throw new Error('The file has no QIF transactions');
+  }
+
+  const { format: dateFormat, ambiguous: dateFormatAmbiguous } = detectDateFormat(
+    records.map(record => normalizeDate(record.D))
+  );
+  const mapping = {
+    dateFormat,
+    dateFormatAmbiguous,
+    decimalSeparator: detectDecimalSeparator(records.map(record => record.T || record.U)),
+    ...options.mapping,
+  };
+  const type = (content.match(/^!Type:(.*)$/im)?.[1] || '').trim().toLowerCase();
+  const account = { institution_name: null, mask: null, type: CARD_TYPES.includes(type) ? 'credit' : 'depository' };
+  if (!DATE_FORMATS.includes(mapping.dateFormat)) {
+    const problem = 'The date format could not be detected; choose it';
+    return { transactions: [], skipped: [], mapping, account, problem };
+  }
+
+  const transactions = [];
+  const skipped = [];
+  records.forEach((record, i) => {
+    const date = parseDate(normalizeDate(record.D), mapping.dateFormat);
+    const amount = parseAmount(record.T || record.U, mapping.decimalSeparator);
+    const description = record.P || record.M || '';
+
+    if (!date) {
+      skipped.push({ row: i + 1, reason: 'Invalid date' });
+    } else if (!amount) {
+      skipped.push({ row: i + 1, reason: 'Missing amount' });
+    } else {
+      transactions.push({
+        transaction_id: null,
+        date,
+        name: description,
+        merchant_name: description || 'Unknown',
+        amount: -amount,
+        iso_currency_code: options.currency || DEFAULT_CURRENCY,
+      });
+    }
+  });
+
+  return { transactions, skipped, mapping, account };
+}
+
+/**
+ * The QIF parser.
+ * @type {{format: string, label: string, detect: Function, parse: Function}}
+ */
+export default {
+  format: 'qif',
+  label: 'QIF',
+  detect: (content, filename = '') => /\.qif$/i.test(filename) || /^\uFEFF?\s*!(Type:|Account|Option:)/i.test(content),
+  parse,
+};
@@ -0,0 +1,39 @@
+// lib/imports/qif.test.js
+import fs from 'fs';
+import path from 'path';
+import qif from './qif';
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'savings.qif'), 'utf8');
+
+describe('qif parser', () => {
+  it('should parse a QIF statement, signing amounts like Plaid', () => {
+    const { transactions, skipped, mapping, account } = qif.parse(fixture, { currency: 'EUR' });
+
+    expect(mapping).toMatchObject({ dateFormat: 'DD/MM/YYYY', dateFormatAmbiguous: false, decimalSeparator: ',' });
+    expect(transactions.map(tx => [tx.date, tx.merchant_name, tx.amount, tx.iso_currency_code])).toEqual([
+      ['2024-01-31', 'ADOBE SYSTEMS', 1234.5, 'EUR'],
+      ['2024-02-15', 'GITHUB', 20, 'EUR'],
+      ['2024-02-28', 'Transfer from checking', -3000, 'EUR'],
+    ]);
+    expect(skipped).toEqual([]);
+    expect(account.type).toBe('depository');
+  });
+
+  it('should use the date format chosen by the user', () => {
+    const content = '!Type:CCard\nD01/02/2024\nT-15.00\nPZoom\n^\nD03/04/2024\nT-15.00\nPZoom\n^\n';
+
+    const detected = qif.parse(content);
+    const chosen = qif.parse(content, { mapping: { dateFormat: 'DD/MM/YYYY' } });
+
+    expect(detected.mapping.dateFormatAmbiguous).toBe(true);
+    expect(detected.transactions.map(tx => tx.date)).toEqual(['2024-01-02', '2024-03-04']);
+    expect(chosen.transactions.map(tx => tx.date)).toEqual(['2024-02-01', '2024-04-03']);
+    expect(chosen.account.type).toBe('credit');
+  });
+
+  it('should recognize QIF files', () => {
+    expect(qif.detect(fixture, 'export.txt')).toBe(true);
+    expect(qif.detect('', 'export.QIF')).toBe(true);
+    expect(qif.detect('date,amount', 'export.csv')).toBe(false);
+  });
+});
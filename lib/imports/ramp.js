@@ -0,0 +1,22 @@
+/**
+ * @fileoverview The parser of Ramp card transaction exports.
+ */
+
+import { createExpenseParser } from './expenseExport.js';
+
+export default createExpenseParser({
+  format: 'ramp',
+  label: 'Ramp',
+  institution: 'Ramp',
+  signature: ['Merchant Name', 'User', 'Card Last 4'],
+  columns: {
+    date: ['Transaction Date', 'Date'],
+    description: ['Merchant Name'],
+    amount: ['Amount'],
+    currency: ['Currency'],
+    cardholder: ['User'],
+    department: ['Department'],
+    memo: ['Memo'],
+    card: ['Card Last 4'],
+  },
+});
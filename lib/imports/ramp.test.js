@@ -0,0 +1,35 @@
+// lib/imports/ramp.test.js
+import fs from 'fs';
+import path from 'path';
+import ramp from './ramp';
+import { detectRecurringCharges } from '../recurring_charges';
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'ramp.csv'), 'utf8');
+
+describe('ramp parser', () => {
+  it('should parse a Ramp export with its cardholders, departments and memos', () => {
+    const { transactions, skipped, account } = ramp.parse(fixture);
+
+    expect(transactions.map(tx => [tx.date, tx.merchant_name, tx.amount, tx.cardholder, tx.department, tx.memo])).toEqual([
+      ['2024-01-05', 'FIGMA', 45, 'Dana Reyes', 'Design', 'Team plan'],
+      ['2024-01-09', 'Blue Bottle Coffee', 18.4, 'Sam Okafor', 'Sales', null],
+      ['2024-02-05', 'FIGMA', 45, 'Dana Reyes', 'Design', 'Team plan'],
+      ['2024-03-05', 'FIGMA', 45, 'Dana Reyes', 'Design', 'Team plan'],
+      ['2024-03-11', 'Notion Labs', -10, 'Sam Okafor', 'Sales', 'Refund of duplicate seat'],
+    ]);
+    expect(skipped).toEqual([]);
+    expect(account).toEqual({ institution_name: 'Ramp', mask: null, type: 'credit' });
+  });
+
+  it('should attribute the recurring charges of the export to their cardholder', () => {
+    const [figma] = detectRecurringCharges(ramp.parse(fixture).transactions);
+
+    expect(figma.vendorName).toBe('Figma');
+    expect(figma.owners).toEqual([{ cardholder: 'Dana Reyes', department: 'Design', chargeCount: 3 }]);
+  });
+
+  it('should recognize Ramp exports by their headers', () => {
+    expect(ramp.detect(fixture, 'transactions.csv')).toBe(true);
+    expect(ramp.detect('Date,Description,Amount\n2024-03-01,Slack,-87.50', 'ramp.csv')).toBe(false);
+  });
+});
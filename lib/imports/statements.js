@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Storage of imported statements.
+ *
+ * An imported statement is stored like a linked Plaid account: the account in `accounts` (with no Plaid item) and
+ * its transactions in `transactions`, classified together with the audit's other transactions, so the analysis
+ * runs across linked and imported accounts together. Transaction IDs are derived from the statement's content, so
+ * importing the same statement again, or statements that overlap, does not duplicate transactions.
+ */
+
+import crypto from 'crypto';
+import supabase from '../services/supabase.js';
+import { classifyChanges } from '../plaid/transactionSync.js';
+
+/**
+ * Hashes the parts of an identifier.
+ * @param {...string} parts - The parts.
+ * @returns {string} A short hex digest.
+ */
+function digest(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 24);
+}
+
+/**
+ * Returns the account ID of an imported account. Statements imported under the same account name share it.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {string} accountName - The name the user gave the account.
+ * @returns {string} The account ID.
+ */
+export function importedAccountId(auditId, accountName) {
+  return `import_${digest(auditId, accountName.trim().toLowerCase())}`;
+}
+
+/**
+ * Gives each transaction of a statement a stable ID: from the statement's own ID when it has one (OFX `FITID`),
+ * otherwise from its date, amount and description, numbered to keep identical transactions of a statement apart.
+ * @param {Array<Object>} transactions - The parsed transactions.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {string} accountId - The account ID.
+ * @param {string} format - The statement format.
+ * @returns {Array<Object>} The transactions, with their `transaction_id`, `account_id` and `source`.
+ */
+function identify(transactions, auditId, accountId, format) {
+  const occurrences = new Map();
+  return transactions.map(tx => {
+    let key = tx.transaction_id;
+    if (!key) {
+      const content = [tx.date, tx.amount, tx.merchant_name, tx.iso_currency_code].join('|');
+      const occurrence = (occurrences.get(content) || 0) + 1;
+      occurrences.set(content, occurrence);
+      key = `${content}|${occurrence}`;
+    }
+    return {
+      ...tx,
+      transaction_id: `${format}_${digest(auditId, accountId, key)}`,
+      account_id: accountId,
+      source: format,
+    };
+  });
+}
+
+/**
+ * Stores the account and the transactions of a parsed statement.
+ * @param {object} statement - The statement.
+ * @param {string} statement.auditId - The unique identifier for the audit session.
+ * @param {string} statement.format - The statement format, e.g. 'csv'.
+ * @param {Object} statement.account - The account: its `name`, and the `institution_name`, `mask` and `type` known
+ *   from the statement.
+ * @param {Array<Object>} statement.transactions - The parsed transactions.
+ * @param {object} [deps={}] - Dependencies, for tests.
+ * @param {Object} [deps.db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<{accountId: string, transactionCount: number}>} The account ID and the number of transactions
+ *   stored.
+ */
+export async function importStatement({ auditId, format, account, transactions }, deps = {}) {
+  const { db = supabase } = deps;
+  const accountId = importedAccountId(auditId, account.name);
+
+  const { error: accountError } = await db.from('accounts').upsert({
+    audit_id: auditId,
+    item_id: null,
+    account_id: accountId,
+    institution_name: account.institution_name || null,
+    name: account.name,
+    official_name: null,
+    mask: account.mask || null,
+    type: account.type || 'depository',
+    subtype: null,
+  }, { onConflict: 'account_id' });
+  if (accountError) throw accountError;
+
+  const rows = await classifyChanges(db, auditId, identify(transactions, auditId, accountId, format), []);
+  if (rows.length > 0) {
+    const { error } = await db.from('transactions').upsert(rows, { onConflict: 'audit_id,transaction_id' });
+    if (error) throw error;
+  }
+
+  return { accountId, transactionCount: rows.length };
+}
@@ -0,0 +1,78 @@
+// lib/imports/statements.test.js
+import fs from 'fs';
+import path from 'path';
+import { importStatement, importedAccountId } from './statements';
+import { parseStatement } from './index';
+
+jest.mock('../services/plaid', () => ({}));
+jest.mock('../services/supabase', () => ({}));
+
+const AUDIT_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+/**
+ * An in-memory stand-in for the `accounts` and `transactions` tables, keyed on their conflict columns.
+ */
+function createDb() {
+  const tables = { accounts: new Map(), transactions: new Map() };
+  return {
+    tables,
+    from: table => ({
+      select: () => ({
+        eq: (column, value) => ({
+          order: () => ({
+            range: async (from, to) => ({
+              data: [...tables[table].values()].filter(row => row[column] === value).slice(from, to + 1),
+              error: null,
+            }),
+          }),
+        }),
+      }),
+      upsert: async (upserted, { onConflict }) => {
+        [].concat(upserted).forEach(row => tables[table].set(onConflict.split(',').map(column => row[column]).join('|'), { ...row }));
+        return { error: null };
+      },
+    }),
+  };
+}
+
+const statement = name => {
+  const content = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  const { format, transactions, account } = parseStatement(content, { filename: name });
+  return { auditId: AUDIT_ID, format, transactions, account: { ...account, name: 'Operating Checking' } };
+};
+
+describe('importStatement', () => {
+  it('should store the account and its classified transactions', async () => {
+    const db = createDb();
+
+    const result = await importStatement(statement('checking.csv'), { db });
+
+    const accountId = importedAccountId(AUDIT_ID, 'Operating Checking');
+    expect(result).toEqual({ accountId, transactionCount: 5 });
+    expect(db.tables.accounts.get(accountId)).toMatchObject({ audit_id: AUDIT_ID, item_id: null, name: 'Operating Checking' });
+
+    const rows = [...db.tables.transactions.values()];
+    expect(rows.every(row => row.account_id === accountId && row.source === 'csv' && row.amount > 0)).toBe(true);
+    const refund = rows.find(row => row.merchant_name.endsWith('REFUND'));
+    const zoom = rows.find(row => row.merchant_name === 'ZOOM.US 888-799-9666');
+    expect(refund).toMatchObject({ transaction_type: 'refund', refund_of: zoom.transaction_id });
+  });
+
+  it('should not duplicate transactions when a statement is imported again', async () => {
+    const db = createDb();
+
+    await importStatement(statement('checking.csv'), { db });
+    await importStatement(statement('checking.csv'), { db });
+
+    expect(db.tables.transactions.size).toBe(5);
+  });
+
+  it('should keep identical transactions of a statement apart', async () => {
+    const db = createDb();
+    const coffee = { transaction_id: null, date: '2024-03-01', merchant_name: 'Coffee', amount: 4.5, iso_currency_code: 'USD' };
+
+    await importStatement({ ...statement('checking.csv'), transactions: [coffee, { ...coffee }] }, { db });
+
+    expect(db.tables.transactions.size).toBe(2);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Parsing of the dates and amounts found in bank statements.
+ *
+ * Statements write dates and amounts in many ways ('03/01/2024', '01.03.2024', '20240301'; '1,234.56', '1.234,56',
+ * '(12.00)'). These helpers read them with an explicit convention, and detect the convention a statement uses from
+ * a sample of its values.
+ */
+
+/**
+ * The date formats statements can use. Two-digit years are read as 20xx.
+ * @type {Array<string>}
+ */
+export const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYYMMDD'];
+
+/**
+ * How each date format is matched, and the order of its year, month and day groups.
+ * @type {Object<string, {pattern: RegExp, order: Array<string>}>}
+ */
+const DATE_PATTERNS = {
+  'YYYY-MM-DD': { pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/, order: ['year', 'month', 'day'] },
+  'MM/DD/YYYY': { pattern: /^(\d{1,2})[/-](\d{1,2})[/-](\d{4}|\d{2})(?:$|\s)/, order: ['month', 'day', 'year'] },
+  'DD/MM/YYYY': { pattern: /^(\d{1,2})[/-](\d{1,2})[/-](\d{4}|\d{2})(?:$|\s)/, order: ['day', 'month', 'year'] },
+  'DD.MM.YYYY': { pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4}|\d{2})(?:$|\s)/, order: ['day', 'month', 'year'] },
+  'YYYYMMDD': { pattern: /^(\d{4})(\d{2})(\d{2})(?:$|[\d.[\s])/, order: ['year', 'month', 'day'] },
+};
+
+/**
+ * Reads a date written in a given format.
+ * @param {string} value - The date as written in the statement.
+ * @param {string} format - One of `DATE_FORMATS`.
+ * @returns {(string|null)} The date as 'YYYY-MM-DD', or null if the value is not a valid date in that format.
+ */
+export function parseDate(value, format) {
+  const { pattern, order } = DATE_PATTERNS[format] || {};
+  const match = pattern && String(value ?? '').trim().match(pattern);
+  if (!match) return null;
+
+  const parts = {};
+  order.forEach((part, i) => {
+    parts[part] = parseInt(match[i + 1], 10);
+  });
+  if (parts.year < 100) parts.year += 2000;
+
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Detects the date format of a column of dates.
+ *
+ * The format that reads the most values wins, as long as it reads at least half of them, so that a pending
+ * transaction or a totals row does not prevent detection. When the values read as well month-first as day-first
+ * (e.g. every day is 12 or less), month-first is chosen and the result is flagged as ambiguous, so the user can be
+ * asked to confirm it.
+ *
+ * @param {Array<string>} values - Dates as written in the statement.
+ * @returns {{format: (string|null), ambiguous: boolean}} The format, or null if no format reads half the values.
+ */
+export function detectDateFormat(values) {
+  const written = values.filter(value => String(value ?? '').trim() !== '');
+  const counts = DATE_FORMATS.map(format => written.filter(value => parseDate(value, format) !== null).length);
+  const best = Math.max(...counts);
+  const candidates = best > 0 && best >= written.length / 2
+    ? DATE_FORMATS.filter((format, i) => counts[i] === best)
+    : [];
+  return {
+    format: candidates[0] || null,
+    ambiguous: candidates.includes('MM/DD/YYYY') && candidates.includes('DD/MM/YYYY'),
+  };
+}
+
+/**
+ * Reads an amount.
+ *
+ * Currency symbols, ISO currency codes and spaces are ignored; any other letter means the value is not an amount.
+ * An amount is negative when it starts or ends with a minus sign or is written in parentheses.
+ *
+ * @param {string} value - The amount as written in the statement.
+ * @param {string} [decimalSeparator='.'] - '.' for '1,234.56', or ',' for '1.234,56'.
+ * @returns {(number|null)} The amount, rounded to the cent, or null if the value is not an amount.
+ */
+export function parseAmount(value, decimalSeparator = '.') {
+  const written = String(value ?? '').trim();
+  if (!/\d/.test(written) || /[a-z]/i.test(written.replace(/\b[A-Z]{3}\b/g, ''))) return null;
+
+  const negative = /^\(.*\)$/.test(written) || /^[^\d]*-/.test(written) || /-\s*$/.test(written);
+  const thousands = decimalSeparator === ',' ? /[.\s']/g : /[,\s']/g;
+  const digits = written
+    .replace(/[^\d.,\s']/g, '')
+    .replace(thousands, '')
+    .replace(decimalSeparator, '.');
+  if (!/^\d*\.?\d+$/.test(digits)) return null;
+
+  const amount = Math.round(parseFloat(digits) * 100) / 100;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Detects the decimal separator of a column of amounts.
+ * @param {Array<string>} values - Amounts as written in the statement.
+ * @returns {string} ',' if the amounts have decimal commas ('12,50', '1.234,56'), otherwise '.'.
+ */
+export function detectDecimalSeparator(values) {
+  const written = values.map(value => String(value ?? '').trim().replace(/[)\s-]+$/, ''));
+  const decimalComma = written.some(value => /\d,\d{1,2}$/.test(value));
+  const decimalPoint = written.some(value => /\d\.\d{1,2}$/.test(value));
+  return decimalComma && !decimalPoint ? ',' : '.';
+}
@@ -0,0 +1,65 @@
+// lib/imports/values.test.js
+import { parseDate, detectDateFormat, parseAmount, detectDecimalSeparator } from './values';
+
+describe('parseDate', () => {
+  it.each([
+    ['2024-03-01', 'YYYY-MM-DD', '2024-03-01'],
+    ['2024-03-01T09:30:00Z', 'YYYY-MM-DD', '2024-03-01'],
+    ['3/1/2024', 'MM/DD/YYYY', '2024-03-01'],
+    ['03/01/24', 'MM/DD/YYYY', '2024-03-01'],
+    ['01/03/2024', 'DD/MM/YYYY', '2024-03-01'],
+    ['01.03.2024', 'DD.MM.YYYY', '2024-03-01'],
+    ['20240301120000[-5:EST]', 'YYYYMMDD', '2024-03-01'],
+  ])('should read %s as %s', (value, format, expected) => {
+    expect(parseDate(value, format)).toBe(expected);
+  });
+
+  it('should reject values that are not valid dates in the format', () => {
+    expect(parseDate('02/30/2024', 'MM/DD/YYYY')).toBeNull();
+    expect(parseDate('13/01/2024', 'MM/DD/YYYY')).toBeNull();
+    expect(parseDate('pending', 'YYYY-MM-DD')).toBeNull();
+  });
+});
+
+describe('detectDateFormat', () => {
+  it('should detect the format that reads the dates', () => {
+    expect(detectDateFormat(['28/02/2024', '01/03/2024'])).toEqual({ format: 'DD/MM/YYYY', ambiguous: false });
+    expect(detectDateFormat(['2024-02-28', 'Total'])).toEqual({ format: 'YYYY-MM-DD', ambiguous: false });
+  });
+
+  it('should flag dates that read as month-first and day-first', () => {
+    expect(detectDateFormat(['01/02/2024', '03/04/2024'])).toEqual({ format: 'MM/DD/YYYY', ambiguous: true });
+  });
+
+  it('should not detect a format when most values are not dates', () => {
+    expect(detectDateFormat(['Slack', 'Zoom', '2024-01-01']).format).toBeNull();
+  });
+});
+
+describe('parseAmount', () => {
+  it.each([
+    ['-87.50', '.', -87.5],
+    ['$1,234.56', '.', 1234.56],
+    ['(12.00)', '.', -12],
+    ['12.00-', '.', -12],
+    ['USD 99', '.', 99],
+    ['-1.234,50', ',', -1234.5],
+    ['20,00 €', ',', 20],
+  ])('should read %s', (value, decimalSeparator, expected) => {
+    expect(parseAmount(value, decimalSeparator)).toBe(expected);
+  });
+
+  it('should reject values that are not amounts', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('Amount')).toBeNull();
+    expect(parseAmount('Invoice 2024')).toBeNull();
+  });
+});
+
+describe('detectDecimalSeparator', () => {
+  it('should detect decimal commas', () => {
+    expect(detectDecimalSeparator(['-1.234,50', '20,00'])).toBe(',');
+    expect(detectDecimalSeparator(['1,234.50', '-20.00'])).toBe('.');
+    expect(detectDecimalSeparator(['1,234', '20'])).toBe('.');
+  });
+});
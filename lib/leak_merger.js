@@ -0,0 +1,175 @@
+/**
+ * @fileoverview This module merges the leaks found by the rule engine with the leaks found by the AI analyzer.
+ *
+ * Both sources are run on every audit. Their leaks are deduplicated by canonical merchant, and the
+ * confidence of each merged leak is calibrated on whether the two sources agree. The provenance of every
+ * leak ('rule', 'ai' or 'both') is recorded in its `evidence` so the report can show how sure we are and why.
+ * A merchant flagged with several leak types keeps one leak, so that its cost is counted once; the other types are
+ * listed on it as secondary findings.
+ */
+
+import { resolveVendor } from './merchants/normalizer.js';
+import { formatMoney } from './cost_normalization.js';
+
+/**
+ * How much a leak found by only one source is trusted, relative to its own confidence score.
+ * @type {{rule: number, ai: number}}
+ */
+const SINGLE_SOURCE_WEIGHT = {
+  rule: 0.9,
+  ai: 0.85,
+};
+
+/**
+ * The highest confidence score a merged leak can reach.
+ * @type {number}
+ */
+const MAX_CONFIDENCE = 0.99;
+
+/**
+ * Returns the source of a leak.
+ * @param {Object} leak - A leak object.
+ * @returns {string} 'ai' for leaks from the AI analyzer, 'rule' for everything else.
+ */
+function sourceOf(leak) {
+  return leak.evidence?.ai_analysis ? 'ai' : 'rule';
+}
+
+/**
+ * Rounds a confidence score to the precision stored in `leaks.confidence_score`.
+ * @param {number} value - The confidence score.
+ * @returns {number} The rounded score.
+ */
+function roundConfidence(value) {
+  return parseFloat(Math.min(value, MAX_CONFIDENCE).toFixed(2));
+}
+
+/**
+ * Calibrates the confidence of a merged leak.
+ *
+ * A leak found by a single source is discounted by that source's weight. When both sources flag the merchant
+ * with the same leak type, their confidences are combined as independent signals (1 - (1 - a)(1 - b)); when
+ * they flag it with different types, the stronger signal is kept as is.
+ *
+ * @param {Object} primary - The leak kept for the merchant.
+ * @param {Array<Object>} group - Every leak found for the merchant.
+ * @returns {(number|undefined)} The calibrated confidence score.
+ */
+function calibrateConfidence(primary, group) {
+  const best = source => Math.max(
+    ...group
+      .filter(leak => sourceOf(leak) === source && leak.leak_type === primary.leak_type)
+      .map(leak => leak.confidence_score)
+      .filter(score => typeof score === 'number'),
+    -Infinity
+  );
+
+  const rule = best('rule');
+  const ai = best('ai');
+
+  if (rule > -Infinity && ai > -Infinity) {
+    return roundConfidence(1 - (1 - rule) * (1 - ai));
+  }
+  if (typeof primary.confidence_score !== 'number') {
+    return primary.confidence_score;
+  }
+
+  const sources = new Set(group.map(sourceOf));
+  if (sources.size > 1) {
+    return roundConfidence(primary.confidence_score);
+  }
+  return roundConfidence(primary.confidence_score * SINGLE_SOURCE_WEIGHT[sourceOf(primary)]);
+}
+
+/**
+ * Returns the strongest leak of every leak type of a merchant other than the type of the leak kept for it.
+ * @param {Object} primary - The leak kept for the merchant.
+ * @param {Array<Object>} group - Every leak found for the merchant.
+ * @returns {Array<Object>} The secondary leaks, the most confident first.
+ */
+function secondaryLeaks(primary, group) {
+  const byType = new Map();
+  group
+    .filter(leak => leak.leak_type !== primary.leak_type)
+    .forEach(leak => {
+      const best = byType.get(leak.leak_type);
+      if (!best || (leak.confidence_score ?? 0) > (best.confidence_score ?? 0)) byType.set(leak.leak_type, leak);
+    });
+  return [...byType.values()].sort((a, b) => (b.confidence_score ?? 0) - (a.confidence_score ?? 0));
+}
+
+/**
+ * Merges rule-based and AI-detected leaks into one leak per canonical merchant.
+ *
+ * For every merchant, the leak with the highest confidence is kept; the leaks it was merged with are listed in
+ * `evidence.sources`, and `evidence.provenance` records whether the rule engine, the AI, or both found it. When
+ * the AI found it, the leak keeps the `prompt_version` of the AI leak. A leak of a merchant the AI could not
+ * analyze keeps its rules-only confidence, and is marked `evidence.ai_unavailable`.
+ *
+ * The strongest leak of every other type found for the merchant (a price increase on a zombie subscription, say)
+ * is a secondary finding: it is listed in `evidence.secondary_leaks` with its own cost and description, and named
+ * at the end of the merged leak's description. Its cost is not added to the merged leak's, as acting on the
+ * merged leak usually removes it too.
+ *
+ * @param {Array<Object>} ruleLeaks - Leaks produced by the rule engine and other deterministic detectors.
+ * @param {Array<Object>} aiLeaks - Leaks produced by `analyzeWithAI`.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {object} [options={}] - Merge options.
+ * @param {Array<string>} [options.aiUnavailable=[]] - The merchants the AI could not analyze, as reported by
+ *   `analyzeWithAI` in `failedMerchants`.
+ * @returns {Array<Object>} The merged leaks, formatted for the database.
+ */
+export function mergeLeaks(ruleLeaks, aiLeaks, auditId, options = {}) {
+  const aiUnavailable = new Set((options.aiUnavailable || []).map(merchant => resolveVendor(merchant).key));
+  const groups = new Map();
+
+  [...ruleLeaks, ...aiLeaks].forEach(leak => {
+    const key = resolveVendor(leak.merchant_name).key;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(leak);
+  });
+
+  return [...groups.entries()].map(([key, group]) => {
+    const primary = group.reduce((best, leak) =>
+      (leak.confidence_score ?? 0) > (best.confidence_score ?? 0) ? leak : best
+    );
+    const sources = new Set(group.map(sourceOf));
+    const promptVersion = group.find(leak => leak.prompt_version)?.prompt_version;
+    const secondary = secondaryLeaks(primary, group);
+    const alsoFlagged = secondary
+      .map(leak => `${leak.leak_type.replace(/_/g, ' ')} (${formatMoney(leak.annual_cost ?? 0, leak.currency)}/year)`)
+      .join(', ');
+    const description = secondary.length > 0
+      ? [primary.description?.replace(/\.?$/, '.'), `Also flagged: ${alsoFlagged}.`].filter(Boolean).join(' ')
+      : primary.description;
+
+    return {
+      ...primary,
+      ...(promptVersion && { prompt_version: promptVersion }),
+      description,
+      audit_id: auditId,
+      confidence_score: calibrateConfidence(primary, group),
+      evidence: {
+        ...primary.evidence,
+        provenance: sources.size > 1 ? 'both' : [...sources][0],
+        ...(!sources.has('ai') && aiUnavailable.has(key) && { ai_unavailable: true }),
+        ...(secondary.length > 0 && {
+          secondary_leaks: secondary.map(leak => ({
+            leak_type: leak.leak_type,
+            source: sourceOf(leak),
+            annual_cost: leak.annual_cost,
+            description: leak.description,
+          })),
+        }),
+        sources: group.map(leak => ({
+          source: sourceOf(leak),
+          leak_type: leak.leak_type,
+          confidence_score: leak.confidence_score,
+          ...(leak.evidence?.rule && { rule: leak.evidence.rule }),
+        })),
+      },
+    };
+  });
+}
@@ -0,0 +1,97 @@
+// lib/leak_merger.test.js
+import { mergeLeaks } from './leak_merger';
+
+const AUDIT_ID = 'audit_123';
+
+const ruleLeak = (merchant, leakType, confidence, rule = leakType) => ({
+  merchant_name: merchant,
+  leak_type: leakType,
+  annual_cost: 120,
+  confidence_score: confidence,
+  evidence: { rule },
+});
+
+const aiLeak = (merchant, leakType, confidence) => ({
+  audit_id: AUDIT_ID,
+  merchant_name: merchant,
+  leak_type: leakType,
+  annual_cost: 120,
+  confidence_score: confidence,
+  evidence: { ai_analysis: true },
+});
+
+describe('mergeLeaks', () => {
+  it('should combine the confidence of agreeing sources', () => {
+    const [leak] = mergeLeaks([ruleLeak('zoom', 'zombie', 0.75)], [aiLeak('Zoom Video Communications', 'zombie', 0.8)], AUDIT_ID);
+    expect(leak.confidence_score).toBe(0.95);
+    expect(leak.evidence.provenance).toBe('both');
+    expect(leak.evidence.sources).toEqual([
+      { source: 'rule', leak_type: 'zombie', confidence_score: 0.75, rule: 'zombie' },
+      { source: 'ai', leak_type: 'zombie', confidence_score: 0.8 },
+    ]);
+  });
+
+  it('should keep the strongest leak when the sources disagree on the type', () => {
+    const [leak] = mergeLeaks([ruleLeak('slack', 'price_increase', 0.85)], [aiLeak('SLACK T1234', 'unused', 0.6)], AUDIT_ID);
+    expect(leak.leak_type).toBe('price_increase');
+    expect(leak.confidence_score).toBe(0.85);
+    expect(leak.evidence.provenance).toBe('both');
+    expect(leak.evidence.rule).toBe('price_increase');
+  });
+
+  it('should discount leaks found by a single source', () => {
+    const leaks = mergeLeaks([ruleLeak('winzip', 'free_alternative', 0.9)], [aiLeak('Notion', 'unused', 0.8)], AUDIT_ID);
+    expect(leaks.map(leak => [leak.merchant_name, leak.evidence.provenance, leak.confidence_score])).toEqual([
+      ['winzip', 'rule', 0.81],
+      ['Notion', 'ai', 0.68],
+    ]);
+  });
+
+  it('should deduplicate rule leaks for the same merchant', () => {
+    const leaks = mergeLeaks([ruleLeak('asana', 'unused', 0.6, 'high_cost'), ruleLeak('asana', 'zombie', 0.75)], [], AUDIT_ID);
+    expect(leaks).toHaveLength(1);
+    expect(leaks[0].leak_type).toBe('zombie');
+    expect(leaks[0].evidence.sources).toHaveLength(2);
+  });
+
+  it('should list the other leak types of a merchant as secondary findings', () => {
+    const priceIncrease = {
+      ...ruleLeak('figma', 'price_increase', 0.7),
+      annual_cost: 180,
+      description: 'Price increased from $45.00 to $60.00 (+33.3%) on 2024-03-01',
+    };
+    const leaks = mergeLeaks(
+      [ruleLeak('figma', 'unused', 0.6, 'high_cost'), priceIncrease],
+      [{ ...aiLeak('FIGMA.COM', 'zombie', 0.9), description: 'No activity for 4 months' }],
+      AUDIT_ID
+    );
+
+    expect(leaks).toHaveLength(1);
+    expect(leaks[0].leak_type).toBe('zombie');
+    expect(leaks[0].annual_cost).toBe(120);
+    expect(leaks[0].description)
+      .toBe('No activity for 4 months. Also flagged: price increase ($180.00/year), unused ($120.00/year).');
+    expect(leaks[0].evidence.secondary_leaks).toEqual([
+      { leak_type: 'price_increase', source: 'rule', annual_cost: 180, description: priceIncrease.description },
+      { leak_type: 'unused', source: 'rule', annual_cost: 120, description: undefined },
+    ]);
+  });
+
+  it('should attribute fallback leaks returned by the analyzer to the rules', () => {
+    const rule = ruleLeak('dropbox', 'zombie', 0.75);
+    const [leak] = mergeLeaks([rule], [{ ...rule }], AUDIT_ID);
+    expect(leak.evidence.provenance).toBe('rule');
+    expect(leak.confidence_score).toBe(0.68);
+  });
+
+  it('should keep the rules-only confidence of merchants the AI could not analyze', () => {
+    const [leak] = mergeLeaks([ruleLeak('dropbox', 'zombie', 0.75)], [], AUDIT_ID, { aiUnavailable: ['Dropbox'] });
+    expect(leak.confidence_score).toBe(0.68);
+    expect(leak.evidence).toMatchObject({ provenance: 'rule', ai_unavailable: true });
+  });
+
+  it('should set the audit ID on every leak', () => {
+    const leaks = mergeLeaks([ruleLeak('loom', 'trial_converted', 0.7)], [], AUDIT_ID);
+    expect(leaks[0].audit_id).toBe(AUDIT_ID);
+  });
+});
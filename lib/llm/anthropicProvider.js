@@ -0,0 +1,47 @@
+/**
+ * @fileoverview An LLM provider backed by the Anthropic Messages API.
+ */
+
+import anthropic from '../services/anthropic.js';
+
+/**
+ * Sends requests to the Anthropic Messages API. Requests and responses use the Messages API format,
+ * which is the format every provider speaks.
+ */
+export class AnthropicProvider {
+  /**
+   * Creates a new AnthropicProvider instance.
+   * @param {Object} config - The provider configuration, as returned by `getLLMConfig`.
+   * @param {string} config.model - The model to use.
+   * @param {number} config.temperature - The sampling temperature.
+   * @param {number} config.maxTokens - The maximum number of tokens to generate.
+   * @param {Object} [client=anthropic] - The Anthropic SDK client.
+   */
+  constructor({ model, temperature, maxTokens }, client = anthropic) {
+    this.name = 'anthropic';
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.client = client;
+  }
+
+  /**
+   * Sends a conversation to the model.
+   * @param {Object} request - The request.
+   * @param {Array<Object>} request.messages - The conversation, in Messages API format.
+   * @param {Array<Object>} [request.tools] - The tools the model may call.
+   * @param {Object} [request.toolChoice] - Forces the model to call a tool, e.g. `{ type: 'tool', name }`.
+   * @param {number} [request.maxTokens] - Overrides the configured token limit.
+   * @returns {Promise<Object>} The Messages API response.
+   */
+  async createMessage({ messages, tools, toolChoice, maxTokens }) {
+    return this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens || this.maxTokens,
+      temperature: this.temperature,
+      messages,
+      ...(tools && { tools }),
+      ...(toolChoice && { tool_choice: toolChoice }),
+    });
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview The LLM provider used by the AI analyzer.
+ *
+ * The provider and its settings come from the environment:
+ * - `LLM_PROVIDER`: 'anthropic' (default), or 'mock' to answer from fixtures without network access.
+ * - `LLM_MODEL`: the model to use.
+ * - `LLM_TEMPERATURE`: the sampling temperature.
+ * - `LLM_MAX_TOKENS`: the maximum number of tokens to generate per request.
+ *
+ * Every provider exposes `name`, `model` and `createMessage(request)`, which takes and returns Messages API objects.
+ */
+
+import { AnthropicProvider } from './anthropicProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+/**
+ * The provider classes, by `LLM_PROVIDER` value.
+ * @type {Object<string, Function>}
+ */
+export const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  mock: MockProvider,
+};
+
+/**
+ * The settings used when the environment does not set them.
+ * @type {{provider: string, model: string, temperature: number, maxTokens: number}}
+ */
+export const DEFAULT_LLM_CONFIG = {
+  provider: 'anthropic',
+  model: 'claude-sonnet-4-20250514',
+  temperature: 0,
+  maxTokens: 4000,
+};
+
+/**
+ * Reads the LLM configuration from the environment.
+ * @param {Object} [env=process.env] - The environment.
+ * @returns {{provider: string, model: string, temperature: number, maxTokens: number}} The configuration.
+ */
+export function getLLMConfig(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value));
+  return {
+    provider: env.LLM_PROVIDER || DEFAULT_LLM_CONFIG.provider,
+    model: env.LLM_MODEL || DEFAULT_LLM_CONFIG.model,
+    temperature: number(env.LLM_TEMPERATURE, DEFAULT_LLM_CONFIG.temperature),
+    maxTokens: number(env.LLM_MAX_TOKENS, DEFAULT_LLM_CONFIG.maxTokens),
+  };
+}
+
+/**
+ * Creates an LLM provider.
+ * @param {Object} [config=getLLMConfig()] - The provider configuration.
+ * @returns {Object} The provider.
+ * @throws {Error} If the configured provider is unknown.
+ */
+export function createLLMProvider(config = getLLMConfig()) {
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+  return new Provider(config);
+}
+
+const llm = createLLMProvider();
+
+export default llm;
@@ -0,0 +1,100 @@
+// lib/llm/index.test.js
+import { DEFAULT_LLM_CONFIG, createLLMProvider, getLLMConfig } from './index';
+import { AnthropicProvider } from './anthropicProvider';
+import { MockProvider } from './mockProvider';
+
+describe('getLLMConfig', () => {
+  it('should fall back to the defaults', () => {
+    expect(getLLMConfig({})).toEqual(DEFAULT_LLM_CONFIG);
+  });
+
+  it('should read the provider, model, temperature and token limit from the environment', () => {
+    expect(getLLMConfig({
+      LLM_PROVIDER: 'mock',
+      LLM_MODEL: 'claude-haiku',
+      LLM_TEMPERATURE: '0.2',
+      LLM_MAX_TOKENS: '2000',
+    })).toEqual({ provider: 'mock', model: 'claude-haiku', temperature: 0.2, maxTokens: 2000 });
+  });
+
+  it('should ignore numbers that do not parse', () => {
+    expect(getLLMConfig({ LLM_MAX_TOKENS: 'lots' }).maxTokens).toBe(DEFAULT_LLM_CONFIG.maxTokens);
+  });
+});
+
+describe('createLLMProvider', () => {
+  it('should create the configured provider', () => {
+    expect(createLLMProvider({ ...DEFAULT_LLM_CONFIG })).toBeInstanceOf(AnthropicProvider);
+    expect(createLLMProvider({ ...DEFAULT_LLM_CONFIG, provider: 'mock' })).toBeInstanceOf(MockProvider);
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createLLMProvider({ ...DEFAULT_LLM_CONFIG, provider: 'carrier-pigeon' })).toThrow('Unknown LLM provider');
+  });
+});
+
+describe('AnthropicProvider', () => {
+  it('should send the configured model, temperature and token limit', async () => {
+    const client = { messages: { create: jest.fn().mockResolvedValue({ content: [] }) } };
+    const provider = new AnthropicProvider({ model: 'claude-test', temperature: 0.3, maxTokens: 1000 }, client);
+    const tool = { name: 'report_leaks', input_schema: { type: 'object' } };
+
+    await provider.createMessage({
+      messages: [{ role: 'user', content: 'hi' }],
+      tools: [tool],
+      toolChoice: { type: 'tool', name: 'report_leaks' },
+    });
+    await provider.createMessage({ messages: [{ role: 'user', content: 'hi' }], maxTokens: 50 });
+
+    expect(client.messages.create).toHaveBeenNthCalledWith(1, {
+      model: 'claude-test',
+      max_tokens: 1000,
+      temperature: 0.3,
+      messages: [{ role: 'user', content: 'hi' }],
+      tools: [tool],
+      tool_choice: { type: 'tool', name: 'report_leaks' },
+    });
+    expect(client.messages.create.mock.calls[1][0]).toEqual({
+      model: 'claude-test',
+      max_tokens: 50,
+      temperature: 0.3,
+      messages: [{ role: 'user', content: 'hi' }],
+    });
+  });
+});
+
+describe('MockProvider', () => {
+  const fixtures = {
+    leaks: [
+      { merchant_name: 'zoom', leak_type: 'zombie' },
+      { merchant_name: 'slack', leak_type: 'duplicate' },
+    ],
+  };
+  const prompt = JSON.stringify([{ merchant: 'zoom' }, { merchant: 'notion' }], null, 2);
+
+  it('should report the fixture leaks for the merchants in the prompt through the requested tool', async () => {
+    const provider = new MockProvider({}, fixtures);
+    const response = await provider.createMessage({
+      messages: [{ role: 'user', content: prompt }],
+      tools: [{ name: 'report_leaks' }],
+      toolChoice: { type: 'tool', name: 'report_leaks' },
+    });
+    expect(response.stop_reason).toBe('tool_use');
+    expect(response.content).toEqual([
+      { type: 'tool_use', id: 'toolu_mock_1', name: 'report_leaks', input: { leaks: [fixtures.leaks[0]] } },
+    ]);
+  });
+
+  it('should answer in text when no tool is requested', async () => {
+    const provider = new MockProvider({}, fixtures);
+    const response = await provider.createMessage({ messages: [{ role: 'user', content: prompt }] });
+    expect(JSON.parse(response.content[0].text)).toEqual([fixtures.leaks[0]]);
+  });
+
+  it('should be deterministic', async () => {
+    const request = { messages: [{ role: 'user', content: prompt }], tools: [{ name: 'report_leaks' }] };
+    const first = await new MockProvider({}, fixtures).createMessage(request);
+    const second = await new MockProvider({}, fixtures).createMessage(request);
+    expect(first).toEqual(second);
+  });
+});
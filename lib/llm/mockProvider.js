@@ -0,0 +1,80 @@
+/**
+ * @fileoverview A deterministic, offline LLM provider for tests and local development.
+ *
+ * Instead of calling a model, it answers with canned leaks from a fixture file: every fixture leak whose
+ * `merchant_name` names one of the charges in the prompt is reported for that charge, through the requested tool
+ * when there is one. A charge is named by its "merchant" value, or by the "vendorName" or "descriptor" that
+ * follows it in redacted payloads. The same prompt always gets the same response, and no request leaves the process.
+ */
+
+import defaultFixtures from './fixtures/leaks.json';
+import { resolveVendor } from '../merchants/normalizer.js';
+
+/**
+ * Matches a charge in the prompt: its "merchant" value and the "vendorName" or "descriptor" that follows it.
+ * @type {RegExp}
+ */
+const CHARGE = /"merchant": ("[^"]*")(?:,\s*"(?:vendorName|descriptor)": ("[^"]*"|null))?/g;
+
+/**
+ * Returns the leaks of the fixtures that apply to a prompt, reported for the charges they name.
+ * @param {string} prompt - The text of the first user message.
+ * @param {Array<Object>} leaks - The fixture leaks.
+ * @returns {Array<Object>} The fixture leaks for the charges in the prompt.
+ */
+function matchingLeaks(prompt, leaks) {
+  const charges = [...prompt.matchAll(CHARGE)].map(([, merchant, name]) => ({
+    merchant: JSON.parse(merchant),
+    names: [JSON.parse(merchant), name && JSON.parse(name)].filter(Boolean).map(n => resolveVendor(n).key),
+  }));
+
+  return leaks.flatMap(leak => {
+    const key = resolveVendor(leak.merchant_name).key;
+    const charge = charges.find(c => c.names.includes(key));
+    return charge ? [{ ...leak, merchant_name: charge.merchant }] : [];
+  });
+}
+
+/**
+ * Answers requests with canned responses built from fixtures.
+ */
+export class MockProvider {
+  /**
+   * Creates a new MockProvider instance.
+   * @param {Object} [config={}] - The provider configuration, as returned by `getLLMConfig`.
+   * @param {string} [config.model='mock'] - The model name reported in responses.
+   * @param {Object} [fixtures=defaultFixtures] - The fixtures to answer from.
+   * @param {Array<Object>} fixtures.leaks - The leaks to report, in the format of the `report_leaks` tool.
+   */
+  constructor({ model = 'mock' } = {}, fixtures = defaultFixtures) {
+    this.name = 'mock';
+    this.model = model;
+    this.fixtures = fixtures;
+    this.requests = [];
+  }
+
+  /**
+   * Answers a conversation with the fixture leaks for the merchants in its first message.
+   * @param {Object} request - The request, as accepted by `AnthropicProvider#createMessage`.
+   * @returns {Promise<Object>} A Messages API response.
+   */
+  async createMessage(request) {
+    this.requests.push(request);
+
+    const first = request.messages[0];
+    const prompt = typeof first.content === 'string' ? first.content : JSON.stringify(first.content);
+    const leaks = matchingLeaks(prompt, this.fixtures.leaks);
+    const tool = request.toolChoice?.name || request.tools?.[0]?.name;
+
+    return {
+      id: `msg_mock_${this.requests.length}`,
+      type: 'message',
+      role: 'assistant',
+      model: this.model,
+      stop_reason: tool ? 'tool_use' : 'end_turn',
+      content: tool
+        ? [{ type: 'tool_use', id: `toolu_mock_${this.requests.length}`, name: tool, input: { leaks } }]
+        : [{ type: 'text', text: JSON.stringify(leaks) }],
+    };
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview The SaaS category taxonomy: which vendors serve which business function.
+ *
+ * Vendors are listed by merchant key, i.e. the vendor ID from the alias table or, for vendors missing from it,
+ * the normalized descriptor produced by `normalizeMerchantName`. A merchant key belongs to a category when it
+ * equals one of the listed vendor IDs, or equals or starts with one of the listed descriptors followed by a space.
+ * Vendors whose name is a common word ('box', 'front', 'linear') or a sub-brand ('adobe-sign', 'dropbox-sign')
+ * must be in the alias table: a descriptor prefix would match unrelated merchants, or be shadowed by the parent
+ * vendor's alias.
+ */
+
+import { VENDOR_ALIASES } from './vendorAliases.js';
+
+/**
+ * The IDs of the vendors in the alias table, which only match merchant keys exactly.
+ * @type {Set<string>}
+ */
+const VENDOR_IDS = new Set(VENDOR_ALIASES.map(vendor => vendor.id));
+
+/**
+ * The bundled category taxonomy.
+ * @type {Object<string, {label: string, vendors: Array<string>}>}
+ */
+export const SAAS_CATEGORIES = {
+  video_conferencing: {
+    label: 'video conferencing',
+    vendors: ['zoom', 'webex', 'gotomeeting', 'goto meeting', 'bluejeans', 'whereby', 'ringcentral video'],
+  },
+  team_chat: {
+    label: 'team chat',
+    vendors: ['slack', 'microsoft teams', 'discord nitro', 'mattermost', 'flock'],
+  },
+  project_management: {
+    label: 'project management',
+    vendors: ['asana', 'trello', 'monday', 'clickup', 'basecamp', 'wrike', 'smartsheet', 'linear', 'teamwork com'],
+  },
+  password_manager: {
+    label: 'password management',
+    vendors: ['1password', 'lastpass', 'dashlane', 'bitwarden', 'keeper security', 'nordpass'],
+  },
+  docs_wiki: {
+    label: 'docs and wikis',
+    vendors: ['notion', 'coda', 'confluence', 'slite', 'nuclino', 'guru'],
+  },
+  design: {
+    label: 'design',
+    vendors: ['figma', 'sketch', 'invision', 'framer', 'adobe-xd'],
+  },
+  file_storage: {
+    label: 'file storage',
+    vendors: ['dropbox', 'box', 'egnyte', 'sync com'],
+  },
+  office_suite: {
+    label: 'office suites',
+    vendors: ['google-workspace', 'microsoft-365'],
+  },
+  e_signature: {
+    label: 'e-signature',
+    vendors: ['docusign', 'dropbox-sign', 'pandadoc', 'adobe-sign', 'signnow'],
+  },
+  crm: {
+    label: 'CRM',
+    vendors: ['hubspot', 'salesforce', 'pipedrive', 'zoho crm', 'close com', 'copper'],
+  },
+  email_marketing: {
+    label: 'email marketing',
+    vendors: ['mailchimp', 'klaviyo', 'convertkit', 'constant contact', 'activecampaign', 'sendinblue', 'brevo'],
+  },
+  scheduling: {
+    label: 'scheduling',
+    vendors: ['calendly', 'acuity scheduling', 'savvycal', 'chili piper'],
+  },
+  video_messaging: {
+    label: 'async video',
+    vendors: ['loom', 'vidyard', 'claap', 'tella'],
+  },
+  ai_assistant: {
+    label: 'AI assistants',
+    vendors: ['openai', 'anthropic', 'claude ai', 'jasper', 'perplexity'],
+  },
+  customer_support: {
+    label: 'customer support',
+    vendors: ['intercom', 'zendesk', 'freshdesk', 'help scout', 'front'],
+  },
+};
+
+/**
+ * Returns the category a merchant belongs to.
+ * @param {string} merchantKey - The merchant key (vendor ID or normalized descriptor).
+ * @param {Object<string, {label: string, vendors: Array<string>}>} [taxonomy=SAAS_CATEGORIES] - The taxonomy to use.
+ * @returns {(string|null)} The category ID, or null if the merchant is not in the taxonomy.
+ */
+export function categorizeMerchant(merchantKey, taxonomy = SAAS_CATEGORIES) {
+  if (!merchantKey) return null;
+  for (const [category, { vendors }] of Object.entries(taxonomy)) {
+    if (vendors.some(vendor => merchantKey === vendor || (!VENDOR_IDS.has(vendor) && merchantKey.startsWith(`${vendor} `)))) {
+      return category;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview This module normalizes raw bank descriptors into stable merchant keys.
+ *
+ * Bank feeds describe the same vendor in many ways ("SLACK TECHNOLOGIES*123", "Slack", "SLACK.COM SF CA").
+ * Normalization strips the noise added by card processors and banks (processor prefixes, store numbers,
+ * reference codes, phone numbers, city/state suffixes) and then resolves the result against the vendor
+ * alias table so that every spelling of a vendor groups under one canonical vendor ID.
+ */
+
+import { VENDOR_ALIASES } from './vendorAliases.js';
+
+/**
+ * Payment processors and aggregators that prefix the real merchant name, e.g. "SQ *BLUE BOTTLE".
+ * @type {Set<string>}
+ */
+const PROCESSOR_PREFIXES = new Set([
+  'sq', 'tst', 'paypal', 'pp', 'sp', 'fs', 'dnh', 'py', 'in', 'bt', 'ckc', 'pos', 'sumup', 'stripe', 'paddle', 'paddle net',
+]);
+
+/**
+ * Boilerplate that some banks put in front of every card descriptor.
+ * @type {RegExp}
+ */
+const BANK_BOILERPLATE = /^(pos|ach|debit card purchase|debit purchase|recurring (debit )?payment|purchase authorized on \d{1,2}\/\d{1,2}|checkcard \d{4}|card \d{4}|visa direct)\s+/;
+
+/**
+ * Two-letter US state and territory codes that banks append to descriptors.
+ * @type {Set<string>}
+ */
+const STATE_CODES = new Set([
+  'al', 'ak', 'az', 'ar', 'ca', 'co', 'ct', 'de', 'dc', 'fl', 'ga', 'hi', 'id', 'il', 'in', 'ia', 'ks', 'ky',
+  'la', 'me', 'md', 'ma', 'mi', 'mn', 'ms', 'mo', 'mt', 'ne', 'nv', 'nh', 'nj', 'nm', 'ny', 'nc', 'nd', 'oh',
+  'ok', 'or', 'pa', 'ri', 'sc', 'sd', 'tn', 'tx', 'ut', 'vt', 'va', 'wa', 'wv', 'wi', 'wy', 'pr', 'us', 'usa',
+]);
+
+/**
+ * Cities (and their common bank abbreviations) frequently found at the end of SaaS descriptors.
+ * @type {Array<string>}
+ */
+const CITY_SUFFIXES = [
+  'san francisco', 'sf', 'new york', 'nyc', 'los angeles', 'seattle', 'austin', 'boston', 'chicago', 'denver',
+  'san jose', 'mountain view', 'palo alto', 'redwood city', 'san mateo', 'menlo park', 'sunnyvale', 'oakland',
+  'atlanta', 'miami', 'toronto', 'dublin', 'london', 'amsterdam', 'internet', 'online',
+];
+
+/**
+ * Legal-entity suffixes that carry no information about the vendor.
+ * @type {Set<string>}
+ */
+const CORPORATE_SUFFIXES = new Set(['inc', 'llc', 'ltd', 'corp', 'co', 'gmbh', 'limited', 'bv', 'plc']);
+
+/**
+ * Removes trailing words from a token list when they match one of the given phrases.
+ * @param {Array<string>} tokens - The descriptor tokens, modified in place.
+ * @param {Array<string>} phrases - The phrases to strip.
+ * @returns {boolean} `true` if a phrase was removed.
+ */
+function stripTrailingPhrase(tokens, phrases) {
+  for (const phrase of phrases) {
+    const words = phrase.split(' ');
+    if (tokens.length <= words.length) continue;
+    const tail = tokens.slice(tokens.length - words.length).join(' ');
+    if (tail === phrase) {
+      tokens.splice(tokens.length - words.length, words.length);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Normalizes a raw bank descriptor into a lowercase, noise-free merchant name.
+ *
+ * @example
+ * normalizeMerchantName('SQ *BLUE BOTTLE COFFEE #123 OAKLAND CA'); // 'blue bottle coffee'
+ * normalizeMerchantName('SLACK TECHNOLOGIES*123'); // 'slack technologies'
+ *
+ * @param {string} rawName - The merchant name or descriptor as reported by the bank.
+ * @returns {string} The normalized merchant name, or an empty string if nothing meaningful remains.
+ */
+export function normalizeMerchantName(rawName) {
+  if (!rawName || typeof rawName !== 'string') return '';
+
+  let name = rawName.toLowerCase().trim();
+
+  // Bank boilerplate ("POS", "RECURRING PAYMENT", "CHECKCARD 0412", ...)
+  let previous;
+  do {
+    previous = name;
+    name = name.replace(BANK_BOILERPLATE, '');
+  } while (name !== previous);
+
+  // Processor prefixes and reference codes are both separated from the name by '*'
+  const parts = name.split('*').map(part => part.trim()).filter(Boolean);
+  if (parts.length > 1 && PROCESSOR_PREFIXES.has(parts[0].replace(/[^a-z]+/g, ' ').trim())) {
+    parts.shift();
+  }
+  name = parts
+    .filter((part, index) => index === 0 || !/^[a-z0-9]*\d[a-z0-9]*$/.test(part))
+    .join(' ');
+
+  // Domains ("slack.com", "www.notion.so") collapse to the bare vendor name
+  name = name
+    .replace(/\bwww\./g, '')
+    .replace(/\b([a-z0-9-]+)\.(com|net|io|co|so|ai|app|org)\b/g, '$1');
+
+  // Store numbers ("#1234", "STORE 0042")
+  name = name.replace(/\b(store|str|no|unit|loc)\s*#?\s*\d+\b/g, ' ').replace(/#\s*\d+/g, ' ');
+
+  const tokens = name
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    // Phone numbers, card fragments and reference codes: any token with a digit, except a leading one ("1password")
+    .filter((token, index) => index === 0 || !/\d/.test(token));
+
+  let stripped = true;
+  while (stripped && tokens.length > 1) {
+    stripped = false;
+    if (STATE_CODES.has(tokens[tokens.length - 1])) {
+      tokens.pop();
+      stripped = true;
+    } else if (CORPORATE_SUFFIXES.has(tokens[tokens.length - 1])) {
+      tokens.pop();
+      stripped = true;
+    } else {
+      stripped = stripTrailingPhrase(tokens, CITY_SUFFIXES);
+    }
+  }
+
+  return tokens.join(' ');
+}
+
+/**
+ * Builds a lookup from alias to vendor for an alias table.
+ * @param {Array<{id: string, name: string, aliases: Array<string>, exactAliases?: Array<string>}>} aliasTable - The
+ *   vendor alias table.
+ * @returns {Map<string, {id: string, name: string, exact: boolean}>} A map from normalized alias to vendor, and
+ *   whether the alias only matches a descriptor equal to it.
+ */
+function buildAliasIndex(aliasTable) {
+  const index = new Map();
+  aliasTable.forEach(vendor => {
+    vendor.aliases.forEach(alias => {
+      index.set(normalizeMerchantName(alias), { id: vendor.id, name: vendor.name, exact: false });
+    });
+    (vendor.exactAliases || []).forEach(alias => {
+      index.set(normalizeMerchantName(alias), { id: vendor.id, name: vendor.name, exact: true });
+    });
+  });
+  return index;
+}
+
+const defaultAliasIndex = buildAliasIndex(VENDOR_ALIASES);
+
+/**
+ * Resolves a raw bank descriptor to a canonical vendor.
+ *
+ * The descriptor is normalized with `normalizeMerchantName` and then matched against the vendor alias
+ * table. The longest alias that equals the normalized name, or is a whole-word prefix of it, wins; exact
+ * aliases only match a normalized name equal to them.
+ * Descriptors that match no alias fall back to their normalized name so that they still group consistently.
+ *
+ * @param {string} rawName - The merchant name or descriptor as reported by the bank.
+ * @param {Array<{id: string, name: string, aliases: Array<string>, exactAliases?: Array<string>}>} [aliasTable] - An
+ *   alternative alias table.
+ * @returns {{key: string, vendorId: (string|null), name: string, normalized: string}} The resolved vendor.
+ *   `key` is the grouping key: the vendor ID when the alias table matched, otherwise the normalized name.
+ */
+export function resolveVendor(rawName, aliasTable) {
+  const index = aliasTable ? buildAliasIndex(aliasTable) : defaultAliasIndex;
+  const normalized = normalizeMerchantName(rawName);
+
+  let match = null;
+  let matchLength = 0;
+  for (const [alias, vendor] of index) {
+    if (alias.length > matchLength && (normalized === alias || (!vendor.exact && normalized.startsWith(`${alias} `)))) {
+      match = vendor;
+      matchLength = alias.length;
+    }
+  }
+
+  if (match) {
+    return { key: match.id, vendorId: match.id, name: match.name, normalized };
+  }
+
+  const fallback = normalized || (rawName || '').toLowerCase().trim() || 'unknown';
+  return { key: fallback, vendorId: null, name: fallback, normalized };
+}
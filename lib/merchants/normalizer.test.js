@@ -0,0 +1,79 @@
+// lib/merchants/normalizer.test.js
+import { normalizeMerchantName, resolveVendor } from './normalizer';
+
+describe('normalizeMerchantName', () => {
+  it('should return an empty string for missing input', () => {
+    expect(normalizeMerchantName(undefined)).toBe('');
+    expect(normalizeMerchantName('')).toBe('');
+  });
+
+  it.each([
+    ['SQ *BLUE BOTTLE COFFEE', 'blue bottle coffee'],
+    ['TST* JOES PIZZA #123', 'joes pizza'],
+    ['PAYPAL *NETFLIX', 'netflix'],
+    ['SLACK TECHNOLOGIES*123', 'slack technologies'],
+    ['SLACK.COM SF CA', 'slack'],
+    ['AMZN MKTP US*2K3L45', 'amzn mktp'],
+    ['GITHUB, INC.', 'github'],
+    ['POS DEBIT CARD PURCHASE ZOOM.US 888-799-9666 CA', 'zoom'],
+    ['STARBUCKS STORE 01234 SEATTLE WA', 'starbucks'],
+    ['ADOBE *ACROPRO SUBS 800-833-6687 CA', 'adobe acropro subs'],
+    ['1PASSWORD TORONTO', '1password'],
+    ['CHECKCARD 0412 NOTION.SO SAN FRANCISCO CA', 'notion'],
+  ])('should normalize %p to %p', (raw, expected) => {
+    expect(normalizeMerchantName(raw)).toBe(expected);
+  });
+});
+
+describe('resolveVendor', () => {
+  // A corpus of descriptors as they appear in real bank feeds, grouped by the vendor they belong to.
+  const corpus = {
+    slack: ['SLACK TECHNOLOGIES*123', 'Slack', 'SLACK.COM SF CA', 'SLACK T0123ABCD DUBLIN', 'PAYPAL *SLACK'],
+    zoom: ['ZOOM.US 888-799-9666 CA', 'ZOOM VIDEO COMMUNICATIONS', 'Zoom.us'],
+    'google-workspace': ['GOOGLE *GSUITE_ACMECO', 'GOOGLE*GSUITE ACME.COM', 'Google Workspace'],
+    adobe: ['ADOBE *ACROPRO SUBS 800-833-6687 CA', 'ADOBE SYSTEMS', 'Adobe Creative Cloud'],
+    github: ['GITHUB, INC.', 'GITHUB.COM 4155735678 CA', 'GitHub'],
+    figma: ['FIGMA.COM', 'FIGMA MONTHLY RENEWAL SAN FRANCISCO CA'],
+    '1password': ['1PASSWORD TORONTO', 'AGILEBITS 1PASSWORD', '1Password'],
+    notion: ['NOTION LABS, INC.', 'CHECKCARD 0412 NOTION.SO SAN FRANCISCO CA'],
+    openai: ['OPENAI *CHATGPT SUBSCR', 'OPENAI'],
+    aws: ['AWS EMEA', 'Amazon Web Services AWS.Amazon.com WA'],
+    box: ['BOX.COM', 'BOX, INC.'],
+    monday: ['MONDAY.COM', 'monday.com Ltd.'],
+    linear: ['LINEAR.APP', 'Linear Orbit, Inc.'],
+  };
+
+  Object.entries(corpus).forEach(([vendorId, descriptors]) => {
+    it.each(descriptors)(`should resolve %p to ${vendorId}`, descriptor => {
+      const vendor = resolveVendor(descriptor);
+      expect(vendor.vendorId).toBe(vendorId);
+      expect(vendor.key).toBe(vendorId);
+    });
+  });
+
+  it('should fall back to the normalized name for unknown vendors', () => {
+    expect(resolveVendor('SQ *BLUE BOTTLE COFFEE #123 OAKLAND CA')).toEqual({
+      key: 'blue bottle coffee',
+      vendorId: null,
+      name: 'blue bottle coffee',
+      normalized: 'blue bottle coffee',
+    });
+  });
+
+  it('should not match an alias that is only a partial word', () => {
+    expect(resolveVendor('SLACKLINE SUPPLY CO').vendorId).toBeNull();
+  });
+
+  it('should only match an exact alias when it is the whole name', () => {
+    expect(resolveVendor('BOX.COM')).toMatchObject({ vendorId: 'box', name: 'Box' });
+    expect(resolveVendor('Box Lunch Co').vendorId).toBeNull();
+    expect(resolveVendor('Monday Cafe').vendorId).toBeNull();
+    expect(resolveVendor('Linear Motion Inc').vendorId).toBeNull();
+  });
+
+  it('should accept an alternative alias table', () => {
+    const aliasTable = [{ id: 'acme-crm', name: 'Acme CRM', aliases: ['acme crm', 'acmecrm'] }];
+    expect(resolveVendor('ACMECRM.IO 555-0100', aliasTable).vendorId).toBe('acme-crm');
+    expect(resolveVendor('SLACK', aliasTable).vendorId).toBeNull();
+  });
+});
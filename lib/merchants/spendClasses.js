@@ -0,0 +1,138 @@
+/**
+ * @fileoverview The classification of recurring series into spend classes, so that only software subscriptions
+ * are analyzed for leaks while rent, payroll, insurance, utilities and loan payments are reported apart.
+ *
+ * The classification is deterministic. It combines, from the most to the least specific signal: the vendor
+ * taxonomy (the alias table and the SaaS categories), the Plaid `category` of the series' transactions, and
+ * heuristics on the bank descriptors. Series that no signal places are classified as other.
+ */
+
+import { normalizeMerchantName } from './normalizer.js';
+import { categorizeMerchant } from './categories.js';
+
+/**
+ * The spend classes of recurring series.
+ * - `SOFTWARE`: software subscriptions, the only series analyzed for leaks.
+ * - `INFRASTRUCTURE`: cloud hosting and usage-billed platform services.
+ * - `UTILITIES`: power, water, internet and phone service.
+ * - `FINANCIAL`: payroll, insurance, loan and card payments, bank fees and taxes.
+ * - `OTHER`: rent and every series that no signal places.
+ * @type {{SOFTWARE: string, INFRASTRUCTURE: string, UTILITIES: string, FINANCIAL: string, OTHER: string}}
+ */
+export const SPEND_CLASSES = {
+  SOFTWARE: 'software',
+  INFRASTRUCTURE: 'infrastructure',
+  UTILITIES: 'utilities',
+  FINANCIAL: 'financial',
+  OTHER: 'other',
+};
+
+/**
+ * Infrastructure vendors, by merchant key, matched like the SaaS category taxonomy. They come before the alias
+ * table, which also lists some of them.
+ * @type {Array<string>}
+ */
+const INFRASTRUCTURE_VENDORS = [
+  'aws', 'amazon web services', 'google cloud', 'gcp', 'microsoft azure', 'azure', 'digitalocean', 'heroku',
+  'linode', 'akamai', 'vultr', 'hetzner', 'ovh', 'cloudflare', 'vercel', 'netlify', 'fastly', 'twilio',
+  'sendgrid', 'mongodb', 'snowflake',
+];
+
+/**
+ * The spend class of Plaid categories, matched on the leading levels of a transaction's `category`. The first
+ * matching entry wins, so more specific paths come first. Categories that are not listed carry no signal.
+ * @type {Array<[Array<string>, string]>}
+ */
+const PLAID_CATEGORIES = [
+  [['Service', 'Subscription'], SPEND_CLASSES.SOFTWARE],
+  [['Service', 'Computers'], SPEND_CLASSES.SOFTWARE],
+  [['Service', 'Utilities'], SPEND_CLASSES.UTILITIES],
+  [['Service', 'Cable'], SPEND_CLASSES.UTILITIES],
+  [['Service', 'Telecommunication Services'], SPEND_CLASSES.UTILITIES],
+  [['Service', 'Financial'], SPEND_CLASSES.FINANCIAL],
+  [['Service', 'Insurance'], SPEND_CLASSES.FINANCIAL],
+  [['Service', 'Real Estate'], SPEND_CLASSES.OTHER],
+  [['Payment', 'Rent'], SPEND_CLASSES.OTHER],
+  [['Payment'], SPEND_CLASSES.FINANCIAL],
+  [['Transfer'], SPEND_CLASSES.FINANCIAL],
+  [['Bank Fees'], SPEND_CLASSES.FINANCIAL],
+  [['Interest'], SPEND_CLASSES.FINANCIAL],
+  [['Tax'], SPEND_CLASSES.FINANCIAL],
+];
+
+/**
+ * Words of normalized descriptors that give away the spend class of a series, as one pattern per class, checked in
+ * order.
+ * @type {Array<[RegExp, string]>}
+ */
+const DESCRIPTOR_KEYWORDS = [
+  [SPEND_CLASSES.FINANCIAL, [
+    'payroll', 'gusto', 'adp', 'paychex', 'justworks', 'insurance', 'insur', 'geico', 'allstate', 'state farm',
+    'progressive', 'loan', 'mortgage', 'lending', 'irs', 'tax', 'autopay', 'epayment', 'card payment', 'bank fee',
+    'service charge',
+  ]],
+  [SPEND_CLASSES.UTILITIES, [
+    'electric', 'energy', 'water', 'utility', 'utilities', 'pg e', 'con ed', 'comcast', 'xfinity', 'verizon',
+    'at t', 't mobile', 'spectrum', 'cox comm', 'centurylink',
+  ]],
+  [SPEND_CLASSES.OTHER, ['rent', 'lease', 'leasing', 'property', 'properties', 'realty', 'apartments', 'wework', 'regus']],
+  [SPEND_CLASSES.INFRASTRUCTURE, ['hosting', 'server', 'servers', 'cdn']],
+  [SPEND_CLASSES.SOFTWARE, ['software', 'saas', 'subscription', 'app', 'apps']],
+].map(([spendClass, words]) => [new RegExp(`\\b(${words.join('|')})\\b`), spendClass]);
+
+/**
+ * Raw descriptors that name a web domain ("WINZIP.COM", "notion.so"), as software vendors bill under.
+ * @type {RegExp}
+ */
+const WEB_DOMAIN = /\b[a-z0-9-]+\.(com|io|co|so|ai|app|dev)\b/i;
+
+/**
+ * Classifies a Plaid category.
+ * @param {Array<string>} category - The category, from the most general level.
+ * @returns {(string|null)} The spend class, or null if the category carries no signal.
+ */
+function classifyCategory(category) {
+  if (!Array.isArray(category) || category.length === 0) return null;
+  const match = PLAID_CATEGORIES.find(([path]) => path.every((level, i) => category[i] === level));
+  return match ? match[1] : null;
+}
+
+/**
+ * Returns the most common value of a list, in order of first appearance on ties.
+ * @param {Array<string>} values - The values.
+ * @returns {(string|null)} The most common value, or null for an empty list.
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+}
+
+/**
+ * Classifies a recurring series.
+ * @param {object} series - The series.
+ * @param {string} series.merchant - The merchant key (vendor ID or normalized descriptor).
+ * @param {(string|null)} [series.vendorId] - The vendor ID from the alias table, if it matched.
+ * @param {Array<Object>} [series.transactions=[]] - The transactions of the series, with their raw `merchant_name`
+ *   and Plaid `category`.
+ * @returns {string} One of `SPEND_CLASSES`.
+ */
+export function classifySeries({ merchant, vendorId = null, transactions = [] }) {
+  const isVendor = vendor => merchant === vendor || merchant.startsWith(`${vendor} `);
+  if (INFRASTRUCTURE_VENDORS.some(isVendor)) return SPEND_CLASSES.INFRASTRUCTURE;
+  if (vendorId || categorizeMerchant(merchant)) return SPEND_CLASSES.SOFTWARE;
+
+  const fromCategory = mostCommon(transactions.map(tx => classifyCategory(tx.category)).filter(Boolean));
+  if (fromCategory) return fromCategory;
+
+  const descriptors = [merchant, ...transactions.map(tx => normalizeMerchantName(tx.merchant_name))];
+  const keyword = DESCRIPTOR_KEYWORDS.find(([pattern]) => descriptors.some(name => pattern.test(name)));
+  if (keyword) return keyword[1];
+
+  if (transactions.some(tx => WEB_DOMAIN.test(tx.merchant_name || ''))) return SPEND_CLASSES.SOFTWARE;
+  return SPEND_CLASSES.OTHER;
+}
@@ -0,0 +1,53 @@
+// lib/merchants/spendClasses.test.js
+import { classifySeries, SPEND_CLASSES } from './spendClasses';
+import { resolveVendor } from './normalizer';
+
+/**
+ * Builds a series from raw descriptors, keyed like `detectRecurringCharges` keys it.
+ */
+const series = (merchantName, category) => {
+  const { key, vendorId } = resolveVendor(merchantName);
+  return { merchant: key, vendorId, transactions: [{ merchant_name: merchantName, category }] };
+};
+
+describe('classifySeries', () => {
+  it.each([
+    ['SLACK TECHNOLOGIES*123', undefined, SPEND_CLASSES.SOFTWARE],
+    ['CALENDLY', ['Shops'], SPEND_CLASSES.SOFTWARE],
+    ['AWS EMEA', ['Service', 'Subscription'], SPEND_CLASSES.INFRASTRUCTURE],
+    ['DIGITALOCEAN.COM', undefined, SPEND_CLASSES.INFRASTRUCTURE],
+  ])('should classify %s from the vendor taxonomy first', (merchantName, category, expected) => {
+    expect(classifySeries(series(merchantName, category))).toBe(expected);
+  });
+
+  it.each([
+    ['ACME CORP PAYROLL', ['Transfer', 'Payroll'], SPEND_CLASSES.FINANCIAL],
+    ['OAKWOOD MGMT 4411', ['Payment', 'Rent'], SPEND_CLASSES.OTHER],
+    ['CITY OF OAKLAND', ['Service', 'Utilities', 'Water'], SPEND_CLASSES.UTILITIES],
+    ['HISCOX', ['Service', 'Insurance'], SPEND_CLASSES.FINANCIAL],
+    ['BEAMER', ['Service', 'Subscription'], SPEND_CLASSES.SOFTWARE],
+  ])('should classify %s from its Plaid category', (merchantName, category, expected) => {
+    expect(classifySeries(series(merchantName, category))).toBe(expected);
+  });
+
+  it.each([
+    ['GUSTO PAYROLL FEES', SPEND_CLASSES.FINANCIAL],
+    ['PG&E WEB ONLINE', SPEND_CLASSES.UTILITIES],
+    ['COMCAST BUSINESS', SPEND_CLASSES.UTILITIES],
+    ['SUNSET PROPERTIES LLC', SPEND_CLASSES.OTHER],
+    ['WINZIP.COM', SPEND_CLASSES.SOFTWARE],
+    ['ACME WIDGETS', SPEND_CLASSES.OTHER],
+  ])('should classify %s from its descriptor', (merchantName, expected) => {
+    expect(classifySeries(series(merchantName))).toBe(expected);
+  });
+
+  it('should follow the category of most transactions of a series', () => {
+    const transactions = [
+      { merchant_name: 'NORTHWIND', category: ['Service', 'Subscription'] },
+      { merchant_name: 'NORTHWIND', category: ['Payment', 'Loan'] },
+      { merchant_name: 'NORTHWIND', category: ['Payment', 'Loan'] },
+    ];
+
+    expect(classifySeries({ merchant: 'northwind', transactions })).toBe(SPEND_CLASSES.FINANCIAL);
+  });
+});
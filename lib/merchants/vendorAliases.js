@@ -0,0 +1,66 @@
+/**
+ * @fileoverview The vendor alias table used to map normalized bank descriptors onto a canonical vendor.
+ *
+ * Each entry has a stable `id` (used as the grouping key for recurring charge detection), a human-readable
+ * `name`, and a list of `aliases`. Aliases are written in the same normalized form produced by
+ * `normalizeMerchantName` (lowercase, punctuation collapsed to single spaces), and a descriptor matches an
+ * alias when it equals the alias or starts with the alias followed by a space. Vendors named after a common word
+ * ('box', 'front', 'linear') list that word in `exactAliases` instead, which a descriptor only matches when it
+ * equals it: "BOX.COM" normalizes to "box", but "Box Lunch Co" is not Box. Vendors that bill per seat also carry
+ * their monthly list `seatPrice`, in `SEAT_PRICE_CURRENCY`, which is used to infer seat counts from charge amounts.
+ */
+
+/**
+ * The currency of the `seatPrice` list prices.
+ * @type {string}
+ */
+export const SEAT_PRICE_CURRENCY = 'USD';
+
+/**
+ * The bundled vendor alias table.
+ * @type {Array<{id: string, name: string, aliases: Array<string>, exactAliases?: Array<string>, seatPrice?: number}>}
+ */
+export const VENDOR_ALIASES = [
+  { id: 'slack', name: 'Slack', aliases: ['slack', 'slack technologies', 'slack com'], seatPrice: 8.75 },
+  { id: 'zoom', name: 'Zoom', aliases: ['zoom', 'zoom us', 'zoom video', 'zoom video communications'], seatPrice: 15.99 },
+  { id: 'google-workspace', name: 'Google Workspace', aliases: ['google gsuite', 'gsuite', 'google workspace', 'google g suite'], seatPrice: 12 },
+  { id: 'microsoft-365', name: 'Microsoft 365', aliases: ['microsoft 365', 'msft office 365', 'microsoft office 365', 'msft 365'], seatPrice: 12.5 },
+  { id: 'adobe', name: 'Adobe', aliases: ['adobe', 'adobe systems', 'adobe creative cloud', 'adobe acropro'] },
+  { id: 'adobe-sign', name: 'Adobe Acrobat Sign', aliases: ['adobe sign', 'adobe acrobat sign', 'echosign'] },
+  { id: 'adobe-xd', name: 'Adobe XD', aliases: ['adobe xd'] },
+  { id: 'atlassian', name: 'Atlassian', aliases: ['atlassian', 'atlassian com'] },
+  { id: 'github', name: 'GitHub', aliases: ['github', 'github com', 'github inc'], seatPrice: 4 },
+  { id: 'notion', name: 'Notion', aliases: ['notion', 'notion so', 'notion labs'], seatPrice: 10 },
+  { id: 'figma', name: 'Figma', aliases: ['figma', 'figma com', 'figma inc'], seatPrice: 15 },
+  { id: 'dropbox', name: 'Dropbox', aliases: ['dropbox', 'dropbox com'] },
+  { id: 'dropbox-sign', name: 'Dropbox Sign', aliases: ['dropbox sign', 'hellosign'] },
+  { id: 'box', name: 'Box', aliases: [], exactAliases: ['box'] },
+  { id: 'asana', name: 'Asana', aliases: ['asana', 'asana com'], seatPrice: 10.99 },
+  { id: 'trello', name: 'Trello', aliases: ['trello', 'trello com'] },
+  { id: 'monday', name: 'monday.com', aliases: [], exactAliases: ['monday'] },
+  { id: 'linear', name: 'Linear', aliases: ['linear orbit'], exactAliases: ['linear'] },
+  { id: 'hubspot', name: 'HubSpot', aliases: ['hubspot', 'hubspot inc'] },
+  { id: 'salesforce', name: 'Salesforce', aliases: ['salesforce', 'salesforce com'] },
+  { id: 'mailchimp', name: 'Mailchimp', aliases: ['mailchimp', 'intuit mailchimp'] },
+  { id: 'docusign', name: 'DocuSign', aliases: ['docusign', 'docusign inc'] },
+  { id: 'calendly', name: 'Calendly', aliases: ['calendly', 'calendly com'] },
+  { id: 'lastpass', name: 'LastPass', aliases: ['lastpass', 'lastpass com', 'logmein lastpass'] },
+  { id: '1password', name: '1Password', aliases: ['1password', 'agilebits 1password', 'agilebits'], seatPrice: 7.99 },
+  { id: 'loom', name: 'Loom', aliases: ['loom', 'loom com'], seatPrice: 12.5 },
+  { id: 'canva', name: 'Canva', aliases: ['canva', 'canva com'] },
+  { id: 'openai', name: 'OpenAI', aliases: ['openai', 'openai chatgpt', 'chatgpt subscription'] },
+  { id: 'aws', name: 'Amazon Web Services', aliases: ['aws', 'amazon web services', 'aws amazon'] },
+  { id: 'twilio', name: 'Twilio', aliases: ['twilio', 'twilio sendgrid'] },
+  { id: 'intercom', name: 'Intercom', aliases: ['intercom', 'intercom inc'] },
+  { id: 'front', name: 'Front', aliases: ['frontapp', 'front app'], exactAliases: ['front'] },
+  { id: 'sketch', name: 'Sketch', aliases: ['sketch b v'], exactAliases: ['sketch'] },
+  { id: 'framer', name: 'Framer', aliases: ['framer b v'], exactAliases: ['framer'] },
+  { id: 'coda', name: 'Coda', aliases: ['coda project'], exactAliases: ['coda'] },
+  { id: 'guru', name: 'Guru', aliases: ['getguru', 'guru technologies'], exactAliases: ['guru'] },
+  { id: 'copper', name: 'Copper', aliases: ['copper crm', 'prosperworks'], exactAliases: ['copper'] },
+  { id: 'flock', name: 'Flock', aliases: [], exactAliases: ['flock'] },
+  { id: 'tella', name: 'Tella', aliases: ['tella tv'], exactAliases: ['tella'] },
+  { id: 'jasper', name: 'Jasper', aliases: ['jasper ai'], exactAliases: ['jasper'] },
+  { id: 'netflix', name: 'Netflix', aliases: ['netflix', 'netflix com'] },
+  { id: 'spotify', name: 'Spotify', aliases: ['spotify', 'spotify usa', 'spotify ab'] },
+];
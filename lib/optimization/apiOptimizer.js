@@ -1,62 +1,23 @@
 // lib/optimization/apiOptimizer.js
 // Optimize external API calls
 import { cache } from './cache';
-import plaidClient from '../services/plaid';
-import anthropic from '../services/anthropic';
+import llm from '../llm';
 
 /**
  * Optimizes external API calls through caching and efficient data fetching strategies.
  */
 export class APIOptimizer {
   /**
-   * Fetches Plaid transactions with caching and pagination to handle large datasets efficiently.
-   * @param {string} accessToken - The Plaid access token.
-   * @param {string} startDate - The start date for fetching transactions (YYYY-MM-DD).
-   * @param {string} endDate - The end date for fetching transactions (YYYY-MM-DD).
-   * @returns {Promise<Array<Object>>} A promise that resolves to an array of transactions.
-   */
-  static async fetchTransactionsOptimized(accessToken, startDate, endDate) {
-    const cacheKey = `plaid_tx_${accessToken}_${startDate}_${endDate}`;
-
-    return cache.getOrSet(cacheKey, async () => {
-      // Fetch with pagination to handle large datasets
-      let allTransactions = [];
-      let hasMore = true;
-      let offset = 0;
-
-      while (hasMore) {
-        const response = await plaidClient.transactionsGet({
-          access_token: accessToken,
-          start_date: startDate,
-          end_date: endDate,
-          options: {
-            offset,
-            count: 500, // Max per request
-          },
-        });
-
-        allTransactions = allTransactions.concat(response.data.transactions);
-        hasMore = response.data.transactions.length === 500;
-        offset += 500;
-      }
-
-      return allTransactions;
-    }, 3600); // Cache for 1 hour
-  }
-
-  /**
-   * Caches responses from the Anthropic API to avoid redundant calls with the same prompt.
-   * @param {string} prompt - The prompt to send to the Anthropic API.
+   * Caches responses from the configured LLM provider to avoid redundant calls with the same prompt.
+   * @param {string} prompt - The prompt to send to the model.
    * @param {string} cacheKey - A unique key to identify the request for caching purposes.
-   * @returns {Promise<Object>} A promise that resolves to the response from the Anthropic API.
+   * @returns {Promise<Object>} A promise that resolves to the response from the model.
    */
   static async analyzeWithCache(prompt, cacheKey) {
     return cache.getOrSet(
-      `anthropic_${cacheKey}`,
+      `${llm.name}_${llm.model}_${cacheKey}`,
       async () => {
-        return await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000,
+        return await llm.createMessage({
           messages: [{ role: 'user', content: prompt }],
         });
       },
@@ -4,7 +4,7 @@
 /**
  * A generic class for batching operations to reduce overhead from frequent, small API calls.
  * It collects items in a queue and processes them in a single batch when the queue
- * reaches a maximum size or after a specified wait time.
+ * reaches a maximum size or weight, or after a specified wait time.
  */
 export class BatchProcessor {
   /**
@@ -12,24 +12,40 @@ export class BatchProcessor {
    * @param {Object} [options={}] - Configuration for the batch processor.
    * @param {number} [options.maxBatchSize=100] - The maximum number of items to include in a single batch.
    * @param {number} [options.maxWaitTime=50] - The maximum time in milliseconds to wait before flushing the queue.
+   * @param {Function} [options.weigh] - Returns the weight of an item (e.g. its estimated token count).
+   * @param {number} [options.maxBatchWeight=Infinity] - The maximum combined weight of a batch. An item heavier
+   *   than this is processed in a batch of its own.
+   * @param {number} [options.maxConcurrency=Infinity] - The maximum number of batches processed at the same time.
    */
   constructor(options = {}) {
     this.maxBatchSize = options.maxBatchSize || 100;
     this.maxWaitTime = options.maxWaitTime || 50; // ms
+    this.weigh = options.weigh || (() => 0);
+    this.maxBatchWeight = options.maxBatchWeight || Infinity;
+    this.maxConcurrency = options.maxConcurrency || Infinity;
     this.queue = [];
+    this.queueWeight = 0;
     this.timer = null;
+    this.active = 0;
+    this.waiting = [];
   }
 
   /**
-   * Adds an item to the processing queue and triggers a flush if the batch size or wait time is exceeded.
+   * Adds an item to the processing queue and triggers a flush if the batch size, weight or wait time is exceeded.
    * @param {*} item - The item to add to the queue.
    * @returns {Promise<*>} A promise that resolves with the result of the batch processing for this item.
    */
   async add(item) {
+    const weight = this.weigh(item);
+    if (this.queue.length > 0 && this.queueWeight + weight > this.maxBatchWeight) {
+      this.flush();
+    }
+
     return new Promise((resolve, reject) => {
-      this.queue.push({ item, resolve, reject });
+      this.queue.push({ item, weight, resolve, reject });
+      this.queueWeight += weight;
 
-      if (this.queue.length >= this.maxBatchSize) {
+      if (this.queue.length >= this.maxBatchSize || this.queueWeight >= this.maxBatchWeight) {
         this.flush();
       } else if (!this.timer) {
         this.timer = setTimeout(() => this.flush(), this.maxWaitTime);
@@ -40,7 +56,8 @@ export class BatchProcessor {
   /**
    * Processes the current queue of items as a single batch.
    * It sends the batch to the `processBatch` method and resolves or rejects the promises
-   * associated with each item based on the outcome.
+   * associated with each item based on the outcome. When `maxConcurrency` batches are already
+   * being processed, the batch waits for one of them to finish.
    */
   async flush() {
     if (this.timer) {
@@ -51,7 +68,9 @@ export class BatchProcessor {
     if (this.queue.length === 0) return;
 
     const batch = this.queue.splice(0, this.maxBatchSize);
+    this.queueWeight = this.queue.reduce((sum, entry) => sum + entry.weight, 0);
 
+    await this.acquireSlot();
     try {
       const results = await this.processBatch(batch.map(b => b.item));
 
@@ -62,6 +81,33 @@ export class BatchProcessor {
       batch.forEach(item => {
         item.reject(error);
       });
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Waits until fewer than `maxConcurrency` batches are being processed, then claims a slot.
+   * @returns {Promise<void>}
+   */
+  async acquireSlot() {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return;
+    }
+    // The slot is handed over by `releaseSlot`
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Releases a slot, handing it over to the next waiting batch if there is one.
+   */
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
     }
   }
 
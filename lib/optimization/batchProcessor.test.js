@@ -0,0 +1,61 @@
+// lib/optimization/batchProcessor.test.js
+import { BatchProcessor } from './batchProcessor';
+
+class RecordingProcessor extends BatchProcessor {
+  constructor(options) {
+    super(options);
+    this.batches = [];
+    this.running = 0;
+    this.maxRunning = 0;
+  }
+
+  async processBatch(items) {
+    this.batches.push(items);
+    this.running++;
+    this.maxRunning = Math.max(this.maxRunning, this.running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    this.running--;
+    return items.map(item => item.id);
+  }
+}
+
+const run = async (processor, items) => {
+  const pending = items.map(item => processor.add(item));
+  processor.flush();
+  return Promise.all(pending);
+};
+
+const items = (count, weight = 1) => Array.from({ length: count }, (_, id) => ({ id, weight }));
+
+describe('BatchProcessor', () => {
+  it('should split batches by size and resolve each item with its result', async () => {
+    const processor = new RecordingProcessor({ maxBatchSize: 2 });
+    expect(await run(processor, items(5))).toEqual([0, 1, 2, 3, 4]);
+    expect(processor.batches.map(batch => batch.length)).toEqual([2, 2, 1]);
+  });
+
+  it('should split batches by weight', async () => {
+    const processor = new RecordingProcessor({ weigh: item => item.weight, maxBatchWeight: 10 });
+    await run(processor, [...items(3, 4), { id: 3, weight: 25 }, { id: 4, weight: 1 }]);
+    expect(processor.batches.map(batch => batch.map(item => item.id))).toEqual([[0, 1], [2], [3], [4]]);
+  });
+
+  it('should not process more batches at once than the concurrency cap', async () => {
+    const processor = new RecordingProcessor({ maxBatchSize: 1, maxConcurrency: 2 });
+    expect(await run(processor, items(6))).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(processor.batches).toHaveLength(6);
+    expect(processor.maxRunning).toBe(2);
+  });
+
+  it('should reject the items of a failed batch only', async () => {
+    const processor = new RecordingProcessor({ maxBatchSize: 1 });
+    processor.processBatch = jest.fn(async ([item]) => {
+      if (item.id === 1) throw new Error('boom');
+      return [item.id];
+    });
+    const pending = items(2).map(item => processor.add(item));
+    processor.flush();
+    const results = await Promise.allSettled(pending);
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview This module reconciles pending transactions with the posted transactions that replace them, so
+ * that a charge is never counted twice.
+ *
+ * Plaid reports a card charge as pending when it is authorized, and again, under a new `transaction_id`, when it
+ * posts. The posted transaction names the pending one in `pending_transaction_id`, and the sync deletes the pending
+ * row when it arrives. Rows stored before that, and statements imported next to a bank connection, can still hold
+ * both, so recurring charge detection drops every pending transaction that a posted one replaces.
+ */
+
+import { resolveVendor } from './merchants/normalizer.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * How long after it is authorized, in days, a pending charge can post.
+ * @type {number}
+ */
+const POSTING_WINDOW_DAYS = 7;
+
+/**
+ * How much the posted amount can differ from the pending one, relative to the larger of the two.
+ * @type {number}
+ */
+const AMOUNT_TOLERANCE = 0.2;
+
+/**
+ * Returns how far apart the amounts of two transactions are, relative to the larger of the two.
+ * @param {Object} a - A transaction.
+ * @param {Object} b - Another transaction.
+ * @returns {number} The relative difference, from 0 (the same amount) to 1 or more.
+ */
+function amountDifference(a, b) {
+  const larger = Math.max(Math.abs(a.amount), Math.abs(b.amount));
+  return larger === 0 ? 0 : Math.abs(a.amount - b.amount) / larger;
+}
+
+/**
+ * Checks whether a posted transaction can be the posted version of a pending one: the same account (when both
+ * know theirs) and vendor, posted on the day of the pending charge or within a week after it, for about the same
+ * amount. The amounts can differ a little, as tips and currency conversion are settled when the charge posts.
+ * @param {Object} pending - The pending transaction.
+ * @param {Object} posted - The posted transaction.
+ * @returns {boolean} `true` if the posted transaction can replace the pending one.
+ */
+function canReplace(pending, posted) {
+  if (pending.account_id && posted.account_id && pending.account_id !== posted.account_id) return false;
+  if (resolveVendor(pending.merchant_name).key !== resolveVendor(posted.merchant_name).key) return false;
+  if (amountDifference(pending, posted) > AMOUNT_TOLERANCE) return false;
+  const days = (new Date(posted.date) - new Date(pending.date)) / DAY_MS;
+  return days >= 0 && days <= POSTING_WINDOW_DAYS;
+}
+
+/**
+ * Drops the pending transactions that a posted transaction replaces.
+ *
+ * A pending transaction is replaced by the posted transaction that names it in `pending_transaction_id`. The
+ * remaining pending transactions are matched, each to a different posted transaction that no pending transaction
+ * names, by `canReplace`: each takes the posted transaction closest to it in amount, then in date. Pending
+ * transactions that nothing replaces are kept: they are the latest charges, and their posted version has not
+ * arrived yet, or they are a separate charge from the same vendor.
+ *
+ * @param {Array<Object>} transactions - Transactions, with their `pending` flag and `pending_transaction_id`.
+ * @returns {Array<Object>} The transactions, in the same order, without the replaced pending transactions.
+ */
+export function reconcilePending(transactions) {
+  const pending = transactions.filter(tx => tx.pending);
+  if (pending.length === 0) return transactions;
+
+  const posted = transactions.filter(tx => !tx.pending);
+  const named = new Set(posted.map(tx => tx.pending_transaction_id).filter(Boolean));
+  const replaced = new Set(pending.filter(tx => named.has(tx.transaction_id)));
+
+  const candidates = posted.filter(tx => !tx.pending_transaction_id);
+  const distance = (tx, candidate) => [amountDifference(tx, candidate), new Date(candidate.date) - new Date(tx.date)];
+  const closer = (tx, a, b) => {
+    const [amountA, daysA] = distance(tx, a);
+    const [amountB, daysB] = distance(tx, b);
+    return amountA - amountB || daysA - daysB;
+  };
+  const matched = new Set();
+  pending
+    .filter(tx => !replaced.has(tx))
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(tx => {
+      const [match] = candidates
+        .filter(candidate => !matched.has(candidate) && canReplace(tx, candidate))
+        .sort((a, b) => closer(tx, a, b));
+      if (!match) return;
+      matched.add(match);
+      replaced.add(tx);
+    });
+
+  return transactions.filter(tx => !replaced.has(tx));
+}
@@ -0,0 +1,69 @@
+// lib/pending_transactions.test.js
+import { reconcilePending } from './pending_transactions';
+
+const tx = (id, merchantName, date, extra = {}) => ({
+  transaction_id: id, account_id: 'acc_1', merchant_name: merchantName, amount: 45, date, ...extra,
+});
+
+describe('reconcilePending', () => {
+  it('should drop a pending transaction named by its posted version', () => {
+    const transactions = [
+      tx('p1', 'FIGMA', '2024-03-01', { pending: true }),
+      tx('c1', 'Figma', '2024-03-12', { pending_transaction_id: 'p1' }),
+    ];
+
+    expect(reconcilePending(transactions).map(t => t.transaction_id)).toEqual(['c1']);
+  });
+
+  it('should match a pending transaction to a posted charge of the same account and vendor within a week', () => {
+    const transactions = [
+      tx('p1', 'FIGMA', '2024-03-01', { pending: true, amount: 40 }),
+      tx('c1', 'Figma', '2024-03-03'),
+      tx('c2', 'Figma', '2024-04-01'),
+    ];
+
+    expect(reconcilePending(transactions).map(t => t.transaction_id)).toEqual(['c1', 'c2']);
+  });
+
+  it('should keep a pending transaction that nothing replaces yet', () => {
+    const transactions = [
+      tx('c1', 'Figma', '2024-03-01'),
+      tx('p2', 'FIGMA', '2024-04-01', { pending: true }),
+      tx('c3', 'Figma', '2024-04-03', { account_id: 'acc_2' }),
+      tx('c4', 'Notion', '2024-04-02'),
+    ];
+
+    expect(reconcilePending(transactions).map(t => t.transaction_id)).toEqual(['c1', 'p2', 'c3', 'c4']);
+  });
+
+  it('should replace each pending transaction with a different posted charge', () => {
+    const transactions = [
+      tx('p1', 'FIGMA', '2024-03-01', { pending: true }),
+      tx('p2', 'FIGMA', '2024-03-02', { pending: true }),
+      tx('c1', 'Figma', '2024-03-03'),
+    ];
+
+    expect(reconcilePending(transactions).map(t => t.transaction_id)).toEqual(['p2', 'c1']);
+  });
+
+  it('should keep a pending charge and a posted charge of the same vendor for different amounts', () => {
+    const transactions = [
+      tx('c1', 'Figma', '2024-03-01', { amount: 45 }),
+      tx('p2', 'FIGMA', '2024-03-01', { pending: true, amount: 12 }),
+      tx('p3', 'UBER TRIP', '2024-03-02', { pending: true, amount: 5 }),
+      tx('c4', 'Uber Trip', '2024-03-03', { amount: 500 }),
+    ];
+
+    expect(reconcilePending(transactions).map(t => t.transaction_id)).toEqual(['c1', 'p2', 'p3', 'c4']);
+  });
+
+  it('should replace a pending transaction with the posted charge closest in amount', () => {
+    const transactions = [
+      tx('p1', 'FIGMA', '2024-03-01', { pending: true, amount: 45 }),
+      tx('c1', 'Figma', '2024-03-02', { amount: 50 }),
+      tx('c2', 'Figma', '2024-03-04', { amount: 45 }),
+    ];
+
+    expect(reconcilePending(transactions).map(t => t.transaction_id)).toEqual(['c1', 'c2']);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview The Plaid items and accounts of an audit.
+ *
+ * An audit can link any number of Plaid items, one per institution the user connects (e.g. an operating account at
+ * one bank and corporate cards at two others). Each item is stored in `plaid_items` with its access token, and each
+ * of its accounts in `accounts`. Transactions keep the `account_id` they were charged to, so leaks can be
+ * attributed to the accounts that pay for them while the analysis runs across all accounts together.
+ */
+
+import plaidClient from '../services/plaid.js';
+import supabase from '../services/supabase.js';
+import { resolveVendor } from '../merchants/normalizer.js';
+import { isDebit } from '../refunds.js';
+
+/**
+ * Formats a Plaid account as a row of the `accounts` table.
+ * @param {Object} account - An account, as returned by `/accounts/get`.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {string} itemId - The Plaid item ID of the account.
+ * @param {(string|null)} institutionName - The name of the account's institution.
+ * @returns {Object} The row.
+ */
+export function toAccountRow(account, auditId, itemId, institutionName) {
+  return {
+    audit_id: auditId,
+    item_id: itemId,
+    institution_name: institutionName,
+    account_id: account.account_id,
+    name: account.name,
+    official_name: account.official_name || null,
+    mask: account.mask || null,
+    type: account.type,
+    subtype: account.subtype || null,
+  };
+}
+
+/**
+ * Links a Plaid item to an audit: exchanges the public token from Plaid Link, and stores the item and its accounts.
+ * Linking the same institution login again updates the stored item.
+ * @param {object} link - The result of Plaid Link.
+ * @param {string} link.auditId - The unique identifier for the audit session.
+ * @param {string} link.publicToken - The public token from Plaid Link.
+ * @param {Object} [link.institution] - The institution from the Link metadata, with its `institution_id` and `name`.
+ * @param {object} [deps={}] - Dependencies, for tests.
+ * @param {Object} [deps.client] - The Plaid client. Defaults to `lib/services/plaid`.
+ * @param {Object} [deps.db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<{itemId: string, accounts: Array<Object>}>} The item ID and the stored accounts.
+ */
+export async function linkItem({ auditId, publicToken, institution }, deps = {}) {
+  const { client = plaidClient, db = supabase } = deps;
+
+  const { data: exchange } = await client.itemPublicTokenExchange({ public_token: publicToken });
+  const { data: accountsData } = await client.accountsGet({ access_token: exchange.access_token });
+
+  const { error: itemError } = await db.from('plaid_items').upsert({
+    audit_id: auditId,
+    item_id: exchange.item_id,
+    access_token: exchange.access_token,
+    institution_id: accountsData.item?.institution_id || institution?.institution_id || null,
+    institution_name: institution?.name || null,
+  }, { onConflict: 'item_id' });
+  if (itemError) throw itemError;
+
+  const accounts = accountsData.accounts.map(account =>
+    toAccountRow(account, auditId, exchange.item_id, institution?.name || null));
+  if (accounts.length > 0) {
+    const { error: accountsError } = await db.from('accounts').upsert(accounts, { onConflict: 'account_id' });
+    if (accountsError) throw accountsError;
+  }
+
+  return { itemId: exchange.item_id, accounts };
+}
+
+/**
+ * Returns the Plaid items linked to an audit.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {Object} [db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<Array<Object>>} The `plaid_items` rows, oldest first.
+ */
+export async function getAuditItems(auditId, db = supabase) {
+  const { data, error } = await db
+    .from('plaid_items')
+    .select('*')
+    .eq('audit_id', auditId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Returns a Plaid item by its item ID.
+ * @param {string} itemId - The Plaid item ID.
+ * @param {Object} [db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<(Object|null)>} The `plaid_items` row, or null if no audit linked it.
+ */
+export async function getItem(itemId, db = supabase) {
+  const { data, error } = await db
+    .from('plaid_items')
+    .select('*')
+    .eq('item_id', itemId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Returns the accounts of every Plaid item linked to an audit.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {Object} [db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<Array<Object>>} The `accounts` rows.
+ */
+export async function getAuditAccounts(auditId, db = supabase) {
+  const { data, error } = await db
+    .from('accounts')
+    .select('*')
+    .eq('audit_id', auditId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Adds the accounts that pay for each leak to its evidence, as `evidence.accounts`.
+ * @param {Array<Object>} leaks - The leaks of an audit.
+ * @param {Array<Object>} transactions - The audit's transactions, with their `account_id`.
+ * @param {Array<Object>} accounts - The audit's `accounts` rows.
+ * @returns {Array<Object>} The leaks. Leaks whose transactions have no known account are returned unchanged.
+ */
+export function attachAccounts(leaks, transactions, accounts) {
+  const accountsById = new Map(accounts.map(account => [account.account_id, account]));
+  const accountIdsByVendor = {};
+  transactions
+    .filter(tx => isDebit(tx) && accountsById.has(tx.account_id))
+    .forEach(tx => {
+      const key = resolveVendor(tx.merchant_name).key;
+      accountIdsByVendor[key] = accountIdsByVendor[key] || new Set();
+      accountIdsByVendor[key].add(tx.account_id);
+    });
+
+  return leaks.map(leak => {
+    const accountIds = accountIdsByVendor[resolveVendor(leak.merchant_name).key];
+    if (!accountIds) return leak;
+    return {
+      ...leak,
+      evidence: {
+        ...leak.evidence,
+        accounts: [...accountIds].map(id => {
+          const account = accountsById.get(id);
+          return {
+            account_id: id,
+            name: account.name,
+            mask: account.mask,
+            institution_name: account.institution_name || null,
+          };
+        }),
+      },
+    };
+  });
+}
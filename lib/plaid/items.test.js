@@ -0,0 +1,107 @@
+// lib/plaid/items.test.js
+import { linkItem, attachAccounts } from './items';
+import { LocalPlaidClient } from './localPlaid';
+
+jest.mock('../services/plaid', () => ({}));
+jest.mock('../services/supabase', () => ({}));
+
+const AUDIT_ID = '123e4567-e89b-12d3-a456-426614174000';
+const INSTITUTION = { institution_id: 'ins_local', name: 'Local Bank' };
+
+/**
+ * An in-memory stand-in for the `plaid_items` and `accounts` tables, keyed on their conflict columns.
+ */
+function createDb() {
+  const tables = { plaid_items: new Map(), accounts: new Map() };
+  return {
+    tables,
+    from: table => ({
+      upsert: async (upserted, { onConflict }) => {
+        [].concat(upserted).forEach(row => tables[table].set(row[onConflict], { ...row }));
+        return { error: null };
+      },
+    }),
+  };
+}
+
+describe('linkItem', () => {
+  it('should store the item and each of its accounts', async () => {
+    const client = new LocalPlaidClient();
+    const db = createDb();
+
+    const result = await linkItem({ auditId: AUDIT_ID, publicToken: 'public-local', institution: INSTITUTION },
+      { client, db });
+
+    expect(result.itemId).toBe('local_item_1');
+    expect(db.tables.plaid_items.get('local_item_1')).toEqual({
+      audit_id: AUDIT_ID,
+      item_id: 'local_item_1',
+      access_token: 'access-local-local_item_1',
+      institution_id: 'ins_local',
+      institution_name: 'Local Bank',
+    });
+    expect([...db.tables.accounts.values()].map(account => [account.account_id, account.name, account.mask]))
+      .toEqual([
+        ['local_checking_1', 'Operating Checking', '0000'],
+        ['local_card_1', 'Corporate Card', '1111'],
+      ]);
+    expect(db.tables.accounts.get('local_card_1')).toMatchObject({ item_id: 'local_item_1', type: 'credit' });
+  });
+
+  it('should keep the items of every institution the user links', async () => {
+    const client = new LocalPlaidClient();
+    const db = createDb();
+
+    await linkItem({ auditId: AUDIT_ID, publicToken: 'public-bank', institution: INSTITUTION }, { client, db });
+    await linkItem({ auditId: AUDIT_ID, publicToken: 'public-card', institution: INSTITUTION }, { client, db });
+
+    expect([...db.tables.plaid_items.keys()]).toEqual(['local_item_1', 'local_item_2']);
+    expect(db.tables.accounts.size).toBe(4);
+  });
+
+  it('should not store anything when the public token is invalid', async () => {
+    const db = createDb();
+
+    await expect(linkItem({ auditId: AUDIT_ID, publicToken: '' }, { client: new LocalPlaidClient(), db }))
+      .rejects.toMatchObject({ response: { data: { error_code: 'INVALID_PUBLIC_TOKEN' } } });
+    expect(db.tables.plaid_items.size).toBe(0);
+  });
+});
+
+describe('attachAccounts', () => {
+  const accounts = [
+    { account_id: 'checking', name: 'Operating Checking', mask: '0000', institution_name: 'First Bank' },
+    { account_id: 'card', name: 'Corporate Card', mask: '1111', institution_name: 'Card Issuer' },
+  ];
+  const debit = (merchantName, accountId) => ({ merchant_name: merchantName, account_id: accountId, transaction_type: 'debit' });
+
+  it('should list the accounts each leak is charged to', () => {
+    const transactions = [
+      debit('Slack', 'checking'),
+      debit('SLACK TECHNOLOGIES', 'card'),
+      debit('Zoom', 'card'),
+      { merchant_name: 'Zoom', account_id: 'checking', transaction_type: 'refund' },
+    ];
+
+    const [slack, zoom] = attachAccounts(
+      [{ merchant_name: 'Slack', evidence: { count: 2 } }, { merchant_name: 'Zoom' }],
+      transactions,
+      accounts
+    );
+
+    expect(slack.evidence).toEqual({
+      count: 2,
+      accounts: [
+        { account_id: 'checking', name: 'Operating Checking', mask: '0000', institution_name: 'First Bank' },
+        { account_id: 'card', name: 'Corporate Card', mask: '1111', institution_name: 'Card Issuer' },
+      ],
+    });
+    expect(zoom.evidence.accounts.map(account => account.account_id)).toEqual(['card']);
+  });
+
+  it('should leave leaks whose transactions have no known account unchanged', () => {
+    const leak = { merchant_name: 'Notion', evidence: { count: 1 } };
+
+    expect(attachAccounts([leak], [debit('Notion', null)], accounts)).toEqual([leak]);
+  });
+});
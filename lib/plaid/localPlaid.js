@@ -0,0 +1,242 @@
+/**
+ * @fileoverview A local, in-memory stand-in for the Plaid API, for tests and offline development.
+ *
+ * It implements the Plaid client methods the app uses, with the same request and response shapes
+ * (responses are wrapped in `{ data }` like the Plaid SDK's). Each item keeps a log of transaction changes, and
+ * `/transactions/sync` cursors are positions in that log, so tests can add, modify and remove transactions
+ * between syncs, and it signs webhooks the way Plaid does so the webhook endpoint can be exercised end to end.
+ * Set `PLAID_ENV=local` to use it instead of the Plaid API; linked items are seeded from
+ * `lib/plaid/fixtures/transactions.json`.
+ */
+
+import crypto from 'crypto';
+import defaultFixtures from './fixtures/transactions.json';
+
+/**
+ * Builds an error shaped like the errors the Plaid SDK throws.
+ * @param {string} errorCode - The Plaid error code, e.g. 'INVALID_ACCESS_TOKEN'.
+ * @param {string} message - The error message.
+ * @param {number} [status=400] - The HTTP status.
+ * @returns {Error} The error.
+ */
+function plaidError(errorCode, message, status = 400) {
+  const error = new Error(message);
+  error.response = { status, data: { error_type: 'ITEM_ERROR', error_code: errorCode, error_message: message } };
+  return error;
+}
+
+/**
+ * Answers Plaid API calls from in-memory items.
+ */
+export class LocalPlaidClient {
+  /**
+   * @param {{item_id: string, institution: Object, accounts: Array<Object>, transactions: Array<Object>}} [fixtures] -
+   *   The institution, accounts and transactions that every newly linked item starts with.
+   */
+  constructor(fixtures = defaultFixtures) {
+    this.fixtures = fixtures;
+    this.items = new Map();
+    this.linkedCount = 0;
+    this.webhookKeyId = `local-webhook-key-${crypto.randomUUID()}`;
+    this.webhookKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  }
+
+  /**
+   * Creates an item with an initial set of transactions.
+   * @param {string} accessToken - The access token of the item.
+   * @param {string} itemId - The item ID.
+   * @param {Array<Object>} [transactions=[]] - The transactions the item starts with.
+   * @param {object} [details={}] - The item's institution and accounts.
+   * @param {Object} [details.institution] - The institution, with its `institution_id` and `name`.
+   * @param {Array<Object>} [details.accounts=[]] - The accounts, in Plaid's format.
+   */
+  addItem(accessToken, itemId, transactions = [], { institution = null, accounts = [] } = {}) {
+    this.items.set(accessToken, { itemId, institution, accounts, changes: [], failures: [] });
+    this.addTransactions(accessToken, transactions);
+  }
+
+  /**
+   * Returns an item, or throws the error Plaid returns for an unknown access token.
+   * @param {string} accessToken - The access token.
+   * @returns {Object} The item.
+   */
+  getItem(accessToken) {
+    const item = this.items.get(accessToken);
+    if (!item) {
+      throw plaidError('INVALID_ACCESS_TOKEN', 'the provided access token is not valid');
+    }
+    return item;
+  }
+
+  /**
+   * Adds new transactions to an item.
+   * @param {string} accessToken - The access token of the item.
+   * @param {Array<Object>} transactions - Transactions in Plaid's format.
+   */
+  addTransactions(accessToken, transactions) {
+    this.getItem(accessToken).changes.push(...transactions.map(transaction => ({ type: 'added', transaction })));
+  }
+
+  /**
+   * Replaces transactions of an item, matched by `transaction_id`.
+   * @param {string} accessToken - The access token of the item.
+   * @param {Array<Object>} transactions - The new versions of the transactions.
+   */
+  modifyTransactions(accessToken, transactions) {
+    this.getItem(accessToken).changes.push(...transactions.map(transaction => ({ type: 'modified', transaction })));
+  }
+
+  /**
+   * Removes transactions from an item.
+   * @param {string} accessToken - The access token of the item.
+   * @param {Array<string>} transactionIds - The IDs of the removed transactions.
+   */
+  removeTransactions(accessToken, transactionIds) {
+    this.getItem(accessToken).changes.push(...transactionIds.map(id => ({ type: 'removed', transaction: { transaction_id: id } })));
+  }
+
+  /**
+   * Makes the next `/transactions/sync` call of an item fail with a Plaid error, e.g.
+   * 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION'.
+   * @param {string} accessToken - The access token of the item.
+   * @param {string} errorCode - The Plaid error code.
+   */
+  failNextSync(accessToken, errorCode) {
+    this.getItem(accessToken).failures.push(errorCode);
+  }
+
+  /**
+   * Returns the transaction changes of an item since a cursor, like `/transactions/sync`.
+   * @param {{access_token: string, cursor?: string, count?: number}} request - The sync request.
+   * @returns {Promise<{data: {added: Array<Object>, modified: Array<Object>, removed: Array<{transaction_id: string}>, next_cursor: string, has_more: boolean}>}}
+   *   The page of changes.
+   */
+  async transactionsSync({ access_token: accessToken, cursor, count = 100 }) {
+    const item = this.getItem(accessToken);
+    const failure = item.failures.shift();
+    if (failure) {
+      throw plaidError(failure, `Simulated ${failure}`);
+    }
+
+    const start = cursor ? Number(Buffer.from(cursor, 'base64').toString().replace('local:', '')) : 0;
+    if (Number.isNaN(start) || start > item.changes.length) {
+      throw plaidError('INVALID_FIELD', 'cursor is not valid');
+    }
+
+    const page = item.changes.slice(start, start + count);
+    const end = start + page.length;
+    const ofType = type => page.filter(change => change.type === type).map(change => change.transaction);
+    return {
+      data: {
+        added: ofType('added'),
+        modified: ofType('modified'),
+        removed: ofType('removed').map(({ transaction_id }) => ({ transaction_id })),
+        next_cursor: Buffer.from(`local:${end}`).toString('base64'),
+        has_more: end < item.changes.length,
+        request_id: `local-${end}`,
+      },
+    };
+  }
+
+  /**
+   * Returns the accounts of an item, like `/accounts/get`.
+   * @param {{access_token: string}} request - The request.
+   * @returns {Promise<{data: {accounts: Array<Object>, item: Object}}>} The accounts and the item.
+   */
+  async accountsGet({ access_token: accessToken }) {
+    const item = this.getItem(accessToken);
+    return {
+      data: {
+        accounts: item.accounts,
+        item: { item_id: item.itemId, institution_id: item.institution?.institution_id || null },
+      },
+    };
+  }
+
+  /**
+   * Creates a Link token. The local Link flow needs no real token, so any request succeeds, except an update mode
+   * request for an unknown access token.
+   * @param {Object} request - The `/link/token/create` request.
+   * @returns {Promise<{data: {link_token: string, expiration: string}}>} The token.
+   */
+  async linkTokenCreate(request) {
+    if (request.access_token) {
+      this.getItem(request.access_token);
+    }
+    return {
+      data: {
+        link_token: `link-local-${request.user?.client_user_id || 'user'}`,
+        expiration: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Exchanges a public token for a new item seeded with the fixture accounts and transactions. Their IDs get the
+   * item's number as a suffix, so that several linked items do not share transaction or account IDs.
+   * @param {{public_token: string}} request - The `/item/public_token/exchange` request.
+   * @returns {Promise<{data: {access_token: string, item_id: string}}>} The item's access token and ID.
+   */
+  async itemPublicTokenExchange({ public_token: publicToken }) {
+    if (!publicToken) {
+      throw plaidError('INVALID_PUBLIC_TOKEN', 'provided public token is in an invalid format');
+    }
+
+    this.linkedCount += 1;
+    const suffix = `_${this.linkedCount}`;
+    const itemId = `${this.fixtures.item_id}${suffix}`;
+    const accessToken = `access-local-${itemId}`;
+    this.addItem(
+      accessToken,
+      itemId,
+      this.fixtures.transactions.map(tx => ({
+        ...tx,
+        transaction_id: `${tx.transaction_id}${suffix}`,
+        account_id: `${tx.account_id}${suffix}`,
+      })),
+      {
+        institution: this.fixtures.institution,
+        accounts: this.fixtures.accounts.map(account => ({ ...account, account_id: `${account.account_id}${suffix}` })),
+      }
+    );
+    return { data: { access_token: accessToken, item_id: itemId } };
+  }
+
+  /**
+   * Returns the public key that webhooks are signed with, like `/webhook_verification_key/get`.
+   * @param {{key_id: string}} request - The request, with the `kid` of a webhook's JWT.
+   * @returns {Promise<{data: {key: Object}}>} The key, as a JWK.
+   */
+  async webhookVerificationKeyGet({ key_id: keyId }) {
+    if (keyId !== this.webhookKeyId) {
+      throw plaidError('INVALID_WEBHOOK_VERIFICATION_KEY_ID', 'invalid key_id provided');
+    }
+
+    const jwk = this.webhookKeys.publicKey.export({ format: 'jwk' });
+    return {
+      data: {
+        key: { ...jwk, alg: 'ES256', use: 'sig', kid: keyId, created_at: 1700000000, expired_at: null },
+      },
+    };
+  }
+
+  /**
+   * Signs a webhook body the way Plaid does, for the `Plaid-Verification` header.
+   * @param {string} body - The raw JSON body of the webhook.
+   * @param {Date} [issuedAt=new Date()] - When the webhook was sent.
+   * @returns {string} The JWT.
+   */
+  signWebhook(body, issuedAt = new Date()) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'ES256', kid: this.webhookKeyId, typ: 'JWT' });
+    const payload = encode({
+      iat: Math.floor(issuedAt.getTime() / 1000),
+      request_body_sha256: crypto.createHash('sha256').update(body).digest('hex'),
+    });
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), {
+      key: this.webhookKeys.privateKey,
+      dsaEncoding: 'ieee-p1363',
+    });
+    return `${header}.${payload}.${signature.toString('base64url')}`;
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview The reconnect flow for broken Plaid bank connections.
+ *
+ * When Plaid reports that an item needs the user to log in again (through a webhook, or an ITEM_LOGIN_REQUIRED
+ * error while fetching transactions), the item is marked with an `error` and the user is emailed a link to the
+ * reconnect page, which opens Plaid Link in update mode for that item. Once the link is fixed, the mark is cleared
+ * and, if fetching the audit's transactions was interrupted and no other item is still broken, it is resumed.
+ */
+
+import supabase from '../services/supabase.js';
+import { addEmailToQueue } from '../emailQueue.js';
+import { generateReconnectEmailHtml } from '../templates/reconnect_email_template.js';
+import { getAuditItems } from './items.js';
+
+/**
+ * The audit status of an audit whose transactions could not be fetched until the user reconnects their bank.
+ * @type {string}
+ */
+export const RECONNECT_REQUIRED_STATUS = 'reconnect_required';
+
+/**
+ * Checks whether an error from Plaid means the user must log in to their bank again.
+ * @param {Error} error - An error thrown by the Plaid client.
+ * @returns {boolean} `true` for ITEM_LOGIN_REQUIRED errors.
+ */
+export function isLoginRequiredError(error) {
+  return error?.response?.data?.error_code === 'ITEM_LOGIN_REQUIRED'
+    || Boolean(error?.message?.includes('ITEM_LOGIN_REQUIRED'));
+}
+
+/**
+ * Checks whether an error from Plaid concerns a single item rather than the Plaid API: the item needs a new login,
+ * its consent is about to expire, or Plaid reports another `ITEM_ERROR`.
+ * @param {Error} error - An error thrown by the Plaid client.
+ * @returns {boolean} `true` for item errors.
+ */
+export function isItemError(error) {
+  const { error_type: errorType, error_code: errorCode } = error?.response?.data || {};
+  return errorType === 'ITEM_ERROR' || errorCode === 'PENDING_EXPIRATION' || isLoginRequiredError(error);
+}
+
+/**
+ * Marks a Plaid item as needing to be reconnected and queues an email asking the user to reconnect it.
+ * The email is only queued the first time a reason is reported, as Plaid can report the same error again.
+ * @param {Object} audit - The audit of the item.
+ * @param {Object} item - The `plaid_items` row.
+ * @param {string} reason - 'ITEM_LOGIN_REQUIRED' or 'PENDING_EXPIRATION'.
+ * @param {object} [options={}] - Options.
+ * @param {string} [options.status] - A new audit status, e.g. `RECONNECT_REQUIRED_STATUS` when fetching
+ *   transactions was interrupted.
+ * @param {Object} [options.db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<{action: string, reason: string}>} 'reconnect_requested', or 'reconnect_already_requested' if
+ *   the user was already emailed for this reason.
+ */
+export async function requestReconnect(audit, item, reason, options = {}) {
+  const { status, db = supabase } = options;
+
+  if (status) {
+    const { error } = await db.from('audits').update({ status }).eq('id', audit.id);
+    if (error) throw error;
+  }
+
+  if (item.error === reason) {
+    return { action: 'reconnect_already_requested', reason };
+  }
+
+  const { error } = await db
+    .from('plaid_items')
+    .update({ error: reason, error_at: new Date().toISOString() })
+    .eq('item_id', item.item_id);
+  if (error) throw error;
+
+  if (audit.email) {
+    await addEmailToQueue(
+      audit.email,
+      process.env.FROM_EMAIL,
+      'Action needed: reconnect your bank to LeakDetector',
+      generateReconnectEmailHtml(audit.id, item.item_id, process.env.NEXT_PUBLIC_APP_URL, reason, item.institution_name)
+    );
+  }
+  return { action: 'reconnect_requested', reason };
+}
+
+/**
+ * Clears a Plaid item's reconnect mark once the user has fixed the connection, and resumes fetching the audit's
+ * transactions if it was interrupted and every other item of the audit works.
+ * @param {Object} audit - The audit of the item.
+ * @param {Object} item - The `plaid_items` row.
+ * @param {object} [options={}] - Options.
+ * @param {Object} [options.db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<{resumed: boolean}>} Whether fetching transactions was resumed.
+ */
+export async function completeReconnect(audit, item, options = {}) {
+  const { db = supabase } = options;
+
+  const { error } = await db
+    .from('plaid_items')
+    .update({ error: null, error_at: null })
+    .eq('item_id', item.item_id);
+  if (error) throw error;
+
+  if (audit.status !== RECONNECT_REQUIRED_STATUS) {
+    return { resumed: false };
+  }
+  const stillBroken = (await getAuditItems(audit.id, db))
+    .some(other => other.item_id !== item.item_id && other.error);
+  if (stillBroken) {
+    return { resumed: false };
+  }
+
+  const { error: statusError } = await db.from('audits').update({ status: 'bank_connected' }).eq('id', audit.id);
+  if (statusError) throw statusError;
+
+  fetch(`${process.env.NEXT_PUBLIC_APP_URL}/api/analyze/fetch-transactions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ auditId: audit.id }),
+  }).catch(err => console.error('Failed to resume transaction fetch:', err));
+  return { resumed: true };
+}
@@ -0,0 +1,104 @@
+// lib/plaid/reconnect.test.js
+import { requestReconnect, completeReconnect, isLoginRequiredError, RECONNECT_REQUIRED_STATUS } from './reconnect';
+import { addEmailToQueue } from '../emailQueue';
+
+jest.mock('../services/supabase', () => ({}));
+jest.mock('../emailQueue');
+
+/**
+ * A stand-in for the Supabase client that applies updates to an audit and its Plaid items.
+ */
+function createDb(audit, items) {
+  const tables = { audits: [audit], plaid_items: items };
+  return {
+    from: table => ({
+      select: () => ({
+        eq: (column, value) => ({
+          order: async () => ({ data: tables[table].filter(row => row[column] === value), error: null }),
+        }),
+      }),
+      update: changes => ({
+        eq: async (column, value) => {
+          tables[table].filter(row => row[column] === value).forEach(row => Object.assign(row, changes));
+          return { error: null };
+        },
+      }),
+    }),
+  };
+}
+
+const item = (itemId, error = null) => ({ audit_id: 'audit_1', item_id: itemId, institution_name: 'Local Bank', error });
+
+describe('reconnect', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch.mockClear();
+  });
+
+  it('should recognize ITEM_LOGIN_REQUIRED errors from the Plaid client', () => {
+    expect(isLoginRequiredError({ response: { data: { error_code: 'ITEM_LOGIN_REQUIRED' } } })).toBe(true);
+    expect(isLoginRequiredError(new Error('ITEM_LOGIN_REQUIRED: the login details have changed'))).toBe(true);
+    expect(isLoginRequiredError({ response: { data: { error_code: 'INSTITUTION_DOWN' } } })).toBe(false);
+  });
+
+  it('should mark the item and email the user once per reason', async () => {
+    const audit = { id: 'audit_1', email: 'ops@example.com', status: 'analyzing' };
+    const items = [item('item_1')];
+    const db = createDb(audit, items);
+
+    const first = await requestReconnect(audit, items[0], 'ITEM_LOGIN_REQUIRED', { status: RECONNECT_REQUIRED_STATUS, db });
+    const second = await requestReconnect({ ...audit }, { ...items[0] }, 'ITEM_LOGIN_REQUIRED', { db });
+
+    expect(first.action).toBe('reconnect_requested');
+    expect(second.action).toBe('reconnect_already_requested');
+    expect(items[0].error).toBe('ITEM_LOGIN_REQUIRED');
+    expect(audit.status).toBe('reconnect_required');
+    expect(addEmailToQueue).toHaveBeenCalledTimes(1);
+    expect(addEmailToQueue.mock.calls[0][3]).toContain('/reconnect?audit_id=audit_1&item_id=item_1');
+    expect(addEmailToQueue.mock.calls[0][3]).toContain('Local Bank');
+  });
+
+  it('should resume fetching transactions when they were interrupted', async () => {
+    const audit = { id: 'audit_1', status: 'reconnect_required' };
+    const items = [item('item_1', 'ITEM_LOGIN_REQUIRED'), item('item_2')];
+
+    const result = await completeReconnect(audit, items[0], { db: createDb(audit, items) });
+
+    expect(result).toEqual({ resumed: true });
+    expect(items[0].error).toBeNull();
+    expect(audit.status).toBe('bank_connected');
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/analyze/fetch-transactions'),
+      expect.objectContaining({ body: JSON.stringify({ auditId: 'audit_1' }) })
+    );
+  });
+
+  it('should wait for every broken item of the audit to be reconnected', async () => {
+    const audit = { id: 'audit_1', status: 'reconnect_required' };
+    const items = [item('item_1', 'ITEM_LOGIN_REQUIRED'), item('item_2', 'ITEM_LOGIN_REQUIRED')];
+    const db = createDb(audit, items);
+
+    const first = await completeReconnect(audit, items[0], { db });
+
+    expect(first).toEqual({ resumed: false });
+    expect(audit.status).toBe('reconnect_required');
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    const second = await completeReconnect(audit, items[1], { db });
+
+    expect(second).toEqual({ resumed: true });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only clear the mark of an audit that was not waiting for the reconnect', async () => {
+    const audit = { id: 'audit_1', status: 'completed' };
+    const items = [item('item_1', 'PENDING_EXPIRATION')];
+
+    const result = await completeReconnect(audit, items[0], { db: createDb(audit, items) });
+
+    expect(result).toEqual({ resumed: false });
+    expect(items[0].error).toBeNull();
+    expect(audit.status).toBe('completed');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Incremental transaction sync with Plaid's `/transactions/sync`.
+ *
+ * Every Plaid item linked to an audit keeps a cursor in `plaid_items.transactions_cursor`. A sync fetches the transactions added,
+ * modified and removed since that cursor, applies them to the `transactions` table (upserts keyed on
+ * `audit_id` and `transaction_id`, deletes for removals), and only then stores the new cursor, so a failed sync is
+ * retried from the same point and re-running an audit never duplicates transactions.
+ *
+ * Pending transactions are stored with `pending` set. When the posted version of a pending transaction arrives,
+ * under its own `transaction_id`, the pending row it names in `pending_transaction_id` is deleted like a removal.
+ */
+
+import plaidClient from '../services/plaid.js';
+import supabase from '../services/supabase.js';
+import { DEFAULT_CURRENCY } from '../cost_normalization.js';
+import { TRANSACTION_TYPES, classifyTransactions } from '../refunds.js';
+import { chunk, selectAll } from '../supabase/queries.js';
+
+/**
+ * The number of changes requested per `/transactions/sync` page (Plaid's maximum).
+ * @type {number}
+ */
+const SYNC_PAGE_SIZE = 500;
+
+/**
+ * How many times a sync restarts from its original cursor when the item changes while it is paginating.
+ * @type {number}
+ */
+const MAX_SYNC_RESTARTS = 3;
+
+/**
+ * Formats a classified Plaid transaction as a row of the `transactions` table.
+ *
+ * Transactions of imported statements share the format, and add their `source`, and for card and expense platform
+ * exports the `cardholder`, `department` and `memo` of the expense.
+ *
+ * @param {Object} tx - A Plaid transaction, classified by `classifyTransactions`.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @returns {Object} The row.
+ */
+export function toTransactionRow(tx, auditId) {
+  return {
+    audit_id: auditId,
+    transaction_id: tx.transaction_id,
+    account_id: tx.account_id || null,
+    date: tx.date,
+    amount: tx.amount,
+    iso_currency_code: tx.iso_currency_code || (tx.unofficial_currency_code ? null : DEFAULT_CURRENCY),
+    unofficial_currency_code: tx.unofficial_currency_code || null,
+    merchant_name: tx.merchant_name || tx.name || 'Unknown',
+    category: tx.category || [],
+    transaction_type: tx.transaction_type,
+    refund_of: tx.refund_of,
+    source: tx.source || 'plaid',
+    cardholder: tx.cardholder || null,
+    department: tx.department || null,
+    memo: tx.memo || null,
+    pending: Boolean(tx.pending),
+    pending_transaction_id: tx.pending_transaction_id || null,
+  };
+}
+
+/**
+ * Fetches every change of an item since a cursor, following `has_more` across pages.
+ *
+ * When the item changes while we paginate, Plaid fails the request with
+ * `TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION`, and the whole sync is restarted from the original cursor.
+ *
+ * @param {Object} client - The Plaid client.
+ * @param {string} accessToken - The item's access token.
+ * @param {(string|null)} cursor - The cursor of the last applied sync, or null for the first sync.
+ * @returns {Promise<{added: Array<Object>, modified: Array<Object>, removed: Array<string>, cursor: string}>}
+ *   The changes, the IDs of the removed transactions, and the cursor to store once they are applied.
+ */
+async function fetchChanges(client, accessToken, cursor) {
+  for (let restart = 0; ; restart++) {
+    const changes = { added: [], modified: [], removed: [], cursor };
+    try {
+      let hasMore = true;
+      while (hasMore) {
+        const { data } = await client.transactionsSync({
+          access_token: accessToken,
+          ...(changes.cursor && { cursor: changes.cursor }),
+          count: SYNC_PAGE_SIZE,
+        });
+        changes.added.push(...data.added);
+        changes.modified.push(...data.modified);
+        changes.removed.push(...data.removed.map(removed => removed.transaction_id));
+        changes.cursor = data.next_cursor;
+        hasMore = data.has_more;
+      }
+      return changes;
+    } catch (error) {
+      const mutated = error.response?.data?.error_code === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION';
+      if (!mutated || restart >= MAX_SYNC_RESTARTS) throw error;
+    }
+  }
+}
+
+/**
+ * Classifies changed transactions together with the audit's stored transactions, so that a refund can be linked
+ * to a charge received in an earlier sync (or imported from another statement).
+ * @param {Object} db - The Supabase client.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {Array<Object>} changed - The added and modified transactions, signed like Plaid's.
+ * @param {Array<string>} removed - The IDs of the removed transactions.
+ * @returns {Promise<Array<Object>>} The rows to upsert for the changed transactions.
+ */
+export async function classifyChanges(db, auditId, changed, removed) {
+  const stored = await selectAll(() => db
+    .from('transactions')
+    .select('transaction_id, merchant_name, amount, date, transaction_type')
+    .eq('audit_id', auditId)
+    .order('transaction_id', { ascending: true }));
+
+  const replaced = new Set([...changed.map(tx => tx.transaction_id), ...removed]);
+  // Stored amounts are positive; restore Plaid's sign so stored rows classify as they did when they were received
+  const context = stored
+    .filter(tx => !replaced.has(tx.transaction_id))
+    .map(tx => ({
+      ...tx,
+      amount: (tx.transaction_type || TRANSACTION_TYPES.DEBIT) === TRANSACTION_TYPES.DEBIT ? tx.amount : -tx.amount,
+    }));
+
+  const changedIds = new Set(changed.map(tx => tx.transaction_id));
+  return classifyTransactions([...context, ...changed])
+    .filter(tx => changedIds.has(tx.transaction_id))
+    .map(tx => toTransactionRow(tx, auditId));
+}
+
+/**
+ * Syncs the transactions of a Plaid item into an audit.
+ * @param {object} item - The item to sync.
+ * @param {string} item.auditId - The unique identifier for the audit session.
+ * @param {string} item.itemId - The Plaid item ID.
+ * @param {string} item.accessToken - The Plaid access token of the item.
+ * @param {object} [deps={}] - Dependencies, for tests.
+ * @param {Object} [deps.client] - The Plaid client. Defaults to `lib/services/plaid`.
+ * @param {Object} [deps.db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<{added: number, modified: number, removed: number, cursor: string}>} The number of changes
+ *   applied, and the new cursor.
+ * @throws {Error} If Plaid or the database fails; the stored cursor is then left unchanged.
+ */
+export async function syncTransactions({ auditId, itemId, accessToken }, deps = {}) {
+  const { client = plaidClient, db = supabase } = deps;
+
+  const { data: item, error: itemError } = await db
+    .from('plaid_items')
+    .select('transactions_cursor')
+    .eq('item_id', itemId)
+    .maybeSingle();
+  if (itemError) throw itemError;
+
+  const changes = await fetchChanges(client, accessToken, item?.transactions_cursor || null);
+  const changed = [...changes.added, ...changes.modified];
+  // Posted transactions replace the pending transactions they name
+  const replacedPending = changed.filter(tx => !tx.pending).map(tx => tx.pending_transaction_id).filter(Boolean);
+  const removed = [...new Set([...changes.removed, ...replacedPending])];
+
+  for (const idChunk of chunk(removed)) {
+    const { error } = await db
+      .from('transactions')
+      .delete()
+      .eq('audit_id', auditId)
+      .in('transaction_id', idChunk);
+    if (error) throw error;
+  }
+
+  if (changed.length > 0) {
+    const rows = await classifyChanges(db, auditId, changed, removed);
+    const { error } = await db.from('transactions').upsert(rows, { onConflict: 'audit_id,transaction_id' });
+    if (error) throw error;
+  }
+
+  const { error: cursorError } = await db
+    .from('plaid_items')
+    .update({ transactions_cursor: changes.cursor, last_synced_at: new Date().toISOString() })
+    .eq('item_id', itemId);
+  if (cursorError) throw cursorError;
+
+  return {
+    added: changes.added.length,
+    modified: changes.modified.length,
+    removed: changes.removed.length,
+    cursor: changes.cursor,
+  };
+}
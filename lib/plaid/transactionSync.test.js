@@ -0,0 +1,284 @@
+// lib/plaid/transactionSync.test.js
+import { syncTransactions } from './transactionSync';
+import { LocalPlaidClient } from './localPlaid';
+
+jest.mock('../services/plaid', () => ({}));
+jest.mock('../services/supabase', () => ({}));
+
+const AUDIT_ID = '123e4567-e89b-12d3-a456-426614174000';
+const ITEM = { auditId: AUDIT_ID, itemId: 'item_1', accessToken: 'access-item_1' };
+
+/**
+ * Returns the key of a row on a list of comma-separated conflict columns.
+ */
+const keyOf = (row, columns) => columns.split(',').map(column => row[column]).join('|');
+
+/**
+ * The most rows a response holds, as with PostgREST's default `max_rows`.
+ */
+const MAX_ROWS = 1000;
+
+/**
+ * An in-memory stand-in for the Supabase tables the sync reads and writes, keyed on their conflict columns.
+ * @param {Array<Object>} items - The linked `plaid_items` rows.
+ */
+function createDb(items) {
+  const tables = {
+    transactions: new Map(),
+    plaid_items: new Map(items.map(item => [item.item_id, { ...item }])),
+  };
+  const keys = { transactions: 'audit_id,transaction_id', plaid_items: 'item_id' };
+
+  const db = {
+    tables,
+    failUpsertOf: null,
+    deletedChunks: [],
+    from: table => {
+      const filters = [];
+      let orderBy = null;
+      const rows = () => {
+        const matched = [...tables[table].values()].filter(row => filters.every(filter => filter(row)));
+        return orderBy ? matched.sort((a, b) => String(a[orderBy]).localeCompare(String(b[orderBy]))) : matched;
+      };
+      const query = {
+        select: () => query,
+        eq: (column, value) => {
+          filters.push(row => row[column] === value);
+          return query;
+        },
+        in: (column, values) => {
+          filters.push(row => values.includes(row[column]));
+          return query;
+        },
+        order: column => {
+          orderBy = column;
+          return query;
+        },
+        range: async (from, to) => ({ data: rows().slice(from, Math.min(to + 1, from + MAX_ROWS)), error: null }),
+        maybeSingle: async () => ({ data: rows()[0] || null, error: null }),
+        then: (resolve, reject) => Promise.resolve({ data: rows().slice(0, MAX_ROWS), error: null }).then(resolve, reject),
+        delete: () => ({
+          eq: (column, value) => ({
+            in: async (inColumn, values) => {
+              db.deletedChunks.push(values.length);
+              rows().filter(row => row[column] === value && values.includes(row[inColumn]))
+                .forEach(row => tables[table].delete(keyOf(row, keys[table])));
+              return { error: null };
+            },
+          }),
+        }),
+        update: changes => ({
+          eq: async (column, value) => {
+            [...tables[table].values()].filter(row => row[column] === value)
+              .forEach(row => Object.assign(row, changes));
+            return { error: null };
+          },
+        }),
+        upsert: async (upserted, { onConflict }) => {
+          if (db.failUpsertOf === table) return { error: new Error(`Failed to upsert ${table}`) };
+          [].concat(upserted).forEach(row => tables[table].set(keyOf(row, onConflict), { ...row }));
+          return { error: null };
+        },
+      };
+      return query;
+    },
+  };
+  return db;
+}
+
+/**
+ * Returns the stored row of a transaction of the audit.
+ */
+const stored = (db, transactionId) => db.tables.transactions.get(`${AUDIT_ID}|${transactionId}`);
+
+const tx = (id, merchantName, amount, date) => ({
+  transaction_id: id,
+  merchant_name: merchantName,
+  amount,
+  date,
+  iso_currency_code: 'USD',
+  category: ['Service'],
+});
+
+describe('syncTransactions', () => {
+  let client;
+  let db;
+
+  beforeEach(() => {
+    client = new LocalPlaidClient();
+    client.addItem(ITEM.accessToken, ITEM.itemId, [
+      tx('slack_1', 'Slack', 87.5, '2024-01-05'),
+      tx('slack_2', 'Slack', 87.5, '2024-02-05'),
+      tx('payroll_1', 'ACME PAYROLL', -4200, '2024-01-31'),
+    ]);
+    db = createDb([{ audit_id: AUDIT_ID, item_id: ITEM.itemId, access_token: ITEM.accessToken }]);
+  });
+
+  it('should store every transaction and the cursor on the first sync', async () => {
+    const result = await syncTransactions(ITEM, { client, db });
+
+    expect(result).toMatchObject({ added: 3, modified: 0, removed: 0 });
+    expect([...db.tables.transactions.values()].map(row => [row.transaction_id, row.amount, row.transaction_type]))
+      .toEqual([
+        ['slack_1', 87.5, 'debit'],
+        ['slack_2', 87.5, 'debit'],
+        ['payroll_1', 4200, 'credit'],
+      ]);
+    expect(stored(db, 'slack_1')).toMatchObject({ audit_id: AUDIT_ID, iso_currency_code: 'USD' });
+    expect(db.tables.plaid_items.get('item_1')).toMatchObject({
+      audit_id: AUDIT_ID,
+      transactions_cursor: result.cursor,
+    });
+  });
+
+  it('should apply only the changes since the stored cursor', async () => {
+    await syncTransactions(ITEM, { client, db });
+    client.addTransactions(ITEM.accessToken, [tx('slack_3', 'Slack', 87.5, '2024-03-05')]);
+    client.modifyTransactions(ITEM.accessToken, [tx('slack_2', 'Slack Technologies', 92, '2024-02-05')]);
+    client.removeTransactions(ITEM.accessToken, ['payroll_1']);
+
+    const result = await syncTransactions(ITEM, { client, db });
+
+    expect(result).toMatchObject({ added: 1, modified: 1, removed: 1 });
+    expect([...db.tables.transactions.values()].map(row => row.transaction_id).sort()).toEqual(['slack_1', 'slack_2', 'slack_3']);
+    expect(stored(db, 'slack_2')).toMatchObject({ merchant_name: 'Slack Technologies', amount: 92 });
+  });
+
+  it('should not change anything when there are no new changes', async () => {
+    const first = await syncTransactions(ITEM, { client, db });
+
+    const second = await syncTransactions(ITEM, { client, db });
+
+    expect(second).toEqual({ added: 0, modified: 0, removed: 0, cursor: first.cursor });
+    expect(db.tables.transactions.size).toBe(3);
+  });
+
+  it('should follow has_more across pages', async () => {
+    client.addTransactions(ITEM.accessToken, Array.from({ length: 600 }, (_, i) =>
+      tx(`coffee_${i}`, 'BLUE BOTTLE COFFEE', 4.5, '2024-01-10')));
+
+    const result = await syncTransactions(ITEM, { client, db });
+
+    expect(result.added).toBe(603);
+    expect(db.tables.transactions.size).toBe(603);
+  });
+
+  it('should restart from the stored cursor when the item changes during pagination', async () => {
+    client.failNextSync(ITEM.accessToken, 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION');
+
+    const result = await syncTransactions(ITEM, { client, db });
+
+    expect(result.added).toBe(3);
+    expect(db.tables.transactions.size).toBe(3);
+  });
+
+  it('should keep the stored cursor when the changes cannot be stored', async () => {
+    const first = await syncTransactions(ITEM, { client, db });
+    client.addTransactions(ITEM.accessToken, [tx('slack_3', 'Slack', 87.5, '2024-03-05')]);
+    db.failUpsertOf = 'transactions';
+
+    await expect(syncTransactions(ITEM, { client, db })).rejects.toThrow('Failed to upsert transactions');
+    expect(db.tables.plaid_items.get('item_1').transactions_cursor).toBe(first.cursor);
+
+    db.failUpsertOf = null;
+    const retry = await syncTransactions(ITEM, { client, db });
+    expect(retry.added).toBe(1);
+    expect(stored(db, 'slack_3')).toBeDefined();
+  });
+
+  it('should throw Plaid errors other than mutations during pagination', async () => {
+    await expect(syncTransactions({ ...ITEM, accessToken: 'unknown' }, { client, db }))
+      .rejects.toMatchObject({ response: { data: { error_code: 'INVALID_ACCESS_TOKEN' } } });
+    expect(db.tables.plaid_items.get('item_1').transactions_cursor).toBeUndefined();
+  });
+
+  it('should sync an item linked through the local Plaid stand-in', async () => {
+    const { data } = await client.itemPublicTokenExchange({ public_token: 'public-local' });
+    db.tables.plaid_items.set(data.item_id, { audit_id: AUDIT_ID, item_id: data.item_id, access_token: data.access_token });
+
+    const result = await syncTransactions({ auditId: AUDIT_ID, itemId: data.item_id, accessToken: data.access_token },
+      { client, db });
+
+    expect(result.added).toBeGreaterThan(0);
+    expect(db.tables.plaid_items.get(data.item_id).transactions_cursor).toBe(result.cursor);
+    expect([...db.tables.transactions.values()].every(row => row.account_id?.endsWith('_1'))).toBe(true);
+  });
+
+  it('should link a refund to a charge stored by an earlier sync', async () => {
+    await syncTransactions(ITEM, { client, db });
+    client.addTransactions(ITEM.accessToken, [tx('slack_refund', 'Slack', -87.5, '2024-02-09')]);
+
+    await syncTransactions(ITEM, { client, db });
+
+    expect(stored(db, 'slack_refund')).toMatchObject({
+      amount: 87.5,
+      transaction_type: 'refund',
+      refund_of: 'slack_2',
+    });
+    expect(stored(db, 'payroll_1').transaction_type).toBe('credit');
+  });
+
+  it('should link a refund to a charge stored past the first page of the audit\'s transactions', async () => {
+    client.addTransactions(ITEM.accessToken, [
+      ...Array.from({ length: 1200 }, (_, i) => tx(`coffee_${i}`, 'BLUE BOTTLE COFFEE', 4.5, '2024-01-10')),
+      tx('notion_1', 'Notion', 96, '2024-02-01'),
+    ]);
+    await syncTransactions(ITEM, { client, db });
+    client.addTransactions(ITEM.accessToken, [tx('notion_refund', 'Notion', -96, '2024-02-09')]);
+
+    await syncTransactions(ITEM, { client, db });
+
+    expect(stored(db, 'notion_refund')).toMatchObject({ transaction_type: 'refund', refund_of: 'notion_1' });
+  });
+
+  it('should delete removed transactions in chunks', async () => {
+    const coffees = Array.from({ length: 450 }, (_, i) => tx(`coffee_${i}`, 'BLUE BOTTLE COFFEE', 4.5, '2024-01-10'));
+    client.addTransactions(ITEM.accessToken, coffees);
+    await syncTransactions(ITEM, { client, db });
+    client.removeTransactions(ITEM.accessToken, coffees.map(coffee => coffee.transaction_id));
+
+    const result = await syncTransactions(ITEM, { client, db });
+
+    expect(result.removed).toBe(450);
+    expect(db.deletedChunks).toEqual([200, 200, 50]);
+    expect(db.tables.transactions.size).toBe(3);
+  });
+
+  it('should keep unofficial currency codes out of iso_currency_code', async () => {
+    client.addTransactions(ITEM.accessToken, [
+      { ...tx('coinbase_1', 'Coinbase', 0.01, '2024-03-01'), iso_currency_code: null, unofficial_currency_code: 'BTC' },
+    ]);
+
+    await syncTransactions(ITEM, { client, db });
+
+    expect(stored(db, 'coinbase_1')).toMatchObject({ iso_currency_code: null, unofficial_currency_code: 'BTC' });
+    expect(stored(db, 'slack_1')).toMatchObject({ iso_currency_code: 'USD', unofficial_currency_code: null });
+  });
+
+  it('should replace a pending transaction when its posted version arrives', async () => {
+    client.addTransactions(ITEM.accessToken, [{ ...tx('slack_3_pending', 'Slack', 87.5, '2024-03-05'), pending: true }]);
+    await syncTransactions(ITEM, { client, db });
+    expect(stored(db, 'slack_3_pending')).toMatchObject({ pending: true, pending_transaction_id: null });
+
+    client.addTransactions(ITEM.accessToken, [
+      { ...tx('slack_3', 'Slack', 87.5, '2024-03-07'), pending: false, pending_transaction_id: 'slack_3_pending' },
+    ]);
+    const result = await syncTransactions(ITEM, { client, db });
+
+    expect(result).toMatchObject({ added: 1, removed: 0 });
+    expect(stored(db, 'slack_3_pending')).toBeUndefined();
+    expect(stored(db, 'slack_3')).toMatchObject({ pending: false, pending_transaction_id: 'slack_3_pending' });
+    expect(db.tables.transactions.size).toBe(4);
+  });
+
+  it('should keep the transactions of each audit apart', async () => {
+    const otherAudit = '223e4567-e89b-12d3-a456-426614174000';
+    await syncTransactions(ITEM, { client, db });
+    db.tables.plaid_items.get('item_1').transactions_cursor = null;
+
+    await syncTransactions({ ...ITEM, auditId: otherAudit }, { client, db });
+
+    expect(db.tables.transactions.get(`${otherAudit}|slack_1`)).toMatchObject({ audit_id: otherAudit });
+    expect(stored(db, 'slack_1')).toMatchObject({ audit_id: AUDIT_ID });
+  });
+});
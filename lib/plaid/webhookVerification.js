@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Verification of Plaid webhook signatures.
+ *
+ * Plaid signs every webhook with a JWT in the `Plaid-Verification` header. The JWT is signed with ES256 by a key
+ * that `/webhook_verification_key/get` returns for the JWT's `kid`, and its payload carries the SHA-256 of the
+ * request body and the time it was issued. See https://plaid.com/docs/api/webhooks/webhook-verification/.
+ */
+
+import crypto from 'crypto';
+import plaidClient from '../services/plaid.js';
+
+/**
+ * How old a webhook's JWT may be, in seconds, before it is rejected as a replay.
+ * @type {number}
+ */
+const MAX_TOKEN_AGE_SECONDS = 5 * 60;
+
+/**
+ * How long, in milliseconds, a verification key is used before it is fetched from Plaid again, so that a key Plaid
+ * has expired or revoked since is noticed.
+ * @type {number}
+ */
+const KEY_CACHE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Verification keys already fetched from Plaid, by key ID, with when they were fetched and when they expire (null
+ * for active keys).
+ * @type {Map<string, {key: Object, fetchedAt: number, expiresAt: (number|null)}>}
+ */
+const keyCache = new Map();
+
+/**
+ * Decodes a base64url-encoded JSON segment of a JWT.
+ * @param {string} segment - The segment.
+ * @returns {Object} The decoded JSON.
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Returns the verification key with a given ID, from the cache or, when it is not cached or was fetched more than
+ * an hour ago, from Plaid.
+ * @param {Object} client - The Plaid client.
+ * @param {string} keyId - The key ID from the JWT header.
+ * @param {Date} now - The current time.
+ * @returns {Promise<{key: Object, fetchedAt: number, expiresAt: (number|null)}>} The key, as a JWK, and its expiry.
+ */
+async function getVerificationKey(client, keyId, now) {
+  const cached = keyCache.get(keyId);
+  if (!cached || now.getTime() - cached.fetchedAt >= KEY_CACHE_TTL_MS) {
+    const { data } = await client.webhookVerificationKeyGet({ key_id: keyId });
+    keyCache.set(keyId, {
+      key: data.key,
+      fetchedAt: now.getTime(),
+      expiresAt: data.key.expired_at ? data.key.expired_at * 1000 : null,
+    });
+  }
+  return keyCache.get(keyId);
+}
+
+/**
+ * Verifies that a webhook was sent by Plaid.
+ * @param {(Buffer|string)} body - The raw request body.
+ * @param {string} token - The JWT from the `Plaid-Verification` header.
+ * @param {object} [options={}] - Verification options.
+ * @param {Object} [options.client] - The Plaid client. Defaults to `lib/services/plaid`.
+ * @param {Date} [options.now=new Date()] - The current time.
+ * @returns {Promise<Object>} The JWT payload.
+ * @throws {Error} If the header is missing or malformed, the signature or key is invalid, the token is too old, or
+ *   the body does not match the signed hash.
+ */
+export async function verifyWebhook(body, token, options = {}) {
+  const { client = plaidClient, now = new Date() } = options;
+
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    throw new Error('Missing or malformed Plaid-Verification header');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  if (header.alg !== 'ES256' || !header.kid) {
+    throw new Error(`Unsupported webhook signature algorithm: ${header.alg}`);
+  }
+
+  const { key, expiresAt } = await getVerificationKey(client, header.kid, now);
+  if (expiresAt !== null && expiresAt <= now.getTime()) {
+    throw new Error(`Webhook verification key ${header.kid} has expired`);
+  }
+
+  const signatureValid = crypto.verify(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    {
+      key: crypto.createPublicKey({ key: { kty: key.kty, crv: key.crv, x: key.x, y: key.y }, format: 'jwk' }),
+      dsaEncoding: 'ieee-p1363',
+    },
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!signatureValid) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const payload = decodeSegment(encodedPayload);
+  if (!(now.getTime() / 1000 - payload.iat <= MAX_TOKEN_AGE_SECONDS)) {
+    throw new Error('Webhook signature has expired');
+  }
+
+  const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+  const signedHash = String(payload.request_body_sha256 || '');
+  if (signedHash.length !== bodyHash.length
+    || !crypto.timingSafeEqual(Buffer.from(signedHash), Buffer.from(bodyHash))) {
+    throw new Error('Webhook body does not match its signature');
+  }
+
+  return payload;
+}
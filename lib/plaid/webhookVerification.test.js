@@ -0,0 +1,79 @@
+// lib/plaid/webhookVerification.test.js
+import { verifyWebhook } from './webhookVerification';
+import { LocalPlaidClient } from './localPlaid';
+
+jest.mock('../services/plaid', () => ({}));
+
+const BODY = JSON.stringify({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: 'item_1' });
+
+describe('verifyWebhook', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new LocalPlaidClient();
+  });
+
+  it('should accept a webhook signed by Plaid', async () => {
+    const payload = await verifyWebhook(BODY, client.signWebhook(BODY), { client });
+
+    expect(payload.request_body_sha256).toHaveLength(64);
+  });
+
+  it('should reject a body that was changed after signing', async () => {
+    const token = client.signWebhook(BODY);
+
+    await expect(verifyWebhook(BODY.replace('item_1', 'item_2'), token, { client }))
+      .rejects.toThrow('Webhook body does not match its signature');
+  });
+
+  it('should reject a webhook signed by another key', async () => {
+    const other = new LocalPlaidClient();
+    const [header] = client.signWebhook(BODY).split('.');
+    const [, payload, signature] = other.signWebhook(BODY).split('.');
+
+    await expect(verifyWebhook(BODY, `${header}.${payload}.${signature}`, { client }))
+      .rejects.toThrow('Invalid webhook signature');
+  });
+
+  it('should reject a webhook signed more than 5 minutes ago', async () => {
+    const token = client.signWebhook(BODY, new Date('2024-01-01T00:00:00Z'));
+
+    await expect(verifyWebhook(BODY, token, { client, now: new Date('2024-01-01T00:05:01Z') }))
+      .rejects.toThrow('Webhook signature has expired');
+  });
+
+  it('should reject a webhook signed by an expired key', async () => {
+    const getKey = client.webhookVerificationKeyGet.bind(client);
+    client.webhookVerificationKeyGet = async request => {
+      const { data } = await getKey(request);
+      return { data: { key: { ...data.key, expired_at: 1700000000 } } };
+    };
+
+    await expect(verifyWebhook(BODY, client.signWebhook(BODY), { client }))
+      .rejects.toThrow('has expired');
+  });
+
+  it('should fetch the key again after an hour and notice it has been revoked', async () => {
+    const issuedAt = new Date('2024-01-01T00:00:00Z');
+    const later = new Date('2024-01-01T01:00:00Z');
+    const getKey = jest.spyOn(client, 'webhookVerificationKeyGet');
+
+    await verifyWebhook(BODY, client.signWebhook(BODY, issuedAt), { client, now: issuedAt });
+    await verifyWebhook(BODY, client.signWebhook(BODY, issuedAt), { client, now: issuedAt });
+    expect(getKey).toHaveBeenCalledTimes(1);
+
+    getKey.mockImplementation(async () => {
+      throw Object.assign(new Error('Request failed with status code 400'), {
+        response: { data: { error_code: 'INVALID_WEBHOOK_VERIFICATION_KEY_ID' } },
+      });
+    });
+    await expect(verifyWebhook(BODY, client.signWebhook(BODY, later), { client, now: later }))
+      .rejects.toThrow('Request failed');
+    expect(getKey).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject a missing or malformed header', async () => {
+    await expect(verifyWebhook(BODY, undefined, { client })).rejects.toThrow('Missing or malformed');
+    await expect(verifyWebhook(BODY, 'not-a-jwt', { client })).rejects.toThrow('Missing or malformed');
+  });
+});
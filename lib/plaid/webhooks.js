@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Handling of Plaid webhooks.
+ *
+ * Every webhook is recorded in `plaid_webhooks` with its raw body and acknowledged right away, as Plaid retries
+ * webhooks that are not answered quickly; recorded webhooks are then handled by `processPendingWebhooks`, which also
+ * retries failed webhooks a few times. A webhook that still fails (or that must be handled again after a fix) can be
+ * replayed with `replayWebhook`. Transaction updates trigger an incremental sync of the item; item errors that need
+ * the user to log in again mark the item and queue an email asking them to reconnect their bank, and
+ * `LOGIN_REPAIRED` completes the reconnect.
+ */
+
+import supabase from '../services/supabase.js';
+import { syncTransactions } from './transactionSync.js';
+import { requestReconnect, completeReconnect } from './reconnect.js';
+import { getItem } from './items.js';
+
+/**
+ * `TRANSACTIONS` webhook codes that mean new transaction data is available.
+ * @type {Array<string>}
+ */
+export const SYNC_WEBHOOK_CODES = ['SYNC_UPDATES_AVAILABLE', 'INITIAL_UPDATE', 'HISTORICAL_UPDATE'];
+
+/**
+ * How many recorded webhooks `processPendingWebhooks` handles per run, to stay within a request's time limit.
+ * @type {number}
+ */
+const WEBHOOK_BATCH_SIZE = 10;
+
+/**
+ * How many times a recorded webhook is handled before it is left failed for a manual replay.
+ * @type {number}
+ */
+export const MAX_WEBHOOK_ATTEMPTS = 5;
+
+/**
+ * How long, in milliseconds, a webhook can stay claimed before another run takes it over. A claim this old means
+ * the run that made it stopped while handling the webhook.
+ * @type {number}
+ */
+const CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * The statuses of a recorded webhook.
+ * @type {{RECEIVED: string, PROCESSING: string, PROCESSED: string, IGNORED: string, FAILED: string, REJECTED: string}}
+ */
+export const WEBHOOK_STATUSES = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+};
+
+/**
+ * Returns why an item needs the user to reconnect, if the webhook says it does.
+ * @param {Object} webhook - The webhook body.
+ * @returns {(string|null)} 'ITEM_LOGIN_REQUIRED', 'PENDING_EXPIRATION', or null.
+ */
+function reconnectReason(webhook) {
+  if (webhook.webhook_type !== 'ITEM') return null;
+  if (webhook.webhook_code === 'PENDING_EXPIRATION') return 'PENDING_EXPIRATION';
+  if (webhook.webhook_code === 'ERROR' && webhook.error?.error_code === 'ITEM_LOGIN_REQUIRED') {
+    return 'ITEM_LOGIN_REQUIRED';
+  }
+  return null;
+}
+
+/**
+ * Handles a Plaid webhook.
+ * @param {Object} webhook - The webhook body.
+ * @param {object} [deps={}] - Dependencies, for tests.
+ * @param {Object} [deps.db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @param {Function} [deps.sync] - Syncs an item's transactions. Defaults to `syncTransactions`.
+ * @returns {Promise<{action: string}>} What was done: 'synced' (with the sync result), 'reconnect_requested',
+ *   'reconnect_already_requested', 'reconnected', or 'ignored' for webhooks we do not act on or items of no audit.
+ */
+export async function handleWebhook(webhook, deps = {}) {
+  const { db = supabase, sync = syncTransactions } = deps;
+
+  const isSync = webhook.webhook_type === 'TRANSACTIONS' && SYNC_WEBHOOK_CODES.includes(webhook.webhook_code);
+  const isRepaired = webhook.webhook_type === 'ITEM' && webhook.webhook_code === 'LOGIN_REPAIRED';
+  const reason = reconnectReason(webhook);
+  if (!isSync && !isRepaired && !reason) {
+    return { action: 'ignored' };
+  }
+
+  const item = await getItem(webhook.item_id, db);
+  if (!item) {
+    return { action: 'ignored' };
+  }
+
+  const { data: audit, error } = await db
+    .from('audits')
+    .select('*')
+    .eq('id', item.audit_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!audit) {
+    return { action: 'ignored' };
+  }
+
+  if (reason) {
+    return requestReconnect(audit, item, reason, { db });
+  }
+  if (isRepaired) {
+    return { action: 'reconnected', ...(await completeReconnect(audit, item, { db })) };
+  }
+
+  const result = await sync({ auditId: audit.id, itemId: item.item_id, accessToken: item.access_token });
+  return { action: 'synced', ...result };
+}
+
+/**
+ * Records a received webhook.
+ * @param {string} body - The raw request body.
+ * @param {object} verification - The result of verifying the webhook.
+ * @param {boolean} verification.verified - Whether the signature was valid.
+ * @param {string} [verification.error] - Why verification failed.
+ * @param {Object} [db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<Object>} The recorded webhook.
+ */
+export async function recordWebhook(body, { verified, error }, db = supabase) {
+  let webhook = {};
+  try {
+    webhook = JSON.parse(body);
+  } catch (parseError) {
+    // Recorded with its raw body only
+  }
+
+  const { data, error: insertError } = await db
+    .from('plaid_webhooks')
+    .insert({
+      item_id: webhook.item_id || null,
+      webhook_type: webhook.webhook_type || null,
+      webhook_code: webhook.webhook_code || null,
+      body,
+      verified,
+      status: verified ? WEBHOOK_STATUSES.RECEIVED : WEBHOOK_STATUSES.REJECTED,
+      error_message: error || null,
+    })
+    .select('*')
+    .single();
+  if (insertError) throw insertError;
+  return data;
+}
+
+/**
+ * Handles a recorded webhook and stores the outcome on its record.
+ * @param {Object} record - The recorded webhook, as returned by `recordWebhook`.
+ * @param {object} [deps={}] - Dependencies, as for `handleWebhook`.
+ * @returns {Promise<{action: string}>} What was done.
+ * @throws {Error} If handling failed; the record is then marked as failed.
+ */
+export async function processWebhook(record, deps = {}) {
+  const { db = supabase } = deps;
+  const attempts = (record.attempts || 0) + 1;
+
+  try {
+    const result = await handleWebhook(JSON.parse(record.body), deps);
+    await db
+      .from('plaid_webhooks')
+      .update({
+        status: result.action === 'ignored' ? WEBHOOK_STATUSES.IGNORED : WEBHOOK_STATUSES.PROCESSED,
+        attempts,
+        error_message: null,
+        processed_at: new Date().toISOString(),
+      })
+      .eq('id', record.id);
+    return result;
+  } catch (error) {
+    await db
+      .from('plaid_webhooks')
+      .update({ status: WEBHOOK_STATUSES.FAILED, attempts, error_message: error.message })
+      .eq('id', record.id);
+    throw error;
+  }
+}
+
+/**
+ * Handles the webhooks that are waiting to be handled, the oldest first: webhooks that were recorded but not handled
+ * yet, webhooks whose handling failed fewer than `MAX_WEBHOOK_ATTEMPTS` times, and webhooks claimed by a run that
+ * stopped before it finished (claimed more than `CLAIM_TIMEOUT_MS` ago). Each webhook is claimed before it is
+ * handled, so that two runs never handle the same webhook, and every claim counts as an attempt.
+ * @param {object} [options={}] - Processing options.
+ * @param {number} [options.limit=10] - The most webhooks to handle.
+ * @param {Date} [options.now=new Date()] - The current time, for tests.
+ * @param {object} [deps={}] - Dependencies, as for `handleWebhook`.
+ * @returns {Promise<Array<{id: string, action?: string, error?: string}>>} The outcome of each handled webhook:
+ *   what was done, or why it failed. Failed webhooks are retried by later runs, then can be replayed.
+ */
+export async function processPendingWebhooks(options = {}, deps = {}) {
+  const { limit = WEBHOOK_BATCH_SIZE, now = new Date() } = options;
+  const { db = supabase } = deps;
+
+  const waiting = [
+    query => query.eq('status', WEBHOOK_STATUSES.RECEIVED),
+    query => query.eq('status', WEBHOOK_STATUSES.FAILED).lt('attempts', MAX_WEBHOOK_ATTEMPTS),
+    query => query
+      .eq('status', WEBHOOK_STATUSES.PROCESSING)
+      .lt('claimed_at', new Date(now.getTime() - CLAIM_TIMEOUT_MS).toISOString()),
+  ];
+  const records = [];
+  for (const filter of waiting) {
+    const { data, error } = await filter(db.from('plaid_webhooks').select('*'))
+      .order('received_at', { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+    records.push(...(data || []));
+  }
+  records.sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+
+  const outcomes = [];
+  for (const record of records.slice(0, limit)) {
+    const attempts = (record.attempts || 0) + 1;
+    if (attempts > MAX_WEBHOOK_ATTEMPTS) {
+      // Every attempt stopped before it finished: leave it for a manual replay
+      await db
+        .from('plaid_webhooks')
+        .update({ status: WEBHOOK_STATUSES.FAILED, error_message: 'Handling did not finish' })
+        .eq('id', record.id)
+        .eq('status', record.status)
+        .eq('attempts', record.attempts);
+      outcomes.push({ id: record.id, error: 'Handling did not finish' });
+      continue;
+    }
+
+    // The attempt count changes with every claim, so of two runs claiming the same webhook only one matches it
+    const { data: claimed, error: claimError } = await db
+      .from('plaid_webhooks')
+      .update({ status: WEBHOOK_STATUSES.PROCESSING, attempts, claimed_at: now.toISOString() })
+      .eq('id', record.id)
+      .eq('status', record.status)
+      .eq('attempts', record.attempts)
+      .select('id');
+    if (claimError) throw claimError;
+    if (!claimed?.length) continue; // Claimed by another run
+
+    try {
+      const result = await processWebhook(record, deps);
+      outcomes.push({ id: record.id, action: result.action });
+    } catch (processError) {
+      outcomes.push({ id: record.id, error: processError.message });
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Handles a recorded webhook again, e.g. after it failed.
+ * @param {string} webhookId - The ID of the recorded webhook.
+ * @param {object} [deps={}] - Dependencies, as for `handleWebhook`.
+ * @returns {Promise<{action: string}>} What was done.
+ * @throws {Error} If the webhook was not recorded or failed verification, or if handling failed.
+ */
+export async function replayWebhook(webhookId, deps = {}) {
+  const { db = supabase } = deps;
+
+  const { data: record, error } = await db
+    .from('plaid_webhooks')
+    .select('*')
+    .eq('id', webhookId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!record) {
+    throw new Error(`Plaid webhook ${webhookId} not found`);
+  }
+  if (!record.verified) {
+    throw new Error(`Plaid webhook ${webhookId} failed verification and cannot be replayed`);
+  }
+
+  return processWebhook(record, deps);
+}
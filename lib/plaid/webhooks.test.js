@@ -0,0 +1,295 @@
+// lib/plaid/webhooks.test.js
+import {
+  handleWebhook,
+  recordWebhook,
+  processWebhook,
+  processPendingWebhooks,
+  replayWebhook,
+  MAX_WEBHOOK_ATTEMPTS,
+} from './webhooks';
+import { addEmailToQueue } from '../emailQueue';
+
+jest.mock('../services/plaid', () => ({}));
+jest.mock('../services/supabase', () => ({}));
+jest.mock('../emailQueue');
+
+/**
+ * An in-memory stand-in for the `audits`, `plaid_items` and `plaid_webhooks` tables.
+ */
+function createDb(audits = [], items = []) {
+  const tables = { audits: [...audits], plaid_items: [...items], plaid_webhooks: [] };
+  return {
+    tables,
+    from: table => {
+      const filters = [];
+      const rows = () => tables[table].filter(row => filters.every(matches => matches(row)));
+      const query = {
+        select: () => query,
+        eq: (column, value) => {
+          filters.push(row => row[column] === value);
+          return query;
+        },
+        lt: (column, value) => {
+          filters.push(row => row[column] !== null && row[column] !== undefined && row[column] < value);
+          return query;
+        },
+        order: () => query,
+        limit: () => query,
+        then: (resolve, reject) => Promise.resolve({ data: rows().map(row => ({ ...row })), error: null }).then(resolve, reject),
+        maybeSingle: async () => ({ data: rows()[0] || null, error: null }),
+        single: async () => ({ data: rows()[0], error: null }),
+        insert: row => {
+          const inserted = {
+            id: `webhook_${tables[table].length + 1}`,
+            attempts: 0,
+            claimed_at: null,
+            received_at: new Date(Date.UTC(2024, 0, 1, 0, tables[table].length)).toISOString(),
+            ...row,
+          };
+          tables[table].push(inserted);
+          filters.push(matches => matches.id === inserted.id);
+          return query;
+        },
+        update: changes => {
+          const updateFilters = [];
+          const apply = () => {
+            const updated = tables[table].filter(row => updateFilters.every(([column, value]) => row[column] === value));
+            updated.forEach(row => Object.assign(row, changes));
+            return { data: updated, error: null };
+          };
+          const update = {
+            eq: (column, value) => {
+              updateFilters.push([column, value]);
+              return update;
+            },
+            select: async () => apply(),
+            then: (resolve, reject) => Promise.resolve(apply()).then(resolve, reject),
+          };
+          return update;
+        },
+      };
+      return query;
+    },
+  };
+}
+
+const AUDIT = { id: 'audit_1', email: 'ops@example.com' };
+const ITEM = { audit_id: 'audit_1', item_id: 'item_1', access_token: 'access-item_1', institution_name: 'Local Bank', error: null };
+
+const itemError = errorCode => ({
+  webhook_type: 'ITEM',
+  webhook_code: 'ERROR',
+  item_id: 'item_1',
+  error: { error_type: 'ITEM_ERROR', error_code: errorCode },
+});
+
+describe('handleWebhook', () => {
+  let db;
+  let sync;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db = createDb([{ ...AUDIT }], [{ ...ITEM }]);
+    sync = jest.fn().mockResolvedValue({ added: 2, modified: 0, removed: 0, cursor: 'c' });
+  });
+
+  it.each(['SYNC_UPDATES_AVAILABLE', 'INITIAL_UPDATE', 'HISTORICAL_UPDATE'])(
+    'should sync the item on %s',
+    async webhookCode => {
+      const result = await handleWebhook({ webhook_type: 'TRANSACTIONS', webhook_code: webhookCode, item_id: 'item_1' },
+        { db, sync });
+
+      expect(sync).toHaveBeenCalledWith({ auditId: 'audit_1', itemId: 'item_1', accessToken: 'access-item_1' });
+      expect(result).toMatchObject({ action: 'synced', added: 2 });
+    }
+  );
+
+  it('should sync only the item the webhook is about', async () => {
+    db.tables.plaid_items.push({ ...ITEM, item_id: 'item_2', access_token: 'access-item_2' });
+
+    await handleWebhook({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: 'item_2' },
+      { db, sync });
+
+    expect(sync).toHaveBeenCalledTimes(1);
+    expect(sync).toHaveBeenCalledWith({ auditId: 'audit_1', itemId: 'item_2', accessToken: 'access-item_2' });
+  });
+
+  it('should mark the item and queue a reconnect email when the login is required', async () => {
+    const result = await handleWebhook(itemError('ITEM_LOGIN_REQUIRED'), { db, sync });
+
+    expect(result).toEqual({ action: 'reconnect_requested', reason: 'ITEM_LOGIN_REQUIRED' });
+    expect(db.tables.plaid_items[0].error).toBe('ITEM_LOGIN_REQUIRED');
+    expect(addEmailToQueue).toHaveBeenCalledWith(
+      'ops@example.com',
+      process.env.FROM_EMAIL,
+      'Action needed: reconnect your bank to LeakDetector',
+      expect.stringContaining('/reconnect?audit_id=audit_1&item_id=item_1')
+    );
+    expect(sync).not.toHaveBeenCalled();
+  });
+
+  it('should request a reconnect when the connection is about to expire', async () => {
+    const result = await handleWebhook(
+      { webhook_type: 'ITEM', webhook_code: 'PENDING_EXPIRATION', item_id: 'item_1', consent_expiration_time: '2024-03-01T00:00:00Z' },
+      { db, sync }
+    );
+
+    expect(result.reason).toBe('PENDING_EXPIRATION');
+    expect(db.tables.plaid_items[0].error).toBe('PENDING_EXPIRATION');
+  });
+
+  it('should not email the user twice for the same item error', async () => {
+    await handleWebhook(itemError('ITEM_LOGIN_REQUIRED'), { db, sync });
+    const result = await handleWebhook(itemError('ITEM_LOGIN_REQUIRED'), { db, sync });
+
+    expect(result.action).toBe('reconnect_already_requested');
+    expect(addEmailToQueue).toHaveBeenCalledTimes(1);
+  });
+
+  it('should complete the reconnect when the login is repaired', async () => {
+    db.tables.audits[0] = { ...AUDIT, status: 'reconnect_required' };
+    db.tables.plaid_items[0] = { ...ITEM, error: 'ITEM_LOGIN_REQUIRED' };
+
+    const result = await handleWebhook({ webhook_type: 'ITEM', webhook_code: 'LOGIN_REPAIRED', item_id: 'item_1' },
+      { db, sync });
+
+    expect(result).toEqual({ action: 'reconnected', resumed: true });
+    expect(db.tables.plaid_items[0].error).toBeNull();
+    expect(db.tables.audits[0].status).toBe('bank_connected');
+  });
+
+  it('should ignore other webhooks and items of no audit', async () => {
+    await expect(handleWebhook(itemError('INSTITUTION_DOWN'), { db, sync })).resolves.toEqual({ action: 'ignored' });
+    await expect(handleWebhook({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: 'other' },
+      { db, sync })).resolves.toEqual({ action: 'ignored' });
+    expect(sync).not.toHaveBeenCalled();
+    expect(addEmailToQueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('recorded webhooks', () => {
+  const body = JSON.stringify({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: 'item_1' });
+  let db;
+
+  beforeEach(() => {
+    db = createDb([{ ...AUDIT }], [{ ...ITEM }]);
+  });
+
+  it('should record the outcome of handling a webhook', async () => {
+    const sync = jest.fn().mockResolvedValue({ added: 1, modified: 0, removed: 0, cursor: 'c' });
+    const record = await recordWebhook(body, { verified: true }, db);
+
+    await processWebhook(record, { db, sync });
+
+    expect(db.tables.plaid_webhooks[0]).toMatchObject({
+      item_id: 'item_1',
+      webhook_code: 'SYNC_UPDATES_AVAILABLE',
+      body,
+      status: 'processed',
+      attempts: 1,
+    });
+  });
+
+  it('should replay a webhook that failed', async () => {
+    const sync = jest.fn()
+      .mockRejectedValueOnce(new Error('Plaid is down'))
+      .mockResolvedValueOnce({ added: 1, modified: 0, removed: 0, cursor: 'c' });
+    const record = await recordWebhook(body, { verified: true }, db);
+    await expect(processWebhook(record, { db, sync })).rejects.toThrow('Plaid is down');
+    expect(db.tables.plaid_webhooks[0]).toMatchObject({ status: 'failed', error_message: 'Plaid is down' });
+
+    const result = await replayWebhook(record.id, { db, sync });
+
+    expect(result.action).toBe('synced');
+    expect(db.tables.plaid_webhooks[0]).toMatchObject({ status: 'processed', attempts: 2, error_message: null });
+  });
+
+  it('should handle the recorded webhooks that were not handled yet', async () => {
+    const sync = jest.fn()
+      .mockResolvedValueOnce({ added: 1, modified: 0, removed: 0, cursor: 'c' })
+      .mockRejectedValueOnce(new Error('Plaid is down'))
+      .mockResolvedValueOnce({ added: 1, modified: 0, removed: 0, cursor: 'c' });
+    const first = await recordWebhook(body, { verified: true }, db);
+    const second = await recordWebhook(body, { verified: true }, db);
+    await recordWebhook(body, { verified: false, error: 'Invalid webhook signature' }, db);
+
+    const outcomes = await processPendingWebhooks({}, { db, sync });
+
+    expect(outcomes).toEqual([
+      { id: first.id, action: 'synced' },
+      { id: second.id, error: 'Plaid is down' },
+    ]);
+    expect(db.tables.plaid_webhooks.map(webhook => webhook.status)).toEqual(['processed', 'failed', 'rejected']);
+    expect(await processPendingWebhooks({}, { db, sync })).toEqual([{ id: second.id, action: 'synced' }]);
+    expect(db.tables.plaid_webhooks[1]).toMatchObject({ status: 'processed', attempts: 2 });
+    expect(await processPendingWebhooks({}, { db, sync })).toEqual([]);
+    expect(sync).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stop retrying a webhook after the last attempt', async () => {
+    const sync = jest.fn().mockRejectedValue(new Error('Plaid is down'));
+    const record = await recordWebhook(body, { verified: true }, db);
+
+    for (let attempt = 1; attempt <= MAX_WEBHOOK_ATTEMPTS; attempt++) {
+      expect(await processPendingWebhooks({}, { db, sync })).toEqual([{ id: record.id, error: 'Plaid is down' }]);
+    }
+
+    expect(await processPendingWebhooks({}, { db, sync })).toEqual([]);
+    expect(sync).toHaveBeenCalledTimes(MAX_WEBHOOK_ATTEMPTS);
+    expect(db.tables.plaid_webhooks[0]).toMatchObject({ status: 'failed', attempts: MAX_WEBHOOK_ATTEMPTS });
+  });
+
+  it('should take over a webhook whose run stopped while handling it', async () => {
+    const sync = jest.fn().mockResolvedValue({ added: 1, modified: 0, removed: 0, cursor: 'c' });
+    const record = await recordWebhook(body, { verified: true }, db);
+    Object.assign(db.tables.plaid_webhooks[0], { status: 'processing', attempts: 1, claimed_at: '2024-01-01T00:00:00.000Z' });
+
+    expect(await processPendingWebhooks({ now: new Date('2024-01-01T00:05:00Z') }, { db, sync })).toEqual([]);
+    expect(await processPendingWebhooks({ now: new Date('2024-01-01T00:20:00Z') }, { db, sync })).toEqual([
+      { id: record.id, action: 'synced' },
+    ]);
+    expect(db.tables.plaid_webhooks[0]).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  it('should fail a webhook whose every attempt stopped before it finished', async () => {
+    const sync = jest.fn();
+    const record = await recordWebhook(body, { verified: true }, db);
+    Object.assign(db.tables.plaid_webhooks[0], {
+      status: 'processing',
+      attempts: MAX_WEBHOOK_ATTEMPTS,
+      claimed_at: '2024-01-01T00:00:00.000Z',
+    });
+
+    expect(await processPendingWebhooks({ now: new Date('2024-01-02T00:00:00Z') }, { db, sync })).toEqual([
+      { id: record.id, error: 'Handling did not finish' },
+    ]);
+    expect(sync).not.toHaveBeenCalled();
+    expect(db.tables.plaid_webhooks[0].status).toBe('failed');
+  });
+
+  it('should skip webhooks claimed by another run', async () => {
+    const sync = jest.fn();
+    const record = await recordWebhook(body, { verified: true }, db);
+    const from = db.from;
+    db.from = table => {
+      const query = from(table);
+      // Another run claims the webhook between our read and our claim
+      const update = query.update;
+      query.update = changes => {
+        db.tables.plaid_webhooks.find(webhook => webhook.id === record.id).status = 'processing';
+        return update(changes);
+      };
+      return query;
+    };
+
+    expect(await processPendingWebhooks({}, { db, sync })).toEqual([]);
+    expect(sync).not.toHaveBeenCalled();
+  });
+
+  it('should not replay a webhook that failed verification', async () => {
+    const record = await recordWebhook(body, { verified: false, error: 'Invalid webhook signature' }, db);
+
+    expect(record.status).toBe('rejected');
+    await expect(replayWebhook(record.id, { db })).rejects.toThrow('cannot be replayed');
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview The registry of versioned prompt templates.
+ *
+ * Each template has a `version`, which is recorded on the rows it produces, and a `render` function. The
+ * version used for leak analysis is `LEAK_PROMPT_VERSION` from the environment, or the current version.
+ */
+
+import leakAnalysisV1 from './leak_analysis.v1.js';
+import leakAnalysisV2 from './leak_analysis.v2.js';
+
+/**
+ * Every published leak analysis prompt, by version.
+ * @type {Object<string, {version: string, render: Function}>}
+ */
+export const LEAK_ANALYSIS_PROMPTS = {
+  [leakAnalysisV1.version]: leakAnalysisV1,
+  [leakAnalysisV2.version]: leakAnalysisV2,
+};
+
+/**
+ * The leak analysis prompt version used when none is configured.
+ * @type {string}
+ */
+export const CURRENT_LEAK_ANALYSIS_VERSION = leakAnalysisV2.version;
+
+/**
+ * Returns a leak analysis prompt template.
+ * @param {string} [version] - The prompt version. Defaults to `LEAK_PROMPT_VERSION`, then to the current version.
+ * @returns {{version: string, render: Function}} The prompt template.
+ * @throws {Error} If the version does not exist.
+ */
+export function getLeakAnalysisPrompt(version = process.env.LEAK_PROMPT_VERSION || CURRENT_LEAK_ANALYSIS_VERSION) {
+  const prompt = LEAK_ANALYSIS_PROMPTS[version];
+  if (!prompt) {
+    throw new Error(`Unknown leak analysis prompt version: ${version}`);
+  }
+  return prompt;
+}
@@ -0,0 +1,37 @@
+// lib/prompts/index.test.js
+import { CURRENT_LEAK_ANALYSIS_VERSION, LEAK_ANALYSIS_PROMPTS, getLeakAnalysisPrompt } from './index';
+
+describe('getLeakAnalysisPrompt', () => {
+  const original = process.env.LEAK_PROMPT_VERSION;
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.LEAK_PROMPT_VERSION;
+    } else {
+      process.env.LEAK_PROMPT_VERSION = original;
+    }
+  });
+
+  it('should return the current version by default', () => {
+    delete process.env.LEAK_PROMPT_VERSION;
+    expect(getLeakAnalysisPrompt().version).toBe(CURRENT_LEAK_ANALYSIS_VERSION);
+  });
+
+  it('should reject unknown versions', () => {
+    process.env.LEAK_PROMPT_VERSION = 'leak_analysis.v0';
+    expect(() => getLeakAnalysisPrompt()).toThrow('Unknown leak analysis prompt version: leak_analysis.v0');
+  });
+
+  it('should register every prompt under its own version', () => {
+    Object.entries(LEAK_ANALYSIS_PROMPTS).forEach(([version, prompt]) => {
+      expect(prompt.version).toBe(version);
+      expect(typeof prompt.render).toBe('function');
+    });
+  });
+
+  it('should only add the vendor index to batched prompts', () => {
+    const prompt = getLeakAnalysisPrompt('leak_analysis.v1');
+    const charges = [{ merchant: 'zoom' }];
+    expect(prompt.render(charges, null)).not.toContain('one batch of a larger audit');
+    expect(prompt.render(charges, 'zoom [video_conferencing]: 15.99/monthly')).toContain('zoom [video_conferencing]: 15.99/monthly');
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Version 1 of the leak analysis prompt.
+ *
+ * Published prompt versions must not be edited: the version is stored on every leak the prompt produced, and
+ * evaluation results are compared across versions. Add a new version instead.
+ */
+
+export default {
+  version: 'leak_analysis.v1',
+
+  /**
+   * Renders the prompt for a batch of charges.
+   * @param {Array<Object>} charges - The slimmed charges of the batch.
+   * @param {(string|null)} vendorIndex - The vendor index of the audit, or null if the audit fits in one batch.
+   * @returns {string} The prompt.
+   */
+  render(charges, vendorIndex) {
+    const index = vendorIndex
+      ? `
+These charges are one batch of a larger audit. Every recurring charge in the audit is listed below as "merchant [category]: amount/frequency". Use this list to find duplicate tools, but only report leaks for the charges above:
+
+${vendorIndex}
+`
+      : '';
+
+    return `You are analyzing recurring SaaS subscriptions for waste. Here are the recurring charges found:
+
+${JSON.stringify(charges, null, 2)}
+${index}
+For each charge, determine:
+1. Is it likely a SaaS subscription?
+2. What type of leak is it? (zombie, duplicate, free_alternative, price_increase, or none if legitimate)
+3. Monthly cost estimate (for price_increase, only the monthly amount of the increase)
+4. Description of the waste
+5. Recommendation for what to do
+
+Report the leaks by calling the report_leaks tool. Use the exact "merchant" value of the charge as merchant_name, give costs as plain numbers in dollars and the confidence_score between 0 and 1.
+
+Each charge lists its "priceChanges"; flag a charge as price_increase when its most recent price change is an increase.
+Each charge also has a "billingModel" (fixed, per_seat or metered) and a growth "trend". For per_seat charges, "seatCount" and "unitPrice" give the seats paid for - say so in the description (e.g. "You pay for 40 seats of Figma at $15"). Metered charges vary with usage, so do not treat their changing amounts as waste on their own.
+
+Only include items where leak_type is NOT "none". Be conservative - only flag clear waste.`;
+  },
+};
@@ -3,84 +3,404 @@
  * It identifies recurring payments based on consistent merchant names and time intervals.
  */
 
+import { resolveVendor } from './merchants/normalizer.js';
+import { VENDOR_ALIASES, SEAT_PRICE_CURRENCY } from './merchants/vendorAliases.js';
+import { classifySeries } from './merchants/spendClasses.js';
+import { classifyBillingModel } from './billing_model.js';
+import { DEFAULT_CURRENCY, fromMinorUnits, toMinorUnits } from './cost_normalization.js';
+import { detectCancellation, netRefunds, refundsByVendor } from './refunds.js';
+import { reconcilePending } from './pending_transactions.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * The billing frequencies we recognize. `min`/`max` bound the median interval (in days) for a series to be
+ * classified with that frequency and `period` is the nominal billing period in days. `slack` is the drift
+ * that calendar irregularities alone produce (months are 28 to 31 days long), and `tolerance` is how much
+ * further, per billing period, an interval may drift and still count as on schedule.
+ * @type {Object<string, {min: number, max: number, period: number, slack: number, tolerance: number}>}
+ */
+const INTERVALS = {
+  weekly: { min: 6, max: 9, period: 7, slack: 0, tolerance: 2 },
+  'bi-weekly': { min: 13, max: 16, period: 14, slack: 0, tolerance: 2 },
+  monthly: { min: 28, max: 32, period: 30.44, slack: 2.5, tolerance: 2 },
+  quarterly: { min: 88, max: 92, period: 91.31, slack: 2, tolerance: 3 },
+  annual: { min: 363, max: 367, period: 365.25, slack: 1, tolerance: 3 },
+};
+
+/**
+ * The minimum share of intervals that must land on schedule for a series to be considered recurring.
+ * @type {number}
+ */
+const MIN_ON_SCHEDULE_RATIO = 0.75;
+
+/**
+ * The minimum relative difference between two charges for it to count as a price change.
+ * @type {number}
+ */
+const PRICE_CHANGE_MIN_RATIO = 0.02;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+/**
+ * Returns the median of a list of numbers.
+ * @param {Array<number>} values - The values.
+ * @returns {number} The median, or 0 for an empty list.
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Returns the most common value in a list, preferring the smallest value on ties.
+ * @param {Array<number>} values - The values.
+ * @returns {number} The mode.
+ */
+function mode(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best) || (count === counts.get(best) && value < best)) {
+      best = value;
+    }
+  });
+  return best;
+}
+
+/**
+ * Formats a day of the month as an ordinal ("1st", "2nd", "23rd").
+ * @param {number} day - The day of the month.
+ * @returns {string} The ordinal.
+ */
+function ordinal(day) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = day % 100 >= 11 && day % 100 <= 13 ? 'th' : suffixes[day % 10] || 'th';
+  return `${day}${suffix}`;
+}
+
+/**
+ * Scores how well a list of intervals fits a billing frequency.
+ *
+ * Each interval is matched to the nearest whole number of billing periods, so a skipped month (an interval of
+ * two periods) still counts as on schedule. Intervals shorter than half a period are treated as duplicate
+ * charges and excluded from the score.
+ *
+ * @param {Array<number>} intervals - The intervals between consecutive charges, in days.
+ * @param {{period: number, slack: number, tolerance: number}} range - The frequency definition from `INTERVALS`.
+ * @returns {{onScheduleRatio: number, regularityScore: number, intervalDeviation: number, missedPeriods: number, duplicateCount: number}}
+ *   The share of intervals on schedule, a 0-1 regularity score, the median drift beyond calendar slack in
+ *   days, the number of billing periods with no charge, and the number of duplicate charges.
+ */
+function scoreIntervals(intervals, { period, slack, tolerance }) {
+  let onSchedule = 0;
+  let missedPeriods = 0;
+  let duplicateCount = 0;
+  const deviations = [];
+  const scores = [];
+
+  intervals.forEach(days => {
+    const cycles = Math.round(days / period);
+    if (cycles === 0) {
+      duplicateCount++;
+      return;
+    }
+
+    const deviation = Math.max(0, Math.abs(days - cycles * period) - slack);
+    const allowed = tolerance * cycles;
+    if (deviation <= allowed) {
+      onSchedule++;
+      missedPeriods += cycles - 1;
+      deviations.push(deviation / cycles);
+      scores.push(1 - deviation / (allowed + 1));
+    } else {
+      scores.push(0);
+    }
+  });
+
+  const scored = scores.length;
+  const onScheduleRatio = scored > 0 ? onSchedule / scored : 0;
+  const averageScore = scored > 0 ? scores.reduce((a, b) => a + b, 0) / scored : 0;
+  // Every missed period lowers confidence that the series is still a steady subscription
+  const coverage = onSchedule > 0 ? onSchedule / (onSchedule + missedPeriods) : 0;
+
+  return {
+    onScheduleRatio,
+    regularityScore: parseFloat((averageScore * (0.5 + 0.5 * coverage)).toFixed(2)),
+    intervalDeviation: parseFloat(median(deviations).toFixed(1)),
+    missedPeriods,
+    duplicateCount,
+  };
+}
+
+/**
+ * Detects the day a series is billed on.
+ * @param {Array<Object>} txs - The transactions of the series, sorted by date.
+ * @param {string} frequency - The detected frequency.
+ * @returns {{anchorDay: number, anchorLabel: string}} The anchor day (day of the week, 0 = Sunday, for weekly
+ *   and bi-weekly series; day of the month otherwise) and a human-readable label.
+ */
+function detectAnchor(txs, frequency) {
+  const dates = txs.map(tx => new Date(tx.date));
+
+  if (frequency === 'weekly' || frequency === 'bi-weekly') {
+    const anchorDay = mode(dates.map(date => date.getUTCDay()));
+    return { anchorDay, anchorLabel: `billed every ${WEEKDAYS[anchorDay]}` };
+  }
+
+  const anchorDay = mode(dates.map(date => date.getUTCDate()));
+  if (frequency === 'annual') {
+    const month = mode(dates.map(date => date.getUTCMonth()));
+    return { anchorDay, anchorLabel: `billed on ${MONTHS[month]} ${ordinal(anchorDay)}` };
+  }
+  return { anchorDay, anchorLabel: `billed on the ${ordinal(anchorDay)}` };
+}
+
+/**
+ * Returns the smallest amount difference that counts as a price change rather than rounding or tax noise.
+ * @param {number} amount - The current price level.
+ * @returns {number} The threshold, in the transaction currency.
+ */
+function priceChangeThreshold(amount) {
+  return Math.max(1, Math.abs(amount) * PRICE_CHANGE_MIN_RATIO);
+}
+
+/**
+ * Detects step changes in the amount charged by a series.
+ *
+ * A charge that differs from the current price level starts a new level only when the following charge
+ * confirms it (or when it is the most recent charge), so a single one-off charge does not register as a
+ * price change.
+ *
+ * @param {Array<Object>} txs - The transactions of the series, sorted by date.
+ * @returns {{amountTimeline: Array<{date: string, amount: number}>, priceChanges: Array<Object>, currentAmount: number}}
+ *   The amount of every charge in date order, the detected changes (each with `date`, `previousAmount`,
+ *   `newAmount` and `percentChange`), and the price level at the last charge.
+ */
+function detectPriceChanges(txs) {
+  const amountTimeline = txs.map(tx => ({ date: tx.date, amount: parseFloat(tx.amount) }));
+  const priceChanges = [];
+
+  let level = amountTimeline[0].amount;
+  for (let i = 1; i < amountTimeline.length; i++) {
+    const { date, amount } = amountTimeline[i];
+    if (Math.abs(amount - level) <= priceChangeThreshold(level)) continue;
+
+    const next = amountTimeline[i + 1];
+    const confirmed = !next || Math.abs(next.amount - amount) <= priceChangeThreshold(amount);
+    if (!confirmed) continue;
+
+    priceChanges.push({
+      date,
+      previousAmount: level,
+      newAmount: amount,
+      percentChange: parseFloat((((amount - level) / level) * 100).toFixed(1)),
+    });
+    level = amount;
+  }
+
+  return { amountTimeline, priceChanges, currentAmount: level };
+}
+
+/**
+ * Summarizes who pays for a series, from the cardholders and departments that card and expense platform exports
+ * record on each charge.
+ * @param {Array<Object>} txs - The transactions of the series.
+ * @returns {Array<{cardholder: (string|null), department: (string|null), chargeCount: number}>} Each cardholder and
+ *   department pair, most charges first; empty if no charge records one.
+ */
+function summarizeOwners(txs) {
+  const owners = new Map();
+  txs
+    .filter(tx => tx.cardholder || tx.department)
+    .forEach(tx => {
+      const key = `${tx.cardholder || ''}\u0000${tx.department || ''}`;
+      if (!owners.has(key)) {
+        owners.set(key, { cardholder: tx.cardholder || null, department: tx.department || null, chargeCount: 0 });
+      }
+      owners.get(key).chargeCount++;
+    });
+  return [...owners.values()].sort((a, b) => b.chargeCount - a.chargeCount);
+}
+
+/**
+ * Classifies how a series is billed, in the currency it is billed in.
+ *
+ * Seat counts only come out of exact multiples of a unit price, which amounts converted to the reporting currency
+ * and rounded to the cent are not: a series converted from a single currency is classified on its original
+ * amounts, and its unit price converted at the same rate. The vendor's list price only applies to a series billed
+ * in `SEAT_PRICE_CURRENCY`.
+ *
+ * @param {Array<Object>} txs - The charges of the series, in date order.
+ * @param {{amountTimeline: Array<Object>, priceChanges: Array<Object>}} prices - The price changes of the series,
+ *   as returned by `detectPriceChanges`.
+ * @param {string} frequency - The detected billing frequency.
+ * @param {(string|null)} vendorId - The vendor ID from the alias table, if it matched.
+ * @param {string} currency - The currency of the amounts of the series.
+ * @returns {Object} The billing classification returned by `classifyBillingModel`, with the unit price in
+ *   `currency`.
+ */
+function classifyBilling(txs, prices, frequency, vendorId, currency) {
+  const originalCurrency = txs[0].original_currency;
+  const converted = Boolean(originalCurrency) && txs.every(tx => tx.original_currency === originalCurrency);
+  const billingCurrency = converted ? originalCurrency : currency;
+  const vendorEntry = VENDOR_ALIASES.find(entry => entry.id === vendorId);
+
+  const billing = classifyBillingModel({
+    ...(converted ? detectPriceChanges(txs.map(tx => ({ ...tx, amount: tx.original_amount }))) : prices),
+    frequency,
+    seatPrice: billingCurrency === SEAT_PRICE_CURRENCY ? vendorEntry?.seatPrice : undefined,
+  });
+  if (!converted || billing.unitPrice === null) return billing;
+
+  const rate = txs[txs.length - 1].fx_rate;
+  return { ...billing, unitPrice: fromMinorUnits(toMinorUnits(billing.unitPrice * rate, currency), currency) };
+}
+
 /**
  * Detects recurring charges from a list of transactions.
  *
- * This function groups transactions by merchant and analyzes the intervals between them to identify
- * weekly, bi-weekly, monthly, quarterly, and annual recurring charges. A minimum of three transactions
- * with a consistent interval is required to identify a recurring charge.
+ * This function groups transactions by canonical vendor (see `resolveVendor`) so that different bank
+ * descriptors for the same vendor are analyzed together. For each vendor it classifies the median interval
+ * between charges as weekly, bi-weekly, monthly, quarterly, or annual, and then checks that enough of the
+ * individual intervals land on a whole number of billing periods. Using the median, and allowing intervals
+ * that span several periods, means a skipped month or a duplicate charge does not hide a subscription.
+ * A minimum of three charges is required, except for annual plans, where two charges a year apart suffice.
+ *
+ * Only charges count: refunds and reversals are netted out of the charges they are linked to (a charge refunded
+ * in full is dropped), and credits are ignored (see `netRefunds`). A subscription refunded on or after its last
+ * charge was cancelled, and carries the refund in `cancellation`. Pending charges that a posted charge replaces are
+ * dropped first (see `reconcilePending`), so a charge is never counted twice.
  *
  * @param {Array<Object>} transactions - An array of transaction objects.
  * @param {string} transactions[].merchant_name - The name of the merchant for the transaction.
  * @param {string} transactions[].date - The date of the transaction in a format parseable by `new Date()`.
  * @param {number} transactions[].amount - The amount of the transaction.
+ * @param {string} [transactions[].transaction_type] - debit, credit, refund or reversal; defaults to debit.
+ * @param {string} [transactions[].refund_of] - For refunds and reversals, the `transaction_id` of the charge.
+ * @param {Array<string>} [transactions[].category] - The Plaid category, used to classify the series.
+ * @param {string} [transactions[].cardholder] - For card and expense platform exports, who made the charge.
+ * @param {string} [transactions[].department] - For card and expense platform exports, the cardholder's department.
+ * @param {boolean} [transactions[].pending] - Whether the charge is pending.
+ * @param {string} [transactions[].pending_transaction_id] - For posted charges, the `transaction_id` of the pending
+ *   charge they replace.
  *
  * @returns {Array<Object>} An array of objects, each representing a detected recurring charge.
- *   Each object includes the merchant name, a list of associated transactions, the detected frequency
- *   (weekly, bi-weekly, monthly, quarterly, annual), the average charge amount, the date of the last charge,
- *   and the total count of charges. Returns an empty array if no recurring charges are found.
+ *   Each object includes the merchant key (the canonical vendor ID, or the normalized descriptor for
+ *   vendors missing from the alias table), the vendor ID and display name, a list of associated
+ *   transactions, the detected frequency (weekly, bi-weekly, monthly, quarterly, annual), the average
+ *   charge amount, the date of the last charge, and the total count of charges. It also includes the
+ *   median interval and its dispersion, the number of missed billing periods and duplicate charges, a 0-1
+ *   `regularityScore`, and the detected anchor day (e.g. `anchorLabel: 'billed on the 3rd'`). Finally it
+ *   carries the `amountTimeline` of every charge, the `priceChanges` detected in it, the `currentAmount`,
+ *   and the billing classification from `classifyBillingModel` (`billingModel`, `unitPrice`, `seatCount`,
+ *   `initialSeatCount` and `trend`), the `cancellation` returned by `detectCancellation`, the
+ *   `owners` of the charges: each cardholder and department pair with its `chargeCount`, most charges first, and
+ *   the `spendClass` returned by `classifySeries` (only software series are analyzed for leaks).
+ *   Returns an empty array if no recurring charges are found.
  */
 export function detectRecurringCharges(transactions) {
   const merchantGroups = {};
+  const vendors = {};
+  const { charges, refunds } = netRefunds(reconcilePending(transactions));
+  const vendorRefunds = refundsByVendor(refunds);
 
-  // Group transactions by merchant
-  transactions.forEach(tx => {
-    const merchant = tx.merchant_name.toLowerCase().trim();
+  // Group charges by canonical vendor
+  charges.forEach(tx => {
+    const vendor = resolveVendor(tx.merchant_name);
+    const merchant = vendor.key;
     if (!merchantGroups[merchant]) {
       merchantGroups[merchant] = [];
+      vendors[merchant] = vendor;
     }
     merchantGroups[merchant].push(tx);
   });
 
   const recurring = [];
 
-  // Find merchants with 3+ charges in consistent intervals
   Object.entries(merchantGroups).forEach(([merchant, txs]) => {
-    if (txs.length >= 3) {
-      // Sort by date
-      txs.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-      // Calculate average interval in days
-      const intervals = [];
-      for (let i = 1; i < txs.length; i++) {
-        const days = Math.floor(
-          (new Date(txs[i].date) - new Date(txs[i - 1].date)) / (1000 * 60 * 60 * 24)
-        );
-        intervals.push(days);
-      }
+    if (txs.length < 2) return;
 
-      const avgInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
-
-      const INTERVALS = {
-        weekly: { min: 6, max: 9 },
-        'bi-weekly': { min: 13, max: 16 },
-        monthly: { min: 28, max: 32 },
-        quarterly: { min: 88, max: 92 },
-        annual: { min: 363, max: 367 },
-      };
-
-      let frequency = null;
-      for (const [freq, range] of Object.entries(INTERVALS)) {
-        if (avgInterval >= range.min && avgInterval <= range.max) {
-          frequency = freq;
-          break;
-        }
-      }
+    // Sort by date
+    txs.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Calculate intervals in days
+    const intervals = [];
+    for (let i = 1; i < txs.length; i++) {
+      intervals.push(Math.floor((new Date(txs[i].date) - new Date(txs[i - 1].date)) / DAY_MS));
+    }
 
-      if (frequency) {
-        const avgAmount = txs.reduce((sum, t) => sum + parseFloat(t.amount), 0) / txs.length;
-
-        recurring.push({
-          merchant,
-          transactions: txs,
-          frequency,
-          avgAmount: avgAmount.toFixed(2),
-          lastCharge: txs[txs.length - 1].date,
-          chargeCount: txs.length,
-        });
+    const medianInterval = median(intervals);
+
+    let frequency = null;
+    for (const [freq, range] of Object.entries(INTERVALS)) {
+      if (medianInterval >= range.min && medianInterval <= range.max) {
+        frequency = freq;
+        break;
       }
     }
+
+    if (!frequency) return;
+    if (txs.length < 3 && frequency !== 'annual') return;
+
+    const score = scoreIntervals(intervals, INTERVALS[frequency]);
+    if (score.onScheduleRatio < MIN_ON_SCHEDULE_RATIO) return;
+
+    const avgAmount = txs.reduce((sum, t) => sum + parseFloat(t.amount), 0) / txs.length;
+    const prices = detectPriceChanges(txs);
+    const currency = txs[txs.length - 1].iso_currency_code || DEFAULT_CURRENCY;
+    const billing = classifyBilling(txs, prices, frequency, vendors[merchant].vendorId, currency);
+
+    recurring.push({
+      merchant,
+      vendorId: vendors[merchant].vendorId,
+      vendorName: vendors[merchant].name,
+      transactions: txs,
+      currency,
+      frequency,
+      avgAmount: avgAmount.toFixed(2),
+      lastCharge: txs[txs.length - 1].date,
+      chargeCount: txs.length,
+      medianInterval,
+      intervalDeviation: score.intervalDeviation,
+      missedPeriods: score.missedPeriods,
+      duplicateCount: score.duplicateCount,
+      regularityScore: score.regularityScore,
+      ...detectAnchor(txs, frequency),
+      ...prices,
+      // Amount changes in seat-based and metered series reflect usage, not a change in price
+      priceChanges: billing.billingModel === 'fixed' ? prices.priceChanges : [],
+      ...billing,
+      cancellation: detectCancellation(txs, vendorRefunds[merchant] || []),
+      owners: summarizeOwners(txs),
+      spendClass: classifySeries({ merchant, vendorId: vendors[merchant].vendorId, transactions: txs }),
+    });
   });
 
   return recurring;
 }
+
+/**
+ * Adds who pays for each leak to its evidence, as `evidence.owners`, from the `owners` of the recurring charge of
+ * its vendor. Leaks of vendors whose charges record no cardholder or department are left unchanged.
+ * @param {Array<Object>} leaks - The leaks.
+ * @param {Array<Object>} recurringCharges - The recurring charges, as detected by `detectRecurringCharges`.
+ * @returns {Array<Object>} The leaks.
+ */
+export function attachOwners(leaks, recurringCharges) {
+  const ownersByVendor = new Map(recurringCharges
+    .filter(charge => charge.owners?.length)
+    .map(charge => [charge.merchant, charge.owners]));
+
+  return leaks.map(leak => {
+    const owners = ownersByVendor.get(resolveVendor(leak.merchant_name).key);
+    return owners ? { ...leak, evidence: { ...leak.evidence, owners } } : leak;
+  });
+}
@@ -1,5 +1,6 @@
 // lib/recurring_charges.test.js
-import { detectRecurringCharges } from './recurring_charges';
+import { attachOwners, detectRecurringCharges } from './recurring_charges';
+import { resolveVendor } from './merchants/normalizer';
 
 describe('detectRecurringCharges', () => {
 
@@ -82,4 +83,247 @@ describe('detectRecurringCharges', () => {
     expect(result[0].frequency).toBe('weekly');
     expect(result[0].chargeCount).toBe(3);
   });
+
+  it('should group different descriptors for the same vendor', () => {
+    const transactions = [
+      { merchant_name: 'SLACK TECHNOLOGIES*123', date: '2023-01-03', amount: 87.50 },
+      { merchant_name: 'Slack', date: '2023-02-03', amount: 87.50 },
+      { merchant_name: 'SLACK.COM SF CA', date: '2023-03-03', amount: 87.50 },
+    ];
+    const result = detectRecurringCharges(transactions);
+    expect(result).toHaveLength(1);
+    expect(result[0].merchant).toBe('slack');
+    expect(result[0].vendorId).toBe('slack');
+    expect(result[0].vendorName).toBe('Slack');
+    expect(result[0].frequency).toBe('monthly');
+    expect(result[0].chargeCount).toBe(3);
+  });
+
+  it('should identify a monthly subscription with a skipped month', () => {
+    const transactions = [
+      { merchant_name: 'Notion', date: '2023-01-03', amount: 16.00 },
+      { merchant_name: 'Notion', date: '2023-02-03', amount: 16.00 },
+      { merchant_name: 'Notion', date: '2023-03-03', amount: 16.00 },
+      { merchant_name: 'Notion', date: '2023-05-03', amount: 16.00 },
+      { merchant_name: 'Notion', date: '2023-06-03', amount: 16.00 },
+    ];
+    const result = detectRecurringCharges(transactions);
+    expect(result).toHaveLength(1);
+    expect(result[0].frequency).toBe('monthly');
+    expect(result[0].missedPeriods).toBe(1);
+    expect(result[0].regularityScore).toBeGreaterThan(0.5);
+    expect(result[0].regularityScore).toBeLessThan(1);
+  });
+
+  it('should identify a monthly subscription with a duplicate charge', () => {
+    const transactions = [
+      { merchant_name: 'Figma', date: '2023-01-10', amount: 45.00 },
+      { merchant_name: 'Figma', date: '2023-02-10', amount: 45.00 },
+      { merchant_name: 'Figma', date: '2023-02-10', amount: 45.00 },
+      { merchant_name: 'Figma', date: '2023-03-10', amount: 45.00 },
+      { merchant_name: 'Figma', date: '2023-04-10', amount: 45.00 },
+    ];
+    const result = detectRecurringCharges(transactions);
+    expect(result).toHaveLength(1);
+    expect(result[0].frequency).toBe('monthly');
+    expect(result[0].duplicateCount).toBe(1);
+  });
+
+  it('should identify an annual plan from only two charges', () => {
+    const transactions = [
+      { merchant_name: 'GitHub', date: '2022-03-01', amount: 231.00 },
+      { merchant_name: 'GitHub', date: '2023-03-01', amount: 231.00 },
+    ];
+    const result = detectRecurringCharges(transactions);
+    expect(result).toHaveLength(1);
+    expect(result[0].frequency).toBe('annual');
+    expect(result[0].chargeCount).toBe(2);
+    expect(result[0].anchorLabel).toBe('billed on March 1st');
+  });
+
+  it('should report the anchor day and a perfect regularity score for a steady series', () => {
+    const transactions = [
+      { merchant_name: 'Zoom', date: '2023-01-03', amount: 14.99 },
+      { merchant_name: 'Zoom', date: '2023-02-03', amount: 14.99 },
+      { merchant_name: 'Zoom', date: '2023-03-03', amount: 14.99 },
+      { merchant_name: 'Zoom', date: '2023-04-03', amount: 14.99 },
+    ];
+    const result = detectRecurringCharges(transactions);
+    expect(result[0].anchorDay).toBe(3);
+    expect(result[0].anchorLabel).toBe('billed on the 3rd');
+    expect(result[0].medianInterval).toBe(31);
+    expect(result[0].missedPeriods).toBe(0);
+    expect(result[0].regularityScore).toBe(1);
+  });
+
+  it('should report the weekday for weekly series', () => {
+    const transactions = [
+      { merchant_name: 'Meal Prep Service', date: '2023-01-07', amount: 75.00 },
+      { merchant_name: 'Meal Prep Service', date: '2023-01-14', amount: 75.00 },
+      { merchant_name: 'Meal Prep Service', date: '2023-01-21', amount: 75.00 },
+    ];
+    const result = detectRecurringCharges(transactions);
+    expect(result[0].anchorLabel).toBe('billed every Saturday');
+  });
+
+  it('should not identify a series whose intervals are mostly off schedule', () => {
+    const transactions = [
+      { merchant_name: 'Uber', date: '2023-01-01', amount: 20.00 },
+      { merchant_name: 'Uber', date: '2023-01-31', amount: 20.00 },
+      { merchant_name: 'Uber', date: '2023-03-01', amount: 20.00 },
+      { merchant_name: 'Uber', date: '2023-03-18', amount: 20.00 },
+      { merchant_name: 'Uber', date: '2023-04-30', amount: 20.00 },
+      { merchant_name: 'Uber', date: '2023-05-20', amount: 20.00 },
+    ];
+    expect(detectRecurringCharges(transactions)).toEqual([]);
+  });
+
+  it('should detect a price step change in the amount timeline', () => {
+    const transactions = [
+      { merchant_name: 'Asana', date: '2023-01-05', amount: 49.00 },
+      { merchant_name: 'Asana', date: '2023-02-05', amount: 49.00 },
+      { merchant_name: 'Asana', date: '2023-03-05', amount: 49.00 },
+      { merchant_name: 'Asana', date: '2023-04-05', amount: 69.00 },
+      { merchant_name: 'Asana', date: '2023-05-05', amount: 69.00 },
+    ];
+    const [series] = detectRecurringCharges(transactions);
+    expect(series.amountTimeline).toHaveLength(5);
+    expect(series.amountTimeline[3]).toEqual({ date: '2023-04-05', amount: 69 });
+    expect(series.priceChanges).toEqual([
+      { date: '2023-04-05', previousAmount: 49, newAmount: 69, percentChange: 40.8 },
+    ]);
+    expect(series.currentAmount).toBe(69);
+  });
+
+  it('should ignore a one-off charge that does not change the price level', () => {
+    const transactions = [
+      { merchant_name: 'Asana', date: '2023-01-05', amount: 49.00 },
+      { merchant_name: 'Asana', date: '2023-02-05', amount: 98.00 },
+      { merchant_name: 'Asana', date: '2023-03-05', amount: 49.00 },
+      { merchant_name: 'Asana', date: '2023-04-05', amount: 49.20 },
+    ];
+    const [series] = detectRecurringCharges(transactions);
+    expect(series.priceChanges).toEqual([]);
+    expect(series.currentAmount).toBe(49);
+  });
+
+  it('should classify per-seat series and not report seat growth as a price change', () => {
+    const transactions = [
+      { merchant_name: 'FIGMA.COM', date: '2023-01-12', amount: 540.00 },
+      { merchant_name: 'FIGMA.COM', date: '2023-02-12', amount: 540.00 },
+      { merchant_name: 'FIGMA.COM', date: '2023-03-12', amount: 600.00 },
+      { merchant_name: 'FIGMA.COM', date: '2023-04-12', amount: 600.00 },
+    ];
+    const [series] = detectRecurringCharges(transactions);
+    expect(series.billingModel).toBe('per_seat');
+    expect(series.seatCount).toBe(40);
+    expect(series.unitPrice).toBe(15);
+    expect(series.priceChanges).toEqual([]);
+  });
+
+  it('should classify per-seat series converted from USD on their original amounts', () => {
+    const fxRate = 0.9056;
+    const transactions = [540, 540, 600, 600].map((amount, i) => ({
+      merchant_name: 'FIGMA.COM',
+      date: `2023-0${i + 1}-12`,
+      amount: Math.round(amount * fxRate * 100) / 100,
+      iso_currency_code: 'EUR',
+      original_amount: amount,
+      original_currency: 'USD',
+      fx_rate: fxRate,
+    }));
+    const [series] = detectRecurringCharges(transactions);
+    expect(series.currency).toBe('EUR');
+    expect(series.billingModel).toBe('per_seat');
+    expect(series.seatCount).toBe(40);
+    expect(series.unitPrice).toBe(13.58);
+  });
+
+  it('should not apply USD list prices to series billed in another currency', () => {
+    const transactions = [540, 540, 600, 600].map((amount, i) => ({
+      merchant_name: 'FIGMA.COM',
+      date: `2023-0${i + 1}-12`,
+      amount,
+      iso_currency_code: 'EUR',
+    }));
+    const [series] = detectRecurringCharges(transactions);
+    expect(series.billingModel).toBe('fixed');
+    expect(series.seatCount).toBeNull();
+  });
+
+  it('should net refunds out of the charges they refund', () => {
+    const transactions = [
+      { transaction_id: 'c1', merchant_name: 'Notion', date: '2023-01-10', amount: 40, transaction_type: 'debit' },
+      { transaction_id: 'c2', merchant_name: 'Notion', date: '2023-02-10', amount: 40, transaction_type: 'debit' },
+      { transaction_id: 'c3', merchant_name: 'Notion', date: '2023-03-10', amount: 40, transaction_type: 'debit' },
+      { transaction_id: 'c4', merchant_name: 'Notion', date: '2023-04-10', amount: 40, transaction_type: 'debit' },
+      { transaction_id: 'c5', merchant_name: 'Notion', date: '2023-05-10', amount: 40, transaction_type: 'debit' },
+      { transaction_id: 'r1', merchant_name: 'Notion', date: '2023-02-12', amount: 40, transaction_type: 'refund', refund_of: 'c2' },
+      { transaction_id: 'i1', merchant_name: 'Notion', date: '2023-03-01', amount: 500, transaction_type: 'credit' },
+    ];
+    const [charge] = detectRecurringCharges(transactions);
+    expect(charge.chargeCount).toBe(4);
+    expect(charge.avgAmount).toBe('40.00');
+    expect(charge.cancellation).toBeNull();
+  });
+
+  it('should flag subscriptions that were cancelled and refunded', () => {
+    const transactions = [
+      ...['2023-01-10', '2023-02-10', '2023-03-10'].map((date, i) => ({
+        transaction_id: `c${i}`, merchant_name: 'Asana', date, amount: 30, transaction_type: 'debit',
+      })),
+      { transaction_id: 'r1', merchant_name: 'ASANA REFUND', date: '2023-03-25', amount: 15, transaction_type: 'refund', refund_of: 'c2' },
+    ];
+    const [charge] = detectRecurringCharges(transactions);
+    expect(charge.cancellation).toEqual({ refundDate: '2023-03-25', refundAmount: 15, refundOf: 'c2' });
+    expect(charge.chargeCount).toBe(3);
+  });
+
+  it('should report who pays for a series', () => {
+    const transactions = ['2024-01-05', '2024-02-05', '2024-03-05', '2024-04-05'].map((date, i) => ({
+      merchant_name: 'FIGMA',
+      date,
+      amount: 45,
+      cardholder: i < 3 ? 'Dana Reyes' : 'Sam Okafor',
+      department: 'Design',
+    }));
+
+    const [charge] = detectRecurringCharges(transactions);
+
+    expect(charge.owners).toEqual([
+      { cardholder: 'Dana Reyes', department: 'Design', chargeCount: 3 },
+      { cardholder: 'Sam Okafor', department: 'Design', chargeCount: 1 },
+    ]);
+  });
+
+  it('should not count a pending charge and its posted version twice', () => {
+    const transactions = [
+      ...['2024-01-05', '2024-02-05', '2024-03-05'].map((date, i) => ({
+        transaction_id: `c${i}`, merchant_name: 'Slack', date, amount: 87.5, transaction_type: 'debit',
+      })),
+      { transaction_id: 'p3', merchant_name: 'SLACK T0123ABC', date: '2024-04-05', amount: 87.5, pending: true },
+      { transaction_id: 'c3', merchant_name: 'Slack', date: '2024-04-07', amount: 87.5, pending_transaction_id: 'p3' },
+    ];
+
+    const [charge] = detectRecurringCharges(transactions);
+
+    expect(charge.chargeCount).toBe(4);
+    expect(charge.duplicateCount).toBe(0);
+  });
+});
+
+describe('attachOwners', () => {
+  it('should add the owners of the recurring charge of each leak to its evidence', () => {
+    const owners = [{ cardholder: 'Dana Reyes', department: 'Design', chargeCount: 3 }];
+    const charges = [
+      { merchant: resolveVendor('FIGMA').key, owners },
+      { merchant: resolveVendor('SLACK').key, owners: [] },
+    ];
+    const leaks = [{ merchant_name: 'Figma', evidence: { rule: 'high_cost' } }, { merchant_name: 'Slack' }];
+
+    const [figma, slack] = attachOwners(leaks, charges);
+
+    expect(figma.evidence).toEqual({ rule: 'high_cost', owners });
+    expect(slack).toBe(leaks[1]);
+  });
 });
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Storage of the recurring series detected in an audit.
+ *
+ * Every series returned by `detectRecurringCharges` is stored as a row of `recurring_series`, with its amount
+ * statistics, first and last charge, and the IDs of its charges, and those charges are flagged `is_recurring` with
+ * the series' frequency in `transactions`. The dashboard, the report and later re-audits query recurring spend
+ * from there instead of detecting it again.
+ */
+
+import supabase from './services/supabase.js';
+import { chargeCost } from './cost_normalization.js';
+import { chunk } from './supabase/queries.js';
+
+/**
+ * Formats a recurring charge as a row of the `recurring_series` table.
+ * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @returns {Object} The row.
+ */
+export function toSeriesRow(charge, auditId) {
+  const amounts = charge.amountTimeline.map(point => point.amount);
+  return {
+    audit_id: auditId,
+    merchant: charge.merchant,
+    vendor_id: charge.vendorId || null,
+    merchant_name: charge.vendorName,
+    spend_class: charge.spendClass,
+    frequency: charge.frequency,
+    currency: charge.currency,
+    avg_amount: parseFloat(charge.avgAmount),
+    current_amount: charge.currentAmount,
+    min_amount: Math.min(...amounts),
+    max_amount: Math.max(...amounts),
+    annual_cost: chargeCost(charge).annual_cost,
+    charge_count: charge.chargeCount,
+    first_charge: charge.transactions[0].date,
+    last_charge: charge.lastCharge,
+    regularity_score: charge.regularityScore,
+    cancelled_on: charge.cancellation?.refundDate || null,
+    owners: charge.owners || [],
+    transaction_ids: charge.transactions.map(tx => tx.transaction_id).filter(Boolean),
+  };
+}
+
+/**
+ * Stores the recurring series of an audit, replacing the series of a previous analysis, and flags the transactions
+ * that belong to a series.
+ *
+ * The writes are ordered so that a failure partway through never leaves the audit without its series or flags:
+ * the new series are upserted before the series of merchants no longer recurring are deleted, and the new members
+ * are flagged before the previous members that are not members anymore are unflagged.
+ *
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {Array<Object>} recurringCharges - The recurring charges, as detected by `detectRecurringCharges`.
+ * @param {object} [deps={}] - Dependencies, for tests.
+ * @param {Object} [deps.db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<Array<Object>>} The stored rows.
+ */
+export async function saveRecurringSeries(auditId, recurringCharges, deps = {}) {
+  const { db = supabase } = deps;
+  const rows = recurringCharges.map(charge => toSeriesRow(charge, auditId));
+
+  const { data: previous, error: previousError } = await db
+    .from('recurring_series')
+    .select('merchant, transaction_ids')
+    .eq('audit_id', auditId);
+  if (previousError) throw previousError;
+
+  if (rows.length > 0) {
+    const { error } = await db.from('recurring_series').upsert(rows, { onConflict: 'audit_id,merchant' });
+    if (error) throw error;
+  }
+
+  const merchants = new Set(rows.map(row => row.merchant));
+  const staleMerchants = (previous || []).map(series => series.merchant).filter(merchant => !merchants.has(merchant));
+  for (const staleChunk of chunk(staleMerchants)) {
+    const { error } = await db
+      .from('recurring_series')
+      .delete()
+      .eq('audit_id', auditId)
+      .in('merchant', staleChunk);
+    if (error) throw error;
+  }
+
+  const idsByFrequency = {};
+  rows.forEach(row => {
+    idsByFrequency[row.frequency] = [...(idsByFrequency[row.frequency] || []), ...row.transaction_ids];
+  });
+  for (const [frequency, transactionIds] of Object.entries(idsByFrequency)) {
+    for (const idChunk of chunk(transactionIds)) {
+      const { error } = await db
+        .from('transactions')
+        .update({ is_recurring: true, recurring_frequency: frequency })
+        .eq('audit_id', auditId)
+        .in('transaction_id', idChunk);
+      if (error) throw error;
+    }
+  }
+
+  const members = new Set(rows.flatMap(row => row.transaction_ids));
+  const formerMembers = (previous || [])
+    .flatMap(series => series.transaction_ids || [])
+    .filter(transactionId => !members.has(transactionId));
+  for (const idChunk of chunk(formerMembers)) {
+    const { error } = await db
+      .from('transactions')
+      .update({ is_recurring: false, recurring_frequency: null })
+      .eq('audit_id', auditId)
+      .in('transaction_id', idChunk);
+    if (error) throw error;
+  }
+
+  return rows;
+}
+
+/**
+ * Returns the recurring series of an audit, the most expensive first.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {Object} [db] - The Supabase client. Defaults to `lib/services/supabase`.
+ * @returns {Promise<Array<Object>>} The `recurring_series` rows.
+ */
+export async function getRecurringSeries(auditId, db = supabase) {
+  const { data, error } = await db
+    .from('recurring_series')
+    .select('*')
+    .eq('audit_id', auditId)
+    .order('annual_cost', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,156 @@
+// lib/recurring_series.test.js
+import { saveRecurringSeries, getRecurringSeries, toSeriesRow } from './recurring_series';
+import { detectRecurringCharges } from './recurring_charges';
+
+jest.mock('./services/supabase', () => ({}));
+
+const AUDIT_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+/**
+ * An in-memory stand-in for the `recurring_series` and `transactions` tables, recording the `in()` lists it was sent.
+ */
+function createDb(transactions) {
+  const tables = {
+    recurring_series: [],
+    transactions: transactions.map(tx => ({ audit_id: AUDIT_ID, is_recurring: false, recurring_frequency: null, ...tx })),
+  };
+  const inLists = [];
+  const matches = (row, filters) => filters.every(test => test(row));
+  const filtered = apply => {
+    const filters = [];
+    const query = {
+      eq: (column, value) => {
+        filters.push(row => row[column] === value);
+        return query;
+      },
+      in: (column, list) => {
+        inLists.push(list);
+        filters.push(row => list.includes(row[column]));
+        return query;
+      },
+      order: async (orderColumn, { ascending }) => ({
+        data: apply(filters).sort((a, b) => (ascending ? 1 : -1) * (a[orderColumn] - b[orderColumn])),
+        error: null,
+      }),
+      then: (resolve, reject) => Promise.resolve({ data: apply(filters), error: null }).then(resolve, reject),
+    };
+    return query;
+  };
+  return {
+    tables,
+    inLists,
+    from: table => ({
+      select: () => filtered(filters => tables[table].filter(row => matches(row, filters))),
+      upsert: async (rows, { onConflict }) => {
+        const key = row => onConflict.split(',').map(column => row[column]).join('|');
+        rows.forEach(row => {
+          tables[table] = [...tables[table].filter(existing => key(existing) !== key(row)), { ...row }];
+        });
+        return { error: null };
+      },
+      delete: () => filtered(filters => {
+        tables[table] = tables[table].filter(row => !matches(row, filters));
+        return [];
+      }),
+      update: values => filtered(filters => {
+        tables[table].filter(row => matches(row, filters)).forEach(row => Object.assign(row, values));
+        return [];
+      }),
+    }),
+  };
+}
+
+const transactions = [
+  ...['2024-01-10', '2024-02-10', '2024-03-10', '2024-04-10'].map((date, i) => ({
+    transaction_id: `slack_${i}`, merchant_name: 'SLACK T0123ABC', date, amount: i < 3 ? 80 : 96,
+  })),
+  ...['2024-01-01', '2024-02-01', '2024-03-01'].map((date, i) => ({
+    transaction_id: `rent_${i}`, merchant_name: 'OAKWOOD MGMT', date, amount: 4500, category: ['Payment', 'Rent'],
+  })),
+  { transaction_id: 'coffee', merchant_name: 'Blue Bottle Coffee', date: '2024-02-14', amount: 6 },
+];
+
+describe('toSeriesRow', () => {
+  it('should store the amount statistics and first and last charge of a series', () => {
+    const slack = detectRecurringCharges(transactions).find(charge => charge.vendorId === 'slack');
+
+    expect(toSeriesRow(slack, AUDIT_ID)).toMatchObject({
+      audit_id: AUDIT_ID,
+      merchant: 'slack',
+      merchant_name: 'Slack',
+      spend_class: 'software',
+      frequency: 'monthly',
+      avg_amount: 84,
+      current_amount: 96,
+      min_amount: 80,
+      max_amount: 96,
+      annual_cost: 1152,
+      charge_count: 4,
+      first_charge: '2024-01-10',
+      last_charge: '2024-04-10',
+      cancelled_on: null,
+      transaction_ids: ['slack_0', 'slack_1', 'slack_2', 'slack_3'],
+    });
+  });
+});
+
+describe('saveRecurringSeries', () => {
+  it('should store the series and flag their transactions', async () => {
+    const db = createDb(transactions);
+
+    await saveRecurringSeries(AUDIT_ID, detectRecurringCharges(transactions), { db });
+
+    expect(db.tables.recurring_series.map(row => [row.merchant_name, row.spend_class])).toEqual([
+      ['Slack', 'software'],
+      ['oakwood mgmt', 'other'],
+    ]);
+    const flags = Object.fromEntries(db.tables.transactions.map(tx => [tx.transaction_id, tx.recurring_frequency]));
+    expect(flags).toMatchObject({ slack_0: 'monthly', rent_2: 'monthly', coffee: null });
+    expect(db.tables.transactions.filter(tx => tx.is_recurring)).toHaveLength(7);
+  });
+
+  it('should replace the series of a previous analysis', async () => {
+    const db = createDb(transactions);
+    await saveRecurringSeries(AUDIT_ID, detectRecurringCharges(transactions), { db });
+
+    const withoutRent = transactions.filter(tx => !tx.transaction_id.startsWith('rent'));
+    await saveRecurringSeries(AUDIT_ID, detectRecurringCharges(withoutRent), { db });
+
+    expect(await getRecurringSeries(AUDIT_ID, db)).toEqual([expect.objectContaining({ merchant: 'slack', charge_count: 4 })]);
+    expect(db.tables.transactions.find(tx => tx.transaction_id === 'rent_0')).toMatchObject({
+      is_recurring: false,
+      recurring_frequency: null,
+    });
+    expect(db.tables.transactions.find(tx => tx.transaction_id === 'slack_0').is_recurring).toBe(true);
+  });
+
+  it('should keep the series and flags of the previous analysis when storing fails', async () => {
+    const db = createDb(transactions);
+    await saveRecurringSeries(AUDIT_ID, detectRecurringCharges(transactions), { db });
+    const from = db.from;
+    db.from = table => ({
+      ...from(table),
+      upsert: async () => ({ error: new Error('Failed to upsert recurring_series') }),
+    });
+
+    await expect(saveRecurringSeries(AUDIT_ID, detectRecurringCharges(transactions), { db }))
+      .rejects.toThrow('Failed to upsert');
+    expect(db.tables.recurring_series).toHaveLength(2);
+    expect(db.tables.transactions.filter(tx => tx.is_recurring)).toHaveLength(7);
+  });
+
+  it('should flag the transactions of a long series in chunks', async () => {
+    const weekly = Array.from({ length: 450 }, (_, i) => ({
+      transaction_id: `aws_${i}`,
+      merchant_name: 'AWS',
+      date: new Date(Date.UTC(2024, 0, 1) + i * 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      amount: 25,
+    }));
+    const db = createDb(weekly);
+
+    await saveRecurringSeries(AUDIT_ID, detectRecurringCharges(weekly), { db });
+
+    expect(db.tables.transactions.every(tx => tx.recurring_frequency === 'weekly')).toBe(true);
+    expect(Math.max(...db.inLists.map(list => list.length))).toBe(200);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview This module classifies transactions as debits, credits, refunds and reversals, links refunds to the
+ * charges they refund, and nets them out of those charges before recurring charge detection.
+ *
+ * Plaid reports money leaving the account as a positive amount and money coming in as a negative amount.
+ * Ingestion stores every amount as a positive value together with its `transaction_type`, and a refund or
+ * reversal with the `transaction_id` of the charge it undoes in `refund_of`.
+ */
+
+import { resolveVendor } from './merchants/normalizer.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * The transaction types stored in `transactions.transaction_type`.
+ * @type {{DEBIT: string, CREDIT: string, REFUND: string, REVERSAL: string}}
+ */
+export const TRANSACTION_TYPES = {
+  DEBIT: 'debit',
+  CREDIT: 'credit',
+  REFUND: 'refund',
+  REVERSAL: 'reversal',
+};
+
+/**
+ * Matches descriptors of reversed charges: voids, chargebacks and disputes.
+ * @type {RegExp}
+ */
+const REVERSAL_WORDS = /\b(reversal|reversed|void(ed)?|chargeback|dispute(d)?)\b/i;
+
+/**
+ * Matches descriptors of refunds.
+ * @type {RegExp}
+ */
+const REFUND_WORDS = /\b(refund(ed)?|return(ed)?|credit adj(ustment)?|merchant credit)\b/i;
+
+/**
+ * How long after a charge, in days, a credit from the same vendor can be a refund of it.
+ * @type {number}
+ */
+const REFUND_WINDOW_DAYS = 120;
+
+/**
+ * How close, in days, a fully refunded charge must be to another charge to count as a duplicate that was corrected
+ * rather than as a cancelled subscription.
+ * @type {number}
+ */
+const DUPLICATE_CHARGE_DAYS = 5;
+
+/**
+ * Resolves the vendor of a transaction, ignoring the refund and reversal words banks add to the descriptor.
+ * @param {Object} tx - A transaction.
+ * @returns {string} The vendor key.
+ */
+function vendorKey(tx) {
+  const descriptor = (tx.merchant_name || tx.name || '')
+    .replace(new RegExp(REVERSAL_WORDS.source, 'gi'), ' ')
+    .replace(new RegExp(REFUND_WORDS.source, 'gi'), ' ');
+  return resolveVendor(descriptor).key;
+}
+
+/**
+ * Checks whether a stored transaction is a charge. Rows stored before transactions were classified are charges.
+ * @param {Object} tx - A stored transaction.
+ * @returns {boolean} `true` for debits.
+ */
+export function isDebit(tx) {
+  return !tx.transaction_type || tx.transaction_type === TRANSACTION_TYPES.DEBIT;
+}
+
+/**
+ * Classifies the transactions of an account and links refunds and reversals to the charges they undo.
+ *
+ * Positive amounts are debits. A negative amount is a reversal or a refund when its descriptor says so, or when it
+ * can be linked to an earlier charge from the same vendor of at least the same amount (within 120 days); any other
+ * negative amount is a credit, such as income or a transfer. A refund is linked to the most recent such charge
+ * that is not already fully refunded, preferring one of exactly the refunded amount.
+ *
+ * @param {Array<Object>} transactions - Transactions with Plaid's signed `amount` (positive for money out).
+ * @returns {Array<Object>} The transactions, in the same order, with a positive `amount`, a `transaction_type` and,
+ *   for linked refunds and reversals, the `refund_of` transaction ID.
+ */
+export function classifyTransactions(transactions) {
+  const classified = transactions.map(tx => ({
+    ...tx,
+    amount: Math.abs(parseFloat(tx.amount)),
+    transaction_type: parseFloat(tx.amount) < 0 ? TRANSACTION_TYPES.CREDIT : TRANSACTION_TYPES.DEBIT,
+    refund_of: null,
+  }));
+
+  const refundable = {};
+  classified
+    .filter(tx => tx.transaction_type === TRANSACTION_TYPES.DEBIT)
+    .forEach(tx => {
+      const key = vendorKey(tx);
+      refundable[key] = refundable[key] || [];
+      refundable[key].push({ tx, remaining: tx.amount });
+    });
+
+  classified
+    .filter(tx => tx.transaction_type === TRANSACTION_TYPES.CREDIT)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(credit => {
+      const descriptor = credit.merchant_name || credit.name || '';
+      const candidates = (refundable[vendorKey(credit)] || [])
+        .filter(({ tx, remaining }) => {
+          const daysBefore = (new Date(credit.date) - new Date(tx.date)) / DAY_MS;
+          return daysBefore >= 0 && daysBefore <= REFUND_WINDOW_DAYS && remaining >= credit.amount - 0.005;
+        })
+        .sort((a, b) => new Date(b.tx.date) - new Date(a.tx.date));
+      const match = candidates.find(({ remaining }) => Math.abs(remaining - credit.amount) < 0.005) || candidates[0];
+
+      if (REVERSAL_WORDS.test(descriptor)) {
+        credit.transaction_type = TRANSACTION_TYPES.REVERSAL;
+      } else if (REFUND_WORDS.test(descriptor) || match) {
+        credit.transaction_type = TRANSACTION_TYPES.REFUND;
+      } else {
+        return;
+      }
+
+      if (match) {
+        match.remaining -= credit.amount;
+        credit.refund_of = match.tx.transaction_id || null;
+      }
+    });
+
+  return classified;
+}
+
+/**
+ * Nets refunds and reversals out of the charges they undo.
+ *
+ * Each charge is reduced by the refunds linked to it through `refund_of`, and charges that were refunded in full
+ * are dropped. Credits are ignored.
+ *
+ * @param {Array<Object>} transactions - Stored transactions, with positive amounts and their `transaction_type`.
+ * @returns {{charges: Array<Object>, refunds: Array<Object>}} The charges at their net amount (those partially
+ *   refunded also carry `refunded_amount`), and every refund and reversal. Linked refunds of a charge that was
+ *   dropped carry its date in `refunded_charge_date`.
+ */
+export function netRefunds(transactions) {
+  const refunded = transactions.filter(tx =>
+    tx.transaction_type === TRANSACTION_TYPES.REFUND || tx.transaction_type === TRANSACTION_TYPES.REVERSAL);
+
+  const refundedAmounts = {};
+  refunded
+    .filter(refund => refund.refund_of)
+    .forEach(refund => {
+      refundedAmounts[refund.refund_of] = (refundedAmounts[refund.refund_of] || 0) + parseFloat(refund.amount);
+    });
+
+  const dropped = {};
+  const charges = transactions
+    .filter(isDebit)
+    .map(tx => {
+      const refundedAmount = refundedAmounts[tx.transaction_id];
+      if (!refundedAmount) return tx;
+      const net = parseFloat((parseFloat(tx.amount) - refundedAmount).toFixed(2));
+      if (net > 0) return { ...tx, amount: net, refunded_amount: refundedAmount };
+      dropped[tx.transaction_id] = tx;
+      return null;
+    })
+    .filter(Boolean);
+
+  const refunds = refunded.map(refund => (dropped[refund.refund_of]
+    ? { ...refund, refunded_charge_date: dropped[refund.refund_of].date }
+    : refund));
+
+  return { charges, refunds };
+}
+
+/**
+ * Detects a subscription that was cancelled and refunded: a refund or reversal from the vendor dated on or after
+ * its last remaining charge, with no charge since. A refund of a charge billed alongside another charge (within
+ * 5 days) corrects a duplicate charge and does not count.
+ * @param {Array<Object>} charges - The net charges of one vendor, as returned by `netRefunds`, sorted by date.
+ * @param {Array<Object>} refunds - The refunds and reversals from the same vendor.
+ * @returns {({refundDate: string, refundAmount: number, refundOf: (string|null)}|null)} The latest such refund,
+ *   or null if the subscription is still being charged.
+ */
+export function detectCancellation(charges, refunds) {
+  const lastCharge = charges[charges.length - 1];
+  const isDuplicateCorrection = r => r.refunded_charge_date && charges.some(charge =>
+    Math.abs(new Date(charge.date) - new Date(r.refunded_charge_date)) / DAY_MS <= DUPLICATE_CHARGE_DAYS);
+  const refund = refunds
+    .filter(r => !lastCharge || new Date(r.date) >= new Date(lastCharge.date))
+    .filter(r => !isDuplicateCorrection(r))
+    .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+  if (!refund) return null;
+
+  return {
+    refundDate: refund.date,
+    refundAmount: parseFloat(refund.amount),
+    refundOf: refund.refund_of || null,
+  };
+}
+
+/**
+ * Groups refunds and reversals by vendor.
+ * @param {Array<Object>} refunds - Refunds and reversals.
+ * @returns {Object<string, Array<Object>>} The refunds of each vendor key.
+ */
+export function refundsByVendor(refunds) {
+  return refunds.reduce((groups, refund) => {
+    const key = vendorKey(refund);
+    groups[key] = groups[key] || [];
+    groups[key].push(refund);
+    return groups;
+  }, {});
+}
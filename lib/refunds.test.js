@@ -0,0 +1,95 @@
+// lib/refunds.test.js
+import { classifyTransactions, detectCancellation, netRefunds } from './refunds';
+
+const tx = (id, merchantName, amount, date) => ({ transaction_id: id, merchant_name: merchantName, amount, date });
+
+describe('classifyTransactions', () => {
+  it('should store positive amounts with their type', () => {
+    const [charge, income] = classifyTransactions([
+      tx('c1', 'SLACK T0123ABC', 87.5, '2023-01-05'),
+      tx('i1', 'ACME CORP PAYROLL', -5000, '2023-01-06'),
+    ]);
+    expect(charge).toMatchObject({ amount: 87.5, transaction_type: 'debit', refund_of: null });
+    expect(income).toMatchObject({ amount: 5000, transaction_type: 'credit', refund_of: null });
+  });
+
+  it('should link a credit from the same vendor to the charge it refunds', () => {
+    const classified = classifyTransactions([
+      tx('c1', 'SLACK T0123ABC', 87.5, '2023-01-05'),
+      tx('c2', 'SLACK T0123ABC', 87.5, '2023-02-05'),
+      tx('r1', 'REFUND SLACK TECHNOLOGIES', -87.5, '2023-02-10'),
+      tx('r2', 'SLACK T0123ABC', -20, '2023-02-12'),
+    ]);
+    expect(classified.slice(2).map(t => [t.transaction_type, t.refund_of])).toEqual([
+      ['refund', 'c2'],
+      ['refund', 'c1'],
+    ]);
+  });
+
+  it('should classify reversals by their descriptor', () => {
+    const [, reversal] = classifyTransactions([
+      tx('c1', 'ZOOM.US 888-799-9666', 15.99, '2023-03-01'),
+      tx('v1', 'ZOOM.US REVERSAL', -15.99, '2023-03-02'),
+    ]);
+    expect(reversal).toMatchObject({ amount: 15.99, transaction_type: 'reversal', refund_of: 'c1' });
+  });
+
+  it('should keep unlinked refunds as refunds and other credits as credits', () => {
+    const classified = classifyTransactions([
+      tx('c1', 'FIGMA', 15, '2023-01-01'),
+      tx('r1', 'FIGMA REFUND', -45, '2023-01-10'),
+      tx('r2', 'FIGMA', -15, '2022-12-01'),
+    ]);
+    expect(classified.slice(1).map(t => [t.transaction_type, t.refund_of])).toEqual([
+      ['refund', null],
+      ['credit', null],
+    ]);
+  });
+});
+
+describe('netRefunds', () => {
+  it('should reduce partially refunded charges and drop fully refunded ones', () => {
+    const stored = classifyTransactions([
+      tx('c1', 'NOTION', 40, '2023-01-01'),
+      tx('c2', 'NOTION', 40, '2023-02-01'),
+      tx('r1', 'NOTION', -10, '2023-01-03'),
+      tx('r2', 'NOTION', -40, '2023-02-02'),
+      tx('i1', 'INTEREST PAYMENT', -1.2, '2023-02-28'),
+    ]);
+    const { charges, refunds } = netRefunds(stored);
+
+    expect(charges.map(c => [c.transaction_id, c.amount, c.refunded_amount])).toEqual([['c1', 30, 10]]);
+    expect(refunds.map(r => [r.transaction_id, r.refunded_charge_date])).toEqual([
+      ['r1', undefined],
+      ['r2', '2023-02-01'],
+    ]);
+  });
+
+  it('should treat rows without a transaction type as charges', () => {
+    expect(netRefunds([tx('c1', 'NOTION', 40, '2023-01-01')]).charges).toHaveLength(1);
+  });
+});
+
+describe('detectCancellation', () => {
+  const series = ['2023-01-05', '2023-02-05', '2023-03-05'].map((date, i) => tx(`c${i}`, 'ASANA', 30, date));
+
+  it('should detect a refund on or after the last charge', () => {
+    const { charges, refunds } = netRefunds(classifyTransactions([...series, tx('r1', 'ASANA', -12, '2023-03-20')]));
+    expect(detectCancellation(charges, refunds)).toEqual({ refundDate: '2023-03-20', refundAmount: 12, refundOf: 'c2' });
+  });
+
+  it('should not report refunds followed by another charge', () => {
+    const { charges, refunds } = netRefunds(classifyTransactions([...series, tx('r1', 'ASANA', -12, '2023-02-20')]));
+    expect(detectCancellation(charges, refunds)).toBeNull();
+  });
+
+  it('should not report the reversal of a duplicate charge', () => {
+    const { charges, refunds } = netRefunds(classifyTransactions([
+      ...series,
+      tx('d1', 'ASANA', 30, '2023-03-06'),
+      tx('v1', 'ASANA REVERSAL', -30, '2023-03-08'),
+    ]));
+    expect(charges).toHaveLength(3);
+    expect(detectCancellation(charges, refunds)).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Rule: active subscriptions that overlap in function with another active subscription.
+ */
+
+import { detectDuplicateTools, duplicateToolLeaks } from '../duplicate_tools.js';
+
+/**
+ * The overlaps found in each list of charges, so that `runRules` detects them once per audit rather than once per
+ * charge. Keyed on the `charges` array, which the engine passes unchanged to every evaluation.
+ * @type {WeakMap<Array<Object>, {asOf: number, overlaps: Array<Object>}>}
+ */
+const overlapCache = new WeakMap();
+
+/**
+ * Returns the overlaps among the charges, detecting them only on the first call for the list and reference date.
+ * @param {Array<Object>} charges - The recurring charges of the audit.
+ * @param {Date} asOf - The reference date.
+ * @returns {Array<Object>} The overlaps, as returned by `detectDuplicateTools`.
+ */
+function findOverlaps(charges, asOf) {
+  const cached = overlapCache.get(charges);
+  if (cached && cached.asOf === asOf.getTime()) return cached.overlaps;
+
+  const overlaps = detectDuplicateTools(charges, { asOf });
+  overlapCache.set(charges, { asOf: asOf.getTime(), overlaps });
+  return overlaps;
+}
+
+export default {
+  id: 'duplicate_tools',
+  description: 'Flags active subscriptions in the same SaaS category as a more expensive active subscription',
+  config: {
+    confidence: 0.80,
+  },
+
+  /**
+   * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+   * @param {{config: Object, asOf: Date, charges: Array<Object>}} context - The rule context.
+   * @returns {(Object|null)} A leak, or null if the rule does not apply.
+   */
+  evaluate(charge, { config, asOf, charges }) {
+    const overlap = findOverlaps(charges, asOf).find(({ duplicates }) => duplicates.includes(charge));
+    if (!overlap) return null;
+
+    const leak = duplicateToolLeaks([{ ...overlap, duplicates: [charge] }])[0];
+    return {
+      ...leak,
+      confidence_score: config.confidence,
+      evidence: {
+        ...leak.evidence,
+        merchants: [overlap.primary.merchant, ...overlap.duplicates.map(duplicate => duplicate.merchant)],
+      },
+    };
+  },
+};
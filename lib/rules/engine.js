@@ -0,0 +1,55 @@
+/**
+ * @fileoverview This module runs leak detection rules over a list of recurring charges.
+ */
+
+import { DEFAULT_RULES } from './index.js';
+
+/**
+ * Resolves the effective configuration of a rule for one audit.
+ * @param {Object} rule - The rule.
+ * @param {Object} ruleConfig - The per-audit rule configuration, keyed by rule ID.
+ * @returns {(Object|null)} The rule's default config merged with the audit's overrides, or null if the rule is disabled.
+ */
+function resolveConfig(rule, ruleConfig) {
+  const { enabled = true, ...overrides } = ruleConfig[rule.id] || {};
+  if (!enabled) return null;
+  return { ...rule.config, ...overrides };
+}
+
+/**
+ * Evaluates every enabled rule against every recurring charge.
+ *
+ * Rules can be disabled or tuned per audit through `options.config`, keyed by rule ID, e.g.
+ * `{ zombie: { inactiveDays: 120 }, high_cost: { enabled: false } }`. Each leak records the ID of the rule
+ * that produced it in `evidence.rule`.
+ *
+ * @param {Array<Object>} recurringCharges - An array of recurring charge objects, as detected by `detectRecurringCharges`.
+ * @param {object} [options={}] - Engine options.
+ * @param {Array<Object>} [options.rules=DEFAULT_RULES] - The rules to run.
+ * @param {Object} [options.config={}] - Per-audit rule configuration, keyed by rule ID.
+ * @param {Date|string} [options.asOf=new Date()] - The reference date for time-based rules.
+ * @returns {Array<Object>} An array of identified leaks.
+ */
+export function runRules(recurringCharges, options = {}) {
+  const { rules = DEFAULT_RULES, config = {} } = options;
+  const asOf = new Date(options.asOf || Date.now());
+
+  const activeRules = rules
+    .map(rule => ({ rule, ruleConfig: resolveConfig(rule, config) }))
+    .filter(({ ruleConfig }) => ruleConfig !== null);
+
+  const leaks = [];
+
+  recurringCharges.forEach(charge => {
+    activeRules.forEach(({ rule, ruleConfig }) => {
+      const result = rule.evaluate(charge, { config: ruleConfig, asOf, charges: recurringCharges });
+      if (!result) return;
+
+      [].concat(result).forEach(leak => {
+        leaks.push({ ...leak, evidence: { ...leak.evidence, rule: rule.id } });
+      });
+    });
+  });
+
+  return leaks;
+}
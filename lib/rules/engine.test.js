@@ -0,0 +1,132 @@
+// lib/rules/engine.test.js
+import { runRules } from './engine';
+import { DEFAULT_RULES, getRule } from './index';
+import { detectDuplicateTools } from '../duplicate_tools';
+
+jest.mock('../duplicate_tools', () => {
+  const actual = jest.requireActual('../duplicate_tools');
+  return { ...actual, detectDuplicateTools: jest.fn(actual.detectDuplicateTools) };
+});
+
+const AS_OF = '2023-06-15';
+
+const charge = (merchant, avgAmount, overrides = {}) => ({
+  merchant,
+  frequency: 'monthly',
+  avgAmount: avgAmount.toFixed(2),
+  lastCharge: '2023-06-01',
+  priceChanges: [],
+  ...overrides,
+});
+
+describe('rule registry', () => {
+  it('should give every rule an id, description, config and evaluate function', () => {
+    DEFAULT_RULES.forEach(rule => {
+      expect(typeof rule.id).toBe('string');
+      expect(typeof rule.description).toBe('string');
+      expect(typeof rule.config).toBe('object');
+      expect(typeof rule.evaluate).toBe('function');
+    });
+    expect(new Set(DEFAULT_RULES.map(rule => rule.id)).size).toBe(DEFAULT_RULES.length);
+  });
+
+  it('should look up rules by id', () => {
+    expect(getRule('zombie').id).toBe('zombie');
+    expect(getRule('missing')).toBeUndefined();
+  });
+});
+
+describe('runRules', () => {
+  it('should record the rule that produced each leak', () => {
+    const leaks = runRules([charge('winzip', 29.99, { lastCharge: '2023-01-01' })], { asOf: AS_OF });
+    expect(leaks.map(leak => [leak.leak_type, leak.evidence.rule])).toEqual([
+      ['free_alternative', 'free_alternative'],
+      ['zombie', 'zombie'],
+    ]);
+  });
+
+  it('should use the reference date for time-based rules', () => {
+    const charges = [charge('notion', 10, { lastCharge: '2023-01-01' })];
+    expect(runRules(charges, { asOf: '2023-02-01' })).toEqual([]);
+    expect(runRules(charges, { asOf: '2023-06-01' })[0].leak_type).toBe('zombie');
+  });
+
+  it('should skip disabled rules', () => {
+    const charges = [charge('winzip', 29.99, { lastCharge: '2023-01-01' })];
+    const leaks = runRules(charges, { asOf: AS_OF, config: { zombie: { enabled: false } } });
+    expect(leaks.map(leak => leak.evidence.rule)).toEqual(['free_alternative']);
+  });
+
+  it('should apply per-audit threshold overrides', () => {
+    const charges = [charge('salesforce', 150)];
+    expect(runRules(charges, { asOf: AS_OF })[0].evidence.rule).toBe('high_cost');
+    expect(runRules(charges, { asOf: AS_OF, config: { high_cost: { monthlyThreshold: 200 } } })).toEqual([]);
+  });
+
+  it('should keep the evidence produced by the rule', () => {
+    const change = { date: '2023-05-01', previousAmount: 49, newAmount: 69, percentChange: 40.8 };
+    const [leak] = runRules([charge('asana', 69, { priceChanges: [change] })], { asOf: AS_OF });
+    expect(leak.leak_type).toBe('price_increase');
+    expect(leak.evidence).toEqual({ price_change: change, rule: 'price_increase' });
+  });
+
+  it('should run custom rules and accept arrays of leaks', () => {
+    const rule = {
+      id: 'custom',
+      description: 'Flags everything twice',
+      config: { confidence: 0.5 },
+      evaluate: (c, { config }) => [
+        { merchant_name: c.merchant, leak_type: 'unused', confidence_score: config.confidence },
+        { merchant_name: c.merchant, leak_type: 'unused', confidence_score: config.confidence },
+      ],
+    };
+    const leaks = runRules([charge('acme', 10)], { rules: [rule], config: { custom: { confidence: 0.9 } } });
+    expect(leaks).toHaveLength(2);
+    expect(leaks[0]).toEqual({
+      merchant_name: 'acme',
+      leak_type: 'unused',
+      confidence_score: 0.9,
+      evidence: { rule: 'custom' },
+    });
+  });
+
+  it('should flag duplicate tools with the combined cost of the category', () => {
+    const charges = [charge('zoom', 149.90), charge('webex', 25)];
+    const [leak] = runRules(charges, { asOf: AS_OF, config: { high_cost: { enabled: false } } });
+    expect(leak.leak_type).toBe('duplicate');
+    expect(leak.merchant_name).toBe('webex');
+    expect(leak.evidence).toEqual({
+      category: 'video_conferencing',
+      merchants: ['zoom', 'webex'],
+      combined_monthly_cost: 174.9,
+      rule: 'duplicate_tools',
+    });
+  });
+
+  it('should detect duplicate tools once per run', () => {
+    detectDuplicateTools.mockClear();
+    const charges = [charge('zoom', 149.90), charge('webex', 25), charge('slack', 80), charge('notion', 16)];
+    runRules(charges, { asOf: AS_OF });
+    expect(detectDuplicateTools).toHaveBeenCalledTimes(1);
+
+    runRules(charges, { asOf: '2024-06-15' });
+    expect(detectDuplicateTools).toHaveBeenCalledTimes(2);
+  });
+
+  it('should price leaks by the frequency of the charge', () => {
+    const charges = [
+      charge('winzip', 5, { frequency: 'weekly' }),
+      charge('vlc', 30, { frequency: 'quarterly' }),
+      charge('asana', 69, {
+        frequency: 'annual',
+        priceChanges: [{ date: '2023-05-01', previousAmount: 49, newAmount: 69, percentChange: 40.8 }],
+      }),
+    ];
+    const leaks = runRules(charges, { asOf: AS_OF, config: { duplicate_tools: { enabled: false } } });
+    expect(leaks.map(leak => [leak.merchant_name, leak.monthly_cost_cents, leak.annual_cost_cents])).toEqual([
+      ['winzip', 2167, 26000],
+      ['vlc', 1000, 12000],
+      ['asana', 167, 2000],
+    ]);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Rule: paying for software that has a well-known free alternative.
+ */
+
+import { chargeCost } from '../cost_normalization.js';
+
+export default {
+  id: 'free_alternative',
+  description: 'Flags subscriptions to tools that are available for free',
+  config: {
+    freeTools: ['vscode', 'winzip', 'winrar', 'vlc', '7-zip'],
+    confidence: 0.95,
+  },
+
+  /**
+   * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+   * @param {{config: Object}} context - The rule context.
+   * @returns {(Object|null)} A leak, or null if the rule does not apply.
+   */
+  evaluate(charge, { config }) {
+    const merchant = charge.merchant.toLowerCase();
+    if (!config.freeTools.some(tool => merchant.includes(tool))) return null;
+
+    return {
+      merchant_name: charge.merchant,
+      leak_type: 'free_alternative',
+      ...chargeCost(charge),
+      description: 'Paying for software that has a free alternative',
+      recommendation: 'Cancel subscription and use free version',
+      confidence_score: config.confidence,
+    };
+  },
+};
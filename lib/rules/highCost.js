@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Rule: high-cost subscriptions whose usage should be verified.
+ */
+
+import { billingEvidence } from '../billing_model.js';
+import { chargeCost, formatMoney } from '../cost_normalization.js';
+
+export default {
+  id: 'high_cost',
+  description: 'Flags subscriptions costing more than `monthlyThreshold` per month',
+  config: {
+    monthlyThreshold: 100,
+    confidence: 0.60,
+  },
+
+  /**
+   * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+   * @param {{config: Object}} context - The rule context.
+   * @returns {(Object|null)} A leak, or null if the rule does not apply.
+   */
+  evaluate(charge, { config }) {
+    const cost = chargeCost(charge);
+    if (!(cost.monthly_cost > config.monthlyThreshold)) return null;
+
+    const perSeat = charge.billingModel === 'per_seat';
+    return {
+      merchant_name: charge.merchant,
+      leak_type: 'unused',
+      ...cost,
+      description: perSeat
+        ? `You pay for ${charge.seatCount} seats of ${charge.vendorName || charge.merchant} at ${formatMoney(charge.unitPrice, cost.currency)} - verify every seat is in use`
+        : `High-cost subscription (${formatMoney(cost.monthly_cost, cost.currency)}/month) - verify active usage`,
+      recommendation: perSeat
+        ? 'Remove seats assigned to inactive or departed users'
+        : 'Review team usage and consider downgrading if underutilized',
+      confidence_score: config.confidence,
+      evidence: billingEvidence(charge),
+    };
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview The registry of leak detection rules.
+ *
+ * Every rule is a module exporting an object with an `id`, a `description`, default `config` thresholds, and a
+ * pure `evaluate(charge, context)` function that returns a leak (or an array of leaks) for a recurring charge,
+ * or null when the rule does not apply. To add a rule, create a module in this directory and list it below.
+ */
+
+import freeAlternative from './freeAlternative.js';
+import zombie from './zombie.js';
+import highCost from './highCost.js';
+import priceIncrease from './priceIncrease.js';
+import duplicateTools from './duplicateTools.js';
+
+/**
+ * The rules run by default, in evaluation order.
+ * @type {Array<{id: string, description: string, config: Object, evaluate: Function}>}
+ */
+export const DEFAULT_RULES = [freeAlternative, zombie, highCost, priceIncrease, duplicateTools];
+
+/**
+ * Looks up a registered rule by its ID.
+ * @param {string} id - The rule ID.
+ * @returns {(Object|undefined)} The rule, or undefined if no rule has that ID.
+ */
+export function getRule(id) {
+  return DEFAULT_RULES.find(rule => rule.id === id);
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Rule: vendors that recently raised their price.
+ */
+
+import { DEFAULT_CURRENCY, formatMoney, normalizeCost } from '../cost_normalization.js';
+
+export default {
+  id: 'price_increase',
+  description: 'Flags recurring charges whose most recent price change is an increase of at least `minPercentIncrease`',
+  config: {
+    minPercentIncrease: 0,
+    confidence: 0.80,
+  },
+
+  /**
+   * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+   * @param {{config: Object}} context - The rule context.
+   * @returns {(Object|null)} A leak, or null if the rule does not apply.
+   */
+  evaluate(charge, { config }) {
+    const latestChange = charge.priceChanges?.[charge.priceChanges.length - 1];
+    if (!latestChange || latestChange.newAmount <= latestChange.previousAmount) return null;
+    if (latestChange.percentChange < config.minPercentIncrease) return null;
+
+    const increase = latestChange.newAmount - latestChange.previousAmount;
+    const currency = charge.currency || DEFAULT_CURRENCY;
+    return {
+      merchant_name: charge.merchant,
+      leak_type: 'price_increase',
+      ...normalizeCost(increase, charge.frequency, currency),
+      description: `Price increased from ${formatMoney(latestChange.previousAmount, currency)} to ${formatMoney(latestChange.newAmount, currency)} (+${latestChange.percentChange}%) on ${latestChange.date}`,
+      recommendation: 'Ask the vendor to honor the previous price or review whether a cheaper plan covers your usage',
+      confidence_score: config.confidence,
+      evidence: { price_change: latestChange },
+    };
+  },
+};
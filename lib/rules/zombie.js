@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Rule: zombie subscriptions that have not been charged for a long time.
+ */
+
+import { chargeCost } from '../cost_normalization.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export default {
+  id: 'zombie',
+  description: 'Flags recurring charges with no charge in the last `inactiveDays` days',
+  config: {
+    inactiveDays: 90,
+    confidence: 0.75,
+  },
+
+  /**
+   * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+   * @param {{config: Object, asOf: Date}} context - The rule context.
+   * @returns {(Object|null)} A leak, or null if the rule does not apply.
+   */
+  evaluate(charge, { config, asOf }) {
+    const daysSinceLastCharge = Math.floor((asOf.getTime() - new Date(charge.lastCharge).getTime()) / DAY_MS);
+    if (daysSinceLastCharge <= config.inactiveDays) return null;
+
+    return {
+      merchant_name: charge.merchant,
+      leak_type: 'zombie',
+      ...chargeCost(charge),
+      description: `No charges in last ${daysSinceLastCharge} days - likely unused`,
+      recommendation: 'Review usage and consider canceling',
+      confidence_score: config.confidence,
+    };
+  },
+};
@@ -0,0 +1,113 @@
+// lib/security/redaction.js
+// Redaction of transaction data before it is sent to the AI provider
+
+import { categorizeMerchant } from '../merchants/categories.js';
+
+/**
+ * Matches email addresses.
+ * @type {RegExp}
+ */
+const EMAIL = /[^\s@*]+@[^\s@]+\.[a-z]{2,}/i;
+
+/**
+ * Matches descriptors of person-to-person payments, whose merchant is usually a person's name.
+ * @type {RegExp}
+ */
+const PERSONAL_PAYMENT = /\b(venmo|zelle|cash ?app|square cash|sq \*cash|apple cash|google pay send|transfer (to|from)|payment (to|from))\b/i;
+
+/**
+ * Matches descriptor tokens that can identify a card, an account or a phone number: runs of four or more
+ * digits, and masked card numbers such as "xxxx1234" or "****1234".
+ * @type {RegExp}
+ */
+const SENSITIVE_TOKEN = /\d{4,}|^[x*]{2,}\d*$/i;
+
+/**
+ * The number of most recent price changes of a charge included in the payload.
+ * @type {number}
+ */
+const MAX_PRICE_CHANGES = 3;
+
+/**
+ * Builds the descriptor sent for a merchant that is not in the vendor alias table, or null if it cannot be sent.
+ *
+ * The descriptor is dropped when any raw descriptor of the charge contains an email address or comes from a
+ * person-to-person payment; otherwise tokens that look like card, account or phone numbers are removed.
+ *
+ * @param {Object} charge - A recurring charge, as detected by `detectRecurringCharges`.
+ * @returns {(string|null)} The scrubbed descriptor.
+ */
+function scrubDescriptor(charge) {
+  const rawDescriptors = (charge.transactions || []).map(tx => tx.merchant_name || '');
+  if ([charge.merchant, ...rawDescriptors].some(raw => EMAIL.test(raw) || PERSONAL_PAYMENT.test(raw))) {
+    return null;
+  }
+
+  const scrubbed = (charge.merchant || '')
+    .split(/\s+/)
+    .filter(token => token && !SENSITIVE_TOKEN.test(token))
+    .join(' ');
+  return scrubbed || null;
+}
+
+/**
+ * Reduces recurring charges to the fields the model needs and replaces every merchant with a token.
+ *
+ * The payload never contains transaction IDs, raw descriptors or the transaction list. Each charge is identified
+ * by a token such as "merchant_3". Known vendors are described by their `vendorName` from the alias table, other
+ * merchants by a scrubbed `descriptor` (see `scrubDescriptor`), and every charge carries its SaaS `category`.
+ *
+ * @param {Array<Object>} recurringCharges - An array of recurring charge objects, as detected by `detectRecurringCharges`.
+ * @returns {{charges: Array<Object>, tokens: Map<string, Object>}} The redacted charges, and the original charge
+ *   of every token.
+ */
+export function redactCharges(recurringCharges) {
+  const tokens = new Map();
+
+  const charges = recurringCharges.map((charge, index) => {
+    const token = `merchant_${index + 1}`;
+    tokens.set(token, charge);
+
+    return {
+      merchant: token,
+      ...(charge.vendorId ? { vendorName: charge.vendorName } : { descriptor: scrubDescriptor(charge) }),
+      category: categorizeMerchant(charge.merchant),
+      frequency: charge.frequency,
+      avgAmount: charge.avgAmount,
+      currentAmount: charge.currentAmount,
+      lastCharge: charge.lastCharge,
+      chargeCount: charge.chargeCount,
+      missedPeriods: charge.missedPeriods,
+      priceChanges: charge.priceChanges?.slice(-MAX_PRICE_CHANGES),
+      billingModel: charge.billingModel,
+      unitPrice: charge.unitPrice,
+      seatCount: charge.seatCount,
+      trend: charge.trend,
+    };
+  });
+
+  return { charges, tokens };
+}
+
+/**
+ * Maps a leak reported for redacted charges back to the original merchant. The merchant token is replaced by the
+ * original merchant, and tokens mentioned in the description or recommendation by the merchant's display name.
+ * @param {Object} leak - A leak whose `merchant_name` is a token returned by `redactCharges`.
+ * @param {Map<string, Object>} tokens - The token map returned by `redactCharges`.
+ * @returns {Object} The leak, with original merchant names.
+ */
+export function restoreLeak(leak, tokens) {
+  const restoreText = text => (typeof text === 'string'
+    ? text.replace(/\bmerchant_\d+\b/g, token => {
+      const charge = tokens.get(token);
+      return charge ? charge.vendorName || charge.merchant : token;
+    })
+    : text);
+
+  return {
+    ...leak,
+    merchant_name: tokens.get(leak.merchant_name)?.merchant ?? leak.merchant_name,
+    description: restoreText(leak.description),
+    recommendation: restoreText(leak.recommendation),
+  };
+}
@@ -0,0 +1,82 @@
+// lib/security/redaction.test.js
+import { redactCharges, restoreLeak } from './redaction';
+import { detectRecurringCharges } from '../recurring_charges';
+
+const EMAIL = /[^\s@"]+@[^\s@"]+\.[a-z]{2,}/i;
+
+const monthly = (merchantName, amount, idPrefix) => ['2023-01-05', '2023-02-05', '2023-03-05', '2023-04-05'].map((date, i) => ({
+  transaction_id: `${idPrefix}_${i}`,
+  merchant_name: merchantName,
+  amount,
+  date,
+}));
+
+const transactions = [
+  ...monthly('SLACK T0123ABC', 87.5, 'txn_slack'),
+  ...monthly('PAYPAL *JOHN.DOE@GMAIL.COM', 50, 'txn_paypal'),
+  ...monthly('VENMO PAYMENT JANE SMITH', 120, 'txn_venmo'),
+  ...monthly('ACME ANALYTICS CARD XXXX4821', 49, 'txn_acme'),
+];
+
+describe('redactCharges', () => {
+  const recurringCharges = detectRecurringCharges(transactions);
+  const { charges, tokens } = redactCharges(recurringCharges);
+  const payload = JSON.stringify(charges);
+
+  it('should never include transaction IDs, raw descriptors or emails', () => {
+    expect(payload).not.toMatch(/txn_/);
+    expect(payload).not.toMatch(EMAIL);
+    expect(payload).not.toMatch(/gmail|jane|smith|john|doe/i);
+    expect(payload).not.toMatch(/4821/);
+    charges.forEach(charge => {
+      expect(charge.transactions).toBeUndefined();
+      expect(charge.amountTimeline).toBeUndefined();
+    });
+  });
+
+  it('should identify every charge by a token mapped to the original charge', () => {
+    expect(charges.map(charge => charge.merchant)).toEqual(recurringCharges.map((_, i) => `merchant_${i + 1}`));
+    charges.forEach(charge => {
+      expect(recurringCharges).toContain(tokens.get(charge.merchant));
+    });
+  });
+
+  it('should describe known vendors by name and other merchants by a scrubbed descriptor', () => {
+    const byOriginal = merchant => charges.find(charge => tokens.get(charge.merchant).merchant === merchant);
+    const slack = byOriginal('slack');
+    expect(slack.vendorName).toBe('Slack');
+    expect(slack.category).toBe('team_chat');
+    expect(slack.descriptor).toBeUndefined();
+
+    const acme = charges.find(charge => charge.descriptor?.startsWith('acme analytics'));
+    expect(acme).toBeDefined();
+    expect(acme.descriptor).not.toMatch(/\d{4}/);
+  });
+
+  it('should withhold the descriptor of personal payments', () => {
+    const personal = charges.filter(charge => charge.descriptor === null);
+    expect(personal).toHaveLength(2);
+  });
+});
+
+describe('restoreLeak', () => {
+  it('should map the merchant token and mentions of tokens back to the original merchants', () => {
+    const tokens = new Map([
+      ['merchant_1', { merchant: 'zoom', vendorName: 'Zoom' }],
+      ['merchant_2', { merchant: 'acme analytics' }],
+    ]);
+    const leak = restoreLeak({
+      merchant_name: 'merchant_2',
+      leak_type: 'duplicate',
+      description: 'merchant_2 overlaps with merchant_1',
+      recommendation: 'Cancel merchant_2',
+    }, tokens);
+
+    expect(leak).toEqual({
+      merchant_name: 'acme analytics',
+      leak_type: 'duplicate',
+      description: 'acme analytics overlaps with Zoom',
+      recommendation: 'Cancel acme analytics',
+    });
+  });
+});
@@ -3,19 +3,32 @@
  *
  * This client is configured using environment variables for the Plaid environment, client ID, and secret.
  * It is used for all interactions with the Plaid API, such as fetching transactions and managing items.
+ * With `PLAID_ENV=local`, it is a `LocalPlaidClient` that serves fixture transactions without network access.
  */
 import { Configuration, PlaidApi, PlaidEnvironments } from 'plaid';
+import { LocalPlaidClient } from '../plaid/localPlaid.js';
 
-const configuration = new Configuration({
-  basePath: PlaidEnvironments[process.env.PLAID_ENV],
-  baseOptions: {
-    headers: {
-      'PLAID-CLIENT-ID': process.env.PLAID_CLIENT_ID,
-      'PLAID-SECRET': process.env.PLAID_SECRET,
+/**
+ * Creates the Plaid client for the configured environment.
+ * @returns {(PlaidApi|LocalPlaidClient)} The client.
+ */
+function createPlaidClient() {
+  if (process.env.PLAID_ENV === 'local') {
+    return new LocalPlaidClient();
+  }
+
+  const configuration = new Configuration({
+    basePath: PlaidEnvironments[process.env.PLAID_ENV],
+    baseOptions: {
+      headers: {
+        'PLAID-CLIENT-ID': process.env.PLAID_CLIENT_ID,
+        'PLAID-SECRET': process.env.PLAID_SECRET,
+      },
     },
-  },
-});
+  });
+  return new PlaidApi(configuration);
+}
 
-const plaidClient = new PlaidApi(configuration);
+const plaidClient = createPlaidClient();
 
 export default plaidClient;
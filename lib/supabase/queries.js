@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Helpers for Supabase queries that can outgrow PostgREST's limits: a response holds at most
+ * `max_rows` rows (1000 by default), and filters are sent in the URL.
+ */
+
+/**
+ * The most values sent in one `in()` filter. PostgREST takes the filter in the URL, and a year of card spend can
+ * put thousands of transaction IDs in one filter.
+ * @type {number}
+ */
+export const IN_FILTER_CHUNK_SIZE = 200;
+
+/**
+ * The most rows read per request, PostgREST's default `max_rows`.
+ * @type {number}
+ */
+export const SELECT_PAGE_SIZE = 1000;
+
+/**
+ * Splits a list into chunks, so that `in()` filters stay within URL length limits.
+ * @param {Array} list - The list.
+ * @param {number} [size=IN_FILTER_CHUNK_SIZE] - The chunk size.
+ * @returns {Array<Array>} The chunks.
+ */
+export function chunk(list, size = IN_FILTER_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Reads every row a query matches, a page at a time.
+ * @param {Function} buildQuery - Returns a new query for the rows, ordered on a unique column so that pages do not
+ *   overlap.
+ * @param {number} [pageSize=SELECT_PAGE_SIZE] - The rows read per request.
+ * @returns {Promise<Array<Object>>} The rows.
+ * @throws {Error} If a page cannot be read.
+ */
+export async function selectAll(buildQuery, pageSize = SELECT_PAGE_SIZE) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return rows;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview This module contains the template function for generating the reconnect email HTML.
+ */
+
+/**
+ * Why the user needs to reconnect, by the Plaid code that reported it, given the name of the bank.
+ * @type {Object<string, Function>}
+ */
+const REASONS = {
+  ITEM_LOGIN_REQUIRED: bank => `${bank || 'Your bank'} needs you to log in again before we can keep reading your transactions.`,
+  PENDING_EXPIRATION: bank => `Your connection to ${bank || 'your bank'} is about to expire.`,
+};
+
+/**
+ * Generates the HTML content for the reconnect email.
+ * This email is sent when Plaid reports that a bank connection needs the user to log in again, and links them to
+ * the page where they can reconnect it.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @param {string} itemId - The Plaid item ID of the broken connection.
+ * @param {string} appUrl - The base URL of the application, used to construct the reconnect link.
+ * @param {string} reason - The Plaid code that reported it: 'ITEM_LOGIN_REQUIRED' or 'PENDING_EXPIRATION'.
+ * @param {string} [institutionName] - The name of the bank, when known.
+ * @returns {string} The complete HTML content of the reconnect email as a string.
+ */
+export function generateReconnectEmailHtml(auditId, itemId, appUrl, reason, institutionName) {
+  const reconnectUrl = `${appUrl}/reconnect?audit_id=${auditId}&item_id=${encodeURIComponent(itemId)}`;
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    .header {
+      background: #dc2626;
+      color: white;
+      padding: 10px;
+      text-align: center;
+      border-top-left-radius: 8px;
+      border-top-right-radius: 8px;
+    }
+    h1 { font-size: 24px; }
+    .content {
+      padding: 30px;
+      border: 1px solid #e5e7eb;
+    }
+    .button {
+      display: inline-block;
+      background-color: #dc2626;
+      color: white;
+      padding: 12px 24px;
+      text-decoration: none;
+      border-radius: 5px;
+      font-weight: bold;
+      margin: 20px 0;
+    }
+    .footer {
+      margin-top: 20px;
+      text-align: center;
+      color: #6b7280;
+      font-size: 12px;
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>Reconnect Your Bank</h1>
+  </div>
+  <div class="content">
+    <h2>Action Needed</h2>
+    <p>${REASONS[reason] ? REASONS[reason](institutionName) : 'Your bank connection needs your attention.'}</p>
+    <p>Reconnecting takes a minute and keeps your audit up to date. You won't need to connect a new account.</p>
+    <a href="${reconnectUrl}" class="button">Reconnect Your Bank</a>
+    <p>If you have any questions, please reply to this email.</p>
+  </div>
+  <div class="footer">
+    <p>LeakDetector</p>
+  </div>
+</body>
+</html>
+  `;
+}
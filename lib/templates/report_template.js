@@ -2,6 +2,38 @@
  * @fileoverview This module contains the template function for generating the HTML report.
  */
 
+import { DEFAULT_CURRENCY, formatMoney } from '../cost_normalization.js';
+
+/**
+ * The price of an audit, which is charged in US dollars.
+ * @type {{amount: number, currency: string}}
+ */
+export const AUDIT_PRICE = { amount: 497, currency: 'USD' };
+
+/**
+ * The section titles of the leak types.
+ * @type {Object<string, string>}
+ */
+const LEAK_TYPE_TITLES = {
+  zombie: '💀 Zombie Subscriptions',
+  duplicate: '🔄 Duplicate Tools',
+  free_alternative: '🆓 Paying for Free Software',
+  unused: '❌ Unused Subscriptions',
+  price_increase: '📈 Price Increases',
+  trial_converted: '⏰ Trials That Just Converted',
+};
+
+/**
+ * The labels of the spend classes listed in the "other recurring" section.
+ * @type {Object<string, string>}
+ */
+const SPEND_CLASS_LABELS = {
+  infrastructure: 'Infrastructure',
+  utilities: 'Utilities',
+  financial: 'Financial',
+  other: 'Other',
+};
+
 /**
  * Generates the HTML content for the financial leak report.
  *
@@ -10,23 +42,39 @@
  * a breakdown of leaks by type, and actionable recommendations for each leak.
  *
  * @param {object} audit - The audit record from the database.
- * @param {number} audit.total_waste_found - The total annual waste detected.
+ * @param {number} audit.total_waste_found - The total annual waste detected, in the reporting currency.
+ * @param {string} [audit.reporting_currency='USD'] - The currency every amount of the report is shown in.
  * @param {Array<object>} leaks - An array of leak records from the database.
- * @param {string} leaks[].leak_type - The type of the leak (e.g., 'zombie', 'duplicate').
+ * @param {string} leaks[].leak_type - The type of the leak (e.g., 'zombie', 'duplicate', 'price_increase').
  * @param {string} leaks[].merchant_name - The name of the merchant associated with the leak.
  * @param {number} leaks[].annual_cost - The estimated annual cost of the leak.
  * @param {string} leaks[].description - A description of the leak.
  * @param {string} leaks[].recommendation - The recommended action to address the leak.
+ * @param {object} [leaks[].evidence] - Supporting data; `evidence.billing` adds the seat count of per-seat plans,
+ *   `evidence.original_amounts` the amounts of charges billed in another currency, `evidence.accounts` the
+ *   bank accounts and cards the charges were paid from, and `evidence.owners` the cardholders and departments that
+ *   made them. `evidence.secondary_leaks` are findings of other leak types on the same merchant: each is listed in
+ *   the section of its type too, without adding to the total.
+ * @param {Array<object>} [otherRecurring=[]] - The `recurring_series` rows that are not software (rent, payroll,
+ *   utilities, ...), with their `merchant_name`, `spend_class`, `frequency`, `current_amount`, `annual_cost` and
+ *   `currency`. They are not analyzed for leaks, and are listed in an "other recurring" section.
+ * @param {object} [options={}] - Report options.
+ * @param {number} [options.auditPrice] - The price of the audit in the reporting currency, for the ROI. Defaults to
+ *   `AUDIT_PRICE` for reports in its currency; other reports without it state the price without an ROI.
  *
  * @returns {string} The complete HTML content of the report as a string.
  */
-export function generateReportHtml(audit, leaks) {
+export function generateReportHtml(audit, leaks, otherRecurring = [], options = {}) {
   const totalWaste = parseFloat(audit.total_waste_found || 0);
+  const currency = audit.reporting_currency || DEFAULT_CURRENCY;
+  const auditPrice = options.auditPrice ?? (currency === AUDIT_PRICE.currency ? AUDIT_PRICE.amount : null);
   const leaksByType = {
     zombie: leaks.filter(l => l.leak_type === 'zombie'),
     duplicate: leaks.filter(l => l.leak_type === 'duplicate'),
     free_alternative: leaks.filter(l => l.leak_type === 'free_alternative'),
     unused: leaks.filter(l => l.leak_type === 'unused'),
+    price_increase: leaks.filter(l => l.leak_type === 'price_increase'),
+    trial_converted: leaks.filter(l => l.leak_type === 'trial_converted'),
   };
 
   return `
@@ -64,6 +112,7 @@ export function generateReportHtml(audit, leaks) {
       margin-bottom: 10px;
     }
     .merchant { font-weight: bold; font-size: 18px; }
+    .billing { color: #6b7280; font-size: 14px; }
     .cost { color: #dc2626; font-size: 20px; font-weight: bold; }
     .recommendation {
       background: #ecfdf5;
@@ -84,38 +133,75 @@ export function generateReportHtml(audit, leaks) {
   <h1>🔴 Your SaaS Leak Report</h1>
   
   <div class="summary">
-    <h2 style="margin-top:0;">Total Annual Waste Detected: $${totalWaste.toLocaleString()}</h2>
+    <h2 style="margin-top:0;">Total Annual Waste Detected: ${formatMoney(totalWaste, currency)}</h2>
     <p><strong>${leaks.length} leak(s) found</strong> across your SaaS subscriptions.</p>
-    <p>ROI on this $497 audit: <strong>${((totalWaste / 497) * 100).toFixed(0)}%</strong></p>
+    ${auditPrice ? `
+    <p>ROI on this ${formatMoney(auditPrice, currency)} audit: <strong>${((totalWaste / auditPrice) * 100).toFixed(0)}%</strong></p>
+    ` : `<p>This audit cost ${formatMoney(AUDIT_PRICE.amount, AUDIT_PRICE.currency)}.</p>`}
   </div>
 
   ${Object.entries(leaksByType).map(([type, typeLeaks]) => {
-    if (typeLeaks.length === 0) return '';
-    
-    const typeNames = {
-      zombie: '💀 Zombie Subscriptions',
-      duplicate: '🔄 Duplicate Tools',
-      free_alternative: '🆓 Paying for Free Software',
-      unused: '❌ Unused Subscriptions'
-    };
+    // Findings of this type on a merchant whose leak is listed in another section, where its cost is counted
+    const secondary = leaks.flatMap(leak => (leak.evidence?.secondary_leaks || [])
+      .filter(finding => finding.leak_type === type)
+      .map(finding => ({ ...finding, merchant_name: leak.merchant_name, counted_under: leak.leak_type })));
+    if (typeLeaks.length === 0 && secondary.length === 0) return '';
 
     return `
-      <h2>${typeNames[type]}</h2>
+      <h2>${LEAK_TYPE_TITLES[type]}</h2>
       ${typeLeaks.map(leak => `
         <div class="leak">
           <div class="leak-header">
             <div class="merchant">${leak.merchant_name}</div>
-            <div class="cost">$${parseFloat(leak.annual_cost).toLocaleString()}/year</div>
+            <div class="cost">${formatMoney(leak.annual_cost, currency)}/year</div>
           </div>
           <p>${leak.description}</p>
+          ${leak.evidence?.billing?.model === 'per_seat' ? `
+          <p class="billing">${leak.evidence.billing.seat_count} seats at ${formatMoney(leak.evidence.billing.unit_price, currency)}/seat</p>
+          ` : ''}
+          ${leak.evidence?.original_amounts ? `
+          <p class="billing">Billed as ${leak.evidence.original_amounts.map(original => formatMoney(original.amount, original.currency)).join(' and ')}</p>
+          ` : ''}
+          ${leak.evidence?.accounts?.length ? `
+          <p class="billing">Charged to ${leak.evidence.accounts.map(account => [account.institution_name, account.name, account.mask && `••${account.mask}`].filter(Boolean).join(' ')).join(' and ')}</p>
+          ` : ''}
+          ${leak.evidence?.owners?.length ? `
+          <p class="billing">Paid by ${leak.evidence.owners.map(owner => (owner.cardholder && owner.department ? `${owner.cardholder} (${owner.department})` : owner.cardholder || owner.department)).join(' and ')}</p>
+          ` : ''}
           <div class="recommendation">
             <strong>💡 Recommendation:</strong> ${leak.recommendation}
           </div>
         </div>
       `).join('')}
+      ${secondary.map(finding => `
+        <div class="leak">
+          <div class="leak-header">
+            <div class="merchant">${finding.merchant_name}</div>
+            <div class="cost">${formatMoney(finding.annual_cost, currency)}/year</div>
+          </div>
+          ${finding.description ? `<p>${finding.description}</p>` : ''}
+          <p class="billing">Also listed under ${LEAK_TYPE_TITLES[finding.counted_under]}, where its cost is counted.</p>
+        </div>
+      `).join('')}
     `;
   }).join('')}
 
+  ${otherRecurring.length ? `
+  <h2>🧾 Other Recurring Charges</h2>
+  <p class="billing">These recurring charges are not software subscriptions, so they were not analyzed for leaks.</p>
+  <table style="width:100%; border-collapse:collapse;">
+    <tr><th align="left">Merchant</th><th align="left">Type</th><th align="left">Billed</th><th align="right">Per year</th></tr>
+    ${otherRecurring.map(series => `
+    <tr>
+      <td>${series.merchant_name}</td>
+      <td>${SPEND_CLASS_LABELS[series.spend_class] || SPEND_CLASS_LABELS.other}</td>
+      <td>${series.frequency}, ${formatMoney(series.current_amount, series.currency || currency)}</td>
+      <td align="right">${formatMoney(series.annual_cost, series.currency || currency)}</td>
+    </tr>
+    `).join('')}
+  </table>
+  ` : ''}
+
   <h2>🎯 Next Steps</h2>
   <ol>
     <li><strong>Cancel the leaks:</strong> Use the recommendations above to cancel or downgrade subscriptions</li>
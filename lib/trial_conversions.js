@@ -0,0 +1,145 @@
+/**
+ * @fileoverview This module detects free trials that have just converted into paid subscriptions.
+ *
+ * A trial usually shows up as a $0 or $1 card authorization followed, 7 to 30 days later, by the first full
+ * charge. `detectRecurringCharges` needs several charges before it recognizes a subscription, so a trial
+ * that has only just converted is invisible to it; this detector looks for the authorization/charge pair instead.
+ */
+
+import { resolveVendor } from './merchants/normalizer.js';
+import { classifySeries } from './merchants/spendClasses.js';
+import { DEFAULT_CURRENCY, formatMoney, normalizeCost } from './cost_normalization.js';
+import { detectCancellation, netRefunds, refundsByVendor } from './refunds.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * The largest amount that counts as a trial authorization.
+ * @type {number}
+ */
+const TRIAL_MAX_AMOUNT = 1;
+
+/**
+ * The range of trial lengths, in days, between the authorization and the first paid charge.
+ * @type {{min: number, max: number}}
+ */
+const TRIAL_LENGTH_DAYS = { min: 5, max: 35 };
+
+/**
+ * How recently, in days before the reference date, a trial must have converted to be reported.
+ * @type {number}
+ */
+const FRESH_CONVERSION_DAYS = 60;
+
+/**
+ * The smallest first charge that is priced as an annual plan. A trial usually converts to a monthly plan, and a
+ * single charge is not enough to tell the frequency, but monthly SaaS plans that bill this much are rare, while
+ * annual plans commonly do.
+ * @type {number}
+ */
+const ANNUAL_PLAN_MIN_AMOUNT = 500;
+
+/**
+ * Detects trials that converted into a paid charge.
+ *
+ * For every vendor, a trial authorization (an amount of at most $1) followed within 5 to 35 days by the
+ * vendor's first paid charge is a conversion. Vendors that were already being paid before the authorization
+ * are skipped, as are conversions older than 60 days before `asOf` and conversions that were refunded (the trial
+ * was cancelled). Refunds and reversals are netted out of the charges first (see `netRefunds`). The plan is
+ * taken as monthly, unless the first charge is at least $500, which is priced as an annual plan.
+ *
+ * @param {Array<Object>} transactions - An array of transaction objects.
+ * @param {string} transactions[].merchant_name - The name of the merchant for the transaction.
+ * @param {string} transactions[].date - The date of the transaction in a format parseable by `new Date()`.
+ * @param {number} transactions[].amount - The amount of the transaction.
+ * @param {object} [options={}] - Detection options.
+ * @param {string} [options.asOf] - The reference date; defaults to the date of the latest transaction.
+ * @returns {Array<Object>} An array of conversions, each with the merchant key, vendor ID and name, the trial
+ *   and conversion dates and amounts, the billing `frequency` of the plan, the trial length in days, the two
+ *   transactions involved, and the vendor's `spendClass` returned by `classifySeries` (only software conversions
+ *   are leaks: utilities, insurers and ride-hailing apps also verify cards with a $1 charge).
+ */
+export function detectTrialConversions(transactions, options = {}) {
+  if (transactions.length === 0) return [];
+
+  const groups = {};
+  const { charges, refunds } = netRefunds(transactions);
+  const vendorRefunds = refundsByVendor(refunds);
+  charges.forEach(tx => {
+    const vendor = resolveVendor(tx.merchant_name);
+    if (!groups[vendor.key]) {
+      groups[vendor.key] = { vendor, txs: [] };
+    }
+    groups[vendor.key].txs.push(tx);
+  });
+
+  const asOf = new Date(
+    options.asOf || transactions.reduce((latest, tx) => (tx.date > latest ? tx.date : latest), transactions[0].date)
+  );
+
+  const conversions = [];
+
+  Object.entries(groups).forEach(([merchant, { vendor, txs }]) => {
+    txs.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const firstPaidIndex = txs.findIndex(tx => parseFloat(tx.amount) > TRIAL_MAX_AMOUNT);
+    if (firstPaidIndex <= 0) return;
+
+    const conversion = txs[firstPaidIndex];
+    const trial = txs
+      .slice(0, firstPaidIndex)
+      .reverse()
+      .find(tx => parseFloat(tx.amount) >= 0 && parseFloat(tx.amount) <= TRIAL_MAX_AMOUNT);
+    if (!trial) return;
+
+    const trialLengthDays = Math.round((new Date(conversion.date) - new Date(trial.date)) / DAY_MS);
+    if (trialLengthDays < TRIAL_LENGTH_DAYS.min || trialLengthDays > TRIAL_LENGTH_DAYS.max) return;
+
+    const daysSinceConversion = (asOf - new Date(conversion.date)) / DAY_MS;
+    if (daysSinceConversion > FRESH_CONVERSION_DAYS) return;
+    if (detectCancellation(txs, vendorRefunds[merchant] || [])) return;
+
+    conversions.push({
+      merchant,
+      vendorId: vendor.vendorId,
+      vendorName: vendor.name,
+      trialDate: trial.date,
+      trialAmount: parseFloat(trial.amount),
+      conversionDate: conversion.date,
+      convertedAmount: parseFloat(conversion.amount),
+      frequency: parseFloat(conversion.amount) >= ANNUAL_PLAN_MIN_AMOUNT ? 'annual' : 'monthly',
+      currency: conversion.iso_currency_code || DEFAULT_CURRENCY,
+      trialLengthDays,
+      transactions: [trial, conversion],
+      spendClass: classifySeries({ merchant, vendorId: vendor.vendorId, transactions: txs }),
+    });
+  });
+
+  return conversions;
+}
+
+/**
+ * Formats detected trial conversions as `trial_converted` leaks for database insertion.
+ * @param {Array<Object>} conversions - The conversions returned by `detectTrialConversions`.
+ * @param {string} auditId - The unique identifier for the audit session.
+ * @returns {Array<Object>} An array of leak objects, formatted for the database.
+ */
+export function trialConversionLeaks(conversions, auditId) {
+  return conversions.map(conversion => ({
+    audit_id: auditId,
+    leak_type: 'trial_converted',
+    merchant_name: conversion.merchant,
+    ...normalizeCost(conversion.convertedAmount, conversion.frequency, conversion.currency),
+    last_charge_date: conversion.conversionDate,
+    description: `Free trial converted to a paid ${formatMoney(conversion.convertedAmount, conversion.currency)} charge on ${conversion.conversionDate}, ${conversion.trialLengthDays} days after the trial started`,
+    recommendation: 'Confirm the team adopted this tool; cancel before the next billing date if not',
+    confidence_score: 0.70,
+    evidence: {
+      trial_date: conversion.trialDate,
+      trial_amount: conversion.trialAmount,
+      conversion_date: conversion.conversionDate,
+      frequency: conversion.frequency,
+      transaction_ids: conversion.transactions.map(tx => tx.transaction_id).filter(Boolean),
+    },
+  }));
+}
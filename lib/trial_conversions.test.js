@@ -0,0 +1,106 @@
+// lib/trial_conversions.test.js
+import { detectTrialConversions, trialConversionLeaks } from './trial_conversions';
+
+describe('detectTrialConversions', () => {
+  it('should return an empty array if no transactions are provided', () => {
+    expect(detectTrialConversions([])).toEqual([]);
+  });
+
+  it('should detect a $0 authorization followed by a full charge', () => {
+    const transactions = [
+      { transaction_id: 'tx1', merchant_name: 'LOOM.COM', date: '2023-05-01', amount: 0 },
+      { transaction_id: 'tx2', merchant_name: 'Loom', date: '2023-05-15', amount: 150.00 },
+    ];
+    const [conversion] = detectTrialConversions(transactions);
+    expect(conversion).toMatchObject({
+      merchant: 'loom',
+      vendorId: 'loom',
+      trialDate: '2023-05-01',
+      trialAmount: 0,
+      conversionDate: '2023-05-15',
+      convertedAmount: 150,
+      trialLengthDays: 14,
+      spendClass: 'software',
+    });
+  });
+
+  it('should classify the vendor of a conversion', () => {
+    const transactions = [
+      { merchant_name: 'GEICO AUTO', date: '2023-05-01', amount: 1, category: ['Service', 'Insurance'] },
+      { merchant_name: 'GEICO AUTO', date: '2023-05-15', amount: 142.5, category: ['Service', 'Insurance'] },
+    ];
+    const [conversion] = detectTrialConversions(transactions);
+    expect(conversion.spendClass).toBe('financial');
+  });
+
+  it('should detect a $1 authorization followed by a charge 30 days later', () => {
+    const transactions = [
+      { merchant_name: 'Acme Analytics', date: '2023-04-02', amount: 1.00 },
+      { merchant_name: 'Acme Analytics', date: '2023-05-02', amount: 99.00 },
+      { merchant_name: 'Acme Analytics', date: '2023-06-02', amount: 99.00 },
+    ];
+    const result = detectTrialConversions(transactions);
+    expect(result).toHaveLength(1);
+    expect(result[0].conversionDate).toBe('2023-05-02');
+  });
+
+  it('should ignore vendors that were already paid before the authorization', () => {
+    const transactions = [
+      { merchant_name: 'Zoom', date: '2023-03-01', amount: 14.99 },
+      { merchant_name: 'Zoom', date: '2023-03-20', amount: 0 },
+      { merchant_name: 'Zoom', date: '2023-04-01', amount: 14.99 },
+    ];
+    expect(detectTrialConversions(transactions)).toEqual([]);
+  });
+
+  it('should ignore charges outside the trial window', () => {
+    const transactions = [
+      { merchant_name: 'Canva', date: '2023-01-01', amount: 0 },
+      { merchant_name: 'Canva', date: '2023-03-15', amount: 119.99 },
+    ];
+    expect(detectTrialConversions(transactions)).toEqual([]);
+  });
+
+  it('should only report conversions that happened recently', () => {
+    const transactions = [
+      { merchant_name: 'Canva', date: '2023-01-01', amount: 0 },
+      { merchant_name: 'Canva', date: '2023-01-31', amount: 119.99 },
+    ];
+    expect(detectTrialConversions(transactions, { asOf: '2023-02-15' })).toHaveLength(1);
+    expect(detectTrialConversions(transactions, { asOf: '2023-06-15' })).toEqual([]);
+  });
+});
+
+describe('trialConversionLeaks', () => {
+  it('should format conversions as trial_converted leaks with the conversion date as evidence', () => {
+    const conversions = detectTrialConversions([
+      { transaction_id: 'tx1', merchant_name: 'Loom', date: '2023-05-01', amount: 0 },
+      { transaction_id: 'tx2', merchant_name: 'Loom', date: '2023-05-15', amount: 150.00 },
+    ]);
+    const [leak] = trialConversionLeaks(conversions, 'audit-123');
+    expect(leak).toMatchObject({
+      audit_id: 'audit-123',
+      leak_type: 'trial_converted',
+      merchant_name: 'loom',
+      monthly_cost: 150,
+      annual_cost: 1800,
+      last_charge_date: '2023-05-15',
+      evidence: {
+        trial_date: '2023-05-01',
+        trial_amount: 0,
+        conversion_date: '2023-05-15',
+        frequency: 'monthly',
+        transaction_ids: ['tx1', 'tx2'],
+      },
+    });
+  });
+
+  it('should price a conversion to an annual plan as one year', () => {
+    const conversions = detectTrialConversions([
+      { transaction_id: 'tx1', merchant_name: 'Figma', date: '2023-05-01', amount: 0 },
+      { transaction_id: 'tx2', merchant_name: 'Figma', date: '2023-05-15', amount: 1200 },
+    ]);
+    const [leak] = trialConversionLeaks(conversions, 'audit-123');
+    expect(leak).toMatchObject({ monthly_cost: 100, annual_cost: 1200, evidence: { frequency: 'annual' } });
+  });
+});
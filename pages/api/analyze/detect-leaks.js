@@ -5,8 +5,16 @@
 
 import Joi from 'joi';
 import supabase from '../../../lib/services/supabase.js';
-import { detectRecurringCharges } from '../../../lib/recurring_charges.js';
+import { attachOwners, detectRecurringCharges } from '../../../lib/recurring_charges.js';
+import { saveRecurringSeries } from '../../../lib/recurring_series.js';
 import { analyzeWithAI } from '../../../lib/ai_analyzer.js';
+import { detectTrialConversions, trialConversionLeaks } from '../../../lib/trial_conversions.js';
+import { runRules } from '../../../lib/rules/engine.js';
+import { mergeLeaks } from '../../../lib/leak_merger.js';
+import { DEFAULT_CURRENCY, sumAnnualCost } from '../../../lib/cost_normalization.js';
+import { SPEND_CLASSES } from '../../../lib/merchants/spendClasses.js';
+import { attachOriginalAmounts, convertTransactions } from '../../../lib/fx/convert.js';
+import { attachAccounts, getAuditAccounts } from '../../../lib/plaid/items.js';
 import { withValidation } from '../../../lib/security/middleware.js';
 
 const detectLeaksSchema = Joi.object({
@@ -17,10 +25,16 @@ const detectLeaksSchema = Joi.object({
  * Handles the financial leak detection process.
  *
  * This endpoint performs the following steps:
- * 1. Fetches all transactions associated with a given `auditId`.
- * 2. Identifies recurring charges from the transactions.
- * 3. Uses an AI model to analyze the recurring charges for potential waste (leaks).
- * 4. Stores any identified leaks in the database.
+ * 1. Fetches all transactions associated with a given `auditId`, across every linked bank account and card, and
+ *    converts them to the audit's `reporting_currency`, so that everything below is computed in that currency.
+ * 2. Identifies recurring charges from the transactions, net of refunds, stores them in `recurring_series` and
+ *    flags their transactions, and sets aside the subscriptions that were already cancelled and refunded, and the
+ *    series that are not software (rent, payroll, utilities, ...), which the report lists apart.
+ * 3. Runs the leak rules (tuned by the audit's `metadata.rule_config`) and an AI model over the recurring
+ *    software charges, flags free trials that just converted into paid subscriptions, and merges the results into one
+ *    leak per merchant, with a confidence score calibrated on whether the rules and the AI agree.
+ * 4. Stores any identified leaks in the database, with the accounts and the cardholders that pay for them and the
+ *    original amounts of converted charges as evidence.
  * 5. Calculates the total estimated annual waste from the leaks.
  * 6. Updates the audit record with the results and marks it as 'completed'.
  * 7. Triggers the report generation process asynchronously.
@@ -36,21 +50,53 @@ async function handler(req, res) {
     const { auditId } = req.body;
 
     // Get all transactions
-    const { data: transactions } = await supabase
+    const { data: storedTransactions } = await supabase
       .from('transactions')
       .select('*')
       .eq('audit_id', auditId)
       .order('date', { ascending: true });
 
-    if (!transactions || transactions.length === 0) {
+    if (!storedTransactions || storedTransactions.length === 0) {
       throw new Error('No transactions found');
     }
 
+    const { data: audit } = await supabase
+      .from('audits')
+      .select('metadata, reporting_currency')
+      .eq('id', auditId)
+      .single();
+
+    const { transactions, skipped } = await convertTransactions(
+      storedTransactions,
+      audit?.reporting_currency || DEFAULT_CURRENCY,
+    );
+    skipped.forEach(({ currency, count, reason }) =>
+      console.warn(`Skipped ${count} transaction(s) of audit ${auditId} in ${currency}: ${reason}`));
+
     // 1. DETECT RECURRING CHARGES
     const recurringCharges = detectRecurringCharges(transactions);
+    await saveRecurringSeries(auditId, recurringCharges);
+
+    // 2. RUN THE LEAK RULES AND THE AI, THEN MERGE THEIR FINDINGS
+
+    // Subscriptions that were cancelled and refunded are not leaks anymore, and only software is analyzed: rent,
+    // payroll, utilities and the like are listed apart in the report, from recurring_series
+    const activeCharges = recurringCharges.filter(charge => !charge.cancellation);
+    const softwareCharges = activeCharges.filter(charge => charge.spendClass === SPEND_CLASSES.SOFTWARE);
+    const ruleLeaks = runRules(softwareCharges, { config: audit?.metadata?.rule_config });
+    // When the AI is down, its charges are only covered by the rules, which keep their own confidence
+    const { leaks: aiLeaks, failedMerchants } = await analyzeWithAI(softwareCharges, auditId);
 
-    // 2. USE AI TO CATEGORIZE AND FIND WASTE
-    const leaks = await analyzeWithAI(recurringCharges, auditId);
+    // Trials that just converted have too few charges to be detected as recurring
+    const trialConversions = detectTrialConversions(transactions)
+      .filter(conversion => conversion.spendClass === SPEND_CLASSES.SOFTWARE);
+    const trialLeaks = trialConversionLeaks(trialConversions, auditId);
+    const mergedLeaks = mergeLeaks([...ruleLeaks, ...trialLeaks], aiLeaks, auditId, { aiUnavailable: failedMerchants });
+    const accounts = await getAuditAccounts(auditId);
+    const leaks = attachOwners(
+      attachAccounts(attachOriginalAmounts(mergedLeaks, transactions), transactions, accounts),
+      recurringCharges,
+    );
 
     // 3. STORE LEAKS
     if (leaks.length > 0) {
@@ -58,7 +104,7 @@ async function handler(req, res) {
     }
 
     // 4. CALCULATE TOTAL WASTE
-    const totalWaste = leaks.reduce((sum, leak) => sum + parseFloat(leak.annual_cost), 0);
+    const totalWaste = sumAnnualCost(leaks);
 
     // 5. UPDATE AUDIT STATUS
     await supabase
@@ -67,6 +113,7 @@ async function handler(req, res) {
         status: 'completed',
         total_waste_found: totalWaste,
         completed_at: new Date().toISOString(),
+        ...(skipped.length > 0 && { metadata: { ...audit?.metadata, fx_skipped: skipped } }),
       })
       .eq('id', auditId);
 
@@ -0,0 +1,149 @@
+// pages/api/analyze/detect-leaks.offline.test.js
+// Runs the whole detection flow - recurring charges, rules, AI analysis and merging - against the mock LLM provider.
+import { createMocks } from 'node-mocks-http';
+import handler from './detect-leaks';
+import supabase from '../../../lib/services/supabase';
+
+jest.mock('../../../lib/llm', () => {
+  const { MockProvider } = jest.requireActual('../../../lib/llm/mockProvider');
+  return { __esModule: true, default: new MockProvider() };
+});
+
+jest.mock('../../../lib/services/supabase', () => {
+  const inserted = {};
+  const db = {
+    transactions: [],
+    audit: { metadata: {} },
+    inserted,
+    from: jest.fn(table => {
+      const filtered = { eq: () => filtered, in: () => filtered, then: resolve => resolve({ error: null }) };
+      const query = {
+        select: () => query,
+        eq: () => query,
+        gte: async () => ({ data: [], error: null }),
+        order: async () => ({ data: table === 'transactions' ? db.transactions : [], error: null }),
+        single: async () => ({ data: table === 'audits' ? db.audit : null, error: null }),
+        insert: async rows => {
+          inserted[table] = [...(inserted[table] || []), ...[].concat(rows)];
+          return { error: null };
+        },
+        upsert: async () => ({ error: null }),
+        update: () => filtered,
+        delete: () => filtered,
+      };
+      return query;
+    }),
+  };
+  return { __esModule: true, default: db };
+});
+
+const TEST_AUDIT_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+const monthly = (merchantName, amount, currency = 'USD') => [120, 90, 60, 30].map(days => ({
+  transaction_id: `${merchantName}_${days}`,
+  merchant_name: merchantName,
+  amount,
+  iso_currency_code: currency,
+  date: daysAgo(days),
+}));
+
+const trial = (merchantName, trialAmount, paidAmount, extra = {}) => [[20, trialAmount], [6, paidAmount]]
+  .map(([days, amount]) => ({
+    transaction_id: `${merchantName}_${days}`,
+    merchant_name: merchantName,
+    amount,
+    iso_currency_code: 'USD',
+    date: daysAgo(days),
+    ...extra,
+  }));
+
+describe('/api/analyze/detect-leaks with the mock LLM provider', () => {
+  it('should detect leaks end to end without network access', async () => {
+    supabase.transactions = [
+      ...monthly('ZOOM.US 888-799-9666', 15.99),
+      ...monthly('DROPBOX*8Z9Y7X', 19.99),
+      ...monthly('BLUE BOTTLE COFFEE', 4.5),
+    ];
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res._getJSONData()).toEqual({ success: true, leaksFound: 2, totalWaste: 431.76 });
+    expect(supabase.inserted.leaks.map(leak => [leak.merchant_name, leak.leak_type, leak.evidence.provenance])).toEqual([
+      ['zoom', 'zombie', 'ai'],
+      ['dropbox', 'duplicate', 'ai'],
+    ]);
+  });
+
+  it('should compute leak costs in the reporting currency of the audit', async () => {
+    supabase.audit = { metadata: {}, reporting_currency: 'EUR' };
+    supabase.inserted.leaks = [];
+    supabase.transactions = [
+      ...monthly('ZOOM.US 888-799-9666', 15, 'EUR'),
+      ...monthly('DROPBOX*8Z9Y7X', 19.99, 'USD'),
+    ];
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    await handler(req, res);
+
+    expect(res._getJSONData()).toEqual({ success: true, leaksFound: 2, totalWaste: 397.2 });
+    const [zoom, dropbox] = supabase.inserted.leaks;
+    expect(zoom).toMatchObject({ currency: 'EUR', annual_cost: 180 });
+    expect(zoom.evidence.original_amounts).toBeUndefined();
+    expect(dropbox).toMatchObject({ currency: 'EUR', monthly_cost: 18.1, annual_cost: 217.2 });
+    expect(dropbox.evidence.original_amounts).toEqual([
+      { currency: 'USD', amount: 19.99, date: daysAgo(30), fx_rate: 0.9056 },
+    ]);
+  });
+
+  it('should skip transactions in a currency with no rate instead of failing the audit', async () => {
+    supabase.audit = { metadata: {}, reporting_currency: 'USD' };
+    supabase.inserted.leaks = [];
+    supabase.transactions = [
+      ...monthly('ZOOM.US 888-799-9666', 15.99),
+      ...monthly('DROPBOX*8Z9Y7X', 19.99, 'XAU'),
+      ...monthly('COINBASE', 0.001, null).map(tx => ({ ...tx, unofficial_currency_code: 'BTC' })),
+    ];
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(supabase.inserted.leaks.map(leak => leak.merchant_name)).toEqual(['zoom']);
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+
+  it('should only report trial conversions of software vendors', async () => {
+    supabase.audit = { metadata: {}, reporting_currency: 'USD' };
+    supabase.inserted.leaks = [];
+    supabase.transactions = [
+      ...monthly('ZOOM.US 888-799-9666', 15.99),
+      ...trial('LOOM.COM', 0, 150),
+      ...trial('GEICO AUTO', 1, 142.5, { category: ['Service', 'Insurance'] }),
+    ];
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(supabase.inserted.leaks.filter(leak => leak.leak_type === 'trial_converted').map(leak => leak.merchant_name))
+      .toEqual(['loom']);
+  });
+});
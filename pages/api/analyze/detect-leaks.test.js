@@ -4,16 +4,24 @@ import handler from './detect-leaks';
 import supabase from '../../../lib/services/supabase';
 import { detectRecurringCharges } from '../../../lib/recurring_charges';
 import { analyzeWithAI } from '../../../lib/ai_analyzer';
+import { runRules } from '../../../lib/rules/engine';
+import { saveRecurringSeries } from '../../../lib/recurring_series';
 
 jest.mock('../../../lib/services/supabase');
-jest.mock('../../../lib/recurring_charges');
+jest.mock('../../../lib/recurring_charges', () => ({
+  ...jest.requireActual('../../../lib/recurring_charges'),
+  detectRecurringCharges: jest.fn(),
+}));
 jest.mock('../../../lib/ai_analyzer');
+jest.mock('../../../lib/rules/engine');
+jest.mock('../../../lib/recurring_series');
 
 const TEST_AUDIT_ID = '123e4567-e89b-12d3-a456-426614174000';
 
 describe('/api/analyze/detect-leaks', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    runRules.mockReturnValue([]);
     supabase.from.mockImplementation(tableName => {
       if (tableName === 'rate_limits') {
         return {
@@ -63,6 +71,7 @@ describe('/api/analyze/detect-leaks', () => {
       select: jest.fn().mockReturnValue({
         eq: jest.fn().mockReturnValue({
           order: jest.fn().mockResolvedValue({ data: [{ id: 1 }] }),
+          single: jest.fn().mockResolvedValue({ data: { metadata: {} } }),
         }),
       }),
       insert: jest.fn().mockResolvedValue({}),
@@ -70,8 +79,8 @@ describe('/api/analyze/detect-leaks', () => {
         eq: jest.fn().mockResolvedValue({}),
       }),
     });
-    detectRecurringCharges.mockReturnValue([{ merchant: 'Netflix' }]);
-    analyzeWithAI.mockResolvedValue([{ annual_cost: 120 }]);
+    detectRecurringCharges.mockReturnValue([{ merchant: 'Netflix', spendClass: 'software' }]);
+    analyzeWithAI.mockResolvedValue({ leaks: [{ annual_cost: 120 }], degraded: false, failedMerchants: [] });
 
     await handler(req, res);
 
@@ -83,6 +92,69 @@ describe('/api/analyze/detect-leaks', () => {
     });
   });
 
+  it('should not analyze subscriptions that were cancelled and refunded', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    supabase.from.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        eq: jest.fn().mockReturnValue({
+          order: jest.fn().mockResolvedValue({ data: [{ id: 1 }] }),
+          single: jest.fn().mockResolvedValue({ data: { metadata: {} } }),
+        }),
+      }),
+      insert: jest.fn().mockResolvedValue({}),
+      update: jest.fn().mockReturnValue({
+        eq: jest.fn().mockResolvedValue({}),
+      }),
+    });
+    const active = { merchant: 'slack', cancellation: null, spendClass: 'software' };
+    const cancelled = {
+      merchant: 'asana',
+      cancellation: { refundDate: '2023-03-25', refundAmount: 15, refundOf: 'c2' },
+      spendClass: 'software',
+    };
+    detectRecurringCharges.mockReturnValue([active, cancelled]);
+    analyzeWithAI.mockResolvedValue({ leaks: [], degraded: false, failedMerchants: [] });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(runRules).toHaveBeenCalledWith([active], expect.anything());
+    expect(analyzeWithAI).toHaveBeenCalledWith([active], TEST_AUDIT_ID);
+  });
+
+  it('should store every series but only analyze software', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    supabase.from.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        eq: jest.fn().mockReturnValue({
+          order: jest.fn().mockResolvedValue({ data: [{ id: 1 }] }),
+          single: jest.fn().mockResolvedValue({ data: { metadata: {} } }),
+        }),
+      }),
+      insert: jest.fn().mockResolvedValue({}),
+      update: jest.fn().mockReturnValue({ eq: jest.fn().mockResolvedValue({}) }),
+    });
+    const software = { merchant: 'slack', cancellation: null, spendClass: 'software' };
+    const rent = { merchant: 'oakwood mgmt', cancellation: null, spendClass: 'other' };
+    detectRecurringCharges.mockReturnValue([software, rent]);
+    analyzeWithAI.mockResolvedValue({ leaks: [], degraded: false, failedMerchants: [] });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(saveRecurringSeries).toHaveBeenCalledWith(TEST_AUDIT_ID, [software, rent]);
+    expect(runRules).toHaveBeenCalledWith([software], expect.anything());
+    expect(analyzeWithAI).toHaveBeenCalledWith([software], TEST_AUDIT_ID);
+  });
+
   it('should handle cases where no leaks are found', async () => {
     const { req, res } = createMocks({
       method: 'POST',
@@ -93,6 +165,7 @@ describe('/api/analyze/detect-leaks', () => {
       select: jest.fn().mockReturnValue({
         eq: jest.fn().mockReturnValue({
           order: jest.fn().mockResolvedValue({ data: [{ id: 1 }] }),
+          single: jest.fn().mockResolvedValue({ data: { metadata: {} } }),
         }),
       }),
       update: jest.fn().mockReturnValue({
@@ -100,7 +173,7 @@ describe('/api/analyze/detect-leaks', () => {
       }),
     });
     detectRecurringCharges.mockReturnValue([]);
-    analyzeWithAI.mockResolvedValue([]);
+    analyzeWithAI.mockResolvedValue({ leaks: [], degraded: false, failedMerchants: [] });
 
     await handler(req, res);
 
@@ -112,4 +185,138 @@ describe('/api/analyze/detect-leaks', () => {
     });
     expect(supabase.from).not.toHaveBeenCalledWith('leaks');
   });
+
+  it('should include trials that just converted', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    const insert = jest.fn().mockResolvedValue({});
+    supabase.from.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        eq: jest.fn().mockReturnValue({
+          order: jest.fn().mockResolvedValue({
+            data: [
+              { transaction_id: 'tx1', merchant_name: 'Loom', date: '2023-05-01', amount: 0 },
+              { transaction_id: 'tx2', merchant_name: 'Loom', date: '2023-05-15', amount: 15 },
+            ],
+          }),
+          single: jest.fn().mockResolvedValue({ data: { metadata: {} } }),
+        }),
+      }),
+      insert,
+      update: jest.fn().mockReturnValue({
+        eq: jest.fn().mockResolvedValue({}),
+      }),
+    });
+    detectRecurringCharges.mockReturnValue([]);
+    analyzeWithAI.mockResolvedValue({ leaks: [], degraded: false, failedMerchants: [] });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res._getJSONData()).toEqual({
+      success: true,
+      leaksFound: 1,
+      totalWaste: 180,
+    });
+    expect(insert).toHaveBeenCalledWith([
+      expect.objectContaining({ leak_type: 'trial_converted', merchant_name: 'loom' }),
+    ]);
+  });
+
+  it('should merge rule and AI leaks for the same merchant using the audit rule config', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    const ruleConfig = { high_cost: { monthlyThreshold: 50 } };
+    const insert = jest.fn().mockResolvedValue({});
+    supabase.from.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        eq: jest.fn().mockReturnValue({
+          order: jest.fn().mockResolvedValue({ data: [{ id: 1 }] }),
+          single: jest.fn().mockResolvedValue({ data: { metadata: { rule_config: ruleConfig } } }),
+        }),
+      }),
+      insert,
+      update: jest.fn().mockReturnValue({
+        eq: jest.fn().mockResolvedValue({}),
+      }),
+    });
+    const charges = [{ merchant: 'salesforce', spendClass: 'software' }];
+    detectRecurringCharges.mockReturnValue(charges);
+    runRules.mockReturnValue([
+      { merchant_name: 'salesforce', leak_type: 'unused', annual_cost: 1800, confidence_score: 0.6, evidence: { rule: 'high_cost' } },
+    ]);
+    analyzeWithAI.mockResolvedValue({
+      leaks: [
+        { audit_id: TEST_AUDIT_ID, merchant_name: 'Salesforce.com', leak_type: 'unused', annual_cost: 1800, confidence_score: 0.8, evidence: { ai_analysis: true } },
+      ],
+      degraded: false,
+      failedMerchants: [],
+    });
+
+    await handler(req, res);
+
+    expect(runRules).toHaveBeenCalledWith(charges, { config: ruleConfig });
+    expect(res._getJSONData()).toEqual({
+      success: true,
+      leaksFound: 1,
+      totalWaste: 1800,
+    });
+    expect(insert).toHaveBeenCalledWith([
+      expect.objectContaining({
+        audit_id: TEST_AUDIT_ID,
+        confidence_score: 0.92,
+        evidence: expect.objectContaining({ provenance: 'both' }),
+      }),
+    ]);
+  });
+
+  it('should keep the rules-only confidence when the AI is unavailable', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    const ruleConfig = { high_cost: { monthlyThreshold: 50 } };
+    const insert = jest.fn().mockResolvedValue({});
+    supabase.from.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        eq: jest.fn().mockReturnValue({
+          order: jest.fn().mockResolvedValue({ data: [{ id: 1 }] }),
+          single: jest.fn().mockResolvedValue({ data: { metadata: { rule_config: ruleConfig } } }),
+        }),
+      }),
+      insert,
+      update: jest.fn().mockReturnValue({
+        eq: jest.fn().mockResolvedValue({}),
+      }),
+    });
+    const charges = [{ merchant: 'salesforce', spendClass: 'software' }];
+    detectRecurringCharges.mockReturnValue(charges);
+    runRules.mockReturnValue([
+      { merchant_name: 'salesforce', leak_type: 'unused', annual_cost: 1800, confidence_score: 0.6, evidence: { rule: 'high_cost' } },
+    ]);
+    analyzeWithAI.mockResolvedValue({ leaks: [], degraded: true, failedMerchants: ['salesforce'] });
+
+    await handler(req, res);
+
+    expect(runRules).toHaveBeenCalledWith(charges, { config: ruleConfig });
+    expect(res._getJSONData()).toEqual({
+      success: true,
+      leaksFound: 1,
+      totalWaste: 1800,
+    });
+    expect(insert).toHaveBeenCalledWith([
+      expect.objectContaining({
+        audit_id: TEST_AUDIT_ID,
+        confidence_score: 0.54,
+        evidence: expect.objectContaining({ provenance: 'rule', ai_unavailable: true }),
+      }),
+    ]);
+  });
 });
@@ -4,18 +4,38 @@
  */
 
 import Joi from 'joi';
-import plaidClient from '../../../lib/services/plaid';
 import supabase from '../../../lib/services/supabase';
+import plaidClient from '../../../lib/services/plaid';
 import { withValidation } from '../../../lib/security/middleware';
-import { APIOptimizer } from '../../../lib/optimization/apiOptimizer';
 import { ErrorHandler } from '../../../lib/errors/errorHandler';
 import PersistentCircuitBreaker from '../../../lib/errors/PersistentCircuitBreaker';
+import { syncTransactions } from '../../../lib/plaid/transactionSync';
+import { getAuditItems, getAuditAccounts } from '../../../lib/plaid/items';
+import {
+  requestReconnect,
+  isItemError,
+  isLoginRequiredError,
+  RECONNECT_REQUIRED_STATUS,
+} from '../../../lib/plaid/reconnect';
 
 const fetchTransactionsSchema = Joi.object({
   auditId: Joi.string().uuid().required(),
 });
 
-const plaidCircuit = new PersistentCircuitBreaker('plaid_api', APIOptimizer.fetchTransactionsOptimized);
+// The breaker is shared by every audit, so it only wraps the Plaid API call and only counts failures of the API:
+// errors of one user's item, and changes to an item during a sync (which the sync retries), are not counted
+const plaidCircuit = new PersistentCircuitBreaker('plaid_api', request => plaidClient.transactionsSync(request), {
+  isFailure: error => !isItemError(error)
+    && error?.response?.data?.error_code !== 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION',
+});
+
+/**
+ * The Plaid client used by the sync, with `/transactions/sync` behind the circuit breaker.
+ * @type {{transactionsSync: Function}}
+ */
+const circuitClient = {
+  transactionsSync: request => plaidCircuit.fire(request),
+};
 
 /**
  * @fileoverview This API endpoint is responsible for fetching a user's transaction history from Plaid.
@@ -26,11 +46,17 @@ const plaidCircuit = new PersistentCircuitBreaker('plaid_api', APIOptimizer.fetc
  * Handles the fetching and storing of transactions for a given audit.
  *
  * This endpoint performs the following steps:
- * 1. Retrieves the Plaid access token associated with the provided `auditId`.
+ * 1. Retrieves the Plaid items linked to the provided `auditId`, one per connected institution. An audit can also
+ *    have only imported statements, whose transactions are already stored.
  * 2. Updates the audit status to 'analyzing'.
- * 3. Fetches the last 12 months of transaction data from the Plaid API.
- * 4. Formats and stores the fetched transactions in the Supabase database.
- * 5. Asynchronously triggers the `detect-leaks` endpoint to start the analysis process.
+ * 3. Syncs each item's transactions with Plaid's `/transactions/sync`: only the changes since the item's stored
+ *    cursor are fetched, classified (debits, credits, refunds and reversals, with refunds linked to the charges
+ *    they refund) and upserted, so re-running an audit never duplicates transactions. Pending transactions are
+ *    replaced by their posted version when it arrives.
+ * 4. Asynchronously triggers the `detect-leaks` endpoint to start the analysis process.
+ *
+ * If a bank requires the user to log in again, the audit is marked `reconnect_required` and the user is emailed
+ * a link to the reconnect page for that item; fetching resumes once they have fixed every broken connection.
  *
  * @param {import('next').NextApiRequest} req - The Next.js API request object.
  * @param {object} req.body - The request body.
@@ -41,15 +67,17 @@ const plaidCircuit = new PersistentCircuitBreaker('plaid_api', APIOptimizer.fetc
 async function handler(req, res) {
   const { auditId } = req.body;
   try {
-    // Get audit with access token
     const { data: audit } = await supabase
       .from('audits')
       .select('*')
       .eq('id', auditId)
       .single();
 
-    if (!audit?.plaid_access_token) {
-      return res.status(400).json({ error: 'No access token found' });
+    // Get the audit's linked bank connections; audits of imported statements only can have none
+    const items = audit ? await getAuditItems(auditId) : [];
+    const hasStatements = audit && items.length === 0 ? (await getAuditAccounts(auditId)).length > 0 : false;
+    if (items.length === 0 && !hasStatements) {
+      return res.status(400).json({ error: 'No linked bank accounts found' });
     }
 
     // Update status
@@ -58,32 +86,33 @@ async function handler(req, res) {
       .update({ status: 'analyzing' })
       .eq('id', auditId);
 
-    // Fetch 12 months of transactions
-    const endDate = new Date().toISOString().split('T')[0];
-    const startDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000)
-      .toISOString()
-      .split('T')[0];
-
-    const transactions = await plaidCircuit.fire(() =>
-      APIOptimizer.fetchTransactionsOptimized(
-        audit.plaid_access_token,
-        startDate,
-        endDate
-      )
-    );
-
-    // Store transactions in database
-    const txInserts = transactions.map(tx => ({
-      audit_id: auditId,
-      transaction_id: tx.transaction_id,
-      date: tx.date,
-      amount: Math.abs(tx.amount), // Plaid returns negative for expenses
-      merchant_name: tx.merchant_name || tx.name || 'Unknown',
-      category: tx.category || [],
-    }));
+    // Sync the transactions that changed since the last sync, for every linked item
+    let transactionCount = 0;
+    const brokenItems = [];
+    for (const item of items) {
+      try {
+        const sync = await syncTransactions(
+          { auditId, itemId: item.item_id, accessToken: item.access_token },
+          { client: circuitClient },
+        );
+        transactionCount += sync.added + sync.modified;
+      } catch (error) {
+        if (!isLoginRequiredError(error)) throw error;
+        await ErrorHandler.handle(error, { auditId, itemId: item.item_id });
+        brokenItems.push(item);
+      }
+    }
 
-    if (txInserts.length > 0) {
-      await supabase.from('transactions').insert(txInserts);
+    // The analysis needs every account, so it waits until the user has reconnected the broken ones
+    if (brokenItems.length > 0) {
+      for (const item of brokenItems) {
+        await requestReconnect(audit, item, 'ITEM_LOGIN_REQUIRED', { status: RECONNECT_REQUIRED_STATUS });
+      }
+      return res.status(409).json({
+        error: 'Bank connection expired. Please reconnect.',
+        action: 'plaid_reauth',
+        itemIds: brokenItems.map(item => item.item_id),
+      });
     }
 
     // Trigger leak detection
@@ -93,7 +122,7 @@ async function handler(req, res) {
       body: JSON.stringify({ auditId }),
     }).catch(err => console.error('Failed to trigger leak detection:', err));
 
-    res.status(200).json({ success: true, transactionCount: transactions.length });
+    res.status(200).json({ success: true, transactionCount });
   } catch (error) {
     await ErrorHandler.handle(error, { auditId });
     await supabase
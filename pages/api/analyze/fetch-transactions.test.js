@@ -1,22 +1,37 @@
 // pages/api/analyze/fetch-transactions.test.js
 import { createMocks } from 'node-mocks-http';
 import handler from './fetch-transactions';
-import plaidClient from '../../../lib/services/plaid';
 import supabase from '../../../lib/services/supabase';
 import PersistentCircuitBreaker from '../../../lib/errors/PersistentCircuitBreaker';
+import { requestReconnect } from '../../../lib/plaid/reconnect';
+import { getAuditItems, getAuditAccounts } from '../../../lib/plaid/items';
+import { syncTransactions } from '../../../lib/plaid/transactionSync';
 
 jest.mock('../../../lib/services/plaid');
 jest.mock('../../../lib/services/supabase', () => ({
   from: jest.fn().mockReturnThis(),
   select: jest.fn().mockReturnThis(),
   eq: jest.fn().mockReturnThis(),
-  single: jest.fn().mockResolvedValue({ data: { plaid_access_token: 'test' }, error: null }),
+  single: jest.fn().mockResolvedValue({ data: { id: '123e4567-e89b-12d3-a456-426614174000' }, error: null }),
   update: jest.fn().mockReturnThis(),
   insert: jest.fn().mockReturnThis(),
 }));
 jest.mock('../../../lib/errors/PersistentCircuitBreaker');
+jest.mock('../../../lib/plaid/transactionSync', () => ({
+  syncTransactions: jest.fn(),
+}));
+jest.mock('../../../lib/plaid/items', () => ({
+  getAuditItems: jest.fn(),
+  getAuditAccounts: jest.fn(),
+}));
+jest.mock('../../../lib/plaid/reconnect', () => ({
+  ...jest.requireActual('../../../lib/plaid/reconnect'),
+  requestReconnect: jest.fn(),
+}));
 
 const TEST_AUDIT_ID = '123e4567-e89b-12d3-a456-426614174000';
+const [[, , circuitOptions]] = PersistentCircuitBreaker.mock.calls;
+const ITEM = { item_id: 'item_1', access_token: 'test' };
 
 describe('/api/analyze/fetch-transactions', () => {
   beforeEach(() => {
@@ -24,43 +39,82 @@ describe('/api/analyze/fetch-transactions', () => {
     supabase.from.mockReturnThis();
     supabase.select.mockReturnThis();
     supabase.eq.mockReturnThis();
-    supabase.single.mockResolvedValue({ data: { plaid_access_token: 'test' }, error: null });
+    supabase.single.mockResolvedValue({ data: { id: TEST_AUDIT_ID }, error: null });
     supabase.update.mockReturnThis();
     supabase.insert.mockReturnThis();
+    getAuditItems.mockResolvedValue([ITEM]);
+    getAuditAccounts.mockResolvedValue([]);
   });
 
-  it('should return 400 if no access token is found', async () => {
+  it('should return 400 if no bank account is linked', async () => {
     const { req, res } = createMocks({
       method: 'POST',
       body: { auditId: TEST_AUDIT_ID },
     });
 
-    supabase.from.mockReturnValue({
-      select: jest.fn().mockReturnValue({
-        eq: jest.fn().mockReturnValue({
-          single: jest.fn().mockResolvedValue({ data: null }),
-        }),
-      }),
-    });
+    getAuditItems.mockResolvedValue([]);
 
     await handler(req, res);
 
     expect(res.statusCode).toBe(400);
-    expect(res._getJSONData()).toEqual({ error: 'No access token found' });
+    expect(res._getJSONData()).toEqual({ error: 'No linked bank accounts found' });
+  });
+
+  it('should analyze an audit of imported statements without syncing Plaid', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    getAuditItems.mockResolvedValue([]);
+    getAuditAccounts.mockResolvedValue([{ account_id: 'import_1', item_id: null }]);
+
+    await handler(req, res);
+
+    expect(syncTransactions).not.toHaveBeenCalled();
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/api/analyze/detect-leaks'), expect.anything());
+    expect(res._getJSONData()).toEqual({ success: true, transactionCount: 0 });
   });
 
-  it('should fetch and store transactions successfully', async () => {
+  it('should sync the transactions of the audit\'s Plaid item', async () => {
     const { req, res } = createMocks({
       method: 'POST',
       body: { auditId: TEST_AUDIT_ID },
     });
 
-    PersistentCircuitBreaker.prototype.fire.mockResolvedValue([{ transaction_id: '1' }]);
+    syncTransactions.mockResolvedValue({ added: 1, modified: 2, removed: 1, cursor: 'c' });
 
     await handler(req, res);
 
+    expect(syncTransactions).toHaveBeenCalledWith({
+      auditId: TEST_AUDIT_ID,
+      itemId: 'item_1',
+      accessToken: 'test',
+    }, { client: expect.objectContaining({ transactionsSync: expect.any(Function) }) });
     expect(res.statusCode).toBe(200);
-    expect(res._getJSONData()).toEqual({ success: true, transactionCount: 1 });
+    expect(res._getJSONData()).toEqual({ success: true, transactionCount: 3 });
+  });
+
+  it('should sync every Plaid item linked to the audit', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    getAuditItems.mockResolvedValue([ITEM, { item_id: 'item_2', access_token: 'card' }]);
+    syncTransactions
+      .mockResolvedValueOnce({ added: 3, modified: 0, removed: 0, cursor: 'c1' })
+      .mockResolvedValueOnce({ added: 2, modified: 1, removed: 0, cursor: 'c2' });
+
+    await handler(req, res);
+
+    expect(syncTransactions).toHaveBeenCalledTimes(2);
+    expect(syncTransactions).toHaveBeenLastCalledWith({
+      auditId: TEST_AUDIT_ID,
+      itemId: 'item_2',
+      accessToken: 'card',
+    }, expect.anything());
+    expect(res._getJSONData()).toEqual({ success: true, transactionCount: 6 });
   });
 
   it('should return 500 if fetching transactions fails', async () => {
@@ -69,11 +123,58 @@ describe('/api/analyze/fetch-transactions', () => {
       body: { auditId: TEST_AUDIT_ID },
     });
 
-    PersistentCircuitBreaker.prototype.fire.mockRejectedValue(new Error('Plaid error'));
+    syncTransactions.mockRejectedValue(new Error('Plaid error'));
 
     await handler(req, res);
 
     expect(res.statusCode).toBe(500);
     expect(res._getJSONData()).toEqual({ error: 'Failed to fetch transactions' });
   });
+
+  it('should ask the user to reconnect when the bank requires a new login', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+
+    const loginRequired = new Error('Request failed with status code 400');
+    loginRequired.response = { data: { error_code: 'ITEM_LOGIN_REQUIRED' } };
+    syncTransactions.mockRejectedValue(loginRequired);
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res._getJSONData()).toMatchObject({ action: 'plaid_reauth', itemIds: ['item_1'] });
+    expect(requestReconnect).toHaveBeenCalledWith(
+      expect.objectContaining({ id: TEST_AUDIT_ID }),
+      ITEM,
+      'ITEM_LOGIN_REQUIRED',
+      { status: 'reconnect_required' }
+    );
+  });
+
+  it('should only send the Plaid API call through the circuit breaker', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID },
+    });
+    syncTransactions.mockImplementation(async (item, { client }) => {
+      await client.transactionsSync({ access_token: item.accessToken });
+      return { added: 0, modified: 0, removed: 0, cursor: 'c' };
+    });
+
+    await handler(req, res);
+
+    expect(PersistentCircuitBreaker.prototype.fire).toHaveBeenCalledWith({ access_token: 'test' });
+  });
+
+  it('should not count item errors as failures of the Plaid API', () => {
+    const plaidError = data => Object.assign(new Error('Request failed with status code 400'), { response: { data } });
+
+    expect(circuitOptions.isFailure(plaidError({ error_type: 'ITEM_ERROR', error_code: 'ITEM_LOGIN_REQUIRED' }))).toBe(false);
+    expect(circuitOptions.isFailure(plaidError({ error_type: 'ITEM_ERROR', error_code: 'PENDING_EXPIRATION' }))).toBe(false);
+    expect(circuitOptions.isFailure(plaidError({ error_code: 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' }))).toBe(false);
+    expect(circuitOptions.isFailure(plaidError({ error_type: 'API_ERROR', error_code: 'INTERNAL_SERVER_ERROR' }))).toBe(true);
+    expect(circuitOptions.isFailure(new Error('socket hang up'))).toBe(true);
+  });
 });
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview This API endpoint imports a bank or card statement (CSV, OFX or QIF) into an audit, for accounts at
+ * institutions that Plaid does not cover. It is called by the import-statement page, first to preview how the file
+ * is read, then to store it.
+ */
+
+import Joi from 'joi';
+import supabase from '../../../lib/services/supabase';
+import { withValidation } from '../../../lib/security/middleware';
+import { PARSERS, getParser, parseStatement } from '../../../lib/imports';
+import { AMOUNT_CONVENTIONS } from '../../../lib/imports/csv';
+import { DATE_FORMATS } from '../../../lib/imports/values';
+import { importStatement } from '../../../lib/imports/statements';
+
+/**
+ * The number of parsed transactions returned by a preview.
+ * @type {number}
+ */
+const PREVIEW_ROWS = 20;
+
+const column = Joi.number().integer().min(0).allow(null);
+
+const importStatementSchema = Joi.object({
+  auditId: Joi.string().uuid().required(),
+  filename: Joi.string().max(255).allow(''),
+  content: Joi.string().max(5 * 1024 * 1024).required(),
+  format: Joi.string().valid(...PARSERS.map(parser => parser.format)),
+  accountName: Joi.string().trim().max(100).allow(''),
+  currency: Joi.string().pattern(/^[A-Z]{3}$/),
+  mapping: Joi.object({
+    date: column,
+    description: column,
+    amount: column,
+    debit: column,
+    credit: column,
+    currency: column,
+    cardholder: column,
+    department: column,
+    memo: column,
+    hasHeader: Joi.boolean(),
+    dateFormat: Joi.string().valid(...DATE_FORMATS),
+    amountConvention: Joi.string().valid(...Object.values(AMOUNT_CONVENTIONS)),
+    decimalSeparator: Joi.string().valid('.', ','),
+  }).unknown(true),
+  preview: Joi.boolean(),
+});
+
+/**
+ * Handles the import of a statement.
+ *
+ * This function performs the following steps:
+ * 1. Verifies that the audit exists and its status is 'payment_received' or 'bank_connected'.
+ * 2. Parses the statement, detecting its format, columns, date format and amount convention unless the request
+ *    sets them.
+ * 3. For a preview, returns how the file was read (the format, the columns, the mapping used, the first parsed
+ *    transactions, and what the user must choose if a column or convention could not be detected) without
+ *    storing anything.
+ * 4. Otherwise, stores the account and its transactions, updates the audit status to 'bank_connected', and returns
+ *    the number of transactions imported. The analysis starts through the `start-analysis` endpoint, like for
+ *    linked banks.
+ *
+ * @param {import('next').NextApiRequest} req - The Next.js API request object.
+ * @param {object} req.body - The request body.
+ * @param {string} req.body.auditId - The unique identifier for the audit session.
+ * @param {string} req.body.content - The content of the statement file.
+ * @param {string} [req.body.filename] - The name of the statement file.
+ * @param {string} [req.body.format] - The format of a registered parser, e.g. 'csv', 'ofx' or 'ramp'; detected if
+ *   omitted.
+ * @param {string} [req.body.accountName] - The name of the account; defaults to the file name.
+ * @param {string} [req.body.currency] - The currency of statements that do not state it.
+ * @param {object} [req.body.mapping] - The columns and conventions chosen by the user.
+ * @param {boolean} [req.body.preview] - Whether to only preview the import.
+ * @param {import('next').NextApiResponse} res - The Next.js API response object.
+ * @returns {Promise<void>} A promise that resolves when the response has been sent.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { auditId, filename = '', content, format, accountName, currency, mapping, preview } = req.body;
+
+    const { data: audit, error: auditError } = await supabase
+      .from('audits')
+      .select('*')
+      .eq('id', auditId)
+      .single();
+
+    if (auditError || !audit) {
+      return res.status(404).json({ error: 'Audit not found' });
+    }
+
+    if (!['payment_received', 'bank_connected'].includes(audit.status)) {
+      return res.status(400).json({ error: 'Invalid audit status' });
+    }
+
+    let statement;
+    try {
+      statement = parseStatement(content, {
+        format,
+        filename,
+        mapping,
+        currency: currency || audit.reporting_currency,
+      });
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    if (preview) {
+      return res.status(200).json({
+        format: statement.format,
+        label: getParser(statement.format).label,
+        columns: statement.columns || null,
+        mapping: statement.mapping || null,
+        account: statement.account || null,
+        transactionCount: statement.transactions.length,
+        transactions: statement.transactions.slice(0, PREVIEW_ROWS),
+        skipped: statement.skipped,
+        problem: statement.problem || null,
+      });
+    }
+
+    if (statement.transactions.length === 0) {
+      return res.status(400).json({ error: statement.problem || 'No transactions found in the statement' });
+    }
+
+    const { accountId, transactionCount } = await importStatement({
+      auditId,
+      format: statement.format,
+      account: {
+        ...statement.account,
+        name: (accountName || '').trim() || filename.replace(/\.[^.]+$/, '') || 'Imported statement',
+      },
+      transactions: statement.transactions,
+    });
+
+    const { error: updateError } = await supabase
+      .from('audits')
+      .update({ status: 'bank_connected' })
+      .eq('id', auditId)
+      .eq('status', 'payment_received');
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    res.status(200).json({
+      success: true,
+      format: statement.format,
+      accountId,
+      transactionCount,
+      skipped: statement.skipped,
+    });
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    res.status(500).json({ error: 'Failed to import statement' });
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '6mb',
+    },
+  },
+};
+
+export default withValidation(importStatementSchema)(handler);
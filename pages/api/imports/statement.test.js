@@ -0,0 +1,129 @@
+// pages/api/imports/statement.test.js
+import fs from 'fs';
+import path from 'path';
+import { createMocks } from 'node-mocks-http';
+import handler from './statement';
+import supabase from '../../../lib/services/supabase';
+import { importStatement } from '../../../lib/imports/statements';
+
+jest.mock('../../../lib/services/supabase', () => ({
+  from: jest.fn().mockReturnThis(),
+  select: jest.fn().mockReturnThis(),
+  eq: jest.fn().mockReturnThis(),
+  single: jest.fn(),
+  update: jest.fn().mockReturnThis(),
+}));
+jest.mock('../../../lib/imports/statements', () => ({
+  importStatement: jest.fn(),
+}));
+
+const TEST_AUDIT_ID = '123e4567-e89b-12d3-a456-426614174000';
+const CSV = fs.readFileSync(path.join(__dirname, '../../../lib/imports/fixtures/checking.csv'), 'utf8');
+
+describe('/api/imports/statement', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabase.from.mockReturnThis();
+    supabase.select.mockReturnThis();
+    supabase.eq.mockReturnThis();
+    supabase.update.mockReturnThis();
+    supabase.single.mockResolvedValue({ data: { id: TEST_AUDIT_ID, status: 'payment_received' }, error: null });
+    importStatement.mockResolvedValue({ accountId: 'import_1', transactionCount: 5 });
+  });
+
+  it('should preview how a statement is read without storing it', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID, filename: 'checking.csv', content: CSV, preview: true },
+    });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const data = res._getJSONData();
+    expect(data).toMatchObject({
+      format: 'csv',
+      columns: ['Posting Date', 'Description', 'Amount', 'Balance'],
+      mapping: { date: 0, description: 1, amount: 2, dateFormat: 'MM/DD/YYYY' },
+      transactionCount: 5,
+      skipped: [{ row: 6, reason: 'Invalid date' }],
+      problem: null,
+    });
+    expect(data.transactions[0]).toMatchObject({ date: '2024-03-01', amount: 87.5 });
+    expect(importStatement).not.toHaveBeenCalled();
+  });
+
+  it('should read expense platform exports with their dedicated parser', async () => {
+    const ramp = fs.readFileSync(path.join(__dirname, '../../../lib/imports/fixtures/ramp.csv'), 'utf8');
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID, filename: 'transactions.csv', content: ramp, preview: true },
+    });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    const data = res._getJSONData();
+    expect(data).toMatchObject({ format: 'ramp', label: 'Ramp', account: { institution_name: 'Ramp' } });
+    expect(data.transactions[0]).toMatchObject({ cardholder: 'Dana Reyes', department: 'Design' });
+  });
+
+  it('should import a statement with the mapping chosen by the user', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: {
+        auditId: TEST_AUDIT_ID,
+        filename: 'checking.csv',
+        content: CSV,
+        accountName: ' Operating Checking ',
+        mapping: { amountConvention: 'debit_positive' },
+      },
+    });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res._getJSONData()).toMatchObject({ success: true, format: 'csv', accountId: 'import_1', transactionCount: 5 });
+    const [{ account, transactions }] = importStatement.mock.calls[0];
+    expect(account.name).toBe('Operating Checking');
+    expect(transactions[0].amount).toBe(-87.5);
+    expect(supabase.update).toHaveBeenCalledWith({ status: 'bank_connected' });
+  });
+
+  it('should ask for the columns it could not detect', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID, filename: 'export.csv', content: 'Col A,Col B\nfoo,bar' },
+    });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData()).toEqual({ error: 'Choose the date, description and amount columns' });
+  });
+
+  it('should reject files in an unsupported format', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID, filename: 'statement.pdf', content: '%PDF-1.7' },
+    });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData()).toEqual({ error: 'Unsupported statement format' });
+  });
+
+  it('should reject audits that are not waiting for their accounts', async () => {
+    supabase.single.mockResolvedValue({ data: { id: TEST_AUDIT_ID, status: 'completed' }, error: null });
+    const { req, res } = createMocks({
+      method: 'POST',
+      body: { auditId: TEST_AUDIT_ID, content: CSV },
+    });
+
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res._getJSONData()).toEqual({ error: 'Invalid audit status' });
+  });
+});
@@ -0,0 +1,39 @@
+// pages/api/internal/process-plaid-webhooks.js
+import { processPendingWebhooks } from '../../../lib/plaid/webhooks';
+
+/**
+ * Handles the Plaid webhooks that were recorded but not handled yet.
+ *
+ * `/api/plaid/webhook` only records and acknowledges webhooks, and triggers this endpoint to handle them. The
+ * `process-plaid-webhooks` pg_cron job in `leakdetector_schema.sql` also calls it every 5 minutes, to pick up
+ * webhooks whose trigger was lost, retry failed ones and take over webhooks whose run stopped. Webhooks that still
+ * fail after their last attempt stay failed in `plaid_webhooks`, and can be replayed with
+ * `/api/internal/replay-plaid-webhook`.
+ *
+ * @param {import('next').NextApiRequest} req - The Next.js API request object.
+ * @param {import('next').NextApiResponse} res - The Next.js API response object.
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { authorization } = req.headers;
+
+  if (authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const outcomes = await processPendingWebhooks();
+    res.status(200).json({
+      success: true,
+      processed: outcomes.length,
+      failed: outcomes.filter(outcome => outcome.error).length,
+    });
+  } catch (error) {
+    console.error('Error processing Plaid webhooks:', error);
+    res.status(500).json({ error: 'Failed to process Plaid webhooks' });
+  }
+}
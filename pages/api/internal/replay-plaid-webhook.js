@@ -0,0 +1,39 @@
+// pages/api/internal/replay-plaid-webhook.js
+import { replayWebhook } from '../../../lib/plaid/webhooks';
+
+/**
+ * Replays a recorded Plaid webhook.
+ *
+ * Every webhook received by `/api/plaid/webhook` is recorded in the `plaid_webhooks` table. This endpoint handles
+ * a recorded webhook again, e.g. one whose status is 'failed', and stores the new outcome on its record.
+ *
+ * @param {import('next').NextApiRequest} req - The Next.js API request object.
+ * @param {object} req.body - The request body.
+ * @param {string} req.body.webhookId - The ID of the recorded webhook.
+ * @param {import('next').NextApiResponse} res - The Next.js API response object.
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { authorization } = req.headers;
+
+  if (authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { webhookId } = req.body || {};
+  if (!webhookId) {
+    return res.status(400).json({ error: 'webhookId is required' });
+  }
+
+  try {
+    const result = await replayWebhook(webhookId);
+    res.status(200).json({ success: true, action: result.action });
+  } catch (error) {
+    console.error('Error replaying Plaid webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -12,7 +12,8 @@ import supabase from '../../../lib/services/supabase';
  *
  * This function performs the following steps:
  * 1. Validates that an `auditId` is provided in the request body.
- * 2. Verifies that the audit exists and its status is 'payment_received', ensuring that a payment has been made before proceeding.
+ * 2. Verifies that the audit exists and its status is 'payment_received' or 'bank_connected', ensuring that a payment has been made
+ *    before proceeding. Users can link several institutions before the analysis starts.
  * 3. Creates a new Plaid Link token using the `auditId` as the `client_user_id`.
  * 4. Configures the Link token for the 'Transactions' product and sets the webhook and redirect URI.
  * 5. Returns the generated `link_token` to the client, which can then be used to initialize the Plaid Link flow.
@@ -42,7 +43,7 @@ async function handler(req, res) {
       return res.status(404).json({ error: 'Audit not found' });
     }
 
-    if (audit.status !== 'payment_received') {
+    if (!['payment_received', 'bank_connected'].includes(audit.status)) {
       return res.status(400).json({ error: 'Invalid audit status' });
     }
 
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview This API endpoint creates a Plaid Link token in update mode, which lets a user re-authenticate an
+ * existing bank connection instead of connecting a new one. It is used by the reconnect page.
+ */
+
+import Joi from 'joi';
+import { CountryCode } from 'plaid';
+import plaidClient from '../../../lib/services/plaid';
+import supabase from '../../../lib/services/supabase';
+import { withValidation } from '../../../lib/security/middleware';
+import { getItem } from '../../../lib/plaid/items';
+
+const createUpdateLinkTokenSchema = Joi.object({
+  auditId: Joi.string().uuid().required(),
+  itemId: Joi.string().required(),
+});
+
+/**
+ * Handles the creation of a Plaid Link token in update mode.
+ *
+ * This function performs the following steps:
+ * 1. Verifies that the audit exists and that the Plaid item belongs to it.
+ * 2. Creates a Link token for the item's access token, which opens Plaid Link in update mode. Update mode keeps
+ *    the same item and access token, so no token exchange is needed afterwards.
+ * 3. Returns the generated `link_token` to the client.
+ *
+ * @param {import('next').NextApiRequest} req - The Next.js API request object.
+ * @param {object} req.body - The request body.
+ * @param {string} req.body.auditId - The unique identifier for the audit session.
+ * @param {string} req.body.itemId - The Plaid item ID of the connection to update.
+ * @param {import('next').NextApiResponse} res - The Next.js API response object.
+ * @returns {Promise<void>} A promise that resolves when the response has been sent.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { auditId, itemId } = req.body;
+
+    const { data: audit, error: auditError } = await supabase
+      .from('audits')
+      .select('*')
+      .eq('id', auditId)
+      .single();
+
+    if (auditError || !audit) {
+      return res.status(404).json({ error: 'Audit not found' });
+    }
+
+    const item = await getItem(itemId);
+    if (!item || item.audit_id !== auditId) {
+      return res.status(404).json({ error: 'Bank connection not found' });
+    }
+
+    const linkTokenResponse = await plaidClient.linkTokenCreate({
+      user: { client_user_id: auditId },
+      client_name: 'LeakDetector',
+      access_token: item.access_token,
+      country_codes: [CountryCode.Us],
+      language: 'en',
+      webhook: `${process.env.NEXT_PUBLIC_APP_URL}/api/plaid/webhook`,
+      redirect_uri: `${process.env.NEXT_PUBLIC_APP_URL}/reconnect`,
+    });
+
+    res.status(200).json({ link_token: linkTokenResponse.data.link_token });
+  } catch (error) {
+    console.error('Error creating update link token:', error);
+    res.status(500).json({ error: 'Failed to create link token' });
+  }
+}
+
+export default withValidation(createUpdateLinkTokenSchema)(handler);
@@ -5,14 +5,17 @@
  */
 
 import Joi from 'joi';
-import plaidClient from '../../../lib/services/plaid';
 import supabase from '../../../lib/services/supabase';
-import { addEmailToQueue } from '../../../lib/emailQueue';
 import { withValidation } from '../../../lib/security/middleware';
+import { linkItem } from '../../../lib/plaid/items';
 
 const exchangeTokenSchema = Joi.object({
   public_token: Joi.string().required(),
   auditId: Joi.string().uuid().required(),
+  institution: Joi.object({
+    institution_id: Joi.string().allow(null),
+    name: Joi.string().allow(null),
+  }).unknown(true).allow(null),
 });
 
 /**
@@ -24,16 +27,20 @@ const exchangeTokenSchema = Joi.object({
  * Handles the exchange of a Plaid public token for an access token.
  *
  * This function performs the following steps:
- * 1. Receives a `public_token` and `auditId` from the client after a successful Plaid Link connection.
+ * 1. Receives a `public_token` and `auditId` from the client after a successful Plaid Link connection, with the
+ *    institution from the Link metadata.
  * 2. Exchanges the `public_token` for a permanent `access_token` and `item_id` using the Plaid API.
- * 3. Securely stores the `access_token` and `item_id` in the Supabase database, updating the audit status to 'bank_connected'.
- * 4. Asynchronously triggers the `fetch-transactions` endpoint to begin the process of fetching the user's transaction history.
- * 5. Returns a success response to the client.
+ * 3. Securely stores the item and its accounts in the Supabase database. An audit can link several items, one per
+ *    institution, so each exchange adds an item instead of replacing the previous one.
+ * 4. Updates the audit status to 'bank_connected'.
+ * 5. Returns the linked accounts to the client. The analysis starts once the user has linked every institution,
+ *    through the `start-analysis` endpoint.
  *
  * @param {import('next').NextApiRequest} req - The Next.js API request object.
  * @param {object} req.body - The request body.
  * @param {string} req.body.public_token - The temporary public token obtained from the Plaid Link flow.
  * @param {string} req.body.auditId - The unique identifier for the audit session.
+ * @param {object} [req.body.institution] - The institution from the Plaid Link metadata.
  * @param {import('next').NextApiResponse} res - The Next.js API response object.
  * @returns {Promise<void>} A promise that resolves when the response has been sent.
  */
@@ -43,54 +50,27 @@ async function handler(req, res) {
   }
 
   try {
-    const { public_token, auditId } = req.body;
+    const { public_token, auditId, institution } = req.body;
 
-    // Exchange public token for access token
-    const exchangeResponse = await plaidClient.itemPublicTokenExchange({
-      public_token,
-    });
-
-    const accessToken = exchangeResponse.data.access_token;
-    const itemId = exchangeResponse.data.item_id;
+    // Exchange public token for access token and store the item and its accounts
+    const { itemId, accounts } = await linkItem({ auditId, publicToken: public_token, institution });
 
-    // Store access token and update audit status
-    const { data: audit, error: updateError } = await supabase
+    // Update audit status
+    const { error: updateError } = await supabase
       .from('audits')
-      .update({
-        plaid_access_token: accessToken,
-        plaid_item_id: itemId,
-        status: 'bank_connected',
-      })
+      .update({ status: 'bank_connected' })
       .eq('id', auditId)
-      .select('*, user:users(*)')
-      .single();
+      .eq('status', 'payment_received');
 
     if (updateError) {
       throw updateError;
     }
 
-    // Send confirmation email
-    if (audit && audit.email) {
-      try {
-        await addEmailToQueue(
-          audit.email,
-          'support@leakdetector.com',
-          'Bank Account Connected!',
-          '<p>Your bank account has been successfully connected. We are now analyzing your transactions.</p>'
-        );
-      } catch (emailError) {
-        console.error('Error sending confirmation email:', emailError);
-      }
-    }
-
-    // Trigger transaction fetch (async)
-    fetch(`${process.env.NEXT_PUBLIC_APP_URL}/api/analyze/fetch-transactions`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ auditId }),
-    }).catch(err => console.error('Failed to trigger transaction fetch:', err));
-
-    res.status(200).json({ success: true });
+    res.status(200).json({
+      success: true,
+      itemId,
+      accounts: accounts.map(({ account_id, name, mask, type }) => ({ account_id, name, mask, type })),
+    });
   } catch (error) {
     console.error('Error exchanging token:', error);
     res.status(500).json({ error: 'Failed to exchange token' });
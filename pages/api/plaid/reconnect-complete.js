@@ -0,0 +1,64 @@
+/**
+ * @fileoverview This API endpoint is called by the reconnect page once the user has fixed their bank connection
+ * in Plaid Link update mode. It clears the item's reconnect mark and resumes fetching transactions.
+ */
+
+import Joi from 'joi';
+import supabase from '../../../lib/services/supabase';
+import { withValidation } from '../../../lib/security/middleware';
+import { getItem } from '../../../lib/plaid/items';
+import { completeReconnect } from '../../../lib/plaid/reconnect';
+
+const reconnectCompleteSchema = Joi.object({
+  auditId: Joi.string().uuid().required(),
+  itemId: Joi.string().required(),
+});
+
+/**
+ * Handles the completion of a reconnect.
+ *
+ * This function performs the following steps:
+ * 1. Verifies that the audit exists and that the Plaid item belongs to it.
+ * 2. Clears the item's `error`.
+ * 3. If fetching transactions was interrupted (status `reconnect_required`) and no other item of the audit is
+ *    still broken, asynchronously triggers the `fetch-transactions` endpoint again.
+ *
+ * @param {import('next').NextApiRequest} req - The Next.js API request object.
+ * @param {object} req.body - The request body.
+ * @param {string} req.body.auditId - The unique identifier for the audit session.
+ * @param {string} req.body.itemId - The Plaid item ID of the connection to update.
+ * @param {import('next').NextApiResponse} res - The Next.js API response object.
+ * @returns {Promise<void>} A promise that resolves when the response has been sent.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { auditId, itemId } = req.body;
+
+    const { data: audit, error: auditError } = await supabase
+      .from('audits')
+      .select('*')
+      .eq('id', auditId)
+      .single();
+
+    if (auditError || !audit) {
+      return res.status(404).json({ error: 'Audit not found' });
+    }
+
+    const item = await getItem(itemId);
+    if (!item || item.audit_id !== auditId) {
+      return res.status(404).json({ error: 'Bank connection not found' });
+    }
+
+    const { resumed } = await completeReconnect(audit, item);
+    res.status(200).json({ success: true, resumed });
+  } catch (error) {
+    console.error('Error completing reconnect:', error);
+    res.status(500).json({ error: 'Failed to complete reconnect' });
+  }
+}
+
+export default withValidation(reconnectCompleteSchema)(handler);
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview This API endpoint starts the analysis once the user has linked or imported every bank account and
+ * card they want audited. It is called by the connect-bank and import-statement pages.
+ */
+
+import Joi from 'joi';
+import supabase from '../../../lib/services/supabase';
+import { addEmailToQueue } from '../../../lib/emailQueue';
+import { withValidation } from '../../../lib/security/middleware';
+import { getAuditItems, getAuditAccounts } from '../../../lib/plaid/items';
+
+const startAnalysisSchema = Joi.object({
+  auditId: Joi.string().uuid().required(),
+});
+
+/**
+ * Handles the start of the analysis.
+ *
+ * This function performs the following steps:
+ * 1. Verifies that the audit exists, is in 'bank_connected' status, and has at least one linked Plaid item or
+ *    imported statement.
+ * 2. Sends a confirmation email listing how many institutions were connected.
+ * 3. Asynchronously triggers the `fetch-transactions` endpoint, which fetches the transactions of every linked
+ *    item before the leak analysis runs across all of them and the imported statements together.
+ *
+ * @param {import('next').NextApiRequest} req - The Next.js API request object.
+ * @param {object} req.body - The request body.
+ * @param {string} req.body.auditId - The unique identifier for the audit session.
+ * @param {import('next').NextApiResponse} res - The Next.js API response object.
+ * @returns {Promise<void>} A promise that resolves when the response has been sent.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { auditId } = req.body;
+
+    const { data: audit, error: auditError } = await supabase
+      .from('audits')
+      .select('*')
+      .eq('id', auditId)
+      .single();
+
+    if (auditError || !audit) {
+      return res.status(404).json({ error: 'Audit not found' });
+    }
+
+    if (audit.status !== 'bank_connected') {
+      return res.status(400).json({ error: 'Invalid audit status' });
+    }
+
+    const items = await getAuditItems(auditId);
+    const accounts = await getAuditAccounts(auditId);
+    if (items.length === 0 && accounts.length === 0) {
+      return res.status(400).json({ error: 'No linked bank accounts found' });
+    }
+
+    // Send confirmation email
+    if (audit.email) {
+      try {
+        const connected = items.length === 0
+          ? 'Your statements have been successfully imported'
+          : `${items.length === 1 ? 'Your bank account has' : `Your ${items.length} bank connections have`} been successfully connected`;
+        await addEmailToQueue(
+          audit.email,
+          'support@leakdetector.com',
+          'Bank Account Connected!',
+          `<p>${connected}. We are now analyzing your transactions.</p>`
+        );
+      } catch (emailError) {
+        console.error('Error sending confirmation email:', emailError);
+      }
+    }
+
+    // Trigger transaction fetch (async)
+    fetch(`${process.env.NEXT_PUBLIC_APP_URL}/api/analyze/fetch-transactions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ auditId }),
+    }).catch(err => console.error('Failed to trigger transaction fetch:', err));
+
+    res.status(200).json({ success: true, itemCount: items.length });
+  } catch (error) {
+    console.error('Error starting analysis:', error);
+    res.status(500).json({ error: 'Failed to start analysis' });
+  }
+}
+
+export default withValidation(startAnalysisSchema)(handler);
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview This API endpoint receives webhooks from Plaid, registered as the `webhook` of every Link token.
+ * It keeps an audit's transactions in sync and asks the user to reconnect when their bank connection breaks.
+ */
+
+import { buffer } from 'micro';
+import { verifyWebhook } from '../../../lib/plaid/webhookVerification';
+import { recordWebhook } from '../../../lib/plaid/webhooks';
+
+export const config = {
+  api: {
+    bodyParser: false, // Need raw body for webhook verification
+  },
+};
+
+/**
+ * Handles incoming Plaid webhooks.
+ *
+ * This function performs the following actions:
+ * 1. Verifies the JWT in the `Plaid-Verification` header against the raw request body.
+ * 2. Records the webhook in `plaid_webhooks`, verified or not, so it can be replayed later.
+ * 3. Rejects webhooks that fail verification.
+ * 4. Acknowledges the webhook right away, as Plaid retries webhooks that are not answered quickly, and triggers
+ *    `/api/internal/process-plaid-webhooks`, which handles it: `SYNC_UPDATES_AVAILABLE`, `INITIAL_UPDATE` and
+ *    `HISTORICAL_UPDATE` sync the item's transactions; `ITEM_LOGIN_REQUIRED` errors and `PENDING_EXPIRATION` mark
+ *    the audit and queue a reconnect email.
+ *
+ * Webhooks that could not be recorded get an error, so that Plaid retries them.
+ *
+ * @param {import('next').NextApiRequest} req - The Next.js API request object.
+ * @param {import('next').NextApiResponse} res - The Next.js API response object.
+ * @returns {Promise<void>} A promise that resolves when the response has been sent.
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const body = (await buffer(req)).toString('utf8');
+
+  let verification;
+  try {
+    await verifyWebhook(body, req.headers['plaid-verification']);
+    verification = { verified: true };
+  } catch (err) {
+    console.error('Plaid webhook verification failed:', err.message);
+    verification = { verified: false, error: err.message };
+  }
+
+  let record;
+  try {
+    record = await recordWebhook(body, verification);
+  } catch (err) {
+    console.error('Failed to record Plaid webhook:', err);
+    return res.status(500).json({ error: 'Failed to record webhook' });
+  }
+
+  if (!verification.verified) {
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  // Handled asynchronously; the `process-plaid-webhooks` cron job picks it up if this trigger is lost
+  fetch(`${process.env.NEXT_PUBLIC_APP_URL}/api/internal/process-plaid-webhooks`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` },
+  }).catch(err => console.error('Failed to trigger Plaid webhook processing:', err));
+
+  res.status(200).json({ received: true, id: record.id });
+}
+
+export default handler;
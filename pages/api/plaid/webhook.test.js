@@ -0,0 +1,79 @@
+// pages/api/plaid/webhook.test.js
+import { createMocks } from 'node-mocks-http';
+import { buffer } from 'micro';
+import webhookHandler from './webhook';
+import plaidClient from '../../../lib/services/plaid';
+import { recordWebhook, processWebhook } from '../../../lib/plaid/webhooks';
+
+jest.mock('../../../lib/services/plaid', () => {
+  const { LocalPlaidClient } = jest.requireActual('../../../lib/plaid/localPlaid');
+  return { __esModule: true, default: new LocalPlaidClient() };
+});
+jest.mock('../../../lib/plaid/webhooks');
+jest.mock('micro');
+
+const BODY = JSON.stringify({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: 'item_1' });
+
+describe('Plaid Webhook Handler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    buffer.mockResolvedValue(Buffer.from(BODY));
+    recordWebhook.mockResolvedValue({ id: 'webhook_1', body: BODY });
+    processWebhook.mockResolvedValue({ action: 'synced' });
+  });
+
+  it('should record a webhook signed by Plaid and acknowledge it before handling it', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      headers: { 'plaid-verification': plaidClient.signWebhook(BODY) },
+    });
+
+    await webhookHandler(req, res);
+
+    expect(res._getStatusCode()).toBe(200);
+    expect(res._getJSONData()).toEqual({ received: true, id: 'webhook_1' });
+    expect(recordWebhook).toHaveBeenCalledWith(BODY, { verified: true });
+    expect(processWebhook).not.toHaveBeenCalled();
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/internal/process-plaid-webhooks'),
+      expect.objectContaining({ method: 'POST' })
+    );
+  });
+
+  it('should record but not handle a webhook with an invalid signature', async () => {
+    const { req, res } = createMocks({
+      method: 'POST',
+      headers: { 'plaid-verification': plaidClient.signWebhook('{"forged":true}') },
+    });
+
+    await webhookHandler(req, res);
+
+    expect(res._getStatusCode()).toBe(400);
+    expect(recordWebhook).toHaveBeenCalledWith(BODY, {
+      verified: false,
+      error: 'Webhook body does not match its signature',
+    });
+    expect(processWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 so that Plaid retries a webhook that could not be recorded', async () => {
+    recordWebhook.mockRejectedValue(new Error('Database is down'));
+    const { req, res } = createMocks({
+      method: 'POST',
+      headers: { 'plaid-verification': plaidClient.signWebhook(BODY) },
+    });
+
+    await webhookHandler(req, res);
+
+    expect(res._getStatusCode()).toBe(500);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should reject other methods', async () => {
+    const { req, res } = createMocks({ method: 'GET' });
+
+    await webhookHandler(req, res);
+
+    expect(res._getStatusCode()).toBe(405);
+  });
+});
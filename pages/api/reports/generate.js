@@ -5,13 +5,35 @@
 
 import supabase from '../../../lib/services/supabase';
 import { addEmailToQueue } from '../../../lib/emailQueue';
-import { generateReportHtml } from '../../../lib/templates/report_template';
+import { AUDIT_PRICE, generateReportHtml } from '../../../lib/templates/report_template';
+import { formatMoney, fromMinorUnits, toMinorUnits } from '../../../lib/cost_normalization';
+import { getRecurringSeries } from '../../../lib/recurring_series';
+import { SPEND_CLASSES } from '../../../lib/merchants/spendClasses';
+import fx from '../../../lib/fx';
+
+/**
+ * Converts the audit price to a report's currency.
+ * @param {string} [currency] - The reporting currency of the audit.
+ * @returns {Promise<(number|undefined)>} The price in that currency, or undefined if there is no rate for it (the
+ *   report then states the price in its own currency, without an ROI).
+ */
+async function convertAuditPrice(currency) {
+  if (!currency || currency === AUDIT_PRICE.currency) return AUDIT_PRICE.amount;
+  try {
+    const rate = await fx.getRate(AUDIT_PRICE.currency, currency, new Date().toISOString().split('T')[0]);
+    return fromMinorUnits(toMinorUnits(AUDIT_PRICE.amount * rate, currency), currency);
+  } catch (error) {
+    console.warn(`No FX rate to show the audit price in ${currency}:`, error.message);
+    return undefined;
+  }
+}
 
 /**
  * Handles the generation and emailing of the financial leak report.
  *
  * This function performs the following steps:
- * 1. Retrieves the audit data and all associated leaks from the database using the `auditId`.
+ * 1. Retrieves the audit data, all associated leaks and the recurring series that are not software from the
+ *    database using the `auditId`.
  * 2. Generates an HTML report using a template function.
  * 3. Emails the HTML report to the user's email address on file.
  * 4. Updates the audit record to indicate that the report has been sent.
@@ -48,15 +70,22 @@ async function handler(req, res) {
       .eq('audit_id', auditId)
       .order('annual_cost', { ascending: false });
 
+    // Recurring charges that are not software are listed apart, unless they were cancelled
+    const otherRecurring = (await getRecurringSeries(auditId))
+      .filter(series => series.spend_class !== SPEND_CLASSES.SOFTWARE && !series.cancelled_on);
+
+    // The ROI compares the waste with the audit price in the same currency
+    const auditPrice = await convertAuditPrice(audit.reporting_currency);
+
     // Generate HTML report (you could convert this to PDF with puppeteer)
-    const reportHtml = generateReportHtml(audit, leaks || []);
+    const reportHtml = generateReportHtml(audit, leaks || [], otherRecurring, { auditPrice });
 
     // For MVP, just email HTML report
     // In production, use puppeteer to generate PDF
     await addEmailToQueue(
       audit.email,
       process.env.FROM_EMAIL,
-      `💰 Your SaaS Leak Report: $${audit.total_waste_found?.toLocaleString() || '0'} Found`,
+      `💰 Your SaaS Leak Report: ${formatMoney(audit.total_waste_found || 0, audit.reporting_currency)} Found`,
       reportHtml
     );
 
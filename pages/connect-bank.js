@@ -1,74 +1,97 @@
 /**
- * @fileoverview This page handles the Plaid Link flow for connecting a user's bank account.
+ * @fileoverview This page handles the Plaid Link flow for connecting a user's bank accounts.
  * It retrieves a Plaid Link token, initializes the Plaid Link component, and handles the
- * success callback to exchange the public token for an access token.
+ * success callback to exchange the public token for an access token. Users can connect several
+ * institutions (e.g. an operating account and corporate cards) before starting the analysis.
  */
 import { useRouter } from 'next/router';
-import { useState, useEffect } from 'react';
-import { usePlaidLink } from 'react-plaid-link';
+import { useState } from 'react';
+import PlaidLinkFlow from '../components/PlaidLinkFlow';
 
 /**
  * A React component that manages the Plaid Link integration.
  * It fetches a Plaid Link token, opens the Plaid Link modal, and handles the token exchange
- * on a successful connection.
+ * on each successful connection. The analysis starts when the user is done adding institutions.
  * @returns {JSX.Element} The rendered ConnectBank component.
  */
 export default function ConnectBank() {
   const router = useRouter();
   const { audit_id: auditId } = router.query;
-  const [linkToken, setLinkToken] = useState(null);
-
-  useEffect(() => {
-    async function fetchLinkToken() {
-      if (auditId) {
-        try {
-          const response = await fetch('/api/plaid/create-link-token', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ auditId }),
-          });
-          const data = await response.json();
-          if (data.link_token) {
-            setLinkToken(data.link_token);
-          } else {
-            console.error('Failed to fetch link token:', data.error);
-          }
-        } catch (error) {
-          console.error('Error fetching link token:', error);
-        }
-      }
-    }
-    fetchLinkToken();
-  }, [auditId]);
+  const [institutions, setInstitutions] = useState([]);
+  const [starting, setStarting] = useState(false);
 
   const onSuccess = async (public_token, metadata) => {
     try {
-      await fetch('/api/plaid/exchange-token', {
+      const response = await fetch('/api/plaid/exchange-token', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ public_token, auditId }),
+        body: JSON.stringify({ public_token, auditId, institution: metadata?.institution || null }),
       });
-      router.push('/analysis-in-progress');
+      const data = await response.json();
+      if (data.success) {
+        setInstitutions(current => [
+          ...current,
+          { itemId: data.itemId, name: metadata?.institution?.name || 'Bank', accounts: data.accounts },
+        ]);
+      }
     } catch (error) {
       console.error('Error exchanging token:', error);
     }
   };
 
-  const { open, ready } = usePlaidLink({
-    token: linkToken,
-    onSuccess,
-  });
-
-  useEffect(() => {
-    if (ready) {
-      open();
+  const startAnalysis = async () => {
+    setStarting(true);
+    try {
+      await fetch('/api/plaid/start-analysis', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ auditId }),
+      });
+      router.push('/analysis-in-progress');
+    } catch (error) {
+      console.error('Error starting analysis:', error);
+      setStarting(false);
     }
-  }, [ready, open]);
+  };
 
   return (
-    <div style={{ textAlign: 'center', marginTop: '50px' }}>
-      <h1>Connecting to your bank...</h1>
-      <p>Plaid Link should open automatically.</p>
-    </div>
+    <PlaidLinkFlow
+      tokenRequest={{ auditId }}
+      tokenEndpoint="/api/plaid/create-link-token"
+      onSuccess={onSuccess}
+      title={institutions.length === 0 ? 'Connecting to your bank...' : 'Your connected accounts'}
+    >
+      {({ open, ready }) => (
+        institutions.length === 0 ? (
+          <div>
+            <p>Plaid Link should open automatically.</p>
+            <p>
+              Bank not listed? <a href={`/import-statement?audit_id=${auditId}`}>Upload a statement instead</a>.
+            </p>
+          </div>
+        ) : (
+          <div>
+            <ul style={{ listStyle: 'none', padding: 0 }}>
+              {institutions.map(institution => (
+                <li key={institution.itemId}>
+                  <strong>{institution.name}</strong>:{' '}
+                  {institution.accounts.map(account => `${account.name} ••${account.mask || '----'}`).join(', ')}
+                </li>
+              ))}
+            </ul>
+            <p>
+              Add every bank account and card your company pays subscriptions from. For banks Plaid does not
+              cover, <a href={`/import-statement?audit_id=${auditId}`}>upload a statement</a>.
+            </p>
+            <button onClick={() => open()} disabled={!ready || starting}>
+              Add another bank or card
+            </button>{' '}
+            <button onClick={startAnalysis} disabled={starting}>
+              Start analysis
+            </button>
+          </div>
+        )
+      )}
+    </PlaidLinkFlow>
   );
 }
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview This page imports bank and card statements (CSV, OFX or QIF files) for accounts at institutions that
+ * Plaid does not cover. Users reach it from the connect-bank page.
+ */
+import { useRouter } from 'next/router';
+import { useState } from 'react';
+import { DATE_FORMATS } from '../lib/imports/values';
+import { AMOUNT_CONVENTIONS } from '../lib/imports/csv';
+
+/**
+ * The fields of a CSV file that can be mapped to its columns.
+ * @type {Array<[string, string]>}
+ */
+const MAPPED_COLUMNS = [
+  ['date', 'Date'],
+  ['description', 'Description'],
+  ['amount', 'Amount'],
+  ['debit', 'Debit (money out)'],
+  ['credit', 'Credit (money in)'],
+  ['currency', 'Currency'],
+  ['cardholder', 'Cardholder'],
+  ['department', 'Department'],
+];
+
+/**
+ * The labels of the amount conventions.
+ * @type {Array<[string, string]>}
+ */
+const AMOUNT_CONVENTION_LABELS = [
+  [AMOUNT_CONVENTIONS.DEBIT_NEGATIVE, 'Money out is negative'],
+  [AMOUNT_CONVENTIONS.DEBIT_POSITIVE, 'Charges are positive'],
+  [AMOUNT_CONVENTIONS.SPLIT, 'Separate debit and credit columns'],
+];
+
+/**
+ * A React component that uploads a statement, previews how it is read, lets the user correct the column mapping
+ * and the date and amount conventions, and imports it into the audit.
+ * @returns {JSX.Element} The rendered ImportStatement component.
+ */
+export default function ImportStatement() {
+  const router = useRouter();
+  const { audit_id: auditId } = router.query;
+  const [file, setFile] = useState(null);
+  const [accountName, setAccountName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [imported, setImported] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const send = async (body, statement = file) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/imports/statement', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ auditId, filename: statement.name, content: statement.content, ...body }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error);
+        return null;
+      }
+      return data;
+    } catch (requestError) {
+      console.error('Error importing statement:', requestError);
+      setError('Failed to import statement');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onFileChange = async (event) => {
+    const selected = event.target.files[0];
+    if (!selected) return;
+    const statement = { name: selected.name, content: await selected.text() };
+    setFile(statement);
+    setAccountName(selected.name.replace(/\.[^.]+$/, ''));
+    setPreview(await send({ preview: true }, statement));
+  };
+
+  const updateMapping = async (field, value) => {
+    const data = await send({ preview: true, mapping: { ...preview.mapping, [field]: value } });
+    if (data) setPreview(data);
+  };
+
+  const onImport = async () => {
+    const data = await send({ mapping: preview.mapping, accountName });
+    if (data) {
+      setImported(current => [...current, { name: accountName, transactionCount: data.transactionCount }]);
+      setFile(null);
+      setPreview(null);
+    }
+  };
+
+  const startAnalysis = async () => {
+    setBusy(true);
+    try {
+      await fetch('/api/plaid/start-analysis', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ auditId }),
+      });
+      router.push('/analysis-in-progress');
+    } catch (requestError) {
+      console.error('Error starting analysis:', requestError);
+      setBusy(false);
+    }
+  };
+
+  const columnSelect = (field, label) => (
+    <label key={field} style={{ marginRight: '12px' }}>
+      {label}{' '}
+      <select
+        value={preview.mapping[field] ?? ''}
+        onChange={event => updateMapping(field, event.target.value === '' ? null : Number(event.target.value))}
+        disabled={busy}
+      >
+        <option value="">—</option>
+        {preview.columns.map((name, index) => (
+          <option key={index} value={index}>{name}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const hasOwners = preview?.transactions.some(tx => tx.cardholder || tx.department);
+
+  return (
+    <div style={{ maxWidth: '900px', margin: '50px auto' }}>
+      <h1>Import a statement</h1>
+      <p>Upload a CSV, OFX or QIF statement of an account your bank connection does not cover.</p>
+
+      {imported.length > 0 && (
+        <div>
+          <ul style={{ listStyle: 'none', padding: 0 }}>
+            {imported.map((account, index) => (
+              <li key={index}>
+                <strong>{account.name}</strong>: {account.transactionCount} transactions imported
+              </li>
+            ))}
+          </ul>
+          <button onClick={startAnalysis} disabled={busy}>Start analysis</button>
+        </div>
+      )}
+
+      <p>
+        <input type="file" accept=".csv,.tsv,.txt,.ofx,.qfx,.qif" onChange={onFileChange} disabled={busy} />
+      </p>
+      {error && <p style={{ color: '#dc2626' }}>{error}</p>}
+
+      {preview && (
+        <div>
+          <p>
+            Read as <strong>{preview.label || preview.format.toUpperCase()}</strong>: {preview.transactionCount} transactions
+            {preview.skipped.length > 0 && `, ${preview.skipped.length} rows skipped`}.
+          </p>
+
+          {preview.columns && (
+            <div>
+              <p>{MAPPED_COLUMNS.map(([field, label]) => columnSelect(field, label))}</p>
+              <label>
+                Amounts{' '}
+                <select
+                  value={preview.mapping.amountConvention}
+                  onChange={event => updateMapping('amountConvention', event.target.value)}
+                  disabled={busy}
+                >
+                  {AMOUNT_CONVENTION_LABELS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {preview.mapping && (
+            <p>
+              <label style={{ marginRight: '12px' }}>
+                Date format{' '}
+                <select
+                  value={preview.mapping.dateFormat || ''}
+                  onChange={event => updateMapping('dateFormat', event.target.value)}
+                  disabled={busy}
+                >
+                  {!preview.mapping.dateFormat && <option value="">—</option>}
+                  {DATE_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+                </select>
+              </label>
+              <label>
+                Decimal separator{' '}
+                <select
+                  value={preview.mapping.decimalSeparator}
+                  onChange={event => updateMapping('decimalSeparator', event.target.value)}
+                  disabled={busy}
+                >
+                  <option value=".">1,234.56</option>
+                  <option value=",">1.234,56</option>
+                </select>
+              </label>
+            </p>
+          )}
+          {preview.problem && <p style={{ color: '#b45309' }}>{preview.problem}.</p>}
+          {preview.mapping?.dateFormatAmbiguous && (
+            <p style={{ color: '#b45309' }}>
+              These dates read both as month-first and day-first. Check that the dates below are right.
+            </p>
+          )}
+
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }}>Date</th>
+                <th style={{ textAlign: 'left' }}>Description</th>
+                {hasOwners && <th style={{ textAlign: 'left' }}>Paid by</th>}
+                <th style={{ textAlign: 'right' }}>Money out</th>
+                <th style={{ textAlign: 'right' }}>Money in</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.transactions.map((tx, index) => (
+                <tr key={index}>
+                  <td>{tx.date}</td>
+                  <td>{tx.merchant_name}</td>
+                  {hasOwners && <td>{[tx.cardholder, tx.department].filter(Boolean).join(', ')}</td>}
+                  <td style={{ textAlign: 'right' }}>{tx.amount > 0 ? `${tx.amount.toFixed(2)} ${tx.iso_currency_code}` : ''}</td>
+                  <td style={{ textAlign: 'right' }}>{tx.amount < 0 ? `${(-tx.amount).toFixed(2)} ${tx.iso_currency_code}` : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p>
+            <label>
+              Account name{' '}
+              <input value={accountName} onChange={event => setAccountName(event.target.value)} maxLength={100} />
+            </label>{' '}
+            <button onClick={onImport} disabled={busy || preview.transactionCount === 0}>
+              Import {preview.transactionCount} transactions
+            </button>
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImportStatement from './import-statement';
+
+jest.mock('next/router', () => ({
+  useRouter: () => ({ query: { audit_id: 'audit_1' }, push: jest.fn() }),
+}));
+
+describe('ImportStatement', () => {
+  it('previews the uploaded statement', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        format: 'csv',
+        columns: ['Date', 'Description', 'Amount'],
+        mapping: {
+          date: 0,
+          description: 1,
+          amount: 2,
+          dateFormat: 'YYYY-MM-DD',
+          amountConvention: 'debit_negative',
+          decimalSeparator: '.',
+        },
+        transactionCount: 1,
+        transactions: [{ date: '2024-03-01', merchant_name: 'Slack', amount: 87.5, iso_currency_code: 'USD' }],
+        skipped: [],
+        problem: null,
+      }),
+    });
+    const { container } = render(<ImportStatement />);
+
+    const content = 'Date,Description,Amount\n2024-03-01,Slack,-87.50';
+    const file = new File([content], 'checking.csv', { type: 'text/csv' });
+    // jsdom does not implement Blob.text()
+    file.text = async () => content;
+    fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [file] } });
+
+    expect(await screen.findByText('Slack')).toBeInTheDocument();
+    expect(screen.getByText('Import 1 transactions')).toBeInTheDocument();
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+      auditId: 'audit_1',
+      filename: 'checking.csv',
+      preview: true,
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview This page handles the Plaid Link flow in update mode, for re-authenticating a bank connection
+ * that Plaid reported as broken. Users reach it from the reconnect email.
+ */
+import { useRouter } from 'next/router';
+import { useState } from 'react';
+import PlaidLinkFlow from '../components/PlaidLinkFlow';
+
+/**
+ * A React component that manages the Plaid Link integration in update mode.
+ * It fetches an update mode Link token for one of the audit's existing bank connections, opens the Plaid Link
+ * modal, and once the user has logged in again, resumes the analysis if it was waiting for them.
+ * @returns {JSX.Element} The rendered Reconnect component.
+ */
+export default function Reconnect() {
+  const router = useRouter();
+  const { audit_id: auditId, item_id: itemId } = router.query;
+  const [reconnected, setReconnected] = useState(false);
+
+  const onSuccess = async () => {
+    try {
+      const response = await fetch('/api/plaid/reconnect-complete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ auditId, itemId }),
+      });
+      const data = await response.json();
+      if (data.resumed) {
+        router.push('/analysis-in-progress');
+      } else {
+        setReconnected(true);
+      }
+    } catch (error) {
+      console.error('Error completing reconnect:', error);
+    }
+  };
+
+  if (reconnected) {
+    return (
+      <div style={{ textAlign: 'center', marginTop: '50px' }}>
+        <h1>Your bank is reconnected</h1>
+        <p>Thanks! There is nothing else you need to do.</p>
+      </div>
+    );
+  }
+
+  return (
+    <PlaidLinkFlow
+      tokenRequest={{ auditId, itemId }}
+      tokenEndpoint="/api/plaid/create-update-link-token"
+      onSuccess={onSuccess}
+      title="Reconnecting to your bank..."
+    />
+  );
+}